@@ -0,0 +1,371 @@
+import dayjs from 'dayjs';
+import { getCIK, getRecentFilings, getCompanyTitle } from './sec.js';
+import { fetchFilingSections } from './secText.js';
+import { buildRiskFactorChanges } from './filingDiff.js';
+import { getFundamentals } from './secFacts.js';
+import { getCorporateEvents, compactCorporateEvents } from './corporateEvents.js';
+import { getInstitutionalOwnership } from './institutions.js';
+import { getRecommendations, getEarnings, getQuote, getEpsEstimates, pointInTimeRecommendations, pointInTimeEarnings, pointInTimeQuote } from './finnhub.js';
+import { getAggregatedPriceTarget } from './pricetarget.js';
+import { analyzeWithLLM, analysisInputHash } from './llm.js';
+import { resolveProviderName, providerDefaultModel } from './llmProvider.js';
+import { getHistoricalPrice } from './historicalPrice.js';
+import { getCachedAnalysis, saveAnalysisResult } from './analysisStore.js';
+import { buildNewsBundle } from './news.js';
+import { computeMomentumMetrics, applyMomentumScore } from './momentum.js';
+import { getSectorClassification } from './sectors.js';
+import { resolveScoringConfig, scoringHash } from './momentumScoring.js';
+import { evaluateProfileRules, reconcileProfileRules } from './profileRules.js';
+import { buildValuation, applyDcfConfig, resolveDcfConfig, dcfHash } from './valuation.js';
+import { getEarningsAnalytics, compactEarnings, estimatesSnapshotAt } from './earnings.js';
+import { splitFactorAfter } from './priceStore.js';
+import { parsePositionSizing, buildPositionPlan } from './positionSizing.js';
+
+// 單檔分析流程：server 路由、批次工作與回測共用，測試可直接匯入而不啟動 HTTP 服務
+const UA   = process.env.SEC_USER_AGENT || 'App/1.0 (email@example.com)';
+const SEC_KEY = process.env.SEC_API_KEY || '';
+const FH_KEY  = process.env.FINNHUB_KEY || '';
+const AV_KEY  = process.env.ALPHAVANTAGE_KEY || '';
+const TWELVE_KEY = process.env.TWELVE_DATA_KEY || '';
+const OPEN_KEY= process.env.OPENROUTER_KEY || '';
+const MODEL   = process.env.OPENROUTER_MODEL || 'gpt-5';
+const REALTIME_TTL_MS = 6 * 60 * 60 * 1000;
+const HISTORICAL_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const PROMPT_VERSION = 'profile_v12';
+const EVENTS_LOOKBACK_DAYS = Number(process.env.SEC_EVENTS_LOOKBACK_DAYS) || 180;
+const ALLOWED_MODEL_LIST = (process.env.OPENROUTER_ALLOWED_MODELS || 'gpt-5,gpt-4.1,gpt-4o-mini')
+  .split(',')
+  .map(s=>s.trim())
+  .filter(Boolean);
+if(!ALLOWED_MODEL_LIST.includes(MODEL)) ALLOWED_MODEL_LIST.push(MODEL);
+const ALLOWED_MODEL_SET = new Set(ALLOWED_MODEL_LIST);
+
+// ALLOWED_MODEL_LIST 只約束 OpenRouter；本地 / fixture 供應商直接採用指定或預設模型
+export function resolveModelName(requested, provider){
+  const trimmed = (requested || '').trim();
+  const providerName = resolveProviderName(provider);
+  if(providerName !== 'openrouter') return trimmed || providerDefaultModel(providerName);
+  if(!trimmed) return MODEL;
+  if(ALLOWED_MODEL_SET.size === 0) return trimmed;
+  return ALLOWED_MODEL_SET.has(trimmed) ? trimmed : MODEL;
+}
+
+// analysisStore 的 model 欄位：OpenRouter 沿用模型名，其他供應商加上前綴避免同名模型互相命中
+export function analysisStoreModel(model, provider){
+  const providerName = resolveProviderName(provider);
+  return providerName === 'openrouter' ? model : `${providerName}:${model}`;
+}
+
+// DCF 依新假設重算後，LLM 的 valuation_rationale 仍引用快照當時的 DCF 數字，標記為過期
+function markValuationRationaleStale(analysis){
+  if(!Array.isArray(analysis?.per_filing)) return analysis;
+  return {
+    ...analysis,
+    per_filing: analysis.per_filing.map(f=> f.five_indicators ? { ...f, five_indicators:{ ...f.five_indicators, valuation_rationale_stale:true } } : f)
+  };
+}
+
+export async function mapWithConcurrency(items, limit, mapper){
+  if(!Array.isArray(items) || !items.length) return [];
+  const size = Math.max(1, Math.min(limit || 1, items.length));
+  const results = new Array(items.length);
+  let index = 0;
+  const workers = Array.from({ length: size }, ()=>(async function worker(){
+    while(true){
+      const current = index++;
+      if(current >= items.length) break;
+      results[current] = await mapper(items[current], current);
+    }
+  })());
+  await Promise.all(workers);
+  return results;
+}
+
+export const PRICE_SOURCE_KEYS = { finnhubKey: FH_KEY, alphaKey: AV_KEY, twelveKey: TWELVE_KEY };
+
+export const ANALYSIS_STAGES = ['sec_filings','mda','finnhub','historical_price','price_target','fundamentals','valuation','earnings','corporate_events','institutions','news','momentum','llm'];
+
+function throwIfAborted(signal){
+  if(signal?.aborted){
+    const err = new Error('analysis aborted');
+    err.name = 'AbortError';
+    throw err;
+  }
+}
+
+// 依序執行分析階段，並透過 opts.onProgress 回報 start / done / error
+async function runStage(stage, opts, fn, preview){
+  throwIfAborted(opts.signal);
+  const base = { stage, index: ANALYSIS_STAGES.indexOf(stage) + 1, total: ANALYSIS_STAGES.length };
+  opts.onProgress?.({ ...base, status:'start' });
+  try{
+    const value = await fn();
+    opts.onProgress?.({ ...base, status:'done', data: preview ? preview(value) : value });
+    return value;
+  }catch(err){
+    if(err.name !== 'AbortError') opts.onProgress?.({ ...base, status:'error', error: err.message });
+    throw err;
+  }
+}
+
+// 各章節是否找到、原文長度與是否截斷，供前端與除錯顯示
+function sectionCoverage(sections){
+  return Object.fromEntries(Object.entries(sections || {}).map(([name, s])=>[name, { found: s.found, item: s.item, chars: s.chars, truncated: s.truncated }]));
+}
+
+// 送進 LLM 的章節原文（已依字數預算截斷），略過空白章節
+function sectionTexts(sections){
+  return Object.fromEntries(Object.entries(sections || {}).filter(([, s])=>s.text).map(([name, s])=>[name, s.text]));
+}
+
+// 部位規劃依每次請求的帳戶參數計算，不寫入分析快照
+function withPositionPlan(result, sizing){
+  if(!sizing) return result;
+  result.position_plan = buildPositionPlan({
+    price: result.fetched?.finnhub_summary?.quote?.c,
+    action: result.analysis?.action,
+    momentum: result.momentum
+  }, sizing);
+  return result;
+}
+
+export async function performAnalysis(ticker, date, opts={}){
+  const parsedDate = dayjs(date);
+  if(!parsedDate.isValid()) throw new Error('invalid date format');
+  const baselineDate = parsedDate.format('YYYY-MM-DD');
+  const upperTicker = ticker.toUpperCase();
+  const isHistorical = parsedDate.isBefore(dayjs(), 'day');
+  const analysisTtl = isHistorical ? HISTORICAL_TTL_MS : REALTIME_TTL_MS;
+  const llmProvider = resolveProviderName(opts.provider);
+  const llmModel = resolveModelName(opts.model, llmProvider);
+  const storeModel = analysisStoreModel(llmModel, llmProvider);
+  const scoring = resolveScoringConfig(opts.momentumScoring);
+  const dcfConfig = resolveDcfConfig(opts.dcf);
+  const sizing = parsePositionSizing(opts.positionSizing);
+
+  const cachedResult = getCachedAnalysis({ ticker: upperTicker, baselineDate, ttlMs: analysisTtl, model: storeModel });
+  if(cachedResult){
+    // 評分設定不同時只重新計算動能分數，LLM 結論與硬性過濾沿用快照
+    if(cachedResult.momentum && cachedResult.momentum.scoring?.hash !== scoringHash(scoring)){
+      const rescored = applyMomentumScore(cachedResult.momentum, scoring);
+      cachedResult.momentum = { ...rescored, scoring:{ ...rescored.scoring, rescored:true } };
+    }
+    if(cachedResult.valuation?.dcf && cachedResult.valuation.dcf.config?.hash !== dcfHash(dcfConfig)){
+      const revalued = applyDcfConfig(cachedResult.valuation, dcfConfig);
+      cachedResult.valuation = { ...revalued, dcf:{ ...revalued.dcf, config:{ ...revalued.dcf.config, rescored:true } } };
+      cachedResult.analysis = markValuationRationaleStale(cachedResult.analysis);
+    }
+    return withPositionPlan(cachedResult, sizing);
+  }
+
+  let cik = null;
+  const filings = await runStage('sec_filings', opts, async ()=>{
+    cik = await getCIK(upperTicker, UA, SEC_KEY);
+    return getRecentFilings(cik, baselineDate, UA, SEC_KEY);
+  }, (list)=>list.map(f=>({form:f.form, form_label:f.formLabel || f.form, filingDate:f.filingDate, reportDate:f.reportDate, url:f.url})));
+  const perFiling = await runStage('mda', opts, ()=>mapWithConcurrency(filings, 3, async (f)=>{
+    const parsed = await fetchFilingSections(f.url, UA, { form: f.form });
+    return { form:f.form, formLabel:f.formLabel, filingDate:f.filingDate, reportDate:f.reportDate, sections: parsed.sections, riskParagraphs: parsed.risk_paragraphs || [] };
+  }), (list)=>list.map(x=>({ form:x.form, filingDate:x.filingDate, sections: sectionCoverage(x.sections) })));
+  const riskFactorChanges = buildRiskFactorChanges(perFiling);
+
+  const cacheContext = baselineDate;
+  // 各欄位是否為基準日當時可得的資料（point-in-time），與 price_meta 一起回傳
+  const pointInTime = {};
+  // 未裁切的 EPS 實際 / 預期，財報分析改以 8-K 公布日判斷基準日當時是否已公布
+  let rawEarnings = null;
+  const finnhub = await runStage('finnhub', opts, async ()=>{
+    const [recoRes, earnRes, quoteRes] = await Promise.allSettled([
+      getRecommendations(upperTicker, FH_KEY, cacheContext),
+      getEarnings(upperTicker, FH_KEY, cacheContext),
+      getQuote(upperTicker, FH_KEY, cacheContext)
+    ]);
+    const reco = pointInTimeRecommendations(recoRes.status==='fulfilled'?recoRes.value:{ error:recoRes.reason.message }, baselineDate);
+    const earn = pointInTimeEarnings(earnRes.status==='fulfilled'?earnRes.value:{ error:earnRes.reason.message }, baselineDate);
+    if(earnRes.status==='fulfilled') rawEarnings = earnRes.value;
+    pointInTime.recommendation = reco.meta;
+    pointInTime.earnings = earn.meta;
+    return {
+      recommendation: reco.rows,
+      earnings:       earn.rows,
+      quote:          quoteRes.status==='fulfilled'?quoteRes.value:{ error:quoteRes.reason.message }
+    };
+  }, (fh)=>({ recommendation: Array.isArray(fh.recommendation)?fh.recommendation[0]:fh.recommendation, quote: fh.quote }));
+  let current = finnhub?.quote?.c ?? null;
+  const priceMeta = {
+    source: isHistorical ? 'historical_missing' : 'real-time',
+    as_of: isHistorical ? baselineDate : dayjs().format('YYYY-MM-DD')
+  };
+  await runStage('historical_price', opts, async ()=>{
+    if(isHistorical){
+      try{
+        const hist = await getHistoricalPrice(upperTicker, baselineDate, {
+          finnhubKey: FH_KEY,
+          alphaKey: AV_KEY,
+          twelveKey: TWELVE_KEY
+        });
+        if(hist?.price!=null){
+          current = hist.price;
+          priceMeta.source = hist.source;
+          priceMeta.session_date = hist.session_date;
+          priceMeta.split_factor = hist.split_factor;
+        }
+      }catch(err){
+        console.warn('[HistoricalPrice]', err.message);
+        priceMeta.source = 'real-time_fallback';
+      }
+    }else{
+      priceMeta.source = 'real-time';
+    }
+    priceMeta.value = current;
+    priceMeta.kind = isHistorical && !['real-time','historical_missing','real-time_fallback'].includes(priceMeta.source) ? 'historical' : 'real-time';
+    return priceMeta;
+  });
+  const pitQuote = pointInTimeQuote({ ...(finnhub.quote || {}), c: current }, priceMeta);
+  pointInTime.quote = pitQuote.meta;
+  finnhub.quote = pitQuote.quote;
+  finnhub.price_meta = priceMeta;
+
+  const ptAgg = await runStage('price_target', opts, async ()=>{
+    try{ return await getAggregatedPriceTarget(upperTicker, FH_KEY, AV_KEY, current, { baselineDate }); }
+    catch(e){ return { error:e.message }; }
+  });
+  pointInTime.price_target = ptAgg.error
+    ? { point_in_time:false, note:'無法取得目標價' }
+    : { point_in_time: ptAgg.point_in_time, as_of: ptAgg.as_of, ...(ptAgg.note ? { note: ptAgg.note } : {}) };
+
+  const payload = {
+      company: upperTicker,
+      baseline_date: baselineDate,
+      sec_filings: perFiling.map(x=>({
+        form: x.form,
+        form_label: x.formLabel || x.form,
+        filingDate: x.filingDate,
+        reportDate: x.reportDate,
+        sections: sectionTexts(x.sections)
+    })),
+    finnhub: { recommendation:finnhub.recommendation, quote:finnhub.quote, price_target: ptAgg, point_in_time: pointInTime }
+  };
+  if(riskFactorChanges.available) payload.risk_factor_changes = riskFactorChanges;
+  const fundamentals = await runStage('fundamentals', opts, async ()=>{
+    try{ return await getFundamentals(cik, baselineDate, { userAgent: UA, apiKey: SEC_KEY, price: current }); }
+    catch(err){
+      console.warn('[Fundamentals]', err.message);
+      return { error: err.message };
+    }
+  });
+  if(!fundamentals?.error){
+    const { concepts, ...compact } = fundamentals;
+    payload.fundamentals = { ...compact, quarters: compact.quarters.slice(0,5) };
+  }
+  let estimates = null;
+  const valuation = await runStage('valuation', opts, async ()=>{
+    try{ estimates = await getEpsEstimates(upperTicker, FH_KEY, cacheContext); }
+    catch(err){ console.warn('[Valuation]', err.message); }
+    // 歷史基準日改用基準日前的預期快照（快照為當時股本基準，換算到基準日）；目前共識含之後才形成的預期
+    if(isHistorical){
+      const snapshot = estimatesSnapshotAt(upperTicker, baselineDate);
+      const splitFactor = snapshot ? splitFactorAfter(upperTicker, baselineDate) / splitFactorAfter(upperTicker, snapshot.as_of) : 1;
+      return buildValuation({ price: current, fundamentals, estimates: snapshot, estimatesAsOf: snapshot?.as_of, splitFactor, baselineDate, isHistorical }, dcfConfig);
+    }
+    return buildValuation({ price: current, fundamentals, estimates, splitFactor: priceMeta.split_factor, baselineDate, isHistorical }, dcfConfig);
+  });
+  if(valuation?.available){
+    const { inputs, dcf, ...compact } = valuation;
+    const { projections, ...dcfSummary } = dcf;
+    payload.valuation = { ...compact, dcf: dcfSummary };
+  }
+  const earnings = await runStage('earnings', opts, async ()=>{
+    try{
+      return await getEarningsAnalytics(upperTicker, {
+        cik,
+        baselineDate,
+        isHistorical,
+        earnings: rawEarnings,
+        estimates,
+        userAgent: UA,
+        apiKey: SEC_KEY,
+        finnhubKey: FH_KEY,
+        alphaKey: AV_KEY
+      });
+    }catch(err){
+      console.warn('[Earnings]', err.message);
+      return { available:false, error: err.message };
+    }
+  });
+  // 財報分析失敗時退回基準日前已公布的 Finnhub EPS 列，LLM 仍看得到 EPS 歷史
+  if(earnings?.available) payload.earnings = compactEarnings(earnings);
+  else if(finnhub.earnings?.length) payload.finnhub.earnings = finnhub.earnings;
+  const corporateEvents = await runStage('corporate_events', opts, async ()=>{
+    try{ return await getCorporateEvents(cik, baselineDate, { userAgent: UA, apiKey: SEC_KEY, lookbackDays: EVENTS_LOOKBACK_DAYS }); }
+    catch(err){
+      console.warn('[CorporateEvents]', err.message);
+      return { error: err.message };
+    }
+  });
+  if(!corporateEvents?.error) payload.corporate_events = compactCorporateEvents(corporateEvents);
+  const institutions = await runStage('institutions', opts, async ()=>{
+    try{
+      const companyName = await getCompanyTitle(upperTicker, UA, SEC_KEY);
+      return await getInstitutionalOwnership(upperTicker, baselineDate, {
+        userAgent: UA,
+        apiKey: SEC_KEY,
+        companyName,
+        sharesOutstanding: fundamentals?.shares_outstanding?.value
+      });
+    }catch(err){
+      console.warn('[Institutions]', err.message);
+      return { available:false, error: err.message };
+    }
+  });
+  if(institutions?.available){
+    const { holders, failed_filers, ...compact } = institutions;
+    payload.institutions = { ...compact, top_increases: compact.top_increases.slice(0,3), top_decreases: compact.top_decreases.slice(0,3) };
+  }
+  const newsBundle = await runStage('news', opts, ()=>buildNewsBundle({ ticker: upperTicker, baselineDate, openKey: OPEN_KEY, model: llmModel, provider: llmProvider }));
+  payload.news = newsBundle;
+  const momentum = await runStage('momentum', opts, async ()=>{
+    const sector = await getSectorClassification(upperTicker, cik, { userAgent: UA, apiKey: SEC_KEY });
+    return computeMomentumMetrics(upperTicker, baselineDate, { scoring, sector });
+  });
+  payload.momentum = momentum;
+  // 規則結果不放進 payload：LLM 獨立判斷全部項目，再由 reconcileProfileRules 比對差異
+  const ruleChecks = evaluateProfileRules({ price: current, momentum, fundamentals, priceTarget: ptAgg, institutions, earnings });
+  const llmTtlMs = analysisTtl;
+  const llm = await runStage('llm', opts, ()=>analyzeWithLLM(OPEN_KEY, llmModel, payload, { cacheTtlMs: llmTtlMs, promptVersion: PROMPT_VERSION, signal: opts.signal, provider: llmProvider }));
+  throwIfAborted(opts.signal);
+  const profileRules = reconcileProfileRules(ruleChecks, llm?.profile);
+
+  const result = {
+    input:{ticker:upperTicker, date: baselineDate},
+    fetched:{
+      filings: filings.map((f,i)=>({form:f.form, form_label:f.formLabel || f.form, filingDate:f.filingDate, reportDate:f.reportDate, url:f.url, sections: sectionCoverage(perFiling[i].sections)})),
+      finnhub_summary:{
+        recommendation: Array.isArray(finnhub.recommendation)?finnhub.recommendation[0]:finnhub.recommendation,
+        quote: finnhub.quote,
+        price_target: ptAgg,
+        price_meta: priceMeta,
+        point_in_time: pointInTime
+      }
+    },
+    analysis: llm,
+    analysis_model: llmModel,
+    analysis_provider: llmProvider,
+    news: newsBundle,
+    momentum,
+    fundamentals,
+    valuation,
+    earnings,
+    corporate_events: corporateEvents,
+    institutions,
+    risk_factor_changes: riskFactorChanges,
+    profile_rules: profileRules
+  };
+  // LLM 輸出未通過驗證時不寫入 analysisStore，下次請求會重新分析
+  if(!llm?.validation_errors){
+    const inputHash = analysisInputHash({ payload, promptVersion: PROMPT_VERSION, model: llmModel, provider: llmProvider });
+    const snapshotId = saveAnalysisResult({ ticker: upperTicker, baselineDate, isHistorical, model: storeModel, result, promptVersion: PROMPT_VERSION, inputHash });
+    if(snapshotId!=null) result.snapshot_id = snapshotId;
+  }
+  return withPositionPlan(result, sizing);
+}
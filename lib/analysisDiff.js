@@ -0,0 +1,124 @@
+import { toNum, round } from './numbers.js';
+import { qualityScore } from './analysisStore.js';
+
+// 兩份分析快照的差異：評級、目標價、分數、體質過濾條件與風險因子
+
+const RATING_LABELS = { BUY:'買進', HOLD:'觀望', SELL:'賣出' };
+
+function numberChange(before, after){
+  const b = toNum(before);
+  const a = toNum(after);
+  const delta = a!=null && b!=null ? round(a - b) : null;
+  const pct = delta!=null && b ? round(a / b - 1) : null;
+  return { before: b, after: a, delta, pct, changed: a !== b };
+}
+
+function valueChange(before, after){
+  const b = before ?? null;
+  const a = after ?? null;
+  return { before: b, after: a, changed: a !== b };
+}
+
+function averageAlignment(result){
+  const scores = (result?.analysis?.per_filing || [])
+    .map(f=>toNum(f?.five_indicators?.alignment_score))
+    .filter(v=>v!=null);
+  if(!scores.length) return null;
+  return round(scores.reduce((acc,v)=>acc+v,0) / scores.length, 2);
+}
+
+// 以 key（規則名稱）對齊；沒有 key 的舊資料退回 name
+function filterMap(result){
+  const items = result?.profile_rules?.filters?.items || result?.analysis?.profile?.filters?.items || [];
+  return new Map(items.map(i=>[i.key || i.name, i]));
+}
+
+function riskFactors(result){
+  const all = (result?.analysis?.per_filing || []).flatMap(f=>f?.five_indicators?.risk_factors || []);
+  return [...new Set(all.map(r=>String(r || '').trim()).filter(Boolean))];
+}
+
+function describe(snapshot){
+  return {
+    id: snapshot.id,
+    ticker: snapshot.ticker,
+    baseline_date: snapshot.baseline_date,
+    model: snapshot.model,
+    provider: snapshot.provider,
+    prompt_version: snapshot.prompt_version,
+    input_hash: snapshot.input_hash,
+    created_at: snapshot.created_at
+  };
+}
+
+function fmtMoney(v){ return v==null ? '-' : `$${v.toFixed(2)}`; }
+
+export function diffAnalyses(base, target){
+  const before = base.result || {};
+  const after = target.result || {};
+  const rating = valueChange(before.analysis?.action?.rating, after.analysis?.action?.rating);
+  const targets = {
+    price: numberChange(before.fetched?.finnhub_summary?.quote?.c, after.fetched?.finnhub_summary?.quote?.c),
+    target_price: numberChange(before.analysis?.action?.target_price, after.analysis?.action?.target_price),
+    stop_loss: numberChange(before.analysis?.action?.stop_loss, after.analysis?.action?.stop_loss),
+    analyst_target_mean: numberChange(before.fetched?.finnhub_summary?.price_target?.targetMean, after.fetched?.finnhub_summary?.price_target?.targetMean)
+  };
+  const scores = {
+    quality_score: numberChange(qualityScore(before), qualityScore(after)),
+    momentum_score: numberChange(before.momentum?.score, after.momentum?.score),
+    alignment_score: numberChange(averageAlignment(before), averageAlignment(after)),
+    agreement_ratio: numberChange(before.analysis?.consensus_view?.agreement_ratio, after.analysis?.consensus_view?.agreement_ratio)
+  };
+  const labels = {
+    segment: valueChange(before.profile_rules?.segment || before.analysis?.profile?.segment, after.profile_rules?.segment || after.analysis?.profile?.segment),
+    trend: valueChange(before.momentum?.trend, after.momentum?.trend),
+    news_sentiment: valueChange(before.news?.sentiment?.sentiment_label, after.news?.sentiment?.sentiment_label)
+  };
+
+  const beforeFilters = filterMap(before);
+  const afterFilters = filterMap(after);
+  const filterKeys = [...new Set([...beforeFilters.keys(), ...afterFilters.keys()])];
+  const filterChanges = filterKeys
+    .map(key=>{
+      const b = beforeFilters.get(key);
+      const a = afterFilters.get(key);
+      return { key, name: a?.name || b?.name || key, before: b?.met ?? null, after: a?.met ?? null, reason: a?.reason || null };
+    })
+    .filter(item=>item.before !== item.after);
+  const filters = {
+    met: numberChange(before.profile_rules?.filters?.met, after.profile_rules?.filters?.met),
+    passed: valueChange(before.profile_rules?.filters?.passed, after.profile_rules?.filters?.passed),
+    changes: filterChanges
+  };
+
+  const beforeRisks = riskFactors(before);
+  const afterRisks = riskFactors(after);
+  const risk_factors = {
+    added: afterRisks.filter(r=>!beforeRisks.includes(r)),
+    removed: beforeRisks.filter(r=>!afterRisks.includes(r)),
+    unchanged: afterRisks.filter(r=>beforeRisks.includes(r)).length
+  };
+
+  const highlights = [];
+  if(rating.changed) highlights.push(`評級 ${RATING_LABELS[rating.before] || rating.before || '-'} → ${RATING_LABELS[rating.after] || rating.after || '-'}`);
+  if(targets.target_price.changed) highlights.push(`模型目標價 ${fmtMoney(targets.target_price.before)} → ${fmtMoney(targets.target_price.after)}`);
+  if(targets.stop_loss.changed) highlights.push(`停損 ${fmtMoney(targets.stop_loss.before)} → ${fmtMoney(targets.stop_loss.after)}`);
+  if(scores.quality_score.changed) highlights.push(`體質分數 ${scores.quality_score.before ?? '-'} → ${scores.quality_score.after ?? '-'}`);
+  if(scores.momentum_score.changed) highlights.push(`動能分數 ${scores.momentum_score.before ?? '-'} → ${scores.momentum_score.after ?? '-'}`);
+  for(const item of filterChanges) highlights.push(`過濾條件「${item.name}」${item.before ? '通過' : '未通過'} → ${item.after ? '通過' : '未通過'}`);
+  if(risk_factors.added.length) highlights.push(`新增 ${risk_factors.added.length} 項風險因子`);
+  if(risk_factors.removed.length) highlights.push(`移除 ${risk_factors.removed.length} 項風險因子`);
+
+  return {
+    base: describe(base),
+    target: describe(target),
+    same_input: Boolean(base.input_hash) && base.input_hash === target.input_hash,
+    rating,
+    targets,
+    scores,
+    labels,
+    filters,
+    risk_factors,
+    highlights
+  };
+}
@@ -1,65 +1,171 @@
-import fs from 'fs';
-import path from 'path';
-import Database from 'better-sqlite3';
+import db from './db.js';
+import { toNum } from './numbers.js';
 
 const BASE_SCHEMA_VERSION = 'analysis_v2';
-const DEFAULT_DB_PATH = path.resolve(process.env.ANALYSIS_DB_PATH || 'data/analyses.db');
-const dir = path.dirname(DEFAULT_DB_PATH);
-if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive:true });
 
-const db = new Database(DEFAULT_DB_PATH);
-db.pragma('journal_mode = WAL');
-db.prepare(`CREATE TABLE IF NOT EXISTS analyses (
+// 每次分析都新增一筆不可變快照；快取命中取同 ticker / 基準日 / 模型的最新一筆
+db.prepare(`CREATE TABLE IF NOT EXISTS analysis_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
   ticker TEXT NOT NULL,
   baseline_date TEXT NOT NULL,
   schema_version TEXT NOT NULL,
+  model TEXT,
+  provider TEXT,
+  prompt_version TEXT,
+  input_hash TEXT,
   is_historical INTEGER NOT NULL,
+  rating TEXT,
+  target_price REAL,
+  quality_score REAL,
   result_json TEXT NOT NULL,
-  updated_at INTEGER NOT NULL,
-  PRIMARY KEY (ticker, baseline_date, schema_version)
+  created_at INTEGER NOT NULL
 )`).run();
 
-db.prepare('CREATE INDEX IF NOT EXISTS idx_analyses_lookup ON analyses(ticker, baseline_date)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_snapshots_lookup ON analysis_snapshots(ticker, baseline_date, schema_version, created_at)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_snapshots_created ON analysis_snapshots(created_at)').run();
 
-const getStmt = db.prepare(`SELECT result_json, updated_at, is_historical FROM analyses WHERE ticker=? AND baseline_date=? AND schema_version=?`);
-const upsertStmt = db.prepare(`INSERT INTO analyses (ticker, baseline_date, schema_version, is_historical, result_json, updated_at)
-VALUES (@ticker, @baseline_date, @schema_version, @is_historical, @result_json, @updated_at)
-ON CONFLICT(ticker, baseline_date, schema_version) DO UPDATE SET
- result_json=excluded.result_json,
- updated_at=excluded.updated_at,
- is_historical=excluded.is_historical`);
+const latestStmt = db.prepare(`SELECT id, result_json, created_at FROM analysis_snapshots
+WHERE ticker=? AND baseline_date=? AND schema_version=? ORDER BY created_at DESC, id DESC LIMIT 1`);
+const insertStmt = db.prepare(`INSERT INTO analysis_snapshots
+(ticker, baseline_date, schema_version, model, provider, prompt_version, input_hash, is_historical, rating, target_price, quality_score, result_json, created_at)
+VALUES (@ticker, @baseline_date, @schema_version, @model, @provider, @prompt_version, @input_hash, @is_historical, @rating, @target_price, @quality_score, @result_json, @created_at)`);
+const getStmt = db.prepare('SELECT * FROM analysis_snapshots WHERE id=?');
+const previousStmt = db.prepare(`SELECT * FROM analysis_snapshots
+WHERE ticker=? AND schema_version=? AND (created_at < ? OR (created_at = ? AND id < ?)) ORDER BY created_at DESC, id DESC LIMIT 1`);
 
 function versionKey(model){
   const suffix = (model && String(model).trim()) || 'default';
   return `${BASE_SCHEMA_VERSION}:${suffix}`;
 }
 
+export function qualityScore(result){
+  const rules = result?.profile_rules;
+  if(rules?.score_complete) return toNum(rules.score);
+  return toNum(result?.analysis?.profile?.score) ?? toNum(rules?.score);
+}
+
+// 舊版 analyses 表以 upsert 保存（每組只剩最後一筆），首次啟動時搬進快照表，舊表保留不再寫入
+function migrateLegacyAnalyses(){
+  const legacy = db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name='analyses'`).get();
+  if(!legacy) return;
+  if(db.prepare('SELECT id FROM analysis_snapshots LIMIT 1').get()) return;
+  const rows = db.prepare('SELECT * FROM analyses ORDER BY updated_at').all();
+  db.transaction(()=>{
+    for(const row of rows){
+      let result = null;
+      try{ result = JSON.parse(row.result_json); }catch{ continue; }
+      insertStmt.run({
+        ticker: row.ticker,
+        baseline_date: row.baseline_date,
+        schema_version: row.schema_version,
+        model: result.analysis_model || null,
+        provider: result.analysis_provider || 'openrouter',
+        prompt_version: null,
+        input_hash: null,
+        is_historical: row.is_historical,
+        rating: result.analysis?.action?.rating || null,
+        target_price: toNum(result.analysis?.action?.target_price),
+        quality_score: qualityScore(result),
+        result_json: row.result_json,
+        created_at: row.updated_at
+      });
+    }
+  })();
+  if(rows.length) console.log(`[analysisStore] migrated ${rows.length} legacy analyses`);
+}
+
+try{
+  migrateLegacyAnalyses();
+}catch(err){
+  console.warn('[analysisStore] legacy migration failed', err.message);
+}
+
+function formatSnapshot(row, { includeResult=false }={}){
+  const out = {
+    id: row.id,
+    ticker: row.ticker,
+    baseline_date: row.baseline_date,
+    model: row.model,
+    provider: row.provider,
+    prompt_version: row.prompt_version || null,
+    schema_version: row.schema_version,
+    input_hash: row.input_hash || null,
+    is_historical: Boolean(row.is_historical),
+    rating: row.rating || null,
+    target_price: row.target_price,
+    quality_score: row.quality_score,
+    created_at: row.created_at
+  };
+  if(includeResult){
+    try{ out.result = { ...JSON.parse(row.result_json), snapshot_id: row.id }; }
+    catch{ out.result = null; }
+  }
+  return out;
+}
+
 export function getCachedAnalysis({ ticker, baselineDate, ttlMs, model }){
   if(!ticker || !baselineDate || !ttlMs) return null;
   try{
-    const row = getStmt.get(ticker, baselineDate, versionKey(model));
+    const row = latestStmt.get(ticker, baselineDate, versionKey(model));
     if(!row) return null;
-    const age = Date.now() - row.updated_at;
+    const age = Date.now() - row.created_at;
     if(age > ttlMs) return null;
-    return JSON.parse(row.result_json);
+    return { ...JSON.parse(row.result_json), snapshot_id: row.id };
   }catch(err){
     console.warn('[analysisStore] get failed', err.message);
     return null;
   }
 }
 
-export function saveAnalysisResult({ ticker, baselineDate, isHistorical, result, model }){
-  if(!ticker || !baselineDate || !result) return;
+// 回傳新快照 id；寫入失敗只記錄警告，不影響分析結果
+export function saveAnalysisResult({ ticker, baselineDate, isHistorical, result, model, promptVersion, inputHash }){
+  if(!ticker || !baselineDate || !result) return null;
   try{
-    upsertStmt.run({
+    const info = insertStmt.run({
       ticker,
       baseline_date: baselineDate,
       schema_version: versionKey(model),
+      model: result.analysis_model || null,
+      provider: result.analysis_provider || null,
+      prompt_version: promptVersion || null,
+      input_hash: inputHash || null,
       is_historical: isHistorical ? 1 : 0,
+      rating: result.analysis?.action?.rating || null,
+      target_price: toNum(result.analysis?.action?.target_price),
+      quality_score: qualityScore(result),
       result_json: JSON.stringify(result),
-      updated_at: Date.now()
+      created_at: Date.now()
     });
+    return Number(info.lastInsertRowid);
   }catch(err){
     console.warn('[analysisStore] save failed', err.message);
+    return null;
   }
 }
+
+export function listAnalyses({ ticker, from, to, model, limit=50, offset=0 }={}){
+  const where = [];
+  const params = [];
+  if(ticker){ where.push('ticker=?'); params.push(String(ticker).toUpperCase()); }
+  if(from){ where.push('baseline_date>=?'); params.push(from); }
+  if(to){ where.push('baseline_date<=?'); params.push(to); }
+  if(model){ where.push('model=?'); params.push(model); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM analysis_snapshots ${clause}`).get(...params).n;
+  const rows = db.prepare(`SELECT * FROM analysis_snapshots ${clause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+  return { total, items: rows.map(row=>formatSnapshot(row)) };
+}
+
+export function getAnalysisSnapshot(id){
+  if(!Number.isInteger(id) || id <= 0) return null;
+  const row = getStmt.get(id);
+  return row ? formatSnapshot(row, { includeResult:true }) : null;
+}
+
+// 同 ticker、同模型的上一筆快照（不限基準日），用於預設的差異比較
+export function getPreviousSnapshot(snapshot){
+  if(!snapshot) return null;
+  const row = previousStmt.get(snapshot.ticker, snapshot.schema_version, snapshot.created_at, snapshot.created_at, snapshot.id);
+  return row ? formatSnapshot(row, { includeResult:true }) : null;
+}
@@ -0,0 +1,205 @@
+import dayjs from 'dayjs';
+import { fetchDailySeries, sliceByDate } from './momentum.js';
+import { classifySector, MARKET_BENCHMARK } from './sectors.js';
+import { getHistoricalPrice } from './historicalPrice.js';
+import { toNum, round } from './numbers.js';
+
+const DEFAULT_STEP_DAYS = 30;
+const DEFAULT_HORIZON_DAYS = 90;
+const DEFAULT_HOLD_BAND = 0.05;
+const MAX_TASKS = 200;
+const RATINGS = ['BUY','HOLD','SELL'];
+
+function average(values){
+  const nums = values.filter(v=>v!=null);
+  if(!nums.length) return null;
+  return nums.reduce((a,b)=>a+b,0)/nums.length;
+}
+
+function ratio(count, total){
+  return total ? round(count/total) : null;
+}
+
+function normalizeRating(raw){
+  const upper = String(raw || '').trim().toUpperCase();
+  return RATINGS.includes(upper) ? upper : null;
+}
+
+export function buildBacktestTasks({ tickers, from, to, stepDays=DEFAULT_STEP_DAYS, models=[] }){
+  const list = (Array.isArray(tickers) ? tickers : String(tickers || '').split(','))
+    .map(t=>String(t || '').trim().toUpperCase())
+    .filter(Boolean);
+  if(!list.length) throw new Error('tickers required');
+  const start = dayjs(from);
+  const end = dayjs(to || from);
+  if(!start.isValid() || !end.isValid()) throw new Error('invalid date range');
+  if(end.isBefore(start, 'day')) throw new Error('from must be on or before to');
+  const step = Math.max(1, Math.round(toNum(stepDays) || DEFAULT_STEP_DAYS));
+  const dates = [];
+  for(let d = start; !d.isAfter(end, 'day'); d = d.add(step, 'day')){
+    dates.push(d.format('YYYY-MM-DD'));
+  }
+  const modelList = [...new Set((models || []).filter(Boolean))];
+  if(!modelList.length) throw new Error('models required');
+  const tasks = [];
+  for(const model of modelList){
+    for(const ticker of list){
+      for(const date of dates) tasks.push({ ticker, date, model });
+    }
+  }
+  if(tasks.length > MAX_TASKS) throw new Error(`backtest too large: ${tasks.length} analyses (max ${MAX_TASKS})`);
+  return tasks;
+}
+
+// 取得基準日當天（或之前最近交易日）的收盤與之後到 horizon 結束日的日線（由舊到新）
+function forwardWindow(series, baselineDate, endDate){
+  if(!series?.length) return { entry:null, path:[] };
+  const base = dayjs(baselineDate);
+  const entry = sliceByDate(series, baselineDate)[0] || null;
+  const validEntry = entry && !dayjs(entry.date).isAfter(base, 'day') ? entry : null;
+  const path = series
+    .filter(row=> dayjs(row.date).isAfter(base, 'day') && !dayjs(row.date).isAfter(endDate, 'day'))
+    .sort((a,b)=> dayjs(a.date).valueOf() - dayjs(b.date).valueOf());
+  return { entry: validEntry, path };
+}
+
+function firstTouch(path, level, direction){
+  if(level==null) return null;
+  const hit = path.find(row=> direction === 'up' ? row.high >= level : row.low <= level);
+  return hit ? hit.date : null;
+}
+
+async function benchmarkReturn(symbol, baselineDate, endDate){
+  try{
+    const series = await fetchDailySeries(symbol, { to: endDate });
+    const { entry, path } = forwardWindow(series, baselineDate, endDate);
+    const exit = path[path.length-1];
+    if(!entry?.close || !exit?.close) return null;
+    return exit.close / entry.close - 1;
+  }catch(err){
+    console.warn('[Backtest] benchmark failed', err.message);
+    return null;
+  }
+}
+
+function isHit(rating, value, holdBand){
+  if(value==null) return null;
+  if(rating === 'BUY') return value > 0;
+  if(rating === 'SELL') return value < 0;
+  return Math.abs(value) <= holdBand;
+}
+
+export async function evaluateAnalysis(result, { horizonDays=DEFAULT_HORIZON_DAYS, holdBand=DEFAULT_HOLD_BAND, finnhubKey, alphaKey, twelveKey }={}){
+  const ticker = result?.input?.ticker;
+  const baselineDate = result?.input?.date;
+  const action = result?.analysis?.action || {};
+  const row = {
+    ticker,
+    date: baselineDate,
+    model: result?.analysis_model || '',
+    rating: normalizeRating(action.rating),
+    target_price: toNum(action.target_price),
+    stop_loss: toNum(action.stop_loss),
+    status: 'ok'
+  };
+  if(!row.rating){
+    row.status = 'no_rating';
+    return row;
+  }
+  const endDate = dayjs(baselineDate).add(horizonDays, 'day');
+  row.horizon_end = endDate.format('YYYY-MM-DD');
+  if(endDate.isAfter(dayjs(), 'day')){
+    row.status = 'pending';
+    return row;
+  }
+
+  let series = null;
+  try{ series = await fetchDailySeries(ticker, { to: endDate }); }
+  catch(err){ console.warn('[Backtest] series failed', err.message); }
+  const { entry, path } = forwardWindow(series, baselineDate, endDate);
+  const meta = result?.fetched?.finnhub_summary?.price_meta;
+  const entryPrice = entry?.close ?? toNum(meta?.value ?? result?.fetched?.finnhub_summary?.quote?.c);
+  let exitPrice = path.length ? path[path.length-1].close : null;
+  if(exitPrice==null){
+    try{
+      const hist = await getHistoricalPrice(ticker, row.horizon_end, { finnhubKey, alphaKey, twelveKey });
+      exitPrice = hist?.price ?? null;
+    }catch(err){
+      console.warn('[Backtest] exit price failed', err.message);
+    }
+  }
+  if(!entryPrice || exitPrice==null){
+    row.status = 'no_price_data';
+    return row;
+  }
+
+  row.entry_price = entryPrice;
+  row.exit_price = exitPrice;
+  row.forward_return = round(exitPrice / entryPrice - 1);
+  const targetDirection = row.target_price!=null && row.target_price < entryPrice ? 'down' : 'up';
+  const stopDirection = row.stop_loss!=null && row.stop_loss > entryPrice ? 'up' : 'down';
+  row.target_reached_on = path.length ? firstTouch(path, row.target_price, targetDirection) : null;
+  row.stop_hit_on = path.length ? firstTouch(path, row.stop_loss, stopDirection) : null;
+  row.target_reached = row.target_price!=null && path.length ? Boolean(row.target_reached_on) : null;
+  row.stop_hit = row.stop_loss!=null && path.length ? Boolean(row.stop_hit_on) : null;
+  if(row.target_reached_on && row.stop_hit_on){
+    row.first_touch = row.target_reached_on <= row.stop_hit_on ? 'target' : 'stop';
+  }else{
+    row.first_touch = row.target_reached_on ? 'target' : (row.stop_hit_on ? 'stop' : null);
+  }
+
+  // 與分析時的動能基準一致（類股 ETF）；舊快照沒有 momentum 時退回 ticker 覆寫或 SPY
+  row.benchmark = result?.momentum?.etf?.symbol || classifySector({ ticker }).sector_etf || MARKET_BENCHMARK;
+  const benchRet = await benchmarkReturn(row.benchmark, baselineDate, endDate);
+  row.benchmark_return = round(benchRet);
+  row.excess_return = benchRet==null ? null : round(row.forward_return - benchRet);
+  row.hit = isHit(row.rating, row.excess_return ?? row.forward_return, holdBand);
+  return row;
+}
+
+function summarizeGroup(rows){
+  const evaluated = rows.filter(r=>r.status === 'ok');
+  const withTarget = evaluated.filter(r=>r.target_reached!=null);
+  const withStop = evaluated.filter(r=>r.stop_hit!=null);
+  const withHit = evaluated.filter(r=>r.hit!=null);
+  return {
+    evaluated: evaluated.length,
+    hit_rate: ratio(withHit.filter(r=>r.hit).length, withHit.length),
+    target_reached_ratio: ratio(withTarget.filter(r=>r.target_reached).length, withTarget.length),
+    stop_hit_ratio: ratio(withStop.filter(r=>r.stop_hit).length, withStop.length),
+    avg_return: round(average(evaluated.map(r=>r.forward_return))),
+    avg_excess_return: round(average(evaluated.map(r=>r.excess_return)))
+  };
+}
+
+export function summarizeBacktest(rows){
+  const byModel = new Map();
+  for(const row of rows || []){
+    const model = row.model || 'default';
+    if(!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(row);
+  }
+  return [...byModel.entries()].map(([model, list])=>{
+    const statusCounts = {};
+    list.forEach(r=>{ statusCounts[r.status] = (statusCounts[r.status] || 0) + 1; });
+    const byRating = {};
+    for(const rating of RATINGS){
+      const subset = list.filter(r=>r.rating === rating);
+      if(subset.length) byRating[rating] = { count: subset.length, ...summarizeGroup(subset) };
+    }
+    return {
+      model,
+      total: list.length,
+      status_counts: statusCounts,
+      ...summarizeGroup(list),
+      by_rating: byRating
+    };
+  }).sort((a,b)=> (b.hit_rate ?? -1) - (a.hit_rate ?? -1));
+}
+
+export const BACKTEST_DEFAULTS = {
+  stepDays: DEFAULT_STEP_DAYS,
+  horizonDays: DEFAULT_HORIZON_DAYS,
+  holdBand: DEFAULT_HOLD_BAND,
+  maxTasks: MAX_TASKS
+};
@@ -0,0 +1,94 @@
+import dayjs from 'dayjs';
+import path from 'path';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+// 批次檔解析：第一欄 ticker、第二欄日期、第三欄（選填）模型；遇到全空列即停止
+
+export function normalizeDate(raw){
+  if(raw==null) return '';
+  if(typeof raw === 'number'){
+    const date = new Date(Math.round((raw - 25569) * 86400 * 1000));
+    return Number.isNaN(date.getTime()) ? '' : dayjs(date).format('YYYY-MM-DD');
+  }
+  if(raw instanceof Date) return dayjs(raw).format('YYYY-MM-DD');
+  const str = String(raw).trim();
+  if(!str) return '';
+  const parsed = dayjs(str);
+  if(parsed.isValid()) return parsed.format('YYYY-MM-DD');
+  const alt = dayjs(new Date(str));
+  return alt.isValid() ? alt.format('YYYY-MM-DD') : str;
+}
+
+function readRows(file){
+  if(!file) throw new Error('缺少檔案');
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if(ext === '.csv'){
+    const text = file.buffer.toString('utf8');
+    return Papa.parse(text, { skipEmptyLines:false }).data;
+  }
+  const wb = XLSX.read(file.buffer, { type:'buffer' });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(ws, { header:1, raw:false, defval:'' });
+}
+
+export function parseBatchFile(file){
+  const rows = readRows(file);
+  const tasks = [];
+  for (const row of rows){
+    if(!row || !row.length) continue;
+    const ticker = String(row[0] ?? '').trim();
+    const date = normalizeDate(row[1]);
+    const model = String(row[2] ?? '').trim();
+    if(/^(ticker|symbol)$/i.test(ticker) && /^date$/i.test(String(row[1] || ''))) continue;
+    if(!ticker && !date) break;
+    if(!ticker || !date) continue;
+    tasks.push({ ticker, date, model });
+  }
+  return tasks;
+}
+
+// 金額 / 股數欄位允許千分位、貨幣符號與空白
+function parseAmount(raw){
+  const str = String(raw ?? '').replace(/[$,\s]/g, '');
+  if(!str) return null;
+  const n = Number(str);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// 持股檔：第一欄 ticker、第二欄股數、第三欄每股平均成本（選填）、第四欄自訂停損價（選填）；
+// 標題列與空白列規則同批次檔，數值無法解析時回報列號
+export function parsePortfolioFile(file){
+  const rows = readRows(file);
+  const holdings = [];
+  for(let i=0;i<rows.length;i++){
+    const row = rows[i];
+    if(!row || !row.length) continue;
+    const ticker = String(row[0] ?? '').trim();
+    const rawShares = String(row[1] ?? '').trim();
+    if(/^(ticker|symbol)$/i.test(ticker) && !/^[\d$,.\s]+$/.test(rawShares)) continue;
+    if(!ticker && !rawShares) break;
+    if(!ticker || !rawShares) continue;
+    const shares = parseAmount(rawShares);
+    const costBasis = parseAmount(row[2]);
+    const stopLoss = parseAmount(row[3]);
+    if(!(shares > 0)) throw new Error(`第 ${i + 1} 列股數無效：${rawShares}`);
+    if(Number.isNaN(costBasis) || costBasis < 0) throw new Error(`第 ${i + 1} 列成本無效：${row[2]}`);
+    if(Number.isNaN(stopLoss) || stopLoss < 0) throw new Error(`第 ${i + 1} 列停損價無效：${row[3]}`);
+    holdings.push({ ticker, shares, cost_basis: costBasis, stop_loss: stopLoss });
+  }
+  return holdings;
+}
+
+// 選股器的股票清單：只讀第一欄 ticker，其餘欄位忽略；標題列與空白列規則同批次檔
+export function parseTickerFile(file){
+  const tickers = [];
+  for(const row of readRows(file)){
+    if(!row || !row.length) continue;
+    const ticker = String(row[0] ?? '').trim();
+    if(!ticker && row.every(cell=>!String(cell ?? '').trim())) break;
+    if(!ticker || /^(ticker|symbol)$/i.test(ticker)) continue;
+    tickers.push(ticker.toUpperCase());
+  }
+  return tickers;
+}
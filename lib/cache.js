@@ -1,6 +1,6 @@
 import fs from 'fs';
 import path from 'path';
-const CACHE_DIR = path.resolve('cache');
+const CACHE_DIR = path.resolve(process.env.CACHE_DIR || 'cache');
 if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
 
 export function cachePath(key){ return path.join(CACHE_DIR, encodeURIComponent(key)+'.json'); }
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import { getCache, setCache } from './cache.js';
+import { COMPARE_RANKING_SCHEMA, completeJson } from './llmSchema.js';
+import { chatCompletion, hasCredentials, resolveProviderName } from './llmProvider.js';
+import { performAnalysis, resolveModelName, mapWithConcurrency } from './analysis.js';
+import { toNum, round } from './numbers.js';
+
+// 同一基準日的多檔比較：逐檔沿用 performAnalysis（含 analysisStore 快取），再整理成對齊的比較表與 LLM 相對排名
+
+export const MAX_COMPARE_TICKERS = 8;
+const RANKING_CACHE_TTL = 6 * 60 * 60 * 1000;
+
+function upside(target, price){
+  if(target==null || price==null || price <= 0) return null;
+  return round(target / price - 1);
+}
+
+export function parseCompareTickers(raw){
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,;]+/);
+  const tickers = [...new Set(list.map(t=>String(t || '').trim().toUpperCase()).filter(Boolean))];
+  if(tickers.length < 2) throw new Error('至少需要兩個 ticker 才能比較');
+  if(tickers.length > MAX_COMPARE_TICKERS) throw new Error(`一次最多比較 ${MAX_COMPARE_TICKERS} 個 ticker`);
+  return tickers;
+}
+
+export function buildComparisonRow(ticker, outcome){
+  if(!outcome.ok) return { ticker, status:'error', error: String(outcome.error?.message || outcome.error) };
+  const result = outcome.result;
+  const summary = result.fetched?.finnhub_summary || {};
+  const analysis = result.analysis || {};
+  const rules = result.profile_rules;
+  const momentum = result.momentum || {};
+  const valuation = result.valuation?.available ? result.valuation : null;
+  const price = toNum(summary.quote?.c);
+  const analystTarget = toNum(summary.price_target?.targetMean ?? summary.price_target?.targetMedian);
+  const llmTarget = toNum(analysis.action?.target_price);
+  return {
+    ticker: result.input.ticker,
+    status: 'ok',
+    price,
+    price_source: summary.price_meta?.source || null,
+    analyst_target: analystTarget,
+    analyst_upside: upside(analystTarget, price),
+    llm_target: llmTarget,
+    llm_upside: upside(llmTarget, price),
+    rating: analysis.action?.rating || null,
+    segment: rules?.segment || analysis.profile?.segment || null,
+    quality_score: rules?.score_complete ? rules.score : (toNum(analysis.profile?.score) ?? rules?.score ?? null),
+    momentum_score: toNum(momentum.score),
+    returns: {
+      m3: toNum(momentum.returns?.m3),
+      m6: toNum(momentum.returns?.m6),
+      m12: toNum(momentum.returns?.m12)
+    },
+    rsi14: toNum(momentum.rsi14),
+    valuation: {
+      pe: toNum(valuation?.multiples?.pe),
+      forward_pe: toNum(valuation?.multiples?.forward_pe),
+      ev_ebitda: toNum(valuation?.multiples?.ev_ebitda),
+      fcf_yield: toNum(valuation?.multiples?.fcf_yield),
+      dcf_upside: toNum(valuation?.dcf?.upside)
+    },
+    trend: momentum.trend || null,
+    news_sentiment: result.news?.sentiment?.sentiment_label || null,
+    filters_met: rules?.filters?.met ?? null,
+    filters_total: rules?.filters?.total ?? null,
+    filters_passed: rules?.filters?.passed ?? null,
+    analysis_valid: !analysis.validation_errors
+  };
+}
+
+// LLM 不可用或輸出無效時的排序：體質分數 → 動能分數 → LLM 目標價空間
+function computedRanking(rows){
+  const score = (x)=> x ?? -Infinity;
+  return [...rows]
+    .sort((a,b)=> score(b.quality_score) - score(a.quality_score) || score(b.momentum_score) - score(a.momentum_score) || score(b.llm_upside) - score(a.llm_upside))
+    .map((r,i)=>({ ticker: r.ticker, rank: i + 1, reason:`體質 ${r.quality_score ?? '-'} 分、動能 ${r.momentum_score ?? '-'} 分` }));
+}
+
+// 只保留比較表內的 ticker，依 LLM 順序重新編號，遺漏者以程式排序補在最後
+function alignRanking(ranking, rows){
+  const known = new Set(rows.map(r=>r.ticker));
+  const seen = new Set();
+  const items = [];
+  for(const item of [...ranking].sort((a,b)=>a.rank - b.rank)){
+    const ticker = String(item.ticker || '').trim().toUpperCase();
+    if(!known.has(ticker) || seen.has(ticker)) continue;
+    seen.add(ticker);
+    items.push({ ticker, rank: items.length + 1, reason: item.reason });
+  }
+  for(const fallback of computedRanking(rows.filter(r=>!seen.has(r.ticker)))){
+    items.push({ ticker: fallback.ticker, rank: items.length + 1, reason:`（模型未排序）${fallback.reason}` });
+  }
+  return items;
+}
+
+export async function rankTickers(rows, { baselineDate, model, provider, openKey, signal }={}){
+  const candidates = rows.filter(r=>r.status === 'ok');
+  const providerName = resolveProviderName(provider);
+  const computed = (summary, extra={})=>({ source:'computed', summary, items: computedRanking(candidates), ...extra });
+  if(candidates.length < 2) return computed('可比較的標的不足兩檔，僅依程式規則排序。');
+  if(!hasCredentials(providerName, openKey)) return computed('缺少 LLM 金鑰，改依體質與動能分數排序。');
+
+  const input = { baseline_date: baselineDate, rows: candidates.map(({ status, analysis_valid, price_source, ...row })=>row) };
+  const messages = [
+    { role:'system', content:[
+      '你是美股研究主管，負責在同一基準日比較同業個股並給出相對排名。',
+      '輸入為比較表：現價、分析師與模型目標價上檔空間、評級、體質分數、硬性過濾通過數、動能分數與報酬、RSI、估值倍數與 DCF 上檔空間、新聞情緒。',
+      '請綜合風險報酬、基本面品質與動能給出由最看好到最不看好的排名，所有文字以繁體中文撰寫，只輸出 JSON：',
+      '{"summary":"150 字內的整體比較","ranking":[{"ticker":string,"rank":number,"reason":"80 字內理由"}]}',
+      'ranking 必須涵蓋輸入的每一個 ticker，rank 從 1 開始且不重複。'
+    ].join('\n') },
+    { role:'user', content: JSON.stringify(input) }
+  ];
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ messages, model, provider: providerName })).digest('hex');
+  const cacheKey = `compare_rank_${providerName}_${model}_${hash}`;
+  const cached = await getCache(cacheKey, RANKING_CACHE_TTL);
+  if(cached) return cached;
+
+  const send = async (history)=>{
+    const { text } = await chatCompletion({ provider: providerName, model, messages: history, apiKey: openKey, signal, timeoutMs:60000, purpose:'compare_ranking' });
+    return text || '{}';
+  };
+  try{
+    const outcome = await completeJson({ send, messages, schema: COMPARE_RANKING_SCHEMA });
+    if(!outcome.ok) return computed('LLM 排名輸出格式無效，改依體質與動能分數排序。', { validation_errors: outcome.errors });
+    const ranking = { source:'llm', summary: outcome.value.summary, items: alignRanking(outcome.value.ranking, candidates) };
+    await setCache(cacheKey, ranking);
+    return ranking;
+  }catch(err){
+    console.warn('[Compare] ranking failed', err.message);
+    return computed('LLM 排名失敗，改依體質與動能分數排序。', { error: err.message });
+  }
+}
+
+export async function compareTickers({ tickers, date, model, provider, openKey, momentumScoring, dcf, concurrency=3, signal }){
+  const list = parseCompareTickers(tickers);
+  const parsedDate = dayjs(date);
+  if(!date || !parsedDate.isValid()) throw new Error('invalid date format');
+  const baselineDate = parsedDate.format('YYYY-MM-DD');
+  const providerName = resolveProviderName(provider);
+  const llmModel = resolveModelName(model, providerName);
+  const outcomes = await mapWithConcurrency(list, concurrency, async (ticker)=>{
+    try{
+      return { ok:true, result: await performAnalysis(ticker, baselineDate, { model: llmModel, provider: providerName, momentumScoring, dcf, signal }) };
+    }catch(error){
+      if(error.name === 'AbortError') throw error;
+      return { ok:false, error };
+    }
+  });
+  const rows = list.map((ticker, i)=> buildComparisonRow(ticker, outcomes[i]));
+  const ranking = await rankTickers(rows, { baselineDate, model: llmModel, provider: providerName, openKey, signal });
+  return { baseline_date: baselineDate, model: llmModel, provider: providerName, rows, ranking };
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// 可由 JSON 設定檔與單次請求覆寫的設定（動能評分、DCF 假設）共用的合併、載入與雜湊。
+// 各模組只負責逐欄驗證；錯誤訊息前綴由 fail 決定。
+
+export function configFailer(prefix){
+  return (message)=>{ throw new Error(`${prefix}: ${message}`); };
+}
+
+export function finiteNumber(value, path, fail){
+  const n = Number(value);
+  if(value==null || value==='' || !Number.isFinite(n)) fail(`${path} must be a number`);
+  return n;
+}
+
+// 巢狀的數值欄位（trend、sensitivity、單一評分項目）：只接受 allowed 列出的欄位
+export function mergeNumberFields(target, value, { path, allowed, fail }){
+  if(!value || typeof value !== 'object') fail(`${path} must be an object`);
+  for(const [field, v] of Object.entries(value)){
+    if(!allowed.includes(field)) fail(`${path}.${field} is not supported`);
+    target[field] = finiteNumber(v, `${path}.${field}`, fail);
+  }
+}
+
+// 以 base 的深拷貝為底，逐欄交給 apply(merged, key, value) 驗證並寫入；overrides 為 null 時直接回傳 base
+export function mergeConfig(base, overrides, { apply, fail }){
+  if(overrides==null) return base;
+  if(typeof overrides !== 'object' || Array.isArray(overrides)) fail('must be an object');
+  const merged = structuredClone(base);
+  for(const [key, value] of Object.entries(overrides)) apply(merged, key, value);
+  return merged;
+}
+
+// envVar 指向 JSON 檔時以其覆寫 defaults（第一次使用時讀取）；resolve 再套用單次請求的 overrides（物件或 JSON 字串），
+// 空字串（空白的表單欄位或 query）與 null 相同，不覆寫
+export function createConfigLoader({ envVar, defaults, merge, fail }){
+  let fileConfig = null;
+  function load(){
+    if(fileConfig) return fileConfig;
+    const file = process.env[envVar];
+    let config = { ...defaults, source:'default' };
+    if(file){
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      config = { ...merge(defaults, raw), source:'file' };
+    }
+    fileConfig = config;
+    return fileConfig;
+  }
+  function resolve(overrides){
+    const base = load();
+    if(overrides==null || overrides==='' || (typeof overrides === 'object' && !Object.keys(overrides).length)) return base;
+    let parsed = overrides;
+    if(typeof overrides === 'string'){
+      try{ parsed = JSON.parse(overrides); }catch{ fail('not valid JSON'); }
+    }
+    return { ...merge(base, parsed), source:'request' };
+  }
+  return { load, resolve };
+}
+
+// 不含 source 的設定雜湊：快取命中時判斷是否需要以新設定重算
+export function configHash(config){
+  const { source, ...rest } = config;
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex').slice(0, 12);
+}
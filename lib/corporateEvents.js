@@ -0,0 +1,228 @@
+import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
+import { getCache, setCache } from './cache.js';
+import { getMaterialEvents, getInsiderFilings } from './sec.js';
+import { toNum } from './numbers.js';
+
+// 8-K 重大事件與 Form 4 內部人交易：基準日前 lookback 區間內的事件時間線與內部人淨買賣。
+// 淨買賣只計公開市場交易（代碼 P 買進 / S 賣出），授予、履約、扣稅等不代表內部人看法。
+
+const FORM4_CACHE_TTL = 365 * 24 * 60 * 60 * 1000;
+const MAX_INSIDER_FILINGS = 40;
+const MAX_TIMELINE = 20;
+const MAX_NOTABLE = 5;
+const OPEN_MARKET = { P:'buy', S:'sell' };
+
+function tagValue(xml, tag){
+  const m = String(xml || '').match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+  if(!m) return null;
+  // 多數欄位包在 <value> 內；footnote 之類沒有值的欄位回傳 null
+  const inner = m[1].match(/<value\b[^>]*>([\s\S]*?)<\/value>/i);
+  const text = (inner ? inner[1] : m[1].replace(/<[^>]+>/g,'')).trim();
+  return text || null;
+}
+
+function blocks(xml, tag){
+  return String(xml || '').match(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+function flag(value){
+  return value === '1' || String(value).toLowerCase() === 'true';
+}
+
+// Form 4 的數值可能帶千分位
+function xmlNumber(value){
+  return value==null ? null : toNum(String(value).replace(/,/g,''));
+}
+
+function ownerTitle(owner){
+  if(owner.officer_title) return owner.officer_title;
+  if(owner.is_director) return 'Director';
+  if(owner.is_ten_percent) return '10% Owner';
+  return '';
+}
+
+export function parseForm4(xml){
+  const owners = blocks(xml, 'reportingOwner').map(block=>{
+    const owner = {
+      name: tagValue(block, 'rptOwnerName'),
+      cik: tagValue(block, 'rptOwnerCik'),
+      is_director: flag(tagValue(block, 'isDirector')),
+      is_officer: flag(tagValue(block, 'isOfficer')),
+      is_ten_percent: flag(tagValue(block, 'isTenPercentOwner')),
+      officer_title: tagValue(block, 'officerTitle')
+    };
+    return { ...owner, title: ownerTitle(owner) };
+  });
+  const plan10b51 = flag(tagValue(xml, 'aff10b5One'));
+  const transactions = blocks(xml, 'nonDerivativeTransaction').map(block=>{
+    const code = tagValue(block, 'transactionCode');
+    const shares = xmlNumber(tagValue(block, 'transactionShares'));
+    const price = xmlNumber(tagValue(block, 'transactionPricePerShare'));
+    return {
+      date: tagValue(block, 'transactionDate'),
+      code,
+      side: OPEN_MARKET[code] || null,
+      acquired: tagValue(block, 'transactionAcquiredDisposedCode') === 'A',
+      shares,
+      price,
+      value: shares != null && price != null ? Math.round(shares * price) : null,
+      shares_after: xmlNumber(tagValue(block, 'sharesOwnedFollowingTransaction'))
+    };
+  });
+  return { period: tagValue(xml, 'periodOfReport'), plan_10b5_1: plan10b51, owners, transactions };
+}
+
+// filings：[{ filingDate, url, owners, transactions, plan_10b5_1 }]，同一份 Form 4 有多位申報人時歸給第一位
+export function summarizeInsiders(filings){
+  const byOwner = new Map();
+  const totals = { buys:{ count:0, shares:0, value:0 }, sells:{ count:0, shares:0, value:0 }, planned_sell_value:0, other_count:0 };
+  for(const filing of filings || []){
+    const owner = filing.owners?.[0] || { name:'(unknown)', title:'' };
+    for(const tx of filing.transactions || []){
+      if(!tx.side){
+        totals.other_count++;
+        continue;
+      }
+      const key = owner.cik || owner.name;
+      const row = byOwner.get(key) || {
+        name: owner.name, title: owner.title || '', is_director: !!owner.is_director, is_officer: !!owner.is_officer,
+        buy_shares:0, buy_value:0, sell_shares:0, sell_value:0, transactions:0, last_date:null
+      };
+      const bucket = tx.side === 'buy' ? totals.buys : totals.sells;
+      bucket.count++;
+      bucket.shares += tx.shares || 0;
+      bucket.value += tx.value || 0;
+      if(tx.side === 'sell' && filing.plan_10b5_1) totals.planned_sell_value += tx.value || 0;
+      row[`${tx.side}_shares`] += tx.shares || 0;
+      row[`${tx.side}_value`] += tx.value || 0;
+      row.transactions++;
+      if(!row.last_date || (tx.date || '') > row.last_date) row.last_date = tx.date || filing.filingDate;
+      byOwner.set(key, row);
+    }
+  }
+  const netValue = totals.buys.value - totals.sells.value;
+  let signal = 'none';
+  if(totals.buys.count || totals.sells.count) signal = netValue > 0 ? 'net_buying' : netValue < 0 ? 'net_selling' : 'neutral';
+  const notable = [...byOwner.values()]
+    .map(r=>({ ...r, net_shares: r.buy_shares - r.sell_shares, net_value: r.buy_value - r.sell_value }))
+    .sort((a,b)=>Math.abs(b.net_value) - Math.abs(a.net_value) || b.transactions - a.transactions)
+    .slice(0, MAX_NOTABLE);
+  return {
+    signal,
+    signal_label: { net_buying:'內部人淨買進', net_selling:'內部人淨賣出', neutral:'買賣相抵', none:'無公開市場買賣' }[signal],
+    buys: totals.buys,
+    sells: totals.sells,
+    net_shares: totals.buys.shares - totals.sells.shares,
+    net_value: netValue,
+    planned_sell_value: totals.planned_sell_value,
+    other_transactions: totals.other_count,
+    insiders: byOwner.size,
+    notable_insiders: notable
+  };
+}
+
+function sideLabel(side){
+  return side === 'buy' ? '買進' : '賣出';
+}
+
+export function buildEventTimeline(materialEvents, insiderFilings){
+  const rows = [];
+  for(const e of materialEvents || []){
+    rows.push({
+      date: e.filingDate,
+      type: e.form,
+      title: e.items.length ? e.items.map(i=>`${i.code} ${i.label}`).join('、') : '（未標示 Item）',
+      notable: e.notable,
+      url: e.url
+    });
+  }
+  for(const f of insiderFilings || []){
+    const owner = f.owners?.[0];
+    for(const side of ['buy','sell']){
+      const txs = (f.transactions || []).filter(tx=>tx.side === side);
+      if(!txs.length) continue;
+      const shares = txs.reduce((a,tx)=>a + (tx.shares || 0), 0);
+      const value = txs.reduce((a,tx)=>a + (tx.value || 0), 0);
+      rows.push({
+        date: txs[0].date || f.filingDate,
+        type: 'Form 4',
+        title: `${owner?.name || '(unknown)'}${owner?.title ? `（${owner.title}）` : ''}${sideLabel(side)} ${shares.toLocaleString('en-US')} 股${f.plan_10b5_1 ? '（10b5-1 計畫）' : ''}`,
+        side,
+        shares,
+        value,
+        // 內部人公開市場買進較少見，視為值得注意的訊號
+        notable: side === 'buy',
+        url: f.url
+      });
+    }
+  }
+  return rows.sort((a,b)=> (b.date || '').localeCompare(a.date || '')).slice(0, MAX_TIMELINE);
+}
+
+async function fetchForm4(filing, userAgent){
+  const key = `sec_form4_${filing.accession}`;
+  const c = await getCache(key, FORM4_CACHE_TTL);
+  if(c) return c;
+  try{
+    const { data } = await axios.get(filing.xmlUrl, { headers:{ 'User-Agent': userAgent }, timeout:15000, responseType:'text' });
+    const parsed = parseForm4(data);
+    await setCache(key, parsed);
+    return parsed;
+  }catch(err){
+    throw new Error(`[SEC] Form 4 failed: ${err.message}`);
+  }
+}
+
+export async function getCorporateEvents(cik, baselineDate, { userAgent, apiKey, lookbackDays=180, maxInsiderFilings=MAX_INSIDER_FILINGS }={}){
+  const materialEvents = await getMaterialEvents(cik, baselineDate, userAgent, apiKey, { lookbackDays });
+  const insiderList = await getInsiderFilings(cik, baselineDate, userAgent, apiKey, { lookbackDays });
+  const insiderFilings = [];
+  let failed = 0;
+  // SEC 限制每秒請求數，逐份下載並依 accession 長期快取（申報內容不會變動）
+  for(const filing of insiderList.slice(0, maxInsiderFilings)){
+    try{
+      const parsed = await fetchForm4(filing, userAgent);
+      insiderFilings.push({ ...filing, ...parsed });
+    }catch(err){
+      failed++;
+      console.warn('[CorporateEvents]', err.message);
+    }
+  }
+  return {
+    lookback_days: lookbackDays,
+    from: dayjs(baselineDate).subtract(lookbackDays,'day').format('YYYY-MM-DD'),
+    to: dayjs(baselineDate).format('YYYY-MM-DD'),
+    material_events: materialEvents,
+    insider: {
+      ...summarizeInsiders(insiderFilings),
+      filings: insiderList.length,
+      parsed: insiderFilings.length,
+      failed,
+      truncated: insiderList.length > maxInsiderFilings
+    },
+    timeline: buildEventTimeline(materialEvents, insiderFilings)
+  };
+}
+
+// 送進 LLM 的精簡版本：只保留事件摘要與內部人淨買賣，不含網址與逐筆明細
+export function compactCorporateEvents(events){
+  const { insider } = events;
+  return {
+    lookback_days: events.lookback_days,
+    material_events: events.material_events.slice(0, 10).map(e=>({
+      filingDate: e.filingDate,
+      items: e.items.map(i=>`${i.code} ${i.label}`),
+      notable: e.notable
+    })),
+    insider:{
+      signal: insider.signal,
+      buys: insider.buys,
+      sells: insider.sells,
+      net_value: insider.net_value,
+      planned_sell_value: insider.planned_sell_value,
+      notable_insiders: insider.notable_insiders.map(({ name, title, net_shares, net_value, last_date })=>({ name, title, net_shares, net_value, last_date }))
+    }
+  };
+}
@@ -0,0 +1,12 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const DEFAULT_DB_PATH = path.resolve(process.env.ANALYSIS_DB_PATH || 'data/analyses.db');
+const dir = path.dirname(DEFAULT_DB_PATH);
+if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive:true });
+
+const db = new Database(DEFAULT_DB_PATH);
+db.pragma('journal_mode = WAL');
+
+export default db;
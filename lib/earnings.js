@@ -0,0 +1,334 @@
+import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
+import { getCache, setCache } from './cache.js';
+import { getMaterialEvents } from './sec.js';
+import { getDailySeries } from './prices.js';
+import { getEarningsCalendar, EARNINGS_REPORT_LAG_DAYS } from './finnhub.js';
+import { MARKET_BENCHMARK } from './sectors.js';
+import { saveEpsEstimateSnapshot, findEpsEstimateSnapshot } from './earningsStore.js';
+import { toNum, round } from './numbers.js';
+
+// 財報分析：Finnhub 的實際 vs 預期 EPS 加上 SEC 8-K Item 2.02（財報新聞稿）的公布日，
+// 計算驚喜幅度、連續擊敗、公布前後股價反應、下次財報日與一致預期修正趨勢。
+
+// 8-K 需在財季結束後 1-100 天內申報才視為該季的財報公布
+const REPORT_WINDOW_DAYS = 100;
+const REPORT_LOOKBACK_DAYS = 800;
+const HISTORY_QUARTERS = 8;
+const REVISION_WINDOWS = { d30:30, d90:90, d180:180 };
+const REVISION_FLAT = 0.01;
+
+function average(values){
+  const list = values.filter(v=>v!=null);
+  return list.length ? list.reduce((a,b)=>a+b,0) / list.length : null;
+}
+
+// 驚喜幅度以 (實際 - 預期) / |預期| 計算，預期為 0 時改用 Finnhub 的 surprisePercent
+export function surprisePct(row){
+  const actual = toNum(row?.actual);
+  const estimate = toNum(row?.estimate);
+  if(actual==null || estimate==null) return null;
+  if(estimate !== 0) return (actual - estimate) / Math.abs(estimate);
+  const given = toNum(row?.surprisePercent);
+  return given==null ? null : given / 100;
+}
+
+function outcome(row){
+  const actual = toNum(row?.actual);
+  const estimate = toNum(row?.estimate);
+  if(actual==null || estimate==null) return null;
+  if(actual > estimate) return 'beat';
+  if(actual < estimate) return 'miss';
+  return 'inline';
+}
+
+// 每一季配對財季結束後第一份 Item 2.02 8-K 的申報日
+export function matchReportDates(periods, events){
+  const releases = (events || [])
+    .filter(e=>(e.items || []).some(i=>i.code === '2.02'))
+    .map(e=>e.filingDate)
+    .sort();
+  return Object.fromEntries(periods.map(period=>{
+    const limit = dayjs(period).add(REPORT_WINDOW_DAYS, 'day').format('YYYY-MM-DD');
+    return [period, releases.find(d=> d > period && d <= limit) || null];
+  }));
+}
+
+// 公布前最後一個交易日收盤 → 公布後第一個交易日收盤；公布時間（盤前 / 盤後）未知，兩段都涵蓋
+export function priceReaction(series, reportDate){
+  if(!reportDate || !series?.length) return null;
+  const ascending = [...series].sort((a,b)=>a.date.localeCompare(b.date));
+  const before = [...ascending].reverse().find(r=>r.date < reportDate);
+  const after = ascending.find(r=>r.date > reportDate);
+  if(!before || !after || !before.close) return null;
+  return { from: before.date, to: after.date, change: after.close / before.close - 1 };
+}
+
+function streakOf(history){
+  const first = history[0]?.outcome;
+  if(!first) return { kind:null, count:0 };
+  let count = 0;
+  for(const q of history){
+    if(q.outcome !== first) break;
+    count++;
+  }
+  return { kind:first, count };
+}
+
+function beatRate(history, n){
+  const rows = history.slice(0, n).filter(q=>q.outcome);
+  if(!rows.length) return null;
+  return { beats: rows.filter(q=>q.outcome === 'beat').length, quarters: rows.length };
+}
+
+// 下次財報日：去年同季的公布日 + 52 週（同一星期幾），沒有時以最近一次公布日 + 13 週推估
+export function expectedNextReport(history, baselineDate){
+  const latest = history.find(q=>q.report_date);
+  if(!latest) return null;
+  const nextPeriod = dayjs(history[0].period).add(3, 'month');
+  const yearAgo = history.find(q=> q.report_date && Math.abs(dayjs(q.period).diff(nextPeriod.subtract(1, 'year'), 'day')) <= 20);
+  const date = yearAgo
+    ? dayjs(yearAgo.report_date).add(52, 'week')
+    : dayjs(latest.report_date).add(13, 'week');
+  return {
+    date: date.format('YYYY-MM-DD'),
+    source: yearAgo ? 'year_ago_report' : 'last_report',
+    days_until: date.diff(dayjs(baselineDate), 'day')
+  };
+}
+
+function estimateSum(rows, periods){
+  const byPeriod = new Map(rows.map(r=>[r.period, r.eps_avg]));
+  if(periods.some(p=>byPeriod.get(p)==null)) return null;
+  return periods.reduce((acc,p)=>acc + byPeriod.get(p), 0);
+}
+
+function revisionTrend(change){
+  if(change==null) return null;
+  if(change > REVISION_FLAT) return 'up';
+  if(change < -REVISION_FLAT) return 'down';
+  return 'flat';
+}
+
+// 以本地快照比較基準日與 30 / 90 / 180 天前對未來（最多四季）同一批季度的一致預期
+export function revisionsFromSnapshots(ticker, baselineDate, latestPeriodEnd){
+  const current = findEpsEstimateSnapshot(ticker, baselineDate);
+  if(!current) return null;
+  const upcoming = current.rows.filter(r=> !latestPeriodEnd || r.period > latestPeriodEnd).slice(0, 4);
+  if(!upcoming.length) return null;
+  const windows = {};
+  for(const [key, days] of Object.entries(REVISION_WINDOWS)){
+    const prior = findEpsEstimateSnapshot(ticker, dayjs(baselineDate).subtract(days, 'day').format('YYYY-MM-DD'));
+    if(!prior || prior.as_of === current.as_of){
+      windows[key] = null;
+      continue;
+    }
+    const periods = upcoming.map(r=>r.period).filter(p=>prior.rows.some(r=>r.period === p));
+    const now = periods.length ? estimateSum(current.rows, periods) : null;
+    const before = periods.length ? estimateSum(prior.rows, periods) : null;
+    windows[key] = now==null || !before
+      ? null
+      : { as_of: prior.as_of, periods: periods.length, change: round((now - before) / Math.abs(before)) };
+  }
+  const basis = windows.d90 || windows.d30;
+  if(!basis) return null;
+  return {
+    available: true,
+    source: 'snapshots',
+    point_in_time: true,
+    as_of: current.as_of,
+    next_quarter: { period: upcoming[0].period, eps_avg: upcoming[0].eps_avg, analysts: upcoming[0].analysts },
+    windows,
+    trend: revisionTrend(basis.change),
+    trend_180d: revisionTrend(windows.d180?.change)
+  };
+}
+
+// 基準日（含）以前最近一次預期快照，轉成 Finnhub eps-estimate 的格式供歷史基準日的估值使用；沒有快照時回傳 null
+export function estimatesSnapshotAt(ticker, date){
+  const snapshot = findEpsEstimateSnapshot(ticker, date);
+  if(!snapshot) return null;
+  return { as_of: snapshot.as_of, data: snapshot.rows.map(r=>({ period: r.period, epsAvg: r.eps_avg, numberAnalysts: r.analysts })) };
+}
+
+// Alpha Vantage EARNINGS_ESTIMATES：直接提供 7/30/60/90 天前的平均預期與上 / 下修家數（只有目前資料）
+export function revisionsFromAlphaVantage(data, latestPeriodEnd){
+  const rows = (Array.isArray(data?.estimates) ? data.estimates : [])
+    .filter(r=> /quarter/i.test(r.horizon || '') && r.date && (!latestPeriodEnd || r.date > latestPeriodEnd))
+    .sort((a,b)=>a.date.localeCompare(b.date));
+  const next = rows[0];
+  const avg = toNum(next?.eps_estimate_average);
+  if(!next || avg==null) return null;
+  const change = (days)=>{
+    const before = toNum(next[`eps_estimate_average_${days}_days_ago`]);
+    return before ? { as_of: null, periods: 1, change: round((avg - before) / Math.abs(before)) } : null;
+  };
+  const windows = { d30: change(30), d90: change(90) };
+  const basis = windows.d90 || windows.d30;
+  if(!basis) return null;
+  return {
+    available: true,
+    source: 'alphavantage',
+    next_quarter: { period: next.date, eps_avg: avg, analysts: toNum(next.eps_estimate_analyst_count) },
+    windows,
+    revisions_up_30d: toNum(next.eps_estimate_revision_up_trailing_30_days),
+    revisions_down_30d: toNum(next.eps_estimate_revision_down_trailing_30_days),
+    trend: revisionTrend(basis.change)
+  };
+}
+
+async function alphaVantageEstimates(symbol, apiKey){
+  if(!apiKey) throw new Error('[ALPHAVANTAGE] Missing API key');
+  const cacheKey = `av_eps_est_${symbol}`;
+  const cached = await getCache(cacheKey); if(cached) return cached;
+  try{
+    const { data } = await axios.get('https://www.alphavantage.co/query', { params:{ function:'EARNINGS_ESTIMATES', symbol, apikey:apiKey }, timeout:20000 });
+    if(!Array.isArray(data?.estimates)) throw new Error(data?.Note || data?.Information || 'AlphaVantage no estimates');
+    await setCache(cacheKey, data);
+    return data;
+  }catch(err){ throw new Error(`[ALPHAVANTAGE] ${err.message}`); }
+}
+
+// 取得的 Finnhub 預期記錄為當天快照；先用快照計算，沒有時改用 Alpha Vantage（歷史基準日標記非時點資料）
+async function estimateRevisions(ticker, { baselineDate, isHistorical, estimates, latestPeriodEnd, alphaKey }){
+  const today = dayjs().format('YYYY-MM-DD');
+  if(Array.isArray(estimates?.data)) saveEpsEstimateSnapshot({ ticker, asOf: today, estimates: estimates.data });
+  const fromSnapshots = revisionsFromSnapshots(ticker, baselineDate, latestPeriodEnd);
+  if(fromSnapshots) return fromSnapshots;
+  if(alphaKey){
+    try{
+      const fromAv = revisionsFromAlphaVantage(await alphaVantageEstimates(ticker, alphaKey), isHistorical ? null : latestPeriodEnd);
+      if(fromAv){
+        return isHistorical
+          ? { ...fromAv, point_in_time:false, note:`基準日前沒有預期快照，沿用 ${today} 的 Alpha Vantage 修正資料` }
+          : { ...fromAv, point_in_time:true };
+      }
+    }catch(err){
+      console.warn('[Earnings]', err.message);
+    }
+  }
+  return { available:false, note:'基準日前沒有足夠的 EPS 預期快照' };
+}
+
+// 即時分析才查 Finnhub 財報行事曆，歷史基準日只用推估值
+async function calendarNextReport(ticker, baselineDate, finnhubKey){
+  const to = dayjs(baselineDate).add(120, 'day').format('YYYY-MM-DD');
+  const data = await getEarningsCalendar(ticker, finnhubKey, baselineDate, to);
+  const next = (data?.earningsCalendar || [])
+    .filter(r=>r?.date && r.date >= baselineDate)
+    .sort((a,b)=>a.date.localeCompare(b.date))[0];
+  if(!next) return null;
+  return {
+    date: next.date,
+    source: 'finnhub_calendar',
+    hour: next.hour || null,
+    eps_estimate: toNum(next.epsEstimate),
+    days_until: dayjs(next.date).diff(dayjs(baselineDate), 'day')
+  };
+}
+
+// 基準日當時可得的季度：有 8-K 公布日者以公布日判斷；公司有 Item 2.02 紀錄時，
+// 配對不到的季度需早於配對區間，否則退回財季結束 + EARNINGS_REPORT_LAG_DAYS 的規則
+function knownQuarters(rows, reportDates, baselineDate, hasReleases){
+  const lagCutoff = dayjs(baselineDate).subtract(hasReleases ? REPORT_WINDOW_DAYS : EARNINGS_REPORT_LAG_DAYS, 'day').format('YYYY-MM-DD');
+  return rows.filter(r=>{
+    const reported = reportDates[r.period];
+    return reported ? reported <= baselineDate : r.period <= lagCutoff;
+  });
+}
+
+export async function getEarningsAnalytics(ticker, { cik, baselineDate, isHistorical, earnings, estimates, userAgent, apiKey, finnhubKey, alphaKey }){
+  const rows = (Array.isArray(earnings) ? earnings : [])
+    .filter(r=>r?.period && toNum(r.actual)!=null)
+    .sort((a,b)=>b.period.localeCompare(a.period));
+  if(!rows.length) return { available:false, note:'無法取得 EPS 實際 / 預期資料' };
+
+  let events = [];
+  if(cik){
+    try{ events = await getMaterialEvents(cik, baselineDate, userAgent, apiKey, { lookbackDays: REPORT_LOOKBACK_DAYS }); }
+    catch(err){ console.warn('[Earnings]', err.message); }
+  }
+  const reportDates = matchReportDates(rows.map(r=>r.period), events);
+  const hasReleases = Object.values(reportDates).some(Boolean);
+  const known = knownQuarters(rows, reportDates, baselineDate, hasReleases).slice(0, HISTORY_QUARTERS);
+  if(!known.length) return { available:false, note:'基準日前沒有已公布的季度' };
+
+  const [series, benchmark] = await Promise.all([
+    getDailySeries(ticker, { to: baselineDate }).catch(()=>[]),
+    getDailySeries(MARKET_BENCHMARK, { to: baselineDate }).catch(()=>[])
+  ]);
+  const history = known.map(r=>{
+    const reportDate = reportDates[r.period];
+    const reaction = priceReaction(series, reportDate);
+    const market = reaction ? priceReaction(benchmark, reportDate) : null;
+    return {
+      period: r.period,
+      report_date: reportDate,
+      actual: toNum(r.actual),
+      estimate: toNum(r.estimate),
+      surprise_pct: round(surprisePct(r)),
+      outcome: outcome(r),
+      reaction: reaction ? {
+        from: reaction.from,
+        to: reaction.to,
+        change: round(reaction.change),
+        excess: market ? round(reaction.change - market.change) : null
+      } : null
+    };
+  });
+
+  const reactions = history.map(q=>q.reaction?.change ?? null);
+  const streak = streakOf(history);
+  let nextReport = null;
+  if(!isHistorical && finnhubKey){
+    try{ nextReport = await calendarNextReport(ticker, baselineDate, finnhubKey); }
+    catch(err){ console.warn('[Earnings]', err.message); }
+  }
+  nextReport = nextReport || expectedNextReport(history, baselineDate);
+  // 預期修正失敗只影響 revisions，驚喜與股價反應照常回傳
+  let revisions;
+  try{ revisions = await estimateRevisions(ticker, { baselineDate, isHistorical, estimates, latestPeriodEnd: history[0].period, alphaKey }); }
+  catch(err){
+    console.warn('[Earnings]', err.message);
+    revisions = { available:false, error: err.message };
+  }
+
+  return {
+    available: true,
+    as_of: history[0].report_date || history[0].period,
+    history,
+    summary:{
+      quarters: history.length,
+      streak,
+      beat_rate_4q: beatRate(history, 4),
+      beat_rate_8q: beatRate(history, 8),
+      avg_surprise_4q: round(average(history.slice(0, 4).map(q=>q.surprise_pct))),
+      avg_reaction: round(average(reactions)),
+      avg_abs_reaction: round(average(reactions.map(r=>r==null ? null : Math.abs(r)))),
+      reactions_measured: reactions.filter(r=>r!=null).length
+    },
+    next_report: nextReport,
+    revisions
+  };
+}
+
+// 給 LLM 的精簡版：近四季明細加上統計
+export function compactEarnings(analytics){
+  if(!analytics?.available) return null;
+  return {
+    recent: analytics.history.slice(0, 4).map(q=>({
+      period: q.period,
+      report_date: q.report_date,
+      surprise_pct: q.surprise_pct,
+      outcome: q.outcome,
+      reaction: q.reaction?.change ?? null,
+      excess_reaction: q.reaction?.excess ?? null
+    })),
+    ...analytics.summary,
+    next_report: analytics.next_report,
+    revisions: analytics.revisions?.available
+      ? { source: analytics.revisions.source, trend: analytics.revisions.trend, change_30d: analytics.revisions.windows.d30?.change ?? null, change_90d: analytics.revisions.windows.d90?.change ?? null, change_180d: analytics.revisions.windows.d180?.change ?? null, point_in_time: analytics.revisions.point_in_time }
+      : null
+  };
+}
@@ -0,0 +1,48 @@
+import db from './db.js';
+
+// 季度 EPS 一致預期的日期快照：Finnhub 只提供「目前」共識，每次取得就記錄一筆，
+// 預期修正趨勢以基準日前最近的快照與 30 / 90 天前的快照比較。as_of 為取得當天。
+db.prepare(`CREATE TABLE IF NOT EXISTS eps_estimate_snapshots (
+  ticker TEXT NOT NULL,
+  as_of TEXT NOT NULL,
+  period TEXT NOT NULL,
+  eps_avg REAL,
+  analysts INTEGER,
+  observed_at INTEGER NOT NULL,
+  PRIMARY KEY (ticker, as_of, period)
+)`).run();
+
+const upsertStmt = db.prepare(`INSERT INTO eps_estimate_snapshots (ticker, as_of, period, eps_avg, analysts, observed_at)
+VALUES (@ticker, @as_of, @period, @eps_avg, @analysts, @observed_at)
+ON CONFLICT(ticker, as_of, period) DO UPDATE SET eps_avg=excluded.eps_avg, analysts=excluded.analysts, observed_at=excluded.observed_at`);
+const nearestDateStmt = db.prepare('SELECT MAX(as_of) AS as_of FROM eps_estimate_snapshots WHERE ticker=? AND as_of<=?');
+const rowsStmt = db.prepare('SELECT period, eps_avg, analysts FROM eps_estimate_snapshots WHERE ticker=? AND as_of=? ORDER BY period');
+
+// estimates 為 Finnhub eps-estimate 的 data 陣列（period / epsAvg / numberAnalysts）
+export function saveEpsEstimateSnapshot({ ticker, asOf, estimates }){
+  const rows = (Array.isArray(estimates) ? estimates : []).filter(e=>e?.period && e.epsAvg!=null && Number.isFinite(Number(e.epsAvg)));
+  if(!rows.length) return 0;
+  const observedAt = Date.now();
+  const save = db.transaction(()=>{
+    for(const e of rows){
+      upsertStmt.run({
+        ticker: String(ticker).toUpperCase(),
+        as_of: asOf,
+        period: e.period,
+        eps_avg: Number(e.epsAvg),
+        analysts: e.numberAnalysts ?? null,
+        observed_at: observedAt
+      });
+    }
+  });
+  save();
+  return rows.length;
+}
+
+// date（含）以前最近一次快照的全部季度
+export function findEpsEstimateSnapshot(ticker, date){
+  const upper = String(ticker).toUpperCase();
+  const asOf = nearestDateStmt.get(upper, date)?.as_of;
+  if(!asOf) return null;
+  return { as_of: asOf, rows: rowsStmt.all(upper, asOf) };
+}
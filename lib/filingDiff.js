@@ -0,0 +1,134 @@
+import { round } from './numbers.js';
+
+// 相鄰兩份財報的 Item 1A 風險因子比對：段落以字詞相似度一對一配對，
+// 分成新增 / 移除 / 實質改寫，其餘視為未變動
+
+const MIN_PARAGRAPH_CHARS = 60;
+const MATCH_THRESHOLD = 0.5;
+const UNCHANGED_THRESHOLD = 0.9;
+const MAX_ITEMS = 10;
+const EXCERPT_CHARS = 600;
+const NO_MATERIAL_CHANGE = /no\s+material\s+changes?\s+(to|in|from)\b/i;
+const STOPWORDS = new Set(['the','and','for','our','are','that','with','from','this','which','have','has','may','could','can','its','their','such','other','these','any','not','will','would','been','into','than','also','more','including','were','was','they','them','there','those']);
+
+function normalize(text){
+  return String(text || '').toLowerCase().replace(/[’']/g,"'").replace(/\s+/g,' ').trim();
+}
+
+function wordSet(text){
+  const words = normalize(text).match(/[a-z0-9][a-z0-9'\-]{2,}/g) || [];
+  return new Set(words.filter(w=>!STOPWORDS.has(w)));
+}
+
+// Dice 係數：2|A∩B| / (|A|+|B|)
+export function paragraphSimilarity(a, b){
+  const setA = a instanceof Set ? a : wordSet(a);
+  const setB = b instanceof Set ? b : wordSet(b);
+  if(!setA.size || !setB.size) return 0;
+  let shared = 0;
+  for(const w of setA) if(setB.has(w)) shared++;
+  return 2 * shared / (setA.size + setB.size);
+}
+
+// 過短的行多為小標題（例如「Risks Related to Our Industry」），不參與比對
+export function riskParagraphs(lines){
+  const seen = new Set();
+  const out = [];
+  for(const line of lines || []){
+    const text = String(line || '').trim();
+    const key = normalize(text);
+    if(text.length < MIN_PARAGRAPH_CHARS || seen.has(key)) continue;
+    seen.add(key);
+    out.push(text);
+  }
+  return out;
+}
+
+function excerpt(text){
+  return text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS)}…` : text;
+}
+
+export function alignParagraphs(previous, current){
+  const prevSets = previous.map(wordSet);
+  const currSets = current.map(wordSet);
+  const pairs = [];
+  currSets.forEach((cs, ci)=>{
+    prevSets.forEach((ps, pi)=>{
+      const similarity = normalize(current[ci]) === normalize(previous[pi]) ? 1 : paragraphSimilarity(ps, cs);
+      if(similarity >= MATCH_THRESHOLD) pairs.push({ ci, pi, similarity });
+    });
+  });
+  // 由最相似的組合開始貪婪配對，每段最多配對一次
+  pairs.sort((a,b)=>b.similarity - a.similarity || a.ci - b.ci);
+  const usedPrev = new Set();
+  const usedCurr = new Set();
+  const matches = [];
+  for(const pair of pairs){
+    if(usedPrev.has(pair.pi) || usedCurr.has(pair.ci)) continue;
+    usedPrev.add(pair.pi);
+    usedCurr.add(pair.ci);
+    matches.push(pair);
+  }
+  matches.sort((a,b)=>a.ci - b.ci);
+  return {
+    matches,
+    added: current.map((_,i)=>i).filter(i=>!usedCurr.has(i)),
+    removed: previous.map((_,i)=>i).filter(i=>!usedPrev.has(i))
+  };
+}
+
+export function diffRiskFactors(previous, current){
+  const prev = riskParagraphs(previous);
+  const curr = riskParagraphs(current);
+  const { matches, added, removed } = alignParagraphs(prev, curr);
+  const reworded = matches.filter(m=>m.similarity < UNCHANGED_THRESHOLD);
+  return {
+    counts:{
+      new: added.length,
+      removed: removed.length,
+      reworded: reworded.length,
+      unchanged: matches.length - reworded.length,
+      previous_total: prev.length,
+      current_total: curr.length
+    },
+    new: added.slice(0, MAX_ITEMS).map(i=>({ text: excerpt(curr[i]) })),
+    removed: removed.slice(0, MAX_ITEMS).map(i=>({ text: excerpt(prev[i]) })),
+    reworded: reworded.slice(0, MAX_ITEMS).map(m=>({
+      before: excerpt(prev[m.pi]),
+      after: excerpt(curr[m.ci]),
+      similarity: round(m.similarity, 2)
+    }))
+  };
+}
+
+function describeFiling(f){
+  return { form: f.form, filingDate: f.filingDate, reportDate: f.reportDate || null };
+}
+
+// 10-Q 常只寫「與年報相比無重大變動」，這類聲明不當成完整清單比對，否則會誤判為全數移除
+function statesNoMaterialChange(paragraphs){
+  return paragraphs.length <= 2 && paragraphs.some(p=>NO_MATERIAL_CHANGE.test(p));
+}
+
+// filings 由新到舊；取最近兩份有完整 Risk Factors 段落的財報比較
+export function buildRiskFactorChanges(filings){
+  const withRisks = [];
+  const noChange = [];
+  for(const f of filings || []){
+    const paragraphs = riskParagraphs(f.riskParagraphs);
+    if(!paragraphs.length) continue;
+    if(statesNoMaterialChange(paragraphs)) noChange.push(describeFiling(f));
+    else withRisks.push(f);
+  }
+  if(withRisks.length < 2){
+    return { available:false, reason:'可比較的 Risk Factors 少於兩份', filings: withRisks.map(describeFiling), no_material_change: noChange };
+  }
+  const [current, previous] = withRisks;
+  return {
+    available: true,
+    current: describeFiling(current),
+    previous: describeFiling(previous),
+    no_material_change: noChange,
+    ...diffRiskFactors(previous.riskParagraphs, current.riskParagraphs)
+  };
+}
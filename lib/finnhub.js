@@ -1,6 +1,10 @@
 import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
 import { getCache, setCache } from './cache.js';
 const BASE = 'https://finnhub.io/api/v1';
+// earnings 只有財季結束日沒有公布日；結束後 45 天內的季度在基準日當時可能尚未公布，一律排除
+export const EARNINGS_REPORT_LAG_DAYS = 45;
 
 async function cachedGet(key, url){
   const c = await getCache(key);
@@ -24,3 +28,44 @@ export async function getQuote(symbol, key, context='latest'){
   try{ return await cachedGet(`fh_quote_${symbol}_${context}`, `${BASE}/quote?symbol=${symbol}&token=${key}`); }
   catch(err){ throw new Error(`[FINNHUB] ${err.response?.data?.error || err.message}`); }
 }
+
+// 季度 EPS 預估（epsAvg / numberAnalysts），估值的預估 P/E 與財報分析的預期修正使用；只有目前共識
+export async function getEpsEstimates(symbol, key, context='latest'){
+  try{ return await cachedGet(`fh_eps_est_${symbol}_${context}`, `${BASE}/stock/eps-estimate?symbol=${symbol}&freq=quarterly&token=${key}`); }
+  catch(err){ throw new Error(`[FINNHUB] ${err.response?.data?.error || err.message}`); }
+}
+
+// 財報行事曆（預計公布日與盤前 / 盤後），只用於即時分析的下次財報日
+export async function getEarningsCalendar(symbol, key, from, to){
+  try{ return await cachedGet(`fh_earn_cal_${symbol}_${from}`, `${BASE}/calendar/earnings?from=${from}&to=${to}&symbol=${symbol}&token=${key}`); }
+  catch(err){ throw new Error(`[FINNHUB] ${err.response?.data?.error || err.message}`); }
+}
+
+// 以下把 Finnhub 回傳的「目前」資料裁切成基準日當時可得的版本，並附上時點標記
+
+export function pointInTimeRecommendations(rows, baselineDate){
+  if(!Array.isArray(rows)) return { rows, meta:{ point_in_time:false, note:'無法取得分析師評級' } };
+  const kept = rows.filter(r=>r?.period && r.period <= baselineDate).sort((a,b)=>b.period.localeCompare(a.period));
+  return {
+    rows: kept,
+    meta:{ point_in_time:true, as_of: kept[0]?.period || null, dropped: rows.length - kept.length }
+  };
+}
+
+export function pointInTimeEarnings(rows, baselineDate, lagDays=EARNINGS_REPORT_LAG_DAYS){
+  if(!Array.isArray(rows)) return { rows, meta:{ point_in_time:false, note:'無法取得 EPS 資料' } };
+  const cutoff = dayjs(baselineDate).subtract(lagDays, 'day').format('YYYY-MM-DD');
+  const kept = rows.filter(r=>r?.period && r.period <= cutoff).sort((a,b)=>b.period.localeCompare(a.period));
+  return {
+    rows: kept,
+    meta:{ point_in_time:true, as_of: kept[0]?.period || null, dropped: rows.length - kept.length, report_lag_days: lagDays }
+  };
+}
+
+// quote 只有即時報價：歷史基準日僅保留收盤價 c（由歷史價格來源覆寫），其餘盤中欄位移除
+export function pointInTimeQuote(quote, priceMeta){
+  if(priceMeta?.kind === 'historical') return { quote:{ c: priceMeta.value }, meta:{ point_in_time:true, as_of: priceMeta.as_of, note:'僅保留歷史收盤價' } };
+  const today = dayjs().format('YYYY-MM-DD');
+  if(!priceMeta || priceMeta.as_of >= today) return { quote, meta:{ point_in_time:true, as_of: today } };
+  return { quote, meta:{ point_in_time:false, as_of: today, note:'歷史價格取得失敗，沿用即時報價' } };
+}
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import nodeFetch, { Response } from 'node-fetch';
+
+// 上游 HTTP 呼叫的錄製 / 重播層：
+//   HTTP_FIXTURE_MODE=record  照常呼叫外部 API，並把回應寫入 HTTP_FIXTURE_DIR
+//   HTTP_FIXTURE_MODE=replay  只讀取錄製檔，找不到即失敗（不連網），讓測試可在 CI 離線執行
+// axios 以預設 instance 的 interceptor 處理；node-fetch 呼叫請改用 fetchWithFixtures。
+
+const MODE = ['record','replay'].includes(process.env.HTTP_FIXTURE_MODE) ? process.env.HTTP_FIXTURE_MODE : 'off';
+const FIXTURE_DIR = path.resolve(process.env.HTTP_FIXTURE_DIR || 'fixtures/http');
+const SECRET_PARAMS = new Set(['token','apikey','api_key','apiKey','key']);
+
+export function fixtureMode(){
+  return MODE;
+}
+
+// 正規化 URL：移除金鑰參數並排序 query，讓錄製檔不含機密且與參數順序無關
+export function normalizeUrl(rawUrl){
+  const url = new URL(rawUrl);
+  const entries = [...url.searchParams.entries()]
+    .filter(([k])=> !SECRET_PARAMS.has(k))
+    .sort(([a,av],[b,bv])=> a===b ? String(av).localeCompare(String(bv)) : a.localeCompare(b));
+  const query = new URLSearchParams(entries).toString();
+  return `${url.origin}${url.pathname}${query ? `?${query}` : ''}`;
+}
+
+export function fixtureKey(method, rawUrl, body){
+  const url = normalizeUrl(rawUrl);
+  const bodyHash = body ? crypto.createHash('sha256').update(typeof body === 'string' ? body : JSON.stringify(body)).digest('hex') : '';
+  const hash = crypto.createHash('sha256').update(`${method.toUpperCase()} ${url} ${bodyHash}`).digest('hex').slice(0,20);
+  const host = new URL(rawUrl).hostname.replace(/[^\w.-]/g,'_');
+  return `${host}_${hash}`;
+}
+
+function fixturePath(key){
+  return path.join(FIXTURE_DIR, `${key}.json`);
+}
+
+export function writeFixture({ method='GET', url, body=null, status=200, headers={}, data }){
+  if(!fs.existsSync(FIXTURE_DIR)) fs.mkdirSync(FIXTURE_DIR, { recursive:true });
+  const key = fixtureKey(method, url, body);
+  const record = {
+    request:{ method: method.toUpperCase(), url: normalizeUrl(url) },
+    response:{ status, headers, body: data }
+  };
+  fs.writeFileSync(fixturePath(key), JSON.stringify(record, null, 2));
+  return key;
+}
+
+export function readFixture(method, url, body){
+  const p = fixturePath(fixtureKey(method, url, body));
+  if(!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, 'utf8')).response;
+}
+
+function missingFixture(method, url){
+  return new Error(`[fixtures] no recorded response for ${method.toUpperCase()} ${normalizeUrl(url)}`);
+}
+
+function axiosBody(config){
+  if(config.data==null) return null;
+  if(typeof config.data === 'string'){
+    try{ return JSON.parse(config.data); }catch{ return config.data; }
+  }
+  return config.data;
+}
+
+let installed = false;
+
+export function installHttpFixtures(instance=axios){
+  if(installed || MODE === 'off') return;
+  installed = true;
+  if(MODE === 'replay'){
+    instance.interceptors.request.use((config)=>{
+      config.adapter = async (cfg)=>{
+        const method = cfg.method || 'get';
+        const url = instance.getUri(cfg);
+        const fixture = readFixture(method, url, axiosBody(cfg));
+        if(!fixture) throw missingFixture(method, url);
+        const response = { data: fixture.body, status: fixture.status, statusText: String(fixture.status), headers: fixture.headers || {}, config: cfg, request: null };
+        if(fixture.status >= 400){
+          throw new axios.AxiosError(`Request failed with status code ${fixture.status}`, axios.AxiosError.ERR_BAD_RESPONSE, cfg, null, response);
+        }
+        return response;
+      };
+      return config;
+    });
+    return;
+  }
+  const save = (response)=>{
+    const cfg = response.config;
+    writeFixture({
+      method: cfg.method || 'get',
+      url: instance.getUri(cfg),
+      body: axiosBody(cfg),
+      status: response.status,
+      headers: { 'content-type': response.headers?.['content-type'] || '' },
+      data: response.data
+    });
+  };
+  instance.interceptors.response.use((response)=>{
+    try{ save(response); }catch(err){ console.warn('[fixtures] record failed', err.message); }
+    return response;
+  }, (error)=>{
+    if(error.response){
+      try{ save(error.response); }catch(err){ console.warn('[fixtures] record failed', err.message); }
+    }
+    return Promise.reject(error);
+  });
+}
+
+export async function fetchWithFixtures(url, options={}){
+  const method = options.method || 'GET';
+  if(MODE === 'replay'){
+    const fixture = readFixture(method, url, options.body || null);
+    if(!fixture) throw missingFixture(method, url);
+    const text = typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body);
+    return new Response(text, { status: fixture.status, headers: fixture.headers || {} });
+  }
+  const res = await nodeFetch(url, options);
+  if(MODE !== 'record') return res;
+  const text = await res.text();
+  writeFixture({ method, url, body: options.body || null, status: res.status, headers:{ 'content-type': res.headers.get('content-type') || '' }, data: text });
+  return new Response(text, { status: res.status, headers: { 'content-type': res.headers.get('content-type') || '' } });
+}
+
+installHttpFixtures();
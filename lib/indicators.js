@@ -0,0 +1,192 @@
+// 技術指標：輸入皆為由新到舊的日線（series[0] 為基準日），資料不足時回傳 null。
+
+const TRADING_DAYS = 252;
+
+function closesAscending(series, count){
+  return series.slice(0, count).map(r=>r.close).reverse();
+}
+
+export function percentChange(series, idx){
+  if(series.length <= idx || idx < 0) return null;
+  const current = series[0];
+  const base = series[idx];
+  if(!current || !base || base.close === 0) return null;
+  return (current.close / base.close) - 1;
+}
+
+export function simpleMovingAverage(series, period){
+  if(series.length < period) return null;
+  const slice = series.slice(0, period);
+  return slice.reduce((sum,row)=>sum+row.close,0)/period;
+}
+
+// 由舊到新的數列，回傳同長度的 EMA（前 period-1 筆為 null，第 period 筆以 SMA 起算）
+function emaValues(values, period){
+  const out = new Array(values.length).fill(null);
+  if(values.length < period) return out;
+  const k = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((a,b)=>a+b,0) / period;
+  out[period-1] = ema;
+  for(let i=period;i<values.length;i++){
+    ema = values[i] * k + ema * (1 - k);
+    out[i] = ema;
+  }
+  return out;
+}
+
+export function calcRSI(series, period=14){
+  if(series.length <= period) return null;
+  let gains = 0; let losses = 0;
+  for(let i=0;i<period;i++){
+    const diff = series[i].close - series[i+1].close;
+    if(diff>=0) gains += diff; else losses -= diff;
+  }
+  const avgGain = gains/period;
+  const avgLoss = losses/period;
+  if(avgLoss === 0) return 100;
+  const rs = avgGain/avgLoss;
+  return 100 - (100/(1+rs));
+}
+
+export function calcATR(series, period=14){
+  if(series.length <= period) return null;
+  const trs = [];
+  for(let i=0;i<period;i++){
+    const current = series[i];
+    const prev = series[i+1] || current;
+    const tr = Math.max(
+      current.high - current.low,
+      Math.abs(current.high - prev.close),
+      Math.abs(current.low - prev.close)
+    );
+    trs.push(tr);
+  }
+  return trs.reduce((a,b)=>a+b,0)/trs.length;
+}
+
+export function avgVolume(series, period){
+  if(series.length < period) return null;
+  return series.slice(0, period).reduce((sum,row)=>sum+row.volume,0)/period;
+}
+
+export function avgDollarVolume(series, period){
+  if(series.length < period) return null;
+  return series.slice(0, period).reduce((sum,row)=>sum+row.close*row.volume,0)/period;
+}
+
+// MACD(12,26,9)：histogram 另以股價正規化（histogram_pct），不同價位的股票可比較
+export function calcMACD(series, { fast=12, slow=26, signal=9 }={}){
+  const count = Math.min(series.length, TRADING_DAYS);
+  if(count < slow + signal) return null;
+  const closes = closesAscending(series, count);
+  const fastEma = emaValues(closes, fast);
+  const slowEma = emaValues(closes, slow);
+  const macdLine = closes.map((_,i)=> fastEma[i]!=null && slowEma[i]!=null ? fastEma[i] - slowEma[i] : null).filter(v=>v!=null);
+  const signalLine = emaValues(macdLine, signal);
+  const macd = macdLine[macdLine.length-1];
+  const sig = signalLine[signalLine.length-1];
+  const price = series[0].close;
+  return { macd, signal: sig, histogram: macd - sig, histogram_pct: price ? (macd - sig) / price : null };
+}
+
+// 布林通道(20, 2σ)：percent_b = 0 在下軌、1 在上軌
+export function calcBollinger(series, { period=20, width=2 }={}){
+  if(series.length < period) return null;
+  const closes = series.slice(0, period).map(r=>r.close);
+  const middle = closes.reduce((a,b)=>a+b,0) / period;
+  const sd = Math.sqrt(closes.reduce((a,c)=>a + (c - middle) ** 2, 0) / period);
+  const upper = middle + width * sd;
+  const lower = middle - width * sd;
+  const price = series[0].close;
+  return {
+    middle,
+    upper,
+    lower,
+    bandwidth: middle ? (upper - lower) / middle : null,
+    percent_b: upper === lower ? 0.5 : (price - lower) / (upper - lower)
+  };
+}
+
+// 52 週（不足時以現有資料）最高 / 最低價與目前價格的距離
+export function calcRange52w(series){
+  const window = series.slice(0, TRADING_DAYS);
+  if(!window.length) return null;
+  const high = Math.max(...window.map(r=>r.high ?? r.close));
+  const low = Math.min(...window.map(r=>r.low ?? r.close));
+  const price = series[0].close;
+  return {
+    high,
+    low,
+    sessions: window.length,
+    from_high: high ? price / high - 1 : null,
+    from_low: low ? price / low - 1 : null
+  };
+}
+
+// 相對強度：同一段交易日內個股報酬減去基準 ETF 報酬，以日期對齊
+export function calcRelativeStrength(series, benchmark, windows={ m1:21, m3:63, m6:126, m12:252 }){
+  if(!series?.length || !benchmark?.length) return null;
+  const benchByDate = new Map(benchmark.map(r=>[r.date, r.close]));
+  const out = {};
+  for(const [key, idx] of Object.entries(windows)){
+    const stock = percentChange(series, idx);
+    const endClose = benchByDate.get(series[0].date);
+    const startClose = series[idx] ? benchByDate.get(series[idx].date) : null;
+    out[key] = stock==null || !endClose || !startClose ? null : stock - (endClose / startClose - 1);
+  }
+  return out;
+}
+
+// 年化實現波動度：日對數報酬標準差 × √252
+export function realizedVolatility(series, period){
+  if(series.length <= period) return null;
+  const rets = [];
+  for(let i=0;i<period;i++){
+    if(series[i+1].close > 0 && series[i].close > 0) rets.push(Math.log(series[i].close / series[i+1].close));
+  }
+  if(rets.length < 2) return null;
+  const mean = rets.reduce((a,b)=>a+b,0) / rets.length;
+  const variance = rets.reduce((a,r)=>a + (r - mean) ** 2, 0) / (rets.length - 1);
+  return Math.sqrt(variance) * Math.sqrt(TRADING_DAYS);
+}
+
+// 期間內由高點回落的最大幅度（負值），附高點與低點日期
+export function maxDrawdown(series, period=TRADING_DAYS){
+  const rows = series.slice(0, period).reverse();
+  if(rows.length < 2) return null;
+  let peak = rows[0];
+  let worst = { value:0, peak_date: rows[0].date, trough_date: rows[0].date };
+  for(const row of rows){
+    if(row.close > peak.close) peak = row;
+    const dd = row.close / peak.close - 1;
+    if(dd < worst.value) worst = { value: dd, peak_date: peak.date, trough_date: row.date };
+  }
+  return { ...worst, sessions: rows.length };
+}
+
+// 量價趨勢：VWAP（以收盤價近似）與上漲日成交量占比
+export function volumeTrend(series){
+  const short = 20;
+  const long = 50;
+  if(series.length <= short) return null;
+  const vwap = (period)=>{
+    if(series.length < period) return null;
+    const rows = series.slice(0, period);
+    const volume = rows.reduce((a,r)=>a + r.volume, 0);
+    return volume ? rows.reduce((a,r)=>a + r.close * r.volume, 0) / volume : null;
+  };
+  let upVolume = 0; let totalVolume = 0;
+  for(let i=0;i<short;i++){
+    totalVolume += series[i].volume;
+    if(series[i].close > series[i+1].close) upVolume += series[i].volume;
+  }
+  const vwapShort = vwap(short);
+  const vwapLong = vwap(long);
+  const price = series[0].close;
+  return {
+    vwap20: vwapShort,
+    vwap50: vwapLong,
+    price_vs_vwap50: vwapLong ? price / vwapLong - 1 : null,
+    up_volume_ratio20: totalVolume ? upVolume / totalVolume : null
+  };
+}
@@ -0,0 +1,133 @@
+import db from './db.js';
+
+// 13F-HR 資訊表（只同步原始申報，不含 13F-HR/A 更正）：每份申報存一次（accession 為鍵），持股列全部保留，之後任何 ticker 都能直接查詢
+db.prepare(`CREATE TABLE IF NOT EXISTS institution_filings (
+  accession TEXT PRIMARY KEY,
+  filer_cik TEXT NOT NULL,
+  filer_name TEXT,
+  period TEXT NOT NULL,
+  filing_date TEXT NOT NULL,
+  holdings INTEGER NOT NULL,
+  fetched_at INTEGER NOT NULL
+)`).run();
+
+db.prepare(`CREATE TABLE IF NOT EXISTS institution_holdings (
+  accession TEXT NOT NULL,
+  cusip TEXT NOT NULL,
+  issuer_name TEXT,
+  issuer_key TEXT,
+  title_of_class TEXT,
+  shares REAL NOT NULL,
+  value REAL,
+  PRIMARY KEY (accession, cusip)
+)`).run();
+
+db.prepare(`CREATE TABLE IF NOT EXISTS cusip_map (
+  ticker TEXT PRIMARY KEY,
+  cusip TEXT NOT NULL,
+  issuer_name TEXT,
+  source TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+)`).run();
+
+// 各機構已完成同步的季度：該季申報期限過後標記，之後的分析不再查詢 SEC
+db.prepare(`CREATE TABLE IF NOT EXISTS institution_sync (
+  filer_cik TEXT NOT NULL,
+  period TEXT NOT NULL,
+  synced_at INTEGER NOT NULL,
+  PRIMARY KEY (filer_cik, period)
+)`).run();
+
+db.prepare('CREATE INDEX IF NOT EXISTS idx_institution_filings_filer ON institution_filings(filer_cik, filing_date)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_institution_holdings_cusip ON institution_holdings(cusip)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_institution_holdings_issuer ON institution_holdings(issuer_key)').run();
+
+const hasFilingStmt = db.prepare('SELECT 1 FROM institution_filings WHERE accession=?');
+const insertFilingStmt = db.prepare(`INSERT OR REPLACE INTO institution_filings (accession, filer_cik, filer_name, period, filing_date, holdings, fetched_at)
+VALUES (@accession, @filer_cik, @filer_name, @period, @filing_date, @holdings, @now)`);
+const deleteHoldingsStmt = db.prepare('DELETE FROM institution_holdings WHERE accession=?');
+const insertHoldingStmt = db.prepare(`INSERT INTO institution_holdings (accession, cusip, issuer_name, issuer_key, title_of_class, shares, value)
+VALUES (@accession, @cusip, @issuer_name, @issuer_key, @title_of_class, @shares, @value)`);
+const filerFilingsStmt = db.prepare(`SELECT * FROM institution_filings
+WHERE filer_cik=? AND filing_date<=? ORDER BY period DESC, filing_date DESC`);
+const holdingStmt = db.prepare('SELECT shares, value FROM institution_holdings WHERE accession=? AND cusip=?');
+const cusipByIssuerStmt = db.prepare(`SELECT cusip, MAX(issuer_name) AS issuer_name, COUNT(*) AS n FROM institution_holdings
+WHERE issuer_key=? GROUP BY cusip ORDER BY n DESC, cusip LIMIT 1`);
+const syncedStmt = db.prepare('SELECT 1 FROM institution_sync WHERE filer_cik=? AND period=?');
+const markSyncedStmt = db.prepare('INSERT OR REPLACE INTO institution_sync (filer_cik, period, synced_at) VALUES (?, ?, ?)');
+const getCusipStmt = db.prepare('SELECT * FROM cusip_map WHERE ticker=?');
+const setCusipStmt = db.prepare(`INSERT INTO cusip_map (ticker, cusip, issuer_name, source, updated_at)
+VALUES (@ticker, @cusip, @issuer_name, @source, @now)
+ON CONFLICT(ticker) DO UPDATE SET cusip=excluded.cusip, issuer_name=excluded.issuer_name, source=excluded.source, updated_at=excluded.updated_at`);
+
+// 發行人名稱比對用：去除標點與公司型態字尾（NVIDIA CORPORATION 與 NVIDIA CORP 視為相同）
+export function issuerKey(name){
+  return String(name || '')
+    .toUpperCase()
+    .replace(/\/[A-Z]{2,3}\/?$/,'')
+    .replace(/[^A-Z0-9 ]+/g,' ')
+    .split(/\s+/)
+    .filter(w=>w && !['THE','INC','INCORPORATED','CORP','CORPORATION','CO','COMPANY','LTD','LIMITED','PLC','NV','SA','AG','HLDGS','HOLDINGS','GROUP'].includes(w))
+    .join(' ');
+}
+
+export function hasInstitutionFiling(accession){
+  return !!hasFilingStmt.get(accession);
+}
+
+// holdings：[{ cusip, issuer_name, title_of_class, shares, value }]，同一 CUSIP 已先合併
+export const saveInstitutionFiling = db.transaction(({ accession, filerCik, filerName, period, filingDate, holdings })=>{
+  deleteHoldingsStmt.run(accession);
+  for(const h of holdings){
+    insertHoldingStmt.run({
+      accession,
+      cusip: h.cusip,
+      issuer_name: h.issuer_name || null,
+      issuer_key: issuerKey(h.issuer_name),
+      title_of_class: h.title_of_class || null,
+      shares: h.shares,
+      value: h.value ?? null
+    });
+  }
+  insertFilingStmt.run({ accession, filer_cik: filerCik, filer_name: filerName || null, period, filing_date: filingDate, holdings: holdings.length, now: Date.now() });
+});
+
+// 基準日（含）前已申報者，每期取一份；同一期間有多份原始申報時以最晚申報者為準
+export function listFilerFilings(filerCik, baselineDate){
+  const seen = new Set();
+  return filerFilingsStmt.all(filerCik, baselineDate).filter(row=>{
+    if(seen.has(row.period)) return false;
+    seen.add(row.period);
+    return true;
+  });
+}
+
+export function isInstitutionSynced(filerCik, period){
+  return !!syncedStmt.get(filerCik, period);
+}
+
+export function markInstitutionSynced(filerCik, period){
+  markSyncedStmt.run(filerCik, period, Date.now());
+}
+
+export function getHolding(accession, cusip){
+  return holdingStmt.get(accession, cusip) || null;
+}
+
+export function findCusipByIssuer(name){
+  const key = issuerKey(name);
+  if(!key) return null;
+  return cusipByIssuerStmt.get(key) || null;
+}
+
+export function getCusipMapping(ticker){
+  return getCusipStmt.get(String(ticker || '').toUpperCase()) || null;
+}
+
+export function setCusipMapping({ ticker, cusip, issuerName=null, source='manual' }){
+  const row = { ticker: String(ticker || '').toUpperCase(), cusip: String(cusip || '').toUpperCase(), issuer_name: issuerName, source, now: Date.now() };
+  if(!/^[A-Z0-9]{1,10}$/.test(row.ticker.replace(/[.\-]/g,''))) throw new Error('invalid ticker');
+  if(!/^[0-9A-Z]{8}[0-9]$/.test(row.cusip)) throw new Error('invalid CUSIP');
+  setCusipStmt.run(row);
+  return getCusipMapping(row.ticker);
+}
@@ -0,0 +1,209 @@
+import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
+import { getSubmissions, filingDocumentUrl } from './sec.js';
+import {
+  hasInstitutionFiling, saveInstitutionFiling, listFilerFilings, getHolding,
+  findCusipByIssuer, getCusipMapping, setCusipMapping, isInstitutionSynced, markInstitutionSynced
+} from './institutionStore.js';
+import { round } from './numbers.js';
+
+// 機構持股：追蹤一組大型資產管理者的 13F-HR 資訊表，依 CUSIP 彙整某檔股票的季對季持股變化。
+// 13F 由機構申報而非發行人，無法列出全部持有人；結果僅涵蓋 filers 清單（scope: tracked_filers）。
+// 只同步原始 13F-HR：13F-HR/A 可能是整份重編或只補列新持股，需讀 primary_doc 才能區分，目前不納入。
+
+// Vanguard、BlackRock、State Street、FMR、Geode、Morgan Stanley、JPMorgan、Northern Trust
+const DEFAULT_FILER_CIKS = ['102909','1364742','93751','315066','1214717','895421','19617','73124'];
+export const TRACKED_FILERS = (process.env.INSTITUTION_FILER_CIKS || DEFAULT_FILER_CIKS.join(','))
+  .split(',')
+  .map(s=>s.trim())
+  .filter(Boolean);
+const FILING_DEADLINE_DAYS = 45;
+const FLAT_THRESHOLD = 0.01;
+const MAX_MOVERS = 5;
+// 2023-01-03 起申報的 13F 以美元計價，之前為千美元
+const DOLLAR_VALUE_SINCE = '2023-01-03';
+
+function padCik(cik){
+  return String(cik).replace(/^0+/,'').padStart(10,'0');
+}
+
+function tag(block, name){
+  const m = block.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'i'));
+  return m ? m[1].replace(/<[^>]+>/g,'').trim() : null;
+}
+
+// 同一 CUSIP 可能因投資裁量、其他經理人拆成多列，合併為一筆；選擇權（putCall）與債券面額不計入持股
+export function parseInformationTable(xml, { filingDate }={}){
+  const multiplier = filingDate && filingDate < DOLLAR_VALUE_SINCE ? 1000 : 1;
+  const rows = String(xml || '').match(/<(?:\w+:)?infoTable\b[\s\S]*?<\/(?:\w+:)?infoTable>/gi) || [];
+  const byCusip = new Map();
+  for(const block of rows){
+    const cusip = (tag(block, 'cusip') || '').toUpperCase();
+    if(!cusip || tag(block, 'putCall')) continue;
+    if((tag(block, 'sshPrnamtType') || 'SH').toUpperCase() !== 'SH') continue;
+    const shares = Number(String(tag(block, 'sshPrnamt') || '').replace(/,/g,''));
+    const value = Number(String(tag(block, 'value') || '').replace(/,/g,''));
+    if(!Number.isFinite(shares)) continue;
+    const row = byCusip.get(cusip) || { cusip, issuer_name: tag(block, 'nameOfIssuer'), title_of_class: tag(block, 'titleOfClass'), shares:0, value:0 };
+    row.shares += shares;
+    row.value += Number.isFinite(value) ? value * multiplier : 0;
+    byCusip.set(cusip, row);
+  }
+  return [...byCusip.values()];
+}
+
+async function secGet(url, userAgent, responseType='json'){
+  const { data } = await axios.get(url, { headers:{ 'User-Agent': userAgent }, timeout:60000, responseType });
+  return data;
+}
+
+// 資訊表是申報資料夾內 primary_doc.xml 以外的 XML
+async function fetchInformationTable(filerCik, accession, userAgent){
+  const index = await secGet(filingDocumentUrl(filerCik, accession, 'index.json'), userAgent);
+  const file = (index?.directory?.item || [])
+    .map(item=>item.name)
+    .find(name=>/\.xml$/i.test(name) && !/^primary_doc\.xml$/i.test(name));
+  if(!file) throw new Error(`[13F] information table not found in ${accession}`);
+  return secGet(filingDocumentUrl(filerCik, accession, file), userAgent, 'text');
+}
+
+function previousQuarterEnd(period){
+  return dayjs(period).subtract(3,'month').endOf('month').format('YYYY-MM-DD');
+}
+
+// 基準日前最近一個季末；基準日當天即季末時取前一季（當天不可能已申報）
+function quarterEndBefore(date){
+  const d = dayjs(date).date(1);
+  return d.month(d.month() - d.month() % 3).subtract(1,'day').format('YYYY-MM-DD');
+}
+
+// 下載該季與前兩季的 13F-HR（基準日落在申報期內時，前兩季才是可比較的兩期），與基準日無關，
+// 讀取時再依 filing_date 過濾；申報期限過後標記完成，同一機構 / 季度之後不再查詢 SEC
+async function syncFiler(cik, period, { userAgent, apiKey }){
+  try{
+    const { name, rows } = await getSubmissions(cik, userAgent, apiKey);
+    const previous = previousQuarterEnd(period);
+    const periods = new Set([period, previous, previousQuarterEnd(previous)]);
+    for(const r of rows.filter(r=>r.form === '13F-HR' && periods.has(r.reportDate))){
+      if(hasInstitutionFiling(r.accession)) continue;
+      const xml = await fetchInformationTable(cik, r.accession, userAgent);
+      saveInstitutionFiling({
+        accession: r.accession,
+        filerCik: cik,
+        filerName: name,
+        period: r.reportDate,
+        filingDate: r.filingDate,
+        holdings: parseInformationTable(xml, { filingDate: r.filingDate })
+      });
+    }
+    if(dayjs().isAfter(dayjs(period).add(FILING_DEADLINE_DAYS,'day'), 'day')) markInstitutionSynced(cik, period);
+    return null;
+  }catch(err){
+    console.warn('[Institutions]', cik, err.message);
+    return err.message;
+  }
+}
+
+// 同一機構 / 季度同時只同步一次，批次內併發的分析共用同一個 promise
+const inflight = new Map();
+
+export async function syncInstitutionFilings(baselineDate, { userAgent, apiKey, filers=TRACKED_FILERS }={}){
+  const period = quarterEndBefore(baselineDate);
+  const failed = [];
+  for(const filer of filers){
+    const cik = padCik(filer);
+    if(isInstitutionSynced(cik, period)) continue;
+    const key = `${cik}|${period}`;
+    if(!inflight.has(key)) inflight.set(key, syncFiler(cik, period, { userAgent, apiKey }).finally(()=>inflight.delete(key)));
+    const error = await inflight.get(key);
+    if(error) failed.push({ cik, error });
+  }
+  return { failed };
+}
+
+// 已有對應者直接使用；否則以 SEC 公司名稱比對 13F 的 nameOfIssuer，取最多機構使用的 CUSIP 並記錄
+export function resolveCusip(ticker, companyName){
+  const mapped = getCusipMapping(ticker);
+  if(mapped) return mapped;
+  const found = companyName ? findCusipByIssuer(companyName) : null;
+  if(!found) return null;
+  return setCusipMapping({ ticker, cusip: found.cusip, issuerName: found.issuer_name, source:'issuer_name' });
+}
+
+// 取至少半數機構已申報的最近一期，避免基準日落在 45 天申報期內時只比較到少數機構
+function choosePeriod(filerFilings){
+  const withData = filerFilings.filter(f=>f.filings.length);
+  const periods = [...new Set(withData.map(f=>f.filings[0].period))].sort().reverse();
+  const needed = Math.ceil(withData.length / 2);
+  return periods.find(p=>withData.filter(f=>f.filings.some(x=>x.period === p)).length >= needed) || periods[0] || null;
+}
+
+export function summarizeOwnership(filerFilings, cusip, { sharesOutstanding=null }={}){
+  const period = choosePeriod(filerFilings);
+  if(!period) return null;
+  const previousPeriod = previousQuarterEnd(period);
+  const holders = [];
+  for(const f of filerFilings){
+    const current = f.filings.find(x=>x.period === period);
+    if(!current) continue;
+    const previous = f.filings.find(x=>x.period === previousPeriod);
+    const now = getHolding(current.accession, cusip);
+    const before = previous ? getHolding(previous.accession, cusip) : null;
+    const shares = now?.shares || 0;
+    const previousShares = previous ? (before?.shares || 0) : null;
+    holders.push({
+      cik: f.cik,
+      name: current.filer_name || f.cik,
+      shares,
+      value: now?.value ?? null,
+      previous_shares: previousShares,
+      change: previousShares == null ? null : shares - previousShares
+    });
+  }
+  const comparable = holders.filter(h=>h.change != null);
+  const currentComparable = comparable.reduce((a,h)=>a + h.shares, 0);
+  const previousComparable = comparable.reduce((a,h)=>a + h.previous_shares, 0);
+  const changePct = previousComparable > 0 ? (currentComparable - previousComparable) / previousComparable : null;
+  let trend = null;
+  if(changePct != null) trend = Math.abs(changePct) < FLAT_THRESHOLD ? 'flat' : changePct > 0 ? 'increasing' : 'decreasing';
+  const totalShares = holders.reduce((a,h)=>a + h.shares, 0);
+  const movers = comparable.filter(h=>h.change !== 0);
+  const brief = ({ cik, name, shares, previous_shares, change })=>({ cik, name, shares, previous_shares, change });
+  return {
+    period,
+    previous_period: previousPeriod,
+    filers_reporting: holders.length,
+    filers_compared: comparable.length,
+    holder_count: holders.filter(h=>h.shares > 0).length,
+    previous_holder_count: comparable.filter(h=>h.previous_shares > 0).length,
+    total_shares: totalShares,
+    total_value: holders.reduce((a,h)=>a + (h.value || 0), 0),
+    previous_total_shares: comparable.length ? previousComparable : null,
+    change_shares: comparable.length ? currentComparable - previousComparable : null,
+    change_pct: round(changePct),
+    pct_of_outstanding: sharesOutstanding ? round(totalShares / sharesOutstanding) : null,
+    trend,
+    trend_label: { increasing:'機構持股上升', decreasing:'機構持股下降', flat:'機構持股持平' }[trend] || '無法比較',
+    new_positions: comparable.filter(h=>h.previous_shares === 0 && h.shares > 0).map(h=>h.name),
+    closed_positions: comparable.filter(h=>h.previous_shares > 0 && h.shares === 0).map(h=>h.name),
+    top_increases: movers.filter(h=>h.change > 0).sort((a,b)=>b.change - a.change).slice(0, MAX_MOVERS).map(brief),
+    top_decreases: movers.filter(h=>h.change < 0).sort((a,b)=>a.change - b.change).slice(0, MAX_MOVERS).map(brief),
+    holders: holders.filter(h=>h.shares > 0).sort((a,b)=>b.shares - a.shares)
+  };
+}
+
+export async function getInstitutionalOwnership(ticker, baselineDate, { userAgent, apiKey, companyName, sharesOutstanding, filers=TRACKED_FILERS }={}){
+  const asOf = dayjs(baselineDate).format('YYYY-MM-DD');
+  const { failed } = await syncInstitutionFilings(asOf, { userAgent, apiKey, filers });
+  const base = { as_of: asOf, scope:'tracked_filers', filers_tracked: filers.length, failed_filers: failed };
+  const mapping = resolveCusip(ticker, companyName);
+  if(!mapping) return { ...base, available:false, reason:'找不到對應的 CUSIP（追蹤機構未持有或名稱無法比對）' };
+  const filerFilings = filers.map(filer=>{
+    const cik = padCik(filer);
+    return { cik, filings: listFilerFilings(cik, asOf) };
+  });
+  const summary = summarizeOwnership(filerFilings, mapping.cusip, { sharesOutstanding });
+  if(!summary) return { ...base, available:false, cusip: mapping.cusip, reason:'基準日前沒有已申報的 13F' };
+  return { ...base, available:true, cusip: mapping.cusip, issuer_name: mapping.issuer_name, cusip_source: mapping.source, ...summary };
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import db from './db.js';
+import { round } from './numbers.js';
+
+db.prepare(`CREATE TABLE IF NOT EXISTS batch_jobs (
+  id TEXT PRIMARY KEY,
+  filename TEXT,
+  status TEXT NOT NULL,
+  total INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  finished_at INTEGER
+)`).run();
+
+// 舊資料庫補上批次參數欄位（例如部位規劃的帳戶規模與風險比例）
+if(!db.prepare('PRAGMA table_info(batch_jobs)').all().some(c=>c.name === 'options_json')){
+  db.prepare('ALTER TABLE batch_jobs ADD COLUMN options_json TEXT').run();
+}
+
+db.prepare(`CREATE TABLE IF NOT EXISTS batch_job_rows (
+  job_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  ticker TEXT NOT NULL,
+  date TEXT NOT NULL,
+  model TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  result_json TEXT,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (job_id, row_index)
+)`).run();
+
+db.prepare('CREATE INDEX IF NOT EXISTS idx_batch_job_rows_status ON batch_job_rows(job_id, status)').run();
+
+const insertJobStmt = db.prepare(`INSERT INTO batch_jobs (id, filename, status, total, options_json, created_at, updated_at)
+VALUES (@id, @filename, 'queued', @total, @options_json, @now, @now)`);
+const insertRowStmt = db.prepare(`INSERT INTO batch_job_rows (job_id, row_index, ticker, date, model, status, updated_at)
+VALUES (@job_id, @row_index, @ticker, @date, @model, 'pending', @now)`);
+const getJobStmt = db.prepare('SELECT * FROM batch_jobs WHERE id=?');
+const listJobsStmt = db.prepare('SELECT * FROM batch_jobs ORDER BY created_at DESC LIMIT ?');
+const getRowsStmt = db.prepare('SELECT * FROM batch_job_rows WHERE job_id=? ORDER BY row_index');
+const pendingRowsStmt = db.prepare(`SELECT * FROM batch_job_rows WHERE job_id=? AND status='pending' ORDER BY row_index`);
+const countRowsStmt = db.prepare('SELECT status, COUNT(*) AS n FROM batch_job_rows WHERE job_id=? GROUP BY status');
+const setRowStmt = db.prepare(`UPDATE batch_job_rows SET status=@status, error=@error, result_json=@result_json, updated_at=@now
+WHERE job_id=@job_id AND row_index=@row_index`);
+const setJobStatusStmt = db.prepare('UPDATE batch_jobs SET status=@status, updated_at=@now, finished_at=@finished_at WHERE id=@id');
+const unfinishedJobsStmt = db.prepare(`SELECT id FROM batch_jobs WHERE status IN ('queued','running','failed') ORDER BY created_at`);
+const resetRunningStmt = db.prepare(`UPDATE batch_job_rows SET status='pending', updated_at=? WHERE status='running'`);
+const resetJobRunningStmt = db.prepare(`UPDATE batch_job_rows SET status='pending', updated_at=? WHERE job_id=? AND status='running'`);
+
+function parseRow(row){
+  let result = null;
+  if(row.result_json){
+    try{ result = JSON.parse(row.result_json); }catch{ result = null; }
+  }
+  return {
+    index: row.row_index,
+    ticker: row.ticker,
+    date: row.date,
+    model: row.model || '',
+    status: row.status,
+    error: row.error || null,
+    result
+  };
+}
+
+function formatJob(job){
+  let options = {};
+  if(job.options_json){
+    try{ options = JSON.parse(job.options_json); }catch{ options = {}; }
+  }
+  return {
+    id: job.id,
+    filename: job.filename || '',
+    status: job.status,
+    total: job.total,
+    options,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at || null
+  };
+}
+
+export function createJob({ filename, tasks, options=null }){
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  db.transaction(()=>{
+    insertJobStmt.run({ id, filename: filename || '', total: tasks.length, options_json: options ? JSON.stringify(options) : null, now });
+    tasks.forEach((task, idx)=>{
+      insertRowStmt.run({ job_id: id, row_index: idx, ticker: task.ticker, date: task.date, model: task.model || '', now });
+    });
+  })();
+  return id;
+}
+
+export function getJobCounts(id){
+  const counts = { pending:0, running:0, done:0, error:0 };
+  for(const row of countRowsStmt.all(id)) counts[row.status] = row.n;
+  return counts;
+}
+
+export function getJob(id, { includeRows=true }={}){
+  const job = getJobStmt.get(id);
+  if(!job) return null;
+  const counts = getJobCounts(id);
+  const out = {
+    ...formatJob(job),
+    counts,
+    progress: job.total ? round((counts.done + counts.error) / job.total, 3) : 1
+  };
+  if(includeRows) out.rows = getRowsStmt.all(id).map(parseRow);
+  return out;
+}
+
+export function listJobs(limit=20){
+  return listJobsStmt.all(limit).map(job=>({ ...formatJob(job), counts: getJobCounts(job.id) }));
+}
+
+export function getPendingRows(id){
+  return pendingRowsStmt.all(id).map(parseRow);
+}
+
+export function updateJobRow(id, index, { status, error=null, result=null }){
+  setRowStmt.run({
+    job_id: id,
+    row_index: index,
+    status,
+    error,
+    result_json: result ? JSON.stringify(result) : null,
+    now: Date.now()
+  });
+}
+
+export function setJobStatus(id, status){
+  const now = Date.now();
+  const finished = status === 'completed' || status === 'failed' ? now : null;
+  setJobStatusStmt.run({ id, status, now, finished_at: finished });
+}
+
+export function resetRunningRows(id){
+  resetJobRunningStmt.run(Date.now(), id);
+}
+
+// 伺服器重啟後，先把中斷時仍在執行的列退回 pending，再回傳尚未完成（含背景執行失敗）的 job id
+export function recoverUnfinishedJobs(){
+  resetRunningStmt.run(Date.now());
+  return unfinishedJobsStmt.all().map(row=>row.id);
+}
@@ -1,79 +1,88 @@
-import axios from 'axios';
 import crypto from 'crypto';
 import { getCache, setCache } from './cache.js';
+import { ANALYSIS_SCHEMA, completeJson } from './llmSchema.js';
+import { chatCompletion, resolveProviderName } from './llmProvider.js';
+
+// LLM 輸入的雜湊：同時作為回應快取鍵與分析快照的 input_hash
+export function analysisInputHash({ payload, promptVersion='v1', model, provider }){
+  const hashInput = JSON.stringify({ payload, promptVersion, model, provider: resolveProviderName(provider) });
+  return crypto.createHash('sha256').update(hashInput).digest('hex');
+}
 
 export async function analyzeWithLLM(openKey, model, payload, options={}){
-  const { cacheTtlMs, promptVersion='v1' } = options;
-  const hashInput = JSON.stringify({ payload, promptVersion, model });
-  const payloadHash = crypto.createHash('sha256').update(hashInput).digest('hex');
-  const cacheKey = `llm_${model}_${payloadHash}`;
+  const { cacheTtlMs, promptVersion='v1', signal } = options;
+  const provider = resolveProviderName(options.provider);
+  const payloadHash = analysisInputHash({ payload, promptVersion, model, provider });
+  const cacheKey = `llm_${provider}_${model}_${payloadHash}`;
   const ttl = Number.isFinite(cacheTtlMs) ? cacheTtlMs : undefined;
   const cached = await getCache(cacheKey, ttl);
-  if(cached) return cached;
+  if(cached && !cached.raw) return cached;
+  const messages = [
+    { role:'system', content:[
+      '你是專業金融分析師與審核者。',
+      '請根據「SEC 財報章節」與「分析師資料」，輸出有效 JSON：',
+      'payload.sec_filings[].sections 為依 Item 標題切出的原文節錄：mda（10-K Item 7、10-Q Item 2、20-F Item 5）、risk_factors（Item 1A 或 20-F Item 3D）、liquidity（Liquidity and Capital Resources），缺少的章節代表該份文件未揭露或無法解析；risk_factors 請優先引用 sections.risk_factors。',
+      'payload.risk_factor_changes 為最近兩份財報 Risk Factors 的段落比對（new 新增、removed 移除、reworded 實質改寫），請在 risk_factors 與 key_conflicts 中優先說明新增或改寫的風險。',
+      'payload.corporate_events 為基準日前 lookback_days 天內的 8-K 重大事件（Item 代碼已解碼，notable 表示控制權、高管異動、減損、會計師更換等重大項目）與 Form 4 內部人公開市場買賣（signal 淨買進/淨賣出、planned_sell_value 為 10b5-1 計畫內賣出），請用於「機構與內部人支持」「治理與披露」與「無重大監管/財務疑慮」的判斷，並將重大事件列入 catalyst_timeline 或 risk_factors。',
+      'payload.institutions 為追蹤中的大型機構（scope: tracked_filers，非全體持有人）13F 持股：period 與 previous_period 的持有家數、總股數、change_pct 與 trend，pct_of_outstanding 為占流通股比例；請用於「自由流通股≥50%且機構持股上升」與「機構與內部人支持」。',
+      'payload.finnhub.point_in_time 標示各欄位是否為基準日當時可得的資料；point_in_time 為 false 的欄位（例如以目前共識代替的目標價）只能作為參考，不得當成基準日當時的已知資訊。',
+      '所有文字欄位（包含 explanation、valuation_rationale、risk_factors、key_conflicts、catalyst_timeline、consensus_view.summary、action.rationale）必須以繁體中文撰寫。',
+      '若 payload.news 存在，須整合新聞摘要與情緒，說明其對估值、動能與風險的影響。',
+      'payload.momentum 提供動能評分、趨勢與技術指標；momentum.sector 為依 SEC SIC 代碼推得的產業分類，momentum.benchmarks 為相對類股 ETF（sector）、細產業 ETF（industry）與大盤 SPY（market）的報酬差，請納入估值與風險評估。',
+      'payload.fundamentals 為 SEC XBRL 申報數字（僅含基準日前已申報資料）：單季營收、毛利率、營益率、淨利、OCF、資本支出、FCF、TTM 合計、流通股數與市值；判斷硬性過濾與打分時請優先引用這些數字，缺值才可推估並註明。',
+      'payload.valuation 為基準日估值：multiples（pe、forward_pe、ev_sales、ev_ebitda、fcf_yield、peg）與兩階段 DCF（dcf.per_share、upside 與 sensitivity 折現率 × 永續成長率敏感度表）；point_in_time.forward 為 false 時預估 P/E 只能參考。「估值 vs 成長」與 valuation_rationale 請引用這些數字並說明假設。',
+      'payload.earnings 為財報分析：recent 為近四季 EPS 驚喜幅度（surprise_pct）與公布前後兩個交易日的股價反應（reaction，excess_reaction 為相對 SPY），另有連續擊敗（streak）、近 4/8 季擊敗率、平均驚喜與反應、下次財報日（next_report）與一致預期修正趨勢（revisions，change_30d / change_90d）；「EPS/營收上修」與「近 6-12M EPS 一致預期上修」請引用這些數字，revisions 為 null 或 point_in_time 為 false 時須註明。',
+      '體質檢核的每一項都請依 payload 資料獨立判斷並於 reason 說明依據，不可省略項目。',
+      '請同步完成「大型股 vs 小型股」體質檢核：',
+      '  - 大型股硬性過濾（至少滿足 6/8）：市值≥$10B、3m ADV≥$50M、近四季 GAAP 淨利為正且近兩季毛利/營益率擴張、近 6-12M EPS 一致預期上修、FCF 正且回購殖利率≥1-2%並淨縮股本、自由流通股≥50%且機構持股上升、核心產能/資產稀缺、無重大監管/財務疑慮。',
+      '  - 大型股打分（100 分，≥75 才納入，≥85 主推）：結構性主題與供需稀缺20、EPS/營收上修+利潤率擴張20、價格動能品質10、FCF與資本配置10、估值 vs 成長10、被動/指數動能10、護城河/產能10、風險控制10。',
+      '  - 小型股硬性過濾（至少滿足 6/8）：股價≥$3、市值≥$300M、自由流通市值≥$150M、3m ADV≥$5M、TTM 營收≥$100M或YoY≥30%、毛利率≥30%（硬體20%）、TTM OCF 轉正或虧損收斂≥50%、現金 runway≥18m、近12M 淨發股率≤8%、負債到期牆可控無重大違約風險。',
+      '  - 小型股打分（100 分，≥75 才操作）：生存力/財務安全20、成長與單位經濟20、可驗證催化15、機構與內部人支持15、價格動能10、估值 vs 成長10、治理與披露10。',
+      '{',
+      '"per_filing":[{',
+      ' "form":"10-Q/10-K","filingDate":"YYYY-MM-DD","reportDate?":"YYYY-MM-DD",',
+      ' "five_indicators":{',
+      '   "alignment_score": number,',
+      '   "key_conflicts": [string],',
+      '   "valuation_rationale": string,',
+      '   "risk_factors": [string],',
+      '   "catalyst_timeline": [{"event":string,"window":string,"why":string}]',
+      ' },',
+      ' "explanation": "300-500字詳解"',
+      '}]',
+      '"consensus_view":{"summary":string,"agreement_ratio":number},',
+      '"action":{"rating":"BUY|HOLD|SELL","target_price":number,"stop_loss":number,"rationale":string},',
+      '"profile":{',
+      '  "segment":"large_cap|small_cap",',
+      '  "segment_label":"大型股或小型股",',
+      '  "summary": "150 字內描述體質重點",',
+      '  "filters":{"total":8,"met":number,"items":[{"name":string,"met":boolean,"reason":string}]},',
+      '  "score":number,',
+      '  "score_detail":[{"category":string,"points":number,"reason":string}],',
+      '  "catalysts":[string]',
+      ' },',
+      ' "news_insight":{',
+      '  "summary":string,',
+      '  "impact":"正面|中性|負面",',
+      '  "key_events":[{"title":string,"why":string}]',
+      '}',
+      '}'
+    ].join('\n') },
+    { role:'user', content: JSON.stringify(payload) }
+  ];
+  const send = async (history)=>{
+    const { text } = await chatCompletion({ provider, model, messages: history, apiKey: openKey, signal, timeoutMs:120000, purpose:'analysis' });
+    return text || '{}';
+  };
   try{
-    const {data} = await axios.post('https://openrouter.ai/api/v1/chat/completions',{
-      model,
-      messages:[
-        { role:'system', content:[
-          '你是專業金融分析師與審核者。',
-          '請根據「SEC 10-Q/10-K MD&A 摘要」與「分析師資料」，輸出有效 JSON：',
-          '所有文字欄位（包含 explanation、valuation_rationale、risk_factors、key_conflicts、catalyst_timeline、consensus_view.summary、action.rationale）必須以繁體中文撰寫。',
-          '若 payload.news 存在，須整合新聞摘要與情緒，說明其對估值、動能與風險的影響。',
-          'payload.momentum 提供動能評分、趨勢、技術指標與對應 ETF 變化，請納入估值與風險評估。',
-          '請同步完成「大型股 vs 小型股」體質檢核：',
-          '  - 大型股硬性過濾（至少滿足 6/8）：市值≥$10B、3m ADV≥$50M、近四季 GAAP 淨利為正且近兩季毛利/營益率擴張、近 6-12M EPS 一致預期上修、FCF 正且回購殖利率≥1-2%並淨縮股本、自由流通股≥50%且機構持股上升、核心產能/資產稀缺、無重大監管/財務疑慮。',
-          '  - 大型股打分（100 分，≥75 才納入，≥85 主推）：結構性主題與供需稀缺20、EPS/營收上修+利潤率擴張20、價格動能品質10、FCF與資本配置10、估值 vs 成長10、被動/指數動能10、護城河/產能10、風險控制10。',
-          '  - 小型股硬性過濾（至少滿足 6/8）：股價≥$3、市值≥$300M、自由流通市值≥$150M、3m ADV≥$5M、TTM 營收≥$100M或YoY≥30%、毛利率≥30%（硬體20%）、TTM OCF 轉正或虧損收斂≥50%、現金 runway≥18m、近12M 淨發股率≤8%、負債到期牆可控無重大違約風險。',
-          '  - 小型股打分（100 分，≥75 才操作）：生存力/財務安全20、成長與單位經濟20、可驗證催化15、機構與內部人支持15、價格動能10、估值 vs 成長10、治理與披露10。',
-          '{',
-          '"per_filing":[{',
-          ' "form":"10-Q/10-K","filingDate":"YYYY-MM-DD","reportDate?":"YYYY-MM-DD",',
-          ' "five_indicators":{',
-          '   "alignment_score": number,',
-          '   "key_conflicts": [string],',
-          '   "valuation_rationale": string,',
-          '   "risk_factors": [string],',
-          '   "catalyst_timeline": [{"event":string,"window":string,"why":string}]',
-          ' },',
-          ' "explanation": "300-500字詳解"',
-          '}]',
-          '"consensus_view":{"summary":string,"agreement_ratio":number},',
-          '"action":{"rating":"BUY|HOLD|SELL","target_price":number,"stop_loss":number,"rationale":string},',
-          '"profile":{',
-          '  "segment":"large_cap|small_cap",',
-          '  "segment_label":"大型股或小型股",',
-          '  "summary": "150 字內描述體質重點",',
-          '  "filters":{"total":8,"met":number,"items":[{"name":string,"met":boolean,"reason":string}]},',
-          '  "score":number,',
-          '  "score_detail":[{"category":string,"points":number,"reason":string}],',
-          '  "catalysts":[string]',
-          ' },',
-          ' "news_insight":{',
-          '  "summary":string,',
-          '  "impact":"正面|中性|負面",',
-          '  "key_events":[{"title":string,"why":string}]',
-          '}',
-          '}'
-        ].join('\n') },
-        { role:'user', content: JSON.stringify(payload) }
-      ],
-      temperature:0.2
-    },{
-      headers:{ 'Authorization':`Bearer ${openKey}`, 'Content-Type':'application/json' },
-      timeout:120000
-    });
-    const text = data?.choices?.[0]?.message?.content || '{}';
-    const cleaned = text.trim().replace(/^```json/i,'').replace(/```$/,'').trim();
-    try{
-      const parsed = JSON.parse(cleaned);
-      await setCache(cacheKey, parsed);
-      return parsed;
-    }catch{
-      const rawFallback = { raw: text };
-      await setCache(cacheKey, rawFallback);
-      return rawFallback;  // 保留原文避免 throw
+    const outcome = await completeJson({ send, messages, schema: ANALYSIS_SCHEMA });
+    if(outcome.ok){
+      await setCache(cacheKey, outcome.value);
+      return outcome.value;
     }
+    // 驗證失敗不寫入快取，保留原文與錯誤供前端 / 批次顯示
+    return { raw: outcome.text, validation_errors: outcome.errors };
   }catch(err){
-    throw new Error(`[OPENROUTER] ${err.response?.data?.error?.message || err.message}`);
+    throw new Error(`[LLM:${provider}] ${err.response?.data?.error?.message || err.message}`);
   }
 }
@@ -0,0 +1,130 @@
+import axios from 'axios';
+import './httpFixtures.js';
+
+// LLM 供應商抽象層：OpenRouter、任意 OpenAI 相容端點（llama.cpp / Ollama / vLLM）與離線用的 fixture。
+// 重試退避、逾時、溫度與 token 用量統計集中在這裡處理。
+
+const TEMPERATURE = Number.isFinite(Number(process.env.LLM_TEMPERATURE)) ? Number(process.env.LLM_TEMPERATURE) : 0.2;
+const MAX_RETRIES = Math.max(0, Number(process.env.LLM_MAX_RETRIES ?? 2));
+const DEFAULT_TIMEOUT_MS = Math.max(1000, Number(process.env.LLM_TIMEOUT_MS || 120000));
+const RETRY_BASE_MS = 1000;
+
+const PROVIDERS = {
+  openrouter: {
+    baseUrl: 'https://openrouter.ai/api/v1',
+    defaultModel: process.env.OPENROUTER_MODEL || 'gpt-5',
+    apiKey: (key)=> key || process.env.OPENROUTER_KEY || '',
+    requiresKey: true
+  },
+  openai: {
+    baseUrl: (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/,''),
+    defaultModel: process.env.LLM_MODEL || 'llama3.1',
+    apiKey: ()=> process.env.LLM_API_KEY || '',
+    requiresKey: false
+  },
+  fixture: {
+    defaultModel: 'fixture',
+    apiKey: ()=> '',
+    requiresKey: false
+  }
+};
+
+const DEFAULT_PROVIDER = PROVIDERS[process.env.LLM_PROVIDER] ? process.env.LLM_PROVIDER : 'openrouter';
+const usage = new Map();
+
+export function resolveProviderName(requested){
+  const name = String(requested || '').trim().toLowerCase();
+  return PROVIDERS[name] ? name : DEFAULT_PROVIDER;
+}
+
+export function listProviders(){
+  return Object.keys(PROVIDERS).map(name=>({ name, default_model: PROVIDERS[name].defaultModel, is_default: name === DEFAULT_PROVIDER }));
+}
+
+export function providerDefaultModel(name){
+  return PROVIDERS[resolveProviderName(name)].defaultModel;
+}
+
+// 供呼叫端判斷是否具備呼叫條件（OpenRouter 需金鑰，本地與 fixture 不需要）
+export function hasCredentials(name, apiKey){
+  const provider = PROVIDERS[resolveProviderName(name)];
+  return !provider.requiresKey || Boolean(provider.apiKey(apiKey));
+}
+
+function recordUsage(provider, model, purpose, tokens){
+  const key = `${provider}|${model}|${purpose}`;
+  const row = usage.get(key) || { provider, model, purpose, calls:0, prompt_tokens:0, completion_tokens:0, total_tokens:0 };
+  row.calls += 1;
+  row.prompt_tokens += Number(tokens?.prompt_tokens) || 0;
+  row.completion_tokens += Number(tokens?.completion_tokens) || 0;
+  row.total_tokens += Number(tokens?.total_tokens) || ((Number(tokens?.prompt_tokens) || 0) + (Number(tokens?.completion_tokens) || 0));
+  usage.set(key, row);
+}
+
+export function getUsageStats(){
+  const rows = [...usage.values()];
+  const totals = rows.reduce((acc,r)=>({
+    calls: acc.calls + r.calls,
+    prompt_tokens: acc.prompt_tokens + r.prompt_tokens,
+    completion_tokens: acc.completion_tokens + r.completion_tokens,
+    total_tokens: acc.total_tokens + r.total_tokens
+  }), { calls:0, prompt_tokens:0, completion_tokens:0, total_tokens:0 });
+  return { totals, rows };
+}
+
+function isRetryable(err){
+  if(axios.isCancel(err)) return false;
+  const status = err.response?.status;
+  if(status) return status === 429 || status >= 500;
+  return true;
+}
+
+function sleep(ms, signal){
+  return new Promise((resolve, reject)=>{
+    const onAbort = ()=>{ clearTimeout(timer); reject(new Error('aborted')); };
+    // 計時結束時移除監聽，避免重試多次後在同一個 signal 上累積 listener
+    const timer = setTimeout(()=>{ signal?.removeEventListener?.('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener?.('abort', onAbort, { once:true });
+  });
+}
+
+async function postChat(provider, { model, messages, apiKey, signal, timeoutMs }){
+  const headers = { 'Content-Type':'application/json' };
+  const key = provider.apiKey(apiKey);
+  if(key) headers.Authorization = `Bearer ${key}`;
+  const { data } = await axios.post(`${provider.baseUrl}/chat/completions`,{
+    model,
+    messages,
+    temperature: TEMPERATURE
+  },{ headers, timeout: timeoutMs, signal });
+  return { text: data?.choices?.[0]?.message?.content || '', usage: data?.usage || null };
+}
+
+// 統一的 chat completion 入口：回傳 { text, usage }
+export async function chatCompletion({ provider: providerName, model, messages, apiKey, signal, timeoutMs=DEFAULT_TIMEOUT_MS, purpose='analysis' }){
+  const name = resolveProviderName(providerName);
+  const provider = PROVIDERS[name];
+  const resolvedModel = model || provider.defaultModel;
+  if(name === 'fixture'){
+    // fixture 回應需要規則引擎的評分表，只在使用 fixture 時才載入，供應商層本身不依賴規則引擎
+    const { nextFixtureResponse } = await import('./llmFixture.js');
+    const text = nextFixtureResponse(purpose, messages);
+    recordUsage(name, resolvedModel, purpose, null);
+    return { text, usage:null };
+  }
+  if(provider.requiresKey && !provider.apiKey(apiKey)) throw new Error(`[LLM] missing API key for provider ${name}`);
+  let attempt = 0;
+  while(true){
+    try{
+      const out = await postChat(provider, { model: resolvedModel, messages, apiKey, signal, timeoutMs });
+      recordUsage(name, resolvedModel, purpose, out.usage);
+      return out;
+    }catch(err){
+      if(attempt >= MAX_RETRIES || !isRetryable(err) || signal?.aborted) throw err;
+      const delay = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+      console.warn(`[LLM] ${name} ${err.response?.status || err.message}, retry in ${delay}ms`);
+      attempt += 1;
+      await sleep(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,230 @@
+// LLM 輸出的 JSON 結構定義與驗證（JSON Schema 子集：type / properties / required / items / enum / minimum / maximum / minItems）。
+// validate 會順帶做無歧義的修正（數字字串轉數字、布林字串轉布林、enum 大小寫），其餘錯誤回報給模型修正。
+
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+const str = { type:'string' };
+const num = { type:'number' };
+const strArray = { type:'array', items: str };
+
+export const ANALYSIS_SCHEMA = {
+  name:'analysis',
+  type:'object',
+  required:['per_filing','consensus_view','action','profile'],
+  properties:{
+    per_filing:{
+      type:'array',
+      minItems:1,
+      items:{
+        type:'object',
+        required:['form','filingDate','five_indicators','explanation'],
+        properties:{
+          form: str,
+          filingDate: str,
+          reportDate: str,
+          five_indicators:{
+            type:'object',
+            required:['alignment_score','risk_factors'],
+            properties:{
+              alignment_score: num,
+              key_conflicts: strArray,
+              valuation_rationale: str,
+              risk_factors: strArray,
+              catalyst_timeline:{
+                type:'array',
+                items:{ type:'object', required:['event'], properties:{ event: str, window: str, why: str } }
+              }
+            }
+          },
+          explanation: str
+        }
+      }
+    },
+    consensus_view:{
+      type:'object',
+      required:['summary','agreement_ratio'],
+      properties:{ summary: str, agreement_ratio:{ type:'number', minimum:0, maximum:1 } }
+    },
+    action:{
+      type:'object',
+      required:['rating','target_price','stop_loss','rationale'],
+      properties:{
+        rating:{ type:'string', enum:['BUY','HOLD','SELL'] },
+        target_price:{ type:'number', minimum:0 },
+        stop_loss:{ type:'number', minimum:0 },
+        rationale: str
+      }
+    },
+    profile:{
+      type:'object',
+      required:['segment','filters','score','score_detail'],
+      properties:{
+        segment:{ type:'string', enum:['large_cap','small_cap'] },
+        segment_label: str,
+        summary: str,
+        filters:{
+          type:'object',
+          required:['met','items'],
+          properties:{
+            total:{ type:'number', minimum:0 },
+            met:{ type:'number', minimum:0 },
+            items:{
+              type:'array',
+              items:{ type:'object', required:['name','met'], properties:{ name: str, met:{ type:'boolean' }, reason: str } }
+            }
+          }
+        },
+        score:{ type:'number', minimum:0, maximum:100 },
+        score_detail:{
+          type:'array',
+          items:{ type:'object', required:['category','points'], properties:{ category: str, points:{ type:'number', minimum:0 }, reason: str } }
+        },
+        catalysts: strArray
+      }
+    },
+    news_insight:{
+      type:'object',
+      properties:{
+        summary: str,
+        impact:{ type:'string', enum:['正面','中性','負面'] },
+        key_events:{
+          type:'array',
+          items:{ type:'object', properties:{ title: str, why: str } }
+        }
+      }
+    }
+  }
+};
+
+export const NEWS_SENTIMENT_SCHEMA = {
+  name:'news_sentiment',
+  type:'object',
+  required:['sentiment_label','summary','supporting_events'],
+  properties:{
+    sentiment_label:{ type:'string', enum:['樂觀','中性','悲觀'] },
+    summary: str,
+    supporting_events:{
+      type:'array',
+      items:{ type:'object', required:['title'], properties:{ title: str, reason: str } }
+    }
+  }
+};
+
+export const NEWS_KEYWORDS_SCHEMA = {
+  name:'news_keywords',
+  type:'array',
+  minItems:1,
+  items: str
+};
+
+export const COMPARE_RANKING_SCHEMA = {
+  name:'compare_ranking',
+  type:'object',
+  required:['summary','ranking'],
+  properties:{
+    summary: str,
+    ranking:{
+      type:'array',
+      minItems:1,
+      items:{ type:'object', required:['ticker','rank','reason'], properties:{ ticker: str, rank:{ type:'number', minimum:1 }, reason: str } }
+    }
+  }
+};
+
+function typeOf(value){
+  if(value === null) return 'null';
+  if(Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function coerce(schema, value){
+  if(schema.type === 'number' && typeof value === 'string'){
+    const cleaned = value.replace(/[$,%\s]/g,'');
+    const n = Number(cleaned);
+    if(cleaned && Number.isFinite(n)) return n;
+  }
+  if(schema.type === 'boolean' && typeof value === 'string'){
+    if(/^(true|yes|是)$/i.test(value.trim())) return true;
+    if(/^(false|no|否)$/i.test(value.trim())) return false;
+  }
+  if(schema.enum && typeof value === 'string'){
+    const hit = schema.enum.find(opt=> String(opt).toLowerCase() === value.trim().toLowerCase());
+    if(hit!=null) return hit;
+  }
+  return value;
+}
+
+function check(schema, input, path, errors){
+  const value = coerce(schema, input);
+  const actual = typeOf(value);
+  if(schema.type && actual !== schema.type){
+    errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+    return value;
+  }
+  if(schema.type === 'number' && !Number.isFinite(value)){
+    errors.push(`${path}: expected finite number`);
+    return value;
+  }
+  if(schema.enum && !schema.enum.includes(value)){
+    errors.push(`${path}: must be one of ${schema.enum.join('|')}, got ${JSON.stringify(value)}`);
+  }
+  if(schema.minimum!=null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+  if(schema.maximum!=null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+  if(schema.type === 'array'){
+    if(schema.minItems!=null && value.length < schema.minItems) errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+    return schema.items ? value.map((item, i)=> check(schema.items, item, `${path}[${i}]`, errors)) : value;
+  }
+  if(schema.type === 'object'){
+    const out = { ...value };
+    for(const key of schema.required || []){
+      if(out[key]==null) errors.push(`${path}.${key}: required`);
+    }
+    for(const [key, sub] of Object.entries(schema.properties || {})){
+      if(out[key]==null) continue;
+      out[key] = check(sub, out[key], `${path}.${key}`, errors);
+    }
+    return out;
+  }
+  return value;
+}
+
+export function validate(schema, value){
+  const errors = [];
+  const normalized = check(schema, value, '$', errors);
+  return { valid: errors.length === 0, value: normalized, errors };
+}
+
+export function parseJsonText(text){
+  const cleaned = String(text || '').trim().replace(/^```(?:json)?/i,'').replace(/```$/,'').trim();
+  return JSON.parse(cleaned);
+}
+
+// 呼叫 send(messages) 取得文字，解析並驗證；失敗時把錯誤訊息回饋給模型，最多修正 maxRepairs 次
+export async function completeJson({ send, messages, schema, maxRepairs=MAX_REPAIR_ATTEMPTS }){
+  let history = [...messages];
+  let lastText = '';
+  let errors = [];
+  for(let attempt=0; attempt<=maxRepairs; attempt++){
+    lastText = await send(history);
+    let parsed;
+    try{
+      parsed = parseJsonText(lastText);
+    }catch(err){
+      errors = [`invalid JSON: ${err.message}`];
+    }
+    if(parsed!==undefined){
+      const result = validate(schema, parsed);
+      if(result.valid) return { ok:true, value: result.value, attempts: attempt + 1 };
+      errors = result.errors;
+    }
+    if(attempt < maxRepairs){
+      console.warn(`[LLM] ${schema.name} output invalid (attempt ${attempt + 1}), requesting repair`, errors.slice(0,5).join('; '));
+      history = [
+        ...messages,
+        { role:'assistant', content: lastText || '' },
+        { role:'user', content:`上一次輸出不符合要求的 JSON 結構，請修正下列問題後重新輸出完整 JSON（只輸出 JSON，不要其他文字）：\n${errors.slice(0,20).map(e=>`- ${e}`).join('\n')}` }
+      ];
+    }
+  }
+  return { ok:false, text: lastText, errors, attempts: maxRepairs + 1 };
+}
@@ -0,0 +1,135 @@
+import { round } from './numbers.js';
+import { configFailer, finiteNumber, mergeNumberFields, mergeConfig, createConfigLoader, configHash } from './configLoader.js';
+
+// 動能評分設定：score = base + Σ 各項得分，再限制在 [min, max]。
+//   線性項：clamp((值 - center) × weight, -cap, cap)
+//   旗標項（股價是否站上均線）：true 加 points、false 減 points
+// 預設值重現原本的固定加總；新增指標預設 weight 0（不計分、但仍回傳數值），可由設定檔或單次請求調整。
+
+const COMPONENTS = {
+  return_3m:           { label:'3 個月報酬', kind:'linear', value:(m)=>m.returns?.m3 },
+  return_6m:           { label:'6 個月報酬', kind:'linear', value:(m)=>m.returns?.m6 },
+  return_12m:          { label:'12 個月報酬', kind:'linear', value:(m)=>m.returns?.m12 },
+  rsi14:               { label:'RSI14', kind:'linear', value:(m)=>m.rsi14 },
+  volume_ratio:        { label:'量能比 (5/30)', kind:'linear', value:(m)=>m.volume_ratio },
+  above_ma50:          { label:'站上 MA50', kind:'flag', value:(m)=>m.price_vs_ma?.above50 },
+  above_ma200:         { label:'站上 MA200', kind:'flag', value:(m)=>m.price_vs_ma?.above200 },
+  macd_histogram:      { label:'MACD 柱狀體（占股價）', kind:'linear', value:(m)=>m.macd?.histogram_pct },
+  bollinger_percent_b: { label:'布林 %B', kind:'linear', value:(m)=>m.bollinger?.percent_b },
+  from_52w_high:       { label:'距 52 週高點', kind:'linear', value:(m)=>m.range_52w?.from_high },
+  relative_strength_3m:{ label:'相對類股 ETF 強度 3M', kind:'linear', value:(m)=>m.relative_strength?.m3 },
+  relative_strength_6m:{ label:'相對類股 ETF 強度 6M', kind:'linear', value:(m)=>m.relative_strength?.m6 },
+  volatility_63d:      { label:'實現波動度 (63 日年化)', kind:'linear', value:(m)=>m.volatility?.realized_63d },
+  max_drawdown:        { label:'一年最大回撤', kind:'linear', value:(m)=>m.max_drawdown?.value },
+  up_volume_ratio:     { label:'上漲日成交量占比 (20 日)', kind:'linear', value:(m)=>m.volume_trend?.up_volume_ratio20 }
+};
+
+export const DEFAULT_MOMENTUM_SCORING = Object.freeze({
+  base: 50,
+  min: 0,
+  max: 100,
+  components: {
+    return_3m:            { weight:200, center:0, cap:20 },
+    return_6m:            { weight:150, center:0, cap:15 },
+    return_12m:           { weight:100, center:0, cap:10 },
+    rsi14:                { weight:0.5, center:50, cap:10 },
+    volume_ratio:         { weight:20, center:1, cap:10 },
+    above_ma50:           { points:5 },
+    above_ma200:          { points:5 },
+    macd_histogram:       { weight:0, center:0, cap:5 },
+    bollinger_percent_b:  { weight:0, center:0.5, cap:5 },
+    from_52w_high:        { weight:0, center:0, cap:5 },
+    relative_strength_3m: { weight:0, center:0, cap:10 },
+    relative_strength_6m: { weight:0, center:0, cap:10 },
+    volatility_63d:       { weight:0, center:0.3, cap:5 },
+    max_drawdown:         { weight:0, center:0, cap:5 },
+    up_volume_ratio:      { weight:0, center:0.5, cap:5 }
+  },
+  trend: {
+    strong_return_3m: 0.10,
+    weak_return_3m: -0.05
+  }
+});
+
+const COMPONENT_FIELDS = { linear:['weight','center','cap'], flag:['points'] };
+
+function clamp(val, min, max){
+  return Math.max(min, Math.min(max, val));
+}
+
+const fail = configFailer('[Momentum] invalid scoring config');
+
+function applyOverride(merged, key, value){
+  if(['base','min','max'].includes(key)){
+    merged[key] = finiteNumber(value, key, fail);
+  }else if(key === 'components'){
+    if(!value || typeof value !== 'object') fail('components must be an object');
+    for(const [name, fields] of Object.entries(value)){
+      const def = COMPONENTS[name];
+      if(!def) fail(`unknown component "${name}"`);
+      mergeNumberFields(merged.components[name], fields, { path:`components.${name}`, allowed: COMPONENT_FIELDS[def.kind], fail });
+      if(merged.components[name].cap < 0) fail(`components.${name}.cap must be >= 0`);
+    }
+  }else if(key === 'trend'){
+    mergeNumberFields(merged.trend, value, { path:'trend', allowed: Object.keys(merged.trend), fail });
+  }else{
+    fail(`unknown field "${key}"`);
+  }
+}
+
+// 以 base 為底合併 overrides：只需提供要改的欄位，未知的項目或欄位一律拒絕
+export function mergeScoringConfig(base, overrides){
+  const merged = mergeConfig(base, overrides, { apply: applyOverride, fail });
+  if(merged.min > merged.max) fail('min must be <= max');
+  return merged;
+}
+
+// MOMENTUM_SCORING_CONFIG 指向 JSON 檔時，以其覆寫預設值；單次請求的設定再套用在其上
+const loader = createConfigLoader({ envVar:'MOMENTUM_SCORING_CONFIG', defaults: DEFAULT_MOMENTUM_SCORING, merge: mergeScoringConfig, fail });
+export const loadScoringConfig = loader.load;
+export const resolveScoringConfig = loader.resolve;
+export const scoringHash = configHash;
+
+// metrics 為 computeMomentumMetrics 的指標；回傳分數、趨勢與逐項得分（weight 0 的項目不列出）
+export function scoreMomentum(metrics, config=loadScoringConfig()){
+  let score = config.base;
+  const breakdown = [];
+  for(const [key, def] of Object.entries(COMPONENTS)){
+    const params = config.components[key];
+    if(!params) continue;
+    const enabled = def.kind === 'flag' ? params.points !== 0 : params.weight !== 0;
+    if(!enabled) continue;
+    const raw = def.value(metrics);
+    let points = null;
+    if(def.kind === 'flag'){
+      if(raw === true) points = params.points;
+      else if(raw === false) points = -params.points;
+    }else if(raw!=null && Number.isFinite(raw)){
+      points = clamp((raw - params.center) * params.weight, -params.cap, params.cap);
+    }
+    if(points!=null) score += points;
+    breakdown.push({
+      key,
+      label: def.label,
+      value: raw ?? null,
+      points: round(points, 2),
+      max: def.kind === 'flag' ? Math.abs(params.points) : params.cap
+    });
+  }
+  const above50 = metrics.price_vs_ma?.above50;
+  const above200 = metrics.price_vs_ma?.above200;
+  const m3 = metrics.returns?.m3;
+  let trend = '中性';
+  if((above50 && above200) && m3!=null && m3 > config.trend.strong_return_3m) trend = '強勢';
+  if((above50===false && above200===false) && m3!=null && m3 < config.trend.weak_return_3m) trend = '弱勢';
+  return {
+    score: Math.round(clamp(score, config.min, config.max)),
+    trend,
+    breakdown,
+    scoring:{ source: config.source || 'request', hash: scoringHash(config), base: config.base }
+  };
+}
+
+export function describeScoringComponents(){
+  return Object.entries(COMPONENTS).map(([key, def])=>({ key, label: def.label, kind: def.kind }));
+}
@@ -1,8 +1,9 @@
-import axios from 'axios';
 import dayjs from 'dayjs';
-import fetch from 'node-fetch';
 import crypto from 'crypto';
 import { getCache, setCache } from './cache.js';
+import { fetchWithFixtures } from './httpFixtures.js';
+import { NEWS_KEYWORDS_SCHEMA, NEWS_SENTIMENT_SCHEMA, completeJson } from './llmSchema.js';
+import { chatCompletion, hasCredentials, resolveProviderName } from './llmProvider.js';
 
 const GDELT_ENDPOINT = 'https://api.gdeltproject.org/api/v2/doc/doc';
 const NEWS_CACHE_TTL = 6 * 60 * 60 * 1000;
@@ -20,45 +21,38 @@ function cacheKey(prefix, parts){
   return `${prefix}_${parts.filter(Boolean).join('_')}`;
 }
 
-async function callOpenRouter(openKey, model, messages, cachePrefix, ttl){
-  const hash = crypto.createHash('sha256').update(JSON.stringify({ model, messages })).digest('hex');
-  const key = cacheKey(cachePrefix, [model, hash]);
+// 回傳通過 schema 驗證的 JSON；驗證失敗（含修正重試後）時丟出錯誤且不寫入快取
+async function callLLM({ openKey, model, provider, messages, cachePrefix, ttl, schema }){
+  const providerName = resolveProviderName(provider);
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ model, provider: providerName, messages, schema: schema.name })).digest('hex');
+  const key = cacheKey(cachePrefix, [providerName, model, hash]);
   const cached = await getCache(key, ttl);
   if(cached) return cached;
-  const { data } = await axios.post('https://openrouter.ai/api/v1/chat/completions',{
-    model,
-    messages,
-    temperature:0.2
-  },{
-    headers:{ 'Authorization':`Bearer ${openKey}`, 'Content-Type':'application/json' },
-    timeout:60000
-  });
-  const text = data?.choices?.[0]?.message?.content?.trim();
-  if(!text) return null;
-  await setCache(key, text);
-  return text;
+  const send = async (history)=>{
+    const { text } = await chatCompletion({ provider: providerName, model, messages: history, apiKey: openKey, timeoutMs:60000, purpose: schema.name });
+    return text.trim();
+  };
+  const outcome = await completeJson({ send, messages, schema });
+  if(!outcome.ok) throw new Error(`invalid ${schema.name} output: ${outcome.errors.slice(0,3).join('; ')}`);
+  await setCache(key, outcome.value);
+  return outcome.value;
 }
 
-export async function getNewsKeywords(ticker, openKey, model){
+export async function getNewsKeywords(ticker, openKey, model, provider){
   const baseKey = cacheKey('news_kw', [ticker]);
   const cached = await getCache(baseKey, KEYWORD_TTL);
   if(cached) return cached;
-  if(!openKey) return [ticker];
+  if(!hasCredentials(provider, openKey)) return [ticker];
   const prompt = [
     { role:'system', content:'你是幫助投資研究的助理，請回傳 JSON 陣列，不要加入其他文字。' },
     { role:'user', content:`請列出 5 個和 ${ticker} 及其產業高度關聯的英文關鍵字，回應格式須為 ["keyword"]。` }
   ];
   try{
-    const text = await callOpenRouter(openKey, model, prompt, 'news_kw_resp', KEYWORD_TTL);
-    if(!text) return [ticker];
-    const cleaned = text.replace(/```json|```/gi,'').trim();
-    const arr = JSON.parse(cleaned);
-    if(Array.isArray(arr) && arr.length){
-      const picked = arr.map(x=>String(x||'').trim()).filter(Boolean).slice(0,5);
-      if(picked.length){
-        await setCache(baseKey, picked);
-        return picked;
-      }
+    const arr = await callLLM({ openKey, model, provider, messages: prompt, cachePrefix:'news_kw_resp', ttl: KEYWORD_TTL, schema: NEWS_KEYWORDS_SCHEMA });
+    const picked = arr.map(x=>String(x||'').trim()).filter(Boolean).slice(0,5);
+    if(picked.length){
+      await setCache(baseKey, picked);
+      return picked;
     }
     return [ticker];
   }catch(err){
@@ -92,7 +86,7 @@ function extractTags(text){
   return tags;
 }
 
-export async function fetchGdeltArticles({ ticker, keywords=[], baselineDate, monthsBack=1, max=50 }){
+export function buildGdeltUrl({ ticker, keywords=[], baselineDate, monthsBack=1, max=50 }){
   const end = dayjs(baselineDate).endOf('day');
   const start = end.subtract(monthsBack, 'month');
   const startStr = start.format('YYYYMMDD000000');
@@ -107,8 +101,12 @@ export async function fetchGdeltArticles({ ticker, keywords=[], baselineDate, mo
     startdatetime: startStr,
     enddatetime: endStr
   });
-  const url = `${GDELT_ENDPOINT}?${params.toString()}`;
-  const res = await fetch(url, { timeout: 20000 });
+  return `${GDELT_ENDPOINT}?${params.toString()}`;
+}
+
+export async function fetchGdeltArticles({ ticker, keywords=[], baselineDate, monthsBack=1, max=50 }){
+  const url = buildGdeltUrl({ ticker, keywords, baselineDate, monthsBack, max });
+  const res = await fetchWithFixtures(url, { timeout: 20000 });
   if(!res.ok) throw new Error(`GDELT ${res.status}`);
   const text = await res.text();
   let data;
@@ -134,13 +132,13 @@ export async function fetchGdeltArticles({ ticker, keywords=[], baselineDate, mo
   return articles.slice(0,20);
 }
 
-export async function analyzeNewsSentiment({ ticker, baselineDate, articles, openKey, model }){
+export async function analyzeNewsSentiment({ ticker, baselineDate, articles, openKey, model, provider }){
   if(!articles?.length) return {
     sentiment_label:'中性',
     summary:'近一個月無明顯新聞事件。',
     supporting_events:[]
   };
-  if(!openKey) return {
+  if(!hasCredentials(provider, openKey)) return {
     sentiment_label:'中性',
     summary:'缺少 LLM 金鑰，無法分析新聞情緒。',
     supporting_events: articles.slice(0,3).map(a=>({ title:a.title, url:a.url }))
@@ -150,30 +148,28 @@ export async function analyzeNewsSentiment({ ticker, baselineDate, articles, ope
     { role:'user', content: JSON.stringify({ ticker, baseline_date: baselineDate, articles }) }
   ];
   try{
-    const text = await callOpenRouter(openKey, model, messages, 'news_sentiment', NEWS_CACHE_TTL);
-    if(!text) throw new Error('empty LLM response');
-    const cleaned = text.replace(/```json|```/gi,'').trim();
-    return JSON.parse(cleaned);
+    return await callLLM({ openKey, model, provider, messages, cachePrefix:'news_sentiment', ttl: NEWS_CACHE_TTL, schema: NEWS_SENTIMENT_SCHEMA });
   }catch(err){
     console.warn('[News] sentiment failed', err.message);
     return {
       sentiment_label:'中性',
       summary:'新聞情緒分析失敗，請稍後重試。',
-      supporting_events:[]
+      supporting_events:[],
+      error: err.message
     };
   }
 }
 
-export async function buildNewsBundle({ ticker, baselineDate, openKey, model }){
-  const key = cacheKey('news_bundle', [ticker, baselineDate, model]);
+export async function buildNewsBundle({ ticker, baselineDate, openKey, model, provider }){
+  const key = cacheKey('news_bundle', [ticker, baselineDate, resolveProviderName(provider), model]);
   const cached = await getCache(key, NEWS_CACHE_TTL);
   if(cached) return cached;
   try{
-    const keywords = await getNewsKeywords(ticker, openKey, model);
+    const keywords = await getNewsKeywords(ticker, openKey, model, provider);
     const articles = await fetchGdeltArticles({ ticker, keywords, baselineDate });
-    const sentiment = await analyzeNewsSentiment({ ticker, baselineDate, articles, openKey, model });
+    const sentiment = await analyzeNewsSentiment({ ticker, baselineDate, articles, openKey, model, provider });
     const bundle = { keywords, articles, sentiment };
-    await setCache(key, bundle);
+    if(!sentiment.error) await setCache(key, bundle);
     return bundle;
   }catch(err){
     console.warn('[News] bundle failed', err.message);
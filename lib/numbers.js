@@ -0,0 +1,13 @@
+// 共用數值工具：上游 JSON、CSV 與使用者輸入的數字轉換與四捨五入，空值與無法解析的值一律為 null
+
+export function toNum(x){
+  if(x==null || x==='') return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function round(x, digits=4){
+  if(x==null || !Number.isFinite(x)) return null;
+  const f = 10 ** digits;
+  return Math.round(x * f) / f;
+}
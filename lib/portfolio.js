@@ -0,0 +1,266 @@
+import dayjs from 'dayjs';
+import { resolveProviderName } from './llmProvider.js';
+import { performAnalysis, resolveModelName, mapWithConcurrency } from './analysis.js';
+import { buildComparisonRow } from './compare.js';
+import { fetchDailySeries, sliceByDate } from './momentum.js';
+import { MARKET_BENCHMARK } from './sectors.js';
+import { toNum, round } from './numbers.js';
+
+// 投資組合分析：逐檔沿用 performAnalysis（含 analysisStore 快取），再以基準日價格計算權重與未實現損益，
+// 並由還原日線的日報酬計算持股相關係數與相對 SPY 的 beta
+
+export const MAX_PORTFOLIO_HOLDINGS = 30;
+const RETURN_SESSIONS = 252;
+const MIN_OVERLAP = 20;
+const SECTOR_LIMIT = Number(process.env.PORTFOLIO_SECTOR_LIMIT) || 0.4;
+
+// 選填的非負金額：空白為 null，其餘無法解析或為負時丟出 message
+function optionalAmount(value, message){
+  if(value==null || value==='') return null;
+  const n = toNum(value);
+  if(n==null || n < 0) throw new Error(message);
+  return n;
+}
+
+// 持股清單（上傳檔解析結果或 JSON）：同一 ticker 合併股數，成本以股數加權平均
+export function normalizeHoldings(raw){
+  let list = raw;
+  if(typeof raw === 'string'){
+    try{ list = JSON.parse(raw); }catch{ throw new Error('holdings 不是有效的 JSON'); }
+  }
+  if(!Array.isArray(list) || !list.length) throw new Error('至少需要一筆持股');
+  const merged = new Map();
+  list.forEach((item, i)=>{
+    const ticker = String(item?.ticker || '').trim().toUpperCase();
+    if(!ticker) throw new Error(`第 ${i + 1} 筆持股缺少 ticker`);
+    const shares = toNum(item.shares);
+    if(!(shares > 0)) throw new Error(`${ticker} 股數無效`);
+    const cost = optionalAmount(item.cost_basis, `${ticker} 成本無效`);
+    const stop = optionalAmount(item.stop_loss, `${ticker} 停損價無效`);
+    const prev = merged.get(ticker);
+    if(!prev){
+      merged.set(ticker, { ticker, shares, cost_basis: cost, stop_loss: stop });
+      return;
+    }
+    // 任一筆缺成本時合併後的成本未知
+    const totalCost = prev.cost_basis!=null && cost!=null ? prev.cost_basis * prev.shares + cost * shares : null;
+    prev.shares += shares;
+    prev.cost_basis = totalCost==null ? null : totalCost / prev.shares;
+    prev.stop_loss = prev.stop_loss ?? stop;
+  });
+  if(merged.size > MAX_PORTFOLIO_HOLDINGS) throw new Error(`一次最多分析 ${MAX_PORTFOLIO_HOLDINGS} 檔持股`);
+  return [...merged.values()];
+}
+
+// 由新到舊的日線轉成 date → 當日報酬，取基準日往前 sessions 個交易日
+export function dailyReturns(series, sessions=RETURN_SESSIONS){
+  const out = new Map();
+  for(let i=0;i<Math.min(sessions, series.length - 1);i++){
+    const prev = series[i+1].close;
+    if(prev > 0 && series[i].close > 0) out.set(series[i].date, series[i].close / prev - 1);
+  }
+  return out;
+}
+
+function alignedPairs(a, b){
+  const xs = [];
+  const ys = [];
+  for(const [date, x] of a){
+    if(b.has(date)){ xs.push(x); ys.push(b.get(date)); }
+  }
+  return { xs, ys };
+}
+
+function moments(xs, ys){
+  const n = xs.length;
+  const mx = xs.reduce((s,x)=>s+x,0) / n;
+  const my = ys.reduce((s,y)=>s+y,0) / n;
+  let cov = 0, vx = 0, vy = 0;
+  for(let i=0;i<n;i++){
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return { n, cov: cov / (n - 1), vx: vx / (n - 1), vy: vy / (n - 1) };
+}
+
+// 兩檔同日報酬的 Pearson 相關係數；共同交易日不足或無波動時為 null
+export function correlation(a, b){
+  const { xs, ys } = alignedPairs(a, b);
+  if(xs.length < MIN_OVERLAP) return null;
+  const m = moments(xs, ys);
+  if(!(m.vx > 0) || !(m.vy > 0)) return null;
+  return m.cov / Math.sqrt(m.vx * m.vy);
+}
+
+// beta = Cov(個股, 大盤) / Var(大盤)
+export function calcBeta(stock, market){
+  const { xs, ys } = alignedPairs(stock, market);
+  if(xs.length < MIN_OVERLAP) return null;
+  const m = moments(xs, ys);
+  return m.vy > 0 ? m.cov / m.vy : null;
+}
+
+export function correlationMatrix(returnsByTicker){
+  const tickers = Object.keys(returnsByTicker).filter(t=>returnsByTicker[t]?.size);
+  const matrix = tickers.map((a, i)=> tickers.map((b, j)=> i === j ? 1 : round(correlation(returnsByTicker[a], returnsByTicker[b]))));
+  const pairs = [];
+  for(let i=0;i<tickers.length;i++){
+    for(let j=i+1;j<tickers.length;j++){
+      if(matrix[i][j]!=null) pairs.push({ a: tickers[i], b: tickers[j], value: matrix[i][j] });
+    }
+  }
+  const average = pairs.length ? round(pairs.reduce((s,p)=>s+p.value,0) / pairs.length) : null;
+  return { tickers, matrix, average, highest: pairs.sort((x,y)=>y.value - x.value)[0] || null };
+}
+
+async function loadReturns(symbol, baselineDate){
+  try{
+    const series = await fetchDailySeries(symbol, { to: baselineDate });
+    return series ? dailyReturns(sliceByDate(series, baselineDate)) : new Map();
+  }catch(err){
+    console.warn('[Portfolio] returns failed', symbol, err.message);
+    return new Map();
+  }
+}
+
+// 加權平均只計入有分數的持股，coverage 為這些持股的權重合計
+function weightedAverage(rows, key){
+  const scored = rows.filter(r=>r.weight!=null && r[key]!=null);
+  const coverage = scored.reduce((s,r)=>s + r.weight, 0);
+  if(!coverage) return { value:null, coverage:0 };
+  return { value: round(scored.reduce((s,r)=>s + r.weight * r[key], 0) / coverage, 2), coverage: round(coverage) };
+}
+
+export function sectorConcentration(rows, limit=SECTOR_LIMIT){
+  const groups = new Map();
+  for(const r of rows.filter(x=>x.weight!=null)){
+    const key = r.sector || 'unclassified';
+    const group = groups.get(key) || { sector: key, label: r.sector_label || '未分類', weight:0, tickers:[] };
+    group.weight += r.weight;
+    group.tickers.push(r.ticker);
+    groups.set(key, group);
+  }
+  const items = [...groups.values()].map(g=>({ ...g, weight: round(g.weight) })).sort((a,b)=>b.weight - a.weight);
+  const top = items[0] || null;
+  const largest = rows.filter(x=>x.weight!=null).sort((a,b)=>b.weight - a.weight)[0];
+  return {
+    items,
+    // Herfindahl 指數：各類股權重平方和，1 代表全數集中於單一類股
+    hhi: round(items.reduce((s,g)=>s + g.weight ** 2, 0)),
+    largest_holding: largest ? { ticker: largest.ticker, weight: largest.weight } : null,
+    limit,
+    warning: top && top.weight > limit ? `${top.label} 占 ${Math.round(top.weight * 100)}%，超過 ${Math.round(limit * 100)}% 上限` : null
+  };
+}
+
+function holdingRow(holding, outcome){
+  const row = buildComparisonRow(holding.ticker, outcome);
+  const base = { ticker: row.ticker, status: row.status, shares: holding.shares, cost_basis: holding.cost_basis };
+  if(row.status !== 'ok') return { ...base, error: row.error };
+  const result = outcome.result;
+  const sector = result.momentum?.sector || {};
+  const llmStop = toNum(result.analysis?.action?.stop_loss);
+  const price = row.price;
+  const marketValue = price==null ? null : holding.shares * price;
+  const costValue = holding.cost_basis==null ? null : holding.shares * holding.cost_basis;
+  const pnl = marketValue!=null && costValue!=null ? marketValue - costValue : null;
+  return {
+    ...base,
+    price,
+    price_source: row.price_source,
+    market_value: round(marketValue, 2),
+    cost_value: round(costValue, 2),
+    unrealized_pnl: round(pnl, 2),
+    unrealized_pct: pnl!=null && costValue > 0 ? round(pnl / costValue) : null,
+    weight: null,
+    rating: row.rating,
+    llm_target: row.llm_target,
+    // 自訂停損優先，否則採用模型停損
+    stop_loss: holding.stop_loss ?? llmStop,
+    stop_source: holding.stop_loss!=null ? 'holding' : (llmStop!=null ? 'llm' : null),
+    quality_score: row.quality_score,
+    momentum_score: row.momentum_score,
+    trend: row.trend,
+    sector: sector.sector || null,
+    sector_label: sector.sector_label || null,
+    beta: null
+  };
+}
+
+function holdingFlags(rows){
+  const flags = [];
+  for(const r of rows){
+    if(r.status !== 'ok') continue;
+    if(r.rating === 'SELL') flags.push({ ticker: r.ticker, code:'sell_rating', message:'模型評級為 SELL' });
+    // SELL 評級的模型停損是放空停損（高於現價），不當作持股停損檢查
+    const checkStop = r.stop_source === 'holding' || r.rating !== 'SELL';
+    if(checkStop && r.stop_loss!=null && r.price!=null && r.price < r.stop_loss){
+      flags.push({ ticker: r.ticker, code:'below_stop', message:`現價 ${r.price} 低於${r.stop_source === 'holding' ? '自訂' : '模型'}停損 ${r.stop_loss}` });
+    }
+  }
+  return flags;
+}
+
+export function summarizePortfolio(holdings, outcomes, returnsByTicker={}, marketReturns=new Map()){
+  const rows = holdings.map((h, i)=> holdingRow(h, outcomes[i]));
+  const priced = rows.filter(r=>r.market_value!=null);
+  const totalValue = priced.reduce((s,r)=>s + r.market_value, 0);
+  for(const r of priced) r.weight = totalValue > 0 ? round(r.market_value / totalValue) : null;
+  for(const r of priced){
+    const beta = returnsByTicker[r.ticker] ? calcBeta(returnsByTicker[r.ticker], marketReturns) : null;
+    r.beta = round(beta, 3);
+  }
+  const withCost = priced.filter(r=>r.cost_value!=null);
+  const costValue = withCost.reduce((s,r)=>s + r.cost_value, 0);
+  const pnl = withCost.reduce((s,r)=>s + r.unrealized_pnl, 0);
+  const quality = weightedAverage(priced, 'quality_score');
+  const momentum = weightedAverage(priced, 'momentum_score');
+  const beta = weightedAverage(priced, 'beta');
+  const pricedReturns = Object.fromEntries(priced.map(r=>[r.ticker, returnsByTicker[r.ticker]]).filter(([, v])=>v));
+  return {
+    holdings: rows,
+    summary: {
+      holdings: rows.length,
+      analyzed: priced.length,
+      failed: rows.filter(r=>r.status !== 'ok').map(r=>r.ticker),
+      market_value: round(totalValue, 2),
+      cost_value: withCost.length ? round(costValue, 2) : null,
+      unrealized_pnl: withCost.length ? round(pnl, 2) : null,
+      unrealized_pct: costValue > 0 ? round(pnl / costValue) : null,
+      // 未提供成本的持股不計入損益
+      pnl_coverage: withCost.length ? round(withCost.reduce((s,r)=>s + r.weight, 0)) : 0,
+      weighted_quality_score: quality.value,
+      quality_coverage: quality.coverage,
+      weighted_momentum_score: momentum.value,
+      momentum_coverage: momentum.coverage
+    },
+    sectors: sectorConcentration(priced),
+    correlation: { sessions: RETURN_SESSIONS, ...correlationMatrix(pricedReturns) },
+    beta: { benchmark: MARKET_BENCHMARK, portfolio: beta.value==null ? null : round(beta.value, 3), coverage: beta.coverage, sessions: RETURN_SESSIONS },
+    flags: holdingFlags(rows)
+  };
+}
+
+export async function analyzePortfolio({ holdings, date, model, provider, momentumScoring, dcf, concurrency=3, signal }){
+  const list = normalizeHoldings(holdings);
+  const parsedDate = dayjs(date);
+  if(!date || !parsedDate.isValid()) throw new Error('invalid date format');
+  const baselineDate = parsedDate.format('YYYY-MM-DD');
+  const providerName = resolveProviderName(provider);
+  const llmModel = resolveModelName(model, providerName);
+  const outcomes = await mapWithConcurrency(list, concurrency, async (holding)=>{
+    try{
+      return { ok:true, result: await performAnalysis(holding.ticker, baselineDate, { model: llmModel, provider: providerName, momentumScoring, dcf, signal }) };
+    }catch(error){
+      if(error.name === 'AbortError') throw error;
+      return { ok:false, error };
+    }
+  });
+  // 日線在分析的動能階段已寫入價格倉庫，這裡只讀取
+  const analyzed = list.filter((h, i)=>outcomes[i].ok).map(h=>h.ticker);
+  const returns = await mapWithConcurrency(analyzed, concurrency, (ticker)=>loadReturns(ticker, baselineDate));
+  const marketReturns = await loadReturns(MARKET_BENCHMARK, baselineDate);
+  const returnsByTicker = Object.fromEntries(analyzed.map((t, i)=>[t, returns[i]]));
+  return { baseline_date: baselineDate, model: llmModel, provider: providerName, ...summarizePortfolio(list, outcomes, returnsByTicker, marketReturns) };
+}
@@ -0,0 +1,145 @@
+import { toNum, round } from './numbers.js';
+
+// 部位規劃：以帳戶規模與單筆風險比例，把 LLM 的目標價 / 停損與動能的 ATR14 轉成股數與風險報酬。
+// 股數 = 可承受虧損 ÷ 每股風險（進場價 - 停損），不使用槓桿，超過帳戶可買股數時以帳戶上限為準。
+// ATR 依動能序列的 atr14 / price 換算成百分比，再乘上基準日價格，避免基準日後的分割造成價位基準不同。
+
+const DEFAULTS = Object.freeze({
+  min_reward_risk: Number(process.env.POSITION_MIN_REWARD_RISK) || 2,
+  atr_multiple: Number(process.env.POSITION_ATR_STOP_MULTIPLE) || 2,
+  noise_atr: 1
+});
+
+const FIELDS = {
+  account_size: { min:0, exclusive:true },
+  risk_pct: { min:0, max:20, exclusive:true },
+  min_reward_risk: { min:0 },
+  atr_multiple: { min:0, max:10, exclusive:true }
+};
+
+function fail(message){
+  throw new Error(`[Sizing] invalid position sizing: ${message}`);
+}
+
+// 請求參數：{ account_size, risk_pct（百分比，1 = 1%）, min_reward_risk?, atr_multiple? }，可為物件或 JSON 字串；
+// 未提供時回傳 null（不計算部位規劃）
+export function parsePositionSizing(raw){
+  if(raw==null || raw==='') return null;
+  let parsed = raw;
+  if(typeof raw === 'string'){
+    try{ parsed = JSON.parse(raw); }catch{ fail('not valid JSON'); }
+  }
+  if(!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) fail('must be an object');
+  const out = { ...DEFAULTS };
+  for(const [key, value] of Object.entries(parsed)){
+    const rule = FIELDS[key];
+    if(!rule) fail(`unknown field "${key}"`);
+    if(value==null || value==='') continue;
+    const n = toNum(value);
+    if(n==null) fail(`${key} must be a number`);
+    if(rule.exclusive ? n <= rule.min : n < rule.min) fail(`${key} must be ${rule.exclusive ? '>' : '>='} ${rule.min}`);
+    if(rule.max!=null && n > rule.max) fail(`${key} must be <= ${rule.max}`);
+    out[key] = n;
+  }
+  if(out.account_size==null) fail('account_size is required');
+  if(out.risk_pct==null) fail('risk_pct is required');
+  return out;
+}
+
+// 由 multipart 表單欄位（批次上傳）組出同樣的參數；全部空白時回傳 null。
+// 先驗證再回傳原始欄位（不含預設值），交給 performAnalysis 時會再經 parsePositionSizing
+export function positionSizingFromFields(fields={}){
+  const picked = Object.fromEntries(Object.keys(FIELDS).filter(k=>fields[k]!=null && String(fields[k]).trim()!=='').map(k=>[k, String(fields[k]).trim()]));
+  if(!Object.keys(picked).length) return null;
+  parsePositionSizing(picked);
+  return picked;
+}
+
+function atrInfo(momentum, entry){
+  const atr = toNum(momentum?.atr14);
+  const ref = toNum(momentum?.price);
+  if(atr==null || !ref) return null;
+  const pct = atr / ref;
+  return { pct, value: pct * entry };
+}
+
+export function buildPositionPlan({ price, action, momentum }, sizing){
+  if(!sizing) return null;
+  const entry = toNum(price);
+  if(!entry || entry <= 0) return { available:false, reason:'缺少基準日價格' };
+  const target = toNum(action?.target_price);
+  const rating = action?.rating || null;
+  const atr = atrInfo(momentum, entry);
+  const warnings = [];
+  const warn = (code, message)=> warnings.push({ code, message });
+
+  let stop = toNum(action?.stop_loss);
+  // 停損在進場價之上為放空；沒有停損或停損等於進場價時，依評級改用 ATR 停損
+  let direction = stop!=null && stop > entry ? 'short' : 'long';
+  if(stop==null || stop === entry){
+    if(!atr) return { available:false, reason:'缺少停損與 ATR，無法估算每股風險' };
+    direction = rating === 'SELL' ? 'short' : 'long';
+    stop = direction === 'long' ? entry - sizing.atr_multiple * atr.value : entry + sizing.atr_multiple * atr.value;
+    warn('missing_stop', `LLM 未提供有效停損，改用 ${sizing.atr_multiple} 倍 ATR 停損`);
+  }
+  const sign = direction === 'long' ? 1 : -1;
+  const riskPerShare = (entry - stop) * sign;
+  const rewardPerShare = target==null ? null : (target - entry) * sign;
+  if(rating === 'SELL' && direction === 'long') warn('rating_mismatch', '評級為 SELL，但停損低於現價，依做多計算');
+  if(rating === 'BUY' && direction === 'short') warn('rating_mismatch', '評級為 BUY，但停損高於現價，依放空計算');
+  if(rating === 'HOLD') warn('hold_rating', '評級為 HOLD，部位規劃僅供參考');
+
+  const riskBudget = sizing.account_size * sizing.risk_pct / 100;
+  let shares = Math.floor(riskBudget / riskPerShare);
+  const affordable = Math.floor(sizing.account_size / entry);
+  if(shares > affordable){
+    shares = affordable;
+    warn('capped_by_account', `風險預算可買 ${Math.floor(riskBudget / riskPerShare)} 股，超過帳戶可買的 ${affordable} 股，以帳戶上限計算`);
+  }
+  if(shares <= 0) warn('zero_shares', '單筆風險預算不足以買進 1 股');
+
+  const rewardRisk = rewardPerShare==null ? null : rewardPerShare / riskPerShare;
+  if(rewardPerShare!=null && rewardPerShare <= 0) warn('target_wrong_side', `目標價 ${target} 不在獲利方向`);
+  else if(rewardRisk!=null && rewardRisk < sizing.min_reward_risk) warn('low_reward_risk', `風險報酬比 ${round(rewardRisk, 2)} 低於門檻 ${sizing.min_reward_risk}`);
+  if(target==null) warn('missing_target', 'LLM 未提供目標價，無法計算風險報酬比');
+
+  let stopCheck = null;
+  if(atr){
+    const multiple = riskPerShare / atr.value;
+    const atrStop = entry - sign * sizing.atr_multiple * atr.value;
+    const status = multiple < sizing.noise_atr ? 'inside_noise' : multiple < sizing.atr_multiple ? 'tighter_than_atr' : 'ok';
+    stopCheck = {
+      atr14: round(atr.value, 2),
+      atr_pct: round(atr.pct, 4),
+      stop_atr_multiple: round(multiple, 2),
+      atr_stop: round(atrStop, 2),
+      status
+    };
+    if(status === 'inside_noise') warn('stop_inside_noise', `停損距離僅 ${round(multiple, 2)} 倍 ATR，落在日常波動範圍內，容易被洗出場`);
+  }else{
+    warn('missing_atr', '缺少 ATR14，無法檢查停損距離');
+  }
+
+  return {
+    available: true,
+    direction,
+    rating,
+    entry: round(entry, 2),
+    stop_loss: round(stop, 2),
+    target_price: target,
+    account_size: sizing.account_size,
+    risk_pct: sizing.risk_pct,
+    risk_budget: round(riskBudget, 2),
+    risk_per_share: round(riskPerShare, 2),
+    reward_per_share: round(rewardPerShare, 2),
+    shares: Math.max(0, shares),
+    position_value: round(Math.max(0, shares) * entry, 2),
+    position_pct: round(Math.max(0, shares) * entry / sizing.account_size, 4),
+    dollar_risk: round(Math.max(0, shares) * riskPerShare, 2),
+    dollar_reward: rewardPerShare==null ? null : round(Math.max(0, shares) * rewardPerShare, 2),
+    reward_risk: round(rewardRisk, 2),
+    min_reward_risk: sizing.min_reward_risk,
+    stop_check: stopCheck,
+    warnings
+  };
+}
@@ -0,0 +1,161 @@
+import db from './db.js';
+import { round } from './numbers.js';
+import { nextSession } from './tradingCalendar.js';
+
+// 日線價格倉庫：symbol + date 為鍵，momentum、歷史收盤價與回測共用，避免每次重抓整段序列。
+// open/high/low/close/volume 以最近一次抓取時的股本為基準（已還原分割），adj_close 另含股利還原；
+// 分割與股利記在 price_actions，可由還原價推回當天實際成交價。price_coverage 記錄已向上游要過的日期區間。
+db.prepare(`CREATE TABLE IF NOT EXISTS daily_prices (
+  symbol TEXT NOT NULL,
+  date TEXT NOT NULL,
+  open REAL,
+  high REAL,
+  low REAL,
+  close REAL NOT NULL,
+  adj_close REAL,
+  volume REAL,
+  source TEXT NOT NULL,
+  fetched_at INTEGER NOT NULL,
+  PRIMARY KEY (symbol, date)
+)`).run();
+
+db.prepare(`CREATE TABLE IF NOT EXISTS price_actions (
+  symbol TEXT NOT NULL,
+  date TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  value REAL NOT NULL,
+  source TEXT NOT NULL,
+  PRIMARY KEY (symbol, date, kind)
+)`).run();
+
+db.prepare(`CREATE TABLE IF NOT EXISTS price_coverage (
+  symbol TEXT PRIMARY KEY,
+  first_date TEXT NOT NULL,
+  last_date TEXT NOT NULL,
+  source TEXT,
+  checked_at INTEGER NOT NULL
+)`).run();
+
+const REBASE_TOLERANCE = 1e-6;
+// 不同來源的還原方式與小數位不同，差異在此比例內視為相同
+const MIXED_SOURCE_TOLERANCE = 1e-3;
+// close 只還原分割的來源；Stooq、Finnhub、Twelve Data 的收盤價已含股利還原，只能與 adj_close 比較
+const SPLIT_ONLY_SOURCES = new Set(['yahoo_chart','alphavantage_daily']);
+// 換算比例偏離 1 超過此倍數才推定為分割（股利還原的差異遠小於此）
+const MIN_INFERRED_SPLIT = 1.2;
+
+// 換算比例 0.5 → 2:1 分割、10 → 1:10 反向分割；取分母 20 以內最接近的分數
+function inferSplitRatio(ratio){
+  const value = 1 / ratio;
+  if(!Number.isFinite(value) || value <= 0 || Math.max(value, 1 / value) < MIN_INFERRED_SPLIT) return null;
+  for(let den = 1; den <= 20; den++){
+    const num = Math.round(value * den);
+    if(num > 0 && Math.abs(num / den / value - 1) < 0.01) return num / den;
+  }
+  return round(value, 4);
+}
+
+const coverageStmt = db.prepare('SELECT * FROM price_coverage WHERE symbol=?');
+const setCoverageStmt = db.prepare(`INSERT INTO price_coverage (symbol, first_date, last_date, source, checked_at)
+VALUES (@symbol, @first_date, @last_date, @source, @now)
+ON CONFLICT(symbol) DO UPDATE SET first_date=excluded.first_date, last_date=excluded.last_date, source=excluded.source, checked_at=excluded.checked_at`);
+const rowStmt = db.prepare('SELECT * FROM daily_prices WHERE symbol=? AND date=?');
+const upsertRowStmt = db.prepare(`INSERT INTO daily_prices (symbol, date, open, high, low, close, adj_close, volume, source, fetched_at)
+VALUES (@symbol, @date, @open, @high, @low, @close, @adj_close, @volume, @source, @now)
+ON CONFLICT(symbol, date) DO UPDATE SET open=excluded.open, high=excluded.high, low=excluded.low, close=excluded.close,
+adj_close=excluded.adj_close, volume=excluded.volume, source=excluded.source, fetched_at=excluded.fetched_at`);
+const rebaseStmt = db.prepare(`UPDATE daily_prices SET open=open*@ratio, high=high*@ratio, low=low*@ratio, close=close*@ratio,
+adj_close=adj_close*@adj_ratio, volume=volume/@ratio WHERE symbol=@symbol`);
+const upsertActionStmt = db.prepare(`INSERT INTO price_actions (symbol, date, kind, value, source) VALUES (@symbol, @date, @kind, @value, @source)
+ON CONFLICT(symbol, date, kind) DO UPDATE SET value=excluded.value, source=excluded.source`);
+const rangeStmt = db.prepare('SELECT * FROM daily_prices WHERE symbol=? AND date>=? AND date<=? ORDER BY date DESC');
+const onOrBeforeStmt = db.prepare('SELECT * FROM daily_prices WHERE symbol=? AND date<=? ORDER BY date DESC LIMIT 1');
+const actionsStmt = db.prepare('SELECT date, kind, value, source FROM price_actions WHERE symbol=? AND date>? ORDER BY date');
+
+function normalizeSymbol(symbol){
+  return String(symbol || '').trim().toUpperCase();
+}
+
+export function getPriceCoverage(symbol){
+  return coverageStmt.get(normalizeSymbol(symbol)) || null;
+}
+
+// rows：[{ date, open, high, low, close, adj_close, volume }]，依抓取當下的股本還原。
+// 與既有資料重疊的最近一天若價格不同，表示之後發生分割或除息，先把舊資料整段換算到新基準再寫入。
+// 重疊列與新資料的 close 基準不同（只還原分割 vs 含股利）時只比較 adj_close，並以同一比例換算 close。
+// 來源沒有附分割紀錄（Stooq、Finnhub、Twelve Data）時，由換算比例推定分割並記在重疊日之後第一個交易日，
+// 確切除權日不明，但重疊日以前的 splitFactorAfter 都正確。
+export const savePriceRows = db.transaction(({ symbol, rows, actions=[], source, firstDate, lastDate })=>{
+  const sym = normalizeSymbol(symbol);
+  const now = Date.now();
+  let rebase = null;
+  const inferred = [];
+  const sorted = [...rows].sort((a,b)=>b.date.localeCompare(a.date));
+  for(const row of sorted){
+    const stored = rowStmt.get(sym, row.date);
+    if(!stored) continue;
+    const sameBasis = SPLIT_ONLY_SOURCES.has(stored.source) === SPLIT_ONLY_SOURCES.has(source);
+    const closeRatio = stored.close ? row.close / stored.close : 1;
+    const adjRatio = stored.adj_close && row.adj_close ? row.adj_close / stored.adj_close : closeRatio;
+    const ratio = sameBasis ? closeRatio : adjRatio;
+    const tolerance = sameBasis ? REBASE_TOLERANCE : MIXED_SOURCE_TOLERANCE;
+    if(Math.abs(ratio - 1) > tolerance || Math.abs(adjRatio - 1) > tolerance){
+      rebaseStmt.run({ symbol: sym, ratio, adj_ratio: adjRatio });
+      rebase = { date: row.date, ratio, adj_ratio: adjRatio };
+      const split = inferSplitRatio(ratio);
+      if(split && !actions.some(a=>a.kind === 'split' && a.date > row.date)){
+        const after = sorted.filter(r=>r.date > row.date).at(-1)?.date || nextSession(row.date);
+        inferred.push({ date: after, kind:'split', value: split, source:`${source}_inferred` });
+        rebase.inferred_split = { date: after, value: split };
+      }
+    }
+    break;
+  }
+  for(const row of rows){
+    upsertRowStmt.run({
+      symbol: sym,
+      date: row.date,
+      open: row.open ?? null,
+      high: row.high ?? null,
+      low: row.low ?? null,
+      close: row.close,
+      adj_close: row.adj_close ?? row.close,
+      volume: row.volume ?? null,
+      source,
+      now
+    });
+  }
+  for(const action of actions){
+    upsertActionStmt.run({ symbol: sym, date: action.date, kind: action.kind, value: action.value, source });
+  }
+  for(const action of inferred) upsertActionStmt.run({ symbol: sym, ...action });
+  const coverage = getPriceCoverage(sym);
+  setCoverageStmt.run({
+    symbol: sym,
+    first_date: coverage && coverage.first_date < firstDate ? coverage.first_date : firstDate,
+    last_date: coverage && coverage.last_date > lastDate ? coverage.last_date : lastDate,
+    source,
+    now
+  });
+  return { rebase };
+});
+
+// 由新到舊
+export function listPriceRows(symbol, from, to){
+  return rangeStmt.all(normalizeSymbol(symbol), from, to);
+}
+
+export function findPriceOnOrBefore(symbol, date){
+  return onOrBeforeStmt.get(normalizeSymbol(symbol), date) || null;
+}
+
+export function listPriceActions(symbol, after='0000-00-00'){
+  return actionsStmt.all(normalizeSymbol(symbol), after);
+}
+
+// date 之後所有分割比例的乘積：還原價 × 此值 = 當天實際成交價
+export function splitFactorAfter(symbol, date){
+  return listPriceActions(symbol, date)
+    .filter(a=>a.kind === 'split' && a.value > 0)
+    .reduce((f,a)=>f * a.value, 1);
+}
@@ -0,0 +1,54 @@
+import db from './db.js';
+
+// 分析師目標價的日期快照：上游只提供「目前」共識，每次取得就記錄一筆，歷史基準日改用基準日前最近的快照。
+// as_of 為資料生效日（Finnhub lastUpdated，沒有則為取得當天），observed_at 為實際抓取時間。
+db.prepare(`CREATE TABLE IF NOT EXISTS price_target_snapshots (
+  ticker TEXT NOT NULL,
+  as_of TEXT NOT NULL,
+  source TEXT NOT NULL,
+  target_high REAL,
+  target_low REAL,
+  target_mean REAL,
+  target_median REAL,
+  observed_at INTEGER NOT NULL,
+  PRIMARY KEY (ticker, as_of, source)
+)`).run();
+
+const SOURCE_PRIORITY = `CASE source WHEN 'finnhub' THEN 0 WHEN 'yahoo' THEN 1 ELSE 2 END`;
+
+const upsertStmt = db.prepare(`INSERT INTO price_target_snapshots (ticker, as_of, source, target_high, target_low, target_mean, target_median, observed_at)
+VALUES (@ticker, @as_of, @source, @target_high, @target_low, @target_mean, @target_median, @observed_at)
+ON CONFLICT(ticker, as_of, source) DO UPDATE SET target_high=excluded.target_high, target_low=excluded.target_low,
+target_mean=excluded.target_mean, target_median=excluded.target_median, observed_at=excluded.observed_at`);
+const nearestStmt = db.prepare(`SELECT * FROM price_target_snapshots WHERE ticker=? AND as_of<=?
+ORDER BY as_of DESC, ${SOURCE_PRIORITY} LIMIT 1`);
+
+function formatSnapshot(row){
+  if(!row) return null;
+  return {
+    source: row.source,
+    as_of: row.as_of,
+    observed_at: row.observed_at,
+    targetHigh: row.target_high,
+    targetLow: row.target_low,
+    targetMean: row.target_mean,
+    targetMedian: row.target_median
+  };
+}
+
+export function savePriceTargetSnapshot({ ticker, asOf, target }){
+  upsertStmt.run({
+    ticker: String(ticker).toUpperCase(),
+    as_of: asOf,
+    source: target.source || 'unknown',
+    target_high: target.targetHigh ?? null,
+    target_low: target.targetLow ?? null,
+    target_mean: target.targetMean ?? null,
+    target_median: target.targetMedian ?? null,
+    observed_at: Date.now()
+  });
+}
+
+export function findPriceTargetSnapshot(ticker, baselineDate){
+  return formatSnapshot(nearestStmt.get(String(ticker).toUpperCase(), baselineDate));
+}
@@ -0,0 +1,250 @@
+import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
+import { getPriceCoverage, savePriceRows, listPriceRows, findPriceOnOrBefore, splitFactorAfter } from './priceStore.js';
+import { isTradingDay, nextSession, previousSession, sessionsBetween, lastCompletedSession } from './tradingCalendar.js';
+import { toNum, round } from './numbers.js';
+
+// 日線資料來源與補缺：先查 SQLite 倉庫，只向上游要缺少的區間。
+//   沒有資料或需要更早的日期：一次抓 [from, 最近已收盤交易日]，順便取得之後的分割事件
+//   只缺最近幾天：抓 [已涵蓋的最後一天, 最近已收盤交易日]，重疊的那天用來偵測分割 / 除息後的基準變化
+// 來源依序為 Yahoo（免金鑰）→ AlphaVantage → Stooq → Finnhub → Twelve Data，每列記錄實際來源。
+
+export const SERIES_LOOKBACK_DAYS = 600;
+const MAX_STALE_SESSIONS = 5;
+
+const inflight = new Map();
+
+function unixOf(date){
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000);
+}
+
+function isoDate(unix){
+  return new Date(unix * 1000).toISOString().slice(0, 10);
+}
+
+function envKeys(keys={}){
+  return {
+    finnhubKey: keys.finnhubKey ?? process.env.FINNHUB_KEY,
+    alphaKey: keys.alphaKey ?? process.env.ALPHAVANTAGE_KEY,
+    twelveKey: keys.twelveKey ?? process.env.TWELVE_DATA_KEY
+  };
+}
+
+export function yahooChartUrl(symbol, from, to){
+  const params = new URLSearchParams({
+    interval:'1d',
+    period1: String(unixOf(from)),
+    period2: String(unixOf(to) + 86400),
+    includePrePost:'false',
+    events:'div,split'
+  });
+  return `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params.toString()}`;
+}
+
+// Yahoo 的 close 已還原分割、adjclose 另含股利
+async function fromYahoo(symbol, from, to){
+  const { data } = await axios.get(yahooChartUrl(symbol, from, to), { headers:{'User-Agent':'Mozilla/5.0'}, timeout:20000 });
+  const result = data?.chart?.result?.[0];
+  if(!result) throw new Error('Yahoo chart no data');
+  const quote = result.indicators?.quote?.[0] || {};
+  const adj = result.indicators?.adjclose?.[0]?.adjclose || [];
+  const rows = (result.timestamp || []).map((ts,i)=>({
+    date: isoDate(ts),
+    open: toNum(quote.open?.[i]),
+    high: toNum(quote.high?.[i]),
+    low: toNum(quote.low?.[i]),
+    close: toNum(quote.close?.[i]),
+    adj_close: toNum(adj[i]),
+    volume: toNum(quote.volume?.[i])
+  }));
+  const actions = [
+    ...Object.values(result.events?.splits || {}).map(s=>({ date: isoDate(s.date), kind:'split', value: toNum(s.numerator) / toNum(s.denominator) })),
+    ...Object.values(result.events?.dividends || {}).map(d=>({ date: isoDate(d.date), kind:'dividend', value: toNum(d.amount) }))
+  ];
+  return { rows, actions, source:'yahoo_chart' };
+}
+
+// AlphaVantage 給原始價格與每日分割係數，自新到舊累乘換算成與 Yahoo 相同的分割還原基準
+async function fromAlpha(symbol, from, to, { alphaKey }){
+  if(!alphaKey) throw new Error('Missing AlphaVantage key');
+  const { data } = await axios.get('https://www.alphavantage.co/query', {
+    params:{ function:'TIME_SERIES_DAILY_ADJUSTED', symbol, outputsize:'full', apikey: alphaKey },
+    timeout:20000
+  });
+  const series = data?.['Time Series (Daily)'];
+  if(!series) throw new Error(data?.Note || data?.['Error Message'] || 'AlphaVantage no data');
+  const rows = [];
+  const actions = [];
+  let factor = 1;
+  for(const [date, v] of Object.entries(series).sort(([a],[b])=>b.localeCompare(a))){
+    const coefficient = toNum(v['8. split coefficient']) || 1;
+    const dividend = toNum(v['7. dividend amount']);
+    const scale = (x)=> toNum(x)==null ? null : toNum(x) / factor;
+    rows.push({
+      date,
+      open: scale(v['1. open']),
+      high: scale(v['2. high']),
+      low: scale(v['3. low']),
+      close: scale(v['4. close']),
+      adj_close: toNum(v['5. adjusted close']),
+      volume: toNum(v['6. volume']) == null ? null : toNum(v['6. volume']) * factor
+    });
+    if(coefficient !== 1) actions.push({ date, kind:'split', value: coefficient });
+    if(dividend) actions.push({ date, kind:'dividend', value: dividend });
+    factor *= coefficient;
+  }
+  return { rows, actions, source:'alphavantage_daily' };
+}
+
+// Stooq 的 CSV 已同時還原分割與股利
+async function fromStooq(symbol, from, to){
+  const params = new URLSearchParams({ s:`${symbol.toLowerCase()}.us`, i:'d', d1: from.replace(/-/g,''), d2: to.replace(/-/g,'') });
+  const { data } = await axios.get(`https://stooq.com/q/d/l/?${params.toString()}`, { timeout:15000, responseType:'text' });
+  const lines = String(data || '').split('\n').map(l=>l.trim()).filter(Boolean);
+  if(lines.length < 2) throw new Error('Stooq no data');
+  const head = lines[0].split(',');
+  const col = (cols, name)=> toNum(cols[head.indexOf(name)]);
+  const rows = lines.slice(1).map(line=>{
+    const cols = line.split(',');
+    const close = col(cols, 'Close');
+    return { date: cols[head.indexOf('Date')], open: col(cols, 'Open'), high: col(cols, 'High'), low: col(cols, 'Low'), close, adj_close: close, volume: col(cols, 'Volume') };
+  });
+  return { rows, actions:[], source:'stooq_csv' };
+}
+
+async function fromFinnhub(symbol, from, to, { finnhubKey }){
+  if(!finnhubKey) throw new Error('Missing Finnhub key');
+  const { data } = await axios.get('https://finnhub.io/api/v1/stock/candle', {
+    params:{ symbol, resolution:'D', from: unixOf(from), to: unixOf(to) + 86400, token: finnhubKey },
+    timeout:15000
+  });
+  if(data?.s !== 'ok' || !Array.isArray(data?.t)) throw new Error(data?.s || 'Finnhub candle no data');
+  const rows = data.t.map((ts,i)=>({
+    date: isoDate(ts),
+    open: toNum(data.o?.[i]),
+    high: toNum(data.h?.[i]),
+    low: toNum(data.l?.[i]),
+    close: toNum(data.c?.[i]),
+    adj_close: toNum(data.c?.[i]),
+    volume: toNum(data.v?.[i])
+  }));
+  return { rows, actions:[], source:'finnhub_candle' };
+}
+
+async function fromTwelve(symbol, from, to, { twelveKey }){
+  if(!twelveKey) throw new Error('Missing Twelve Data key');
+  const { data } = await axios.get('https://api.twelvedata.com/time_series', {
+    params:{ symbol, interval:'1day', start_date: from, end_date: to, outputsize:5000, timezone:'America/New_York', apikey: twelveKey },
+    timeout:15000
+  });
+  if(data?.status !== 'ok' || !Array.isArray(data?.values)) throw new Error(data?.message || 'Twelve Data no data');
+  const rows = data.values.map(v=>({
+    date: String(v.datetime).slice(0, 10),
+    open: toNum(v.open),
+    high: toNum(v.high),
+    low: toNum(v.low),
+    close: toNum(v.close),
+    adj_close: toNum(v.close),
+    volume: toNum(v.volume)
+  }));
+  return { rows, actions:[], source:'twelvedata' };
+}
+
+const PROVIDERS = [fromYahoo, fromAlpha, fromStooq, fromFinnhub, fromTwelve];
+
+async function fetchRange(symbol, from, to, keys){
+  const errors = [];
+  for(const provider of PROVIDERS){
+    try{
+      const { rows, actions, source } = await provider(symbol, from, to, keys);
+      const valid = rows.filter(r=>r.close!=null && r.date >= from && r.date <= to);
+      if(valid.length) return { rows: valid, actions: actions.filter(a=>a.value), source };
+      errors.push(`${source}: no rows in range`);
+    }catch(err){
+      errors.push(err.message);
+    }
+  }
+  throw new Error(`${symbol} ${from}~${to}: ${errors.join(' | ')}`);
+}
+
+// 回傳需要向上游補抓的區間；null 表示倉庫已涵蓋
+export function missingRange(coverage, from, to, lastSession=lastCompletedSession()){
+  const end = to < lastSession ? to : lastSession;
+  const firstSession = isTradingDay(from) ? from : nextSession(from);
+  if(firstSession > end) return null;
+  if(!coverage) return { from, to: lastSession, kind:'full' };
+  if(firstSession < coverage.first_date) return { from: from < coverage.first_date ? from : coverage.first_date, to: lastSession, kind:'full' };
+  if(coverage.last_date < end && nextSession(coverage.last_date) <= end) return { from: coverage.last_date, to: lastSession, kind:'tail' };
+  return null;
+}
+
+async function fill(symbol, from, to, keys){
+  const lastSession = lastCompletedSession();
+  const range = missingRange(getPriceCoverage(symbol), from, to, lastSession);
+  if(!range) return { fetched:false };
+  const { rows, actions, source } = await fetchRange(symbol, range.from, range.to, keys);
+  const { rebase } = savePriceRows({ symbol, rows, actions, source, firstDate: range.from, lastDate: range.to });
+  if(rebase) console.warn('[Prices]', symbol, `rebased stored prices x${rebase.ratio.toFixed(6)} at ${rebase.date}`);
+  return { fetched:true, kind: range.kind, source, rows: rows.length };
+}
+
+// 同一 symbol 的補抓依序執行，後到的呼叫等前一次寫入後再判斷是否仍有缺口（批次分析時同一檔 ETF 會被多檔股票共用）
+export async function ensureDailyPrices(symbol, { from, to, keys }={}){
+  const sym = String(symbol || '').trim().toUpperCase();
+  const end = dayjs(to || undefined).format('YYYY-MM-DD');
+  const start = from ? dayjs(from).format('YYYY-MM-DD') : dayjs(end).subtract(SERIES_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD');
+  const previous = inflight.get(sym) || Promise.resolve();
+  const task = previous.catch(()=>{}).then(()=>fill(sym, start, end, envKeys(keys)));
+  inflight.set(sym, task);
+  task.catch(()=>{}).finally(()=>{ if(inflight.get(sym) === task) inflight.delete(sym); });
+  return task;
+}
+
+// 由新到舊的日線；close 為含股利的還原收盤價，open/high/low 依同比例換算，供報酬與技術指標使用
+export async function getDailySeries(symbol, { from, to, keys }={}){
+  const end = dayjs(to || undefined).format('YYYY-MM-DD');
+  const start = from ? dayjs(from).format('YYYY-MM-DD') : dayjs(end).subtract(SERIES_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD');
+  try{
+    await ensureDailyPrices(symbol, { from: start, to: end, keys });
+  }catch(err){
+    console.warn('[Prices]', err.message);
+  }
+  return listPriceRows(symbol, start, end).map(row=>{
+    const factor = row.adj_close && row.close ? row.adj_close / row.close : 1;
+    const scale = (x)=> x==null ? null : x * factor;
+    return {
+      date: row.date,
+      open: scale(row.open),
+      high: scale(row.high ?? row.close),
+      low: scale(row.low ?? row.close),
+      close: row.adj_close ?? row.close,
+      volume: row.volume || 0,
+      source: row.source
+    };
+  });
+}
+
+// 指定日期（含）以前最近交易日的收盤價。price 為當天實際成交價（推回之後的分割），
+// 供與當時的分析師目標價比較；split_adjusted / adjusted 為目前基準的還原價。
+export async function getSessionClose(symbol, date, { keys }={}){
+  const requested = dayjs(date).format('YYYY-MM-DD');
+  const session = previousSession(requested);
+  await ensureDailyPrices(symbol, { to: requested, keys });
+  const row = findPriceOnOrBefore(symbol, requested);
+  if(!row) throw new Error(`[Prices] no price for ${symbol} on or before ${requested}`);
+  const missed = row.date < session ? sessionsBetween(nextSession(row.date), session).length : 0;
+  if(missed > MAX_STALE_SESSIONS) throw new Error(`[Prices] ${symbol} has no price within ${MAX_STALE_SESSIONS} sessions of ${requested} (last ${row.date})`);
+  const splitFactor = splitFactorAfter(symbol, row.date);
+  return {
+    price: round(row.close * splitFactor),
+    split_adjusted: row.close,
+    adjusted: row.adj_close ?? row.close,
+    split_factor: splitFactor,
+    source: row.source,
+    requested_date: requested,
+    session_date: row.date,
+    expected_session: session,
+    missing_sessions: missed
+  };
+}
@@ -1,11 +1,13 @@
 import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
 import { getCache, setCache } from './cache.js';
+import { savePriceTargetSnapshot, findPriceTargetSnapshot } from './priceTargetStore.js';
+import { toNum, round } from './numbers.js';
 
 const FH_BASE = 'https://finnhub.io/api/v1';
-function toNum(x){ const n = Number(x); return Number.isFinite(n)? n : null; }
-function round2(x){ return x==null? null : Math.round(x*100)/100; }
 
-function normalizeTargets(obj={}, current=null){
+export function normalizeTargets(obj={}, current=null){
   let mean = toNum(obj.targetMean ?? obj.targetMedian);
   let hi   = toNum(obj.targetHigh);
   let lo   = toNum(obj.targetLow);
@@ -32,10 +34,10 @@ function normalizeTargets(obj={}, current=null){
 
   return {
     source: obj.source || 'aggregated',
-    targetHigh: round2(hi),
-    targetLow:  round2(lo),
-    targetMean: round2(mean),
-    targetMedian: round2(toNum(obj.targetMedian))
+    targetHigh: round(hi, 2),
+    targetLow:  round(lo, 2),
+    targetMean: round(mean, 2),
+    targetMedian: round(toNum(obj.targetMedian), 2)
   };
 }
 
@@ -88,10 +90,42 @@ export async function alphaVantageTarget(symbol, apiKey){
   }catch(err){ throw new Error(`[ALPHAVANTAGE] ${err.message}`); }
 }
 
-export async function getAggregatedPriceTarget(symbol, finnhubKey, alphaKey, current){
+async function latestPriceTarget(symbol, finnhubKey, alphaKey){
   const errors=[];
-  try{return normalizeTargets(await finnhubPriceTarget(symbol,finnhubKey),current);}catch(e){errors.push(e.message);}
-  try{return normalizeTargets(await yahooPriceTarget(symbol),current);}catch(e){errors.push(e.message);}
-  try{return normalizeTargets(await alphaVantageTarget(symbol,alphaKey),current);}catch(e){errors.push(e.message);}
+  try{return await finnhubPriceTarget(symbol,finnhubKey);}catch(e){errors.push(e.message);}
+  try{return await yahooPriceTarget(symbol);}catch(e){errors.push(e.message);}
+  try{return await alphaVantageTarget(symbol,alphaKey);}catch(e){errors.push(e.message);}
   throw new Error(errors.join(' | '));
 }
+
+// 資料生效日：Finnhub 提供 lastUpdated，其餘來源只能視為取得當天
+function validFrom(raw, today){
+  const d = raw?.lastUpdated ? dayjs(String(raw.lastUpdated).slice(0,10)) : null;
+  const date = d?.isValid() ? d.format('YYYY-MM-DD') : null;
+  return date && date <= today ? date : today;
+}
+
+// 上游只有「目前」共識：每次取得都記成快照；歷史基準日優先採用基準日前最近的快照，
+// 找不到時才以目前共識代替並標記 point_in_time: false
+export async function getAggregatedPriceTarget(symbol, finnhubKey, alphaKey, current, { baselineDate }={}){
+  const today = dayjs().format('YYYY-MM-DD');
+  const asOfDate = baselineDate && baselineDate < today ? baselineDate : today;
+  if(asOfDate < today){
+    const snapshot = findPriceTargetSnapshot(symbol, asOfDate);
+    if(snapshot){
+      return { ...normalizeTargets(snapshot, current), as_of: snapshot.as_of, point_in_time: true, age_days: dayjs(asOfDate).diff(dayjs(snapshot.as_of), 'day') };
+    }
+  }
+  const raw = await latestPriceTarget(symbol, finnhubKey, alphaKey);
+  const validAsOf = validFrom(raw, today);
+  try{ savePriceTargetSnapshot({ ticker: symbol, asOf: validAsOf, target: raw }); }
+  catch(err){ console.warn('[PriceTarget] snapshot', err.message); }
+  const pointInTime = validAsOf <= asOfDate;
+  return {
+    ...normalizeTargets(raw, current),
+    as_of: validAsOf,
+    point_in_time: pointInTime,
+    age_days: pointInTime ? dayjs(asOfDate).diff(dayjs(validAsOf), 'day') : null,
+    ...(pointInTime ? {} : { note:'基準日前沒有目標價快照，以目前共識代替（非時點資料）' })
+  };
+}
@@ -0,0 +1,373 @@
+import { toNum } from './numbers.js';
+
+// 將 analyzeWithLLM 系統提示中的大型股 / 小型股硬性過濾與打分規則轉成可重現的程式判斷。
+// 能以報價、動能、目標價與 SEC 財務數據計算者標記為 computed，其餘保留給 LLM 判斷（llm）。
+
+const LARGE_CAP_MIN = 10e9;
+const FILTERS_REQUIRED = 6;
+const SCORE_DISAGREE_RATIO = 0.3;
+
+function clamp(val, min, max){
+  return Math.max(min, Math.min(max, val));
+}
+
+function pct(x){ return x==null ? '-' : `${(x*100).toFixed(1)}%`; }
+
+function money(x){
+  if(x==null) return '-';
+  const abs = Math.abs(x);
+  if(abs >= 1e9) return `$${(x/1e9).toFixed(2)}B`;
+  if(abs >= 1e6) return `$${(x/1e6).toFixed(1)}M`;
+  return `$${x.toFixed(0)}`;
+}
+
+function computed(met, value, reason){
+  if(met==null) return { source:'unavailable', met:null, value:null, reason };
+  return { source:'computed', met:Boolean(met), value, reason };
+}
+
+function llmJudged(reason='需由 LLM 依文字資料判斷'){
+  return { source:'llm', met:null, value:null, reason };
+}
+
+function priorTtm(quarters, key){
+  const prior = (quarters || []).slice(4, 8);
+  if(prior.length < 4 || prior.some(q=>q[key]==null)) return null;
+  return prior.reduce((acc,q)=>acc+q[key],0);
+}
+
+function runwayMonths(f){
+  const fcf = toNum(f?.ttm?.fcf);
+  const cash = toNum(f?.cash?.value);
+  if(fcf==null) return null;
+  if(fcf >= 0) return Infinity;
+  if(cash==null) return null;
+  return cash / (-fcf / 12);
+}
+
+// 預期修正只採用基準日當時可得的資料（point_in_time），以目前共識代替的修正不列入規則。
+// long 為 180 天窗口，只有基準日前已有至少 180 天的快照時才有
+function epsRevisions(earnings){
+  const rev = earnings?.revisions;
+  if(!rev?.available || !rev.point_in_time) return null;
+  const window = rev.windows?.d90 ? { days:90, ...rev.windows.d90 } : rev.windows?.d30 ? { days:30, ...rev.windows.d30 } : null;
+  if(!window) return null;
+  const long = rev.windows?.d180 ? { trend: rev.trend_180d, change: rev.windows.d180.change } : null;
+  return { trend: rev.trend, days: window.days, change: window.change, long };
+}
+
+function buildContext({ price, momentum, fundamentals, priceTarget, institutions, earnings }){
+  const f = fundamentals && !fundamentals.error ? fundamentals : null;
+  return {
+    institutions: institutions?.available ? institutions : null,
+    revisions: epsRevisions(earnings),
+    beatRate: earnings?.available ? earnings.summary?.beat_rate_4q || null : null,
+    price: toNum(price ?? momentum?.price),
+    marketCap: toNum(f?.market_cap),
+    adv: toNum(momentum?.adv_3m),
+    momentumScore: toNum(momentum?.score),
+    trend: momentum?.trend || null,
+    targetMean: toNum(priceTarget?.targetMean ?? priceTarget?.targetMedian),
+    f,
+    ttm: f?.ttm || {},
+    trends: f?.trends || {}
+  };
+}
+
+const LARGE_FILTERS = [
+  { key:'market_cap', name:'市值≥$10B', keywords:['市值'], exclude:['自由流通'],
+    check:(c)=> computed(c.marketCap==null ? null : c.marketCap >= LARGE_CAP_MIN, c.marketCap, `市值 ${money(c.marketCap)}`) },
+  { key:'adv', name:'3m ADV≥$50M', keywords:['ADV','成交'],
+    check:(c)=> computed(c.adv==null ? null : c.adv >= 50e6, c.adv, `3 個月日均成交額 ${money(c.adv)}`) },
+  { key:'profitability', name:'近四季 GAAP 淨利為正且近兩季毛利/營益率擴張', keywords:['淨利','GAAP'],
+    check:(c)=>{
+      const positive = toNum(c.trends.net_income_positive_quarters);
+      const gm = c.trends.gross_margin_expanding_2q;
+      const om = c.trends.operating_margin_expanding_2q;
+      if(positive==null || (gm==null && om==null)) return computed(null, null, '財務數據不足');
+      return computed(positive === 4 && (gm === true || om === true), positive, `近四季獲利 ${positive}/4，毛利率擴張 ${gm ?? '-'}、營益率擴張 ${om ?? '-'}`);
+    } },
+  { key:'eps_revision', name:'近 6-12M EPS 一致預期上修', keywords:['EPS','預期'],
+    check:(c)=>{
+      if(!c.revisions) return llmJudged('缺少一致預期修正資料');
+      if(!c.revisions.long) return llmJudged(`僅有 ${c.revisions.days} 天的一致預期修正資料，不足 6 個月`);
+      return computed(c.revisions.long.trend === 'up', c.revisions.long.change, `未來四季 EPS 一致預期 180 天變化 ${pct(c.revisions.long.change)}`);
+    } },
+  { key:'fcf_buyback', name:'FCF 正且回購並淨縮股本', keywords:['FCF','回購'],
+    check:(c)=>{
+      const fcfPositive = c.trends.fcf_positive_ttm;
+      const shareChange = toNum(c.trends.share_change_12m);
+      if(fcfPositive==null || shareChange==null) return computed(null, null, 'FCF 或股數資料不足');
+      return computed(fcfPositive && shareChange < 0, shareChange, `TTM FCF ${money(toNum(c.ttm.fcf))}，12M 股數變化 ${pct(shareChange)}（回購殖利率以淨縮股本近似）`);
+    } },
+  { key:'float_institutional', name:'自由流通股≥50%且機構持股上升', keywords:['自由流通','機構'],
+    check:(c)=>{
+      const inst = c.institutions;
+      if(!inst?.trend) return llmJudged('缺少流通股與機構持股資料');
+      const reason = `追蹤機構 ${inst.period} 較 ${inst.previous_period} 持股變化 ${pct(inst.change_pct)}（${inst.filers_compared} 家 13F）`;
+      // 機構持股未上升即不符；上升時仍需 LLM 判斷自由流通股比例
+      if(inst.trend !== 'increasing') return computed(false, inst.change_pct, reason);
+      return llmJudged(`${reason}，自由流通股比例需由 LLM 判斷`);
+    } },
+  { key:'scarcity', name:'核心產能/資產稀缺', keywords:['產能','稀缺'],
+    check:()=> llmJudged() },
+  { key:'no_red_flags', name:'無重大監管/財務疑慮', keywords:['監管','疑慮'],
+    check:()=> llmJudged() }
+];
+
+const SMALL_FILTERS = [
+  { key:'price', name:'股價≥$3', keywords:['股價'],
+    check:(c)=> computed(c.price==null ? null : c.price >= 3, c.price, `股價 ${c.price==null ? '-' : `$${c.price.toFixed(2)}`}`) },
+  { key:'market_cap', name:'市值≥$300M', keywords:['市值'], exclude:['自由流通'],
+    check:(c)=> computed(c.marketCap==null ? null : c.marketCap >= 300e6, c.marketCap, `市值 ${money(c.marketCap)}`) },
+  { key:'float_cap', name:'自由流通市值≥$150M', keywords:['自由流通'],
+    check:()=> llmJudged('缺少自由流通股資料') },
+  { key:'adv', name:'3m ADV≥$5M', keywords:['ADV','成交'],
+    check:(c)=> computed(c.adv==null ? null : c.adv >= 5e6, c.adv, `3 個月日均成交額 ${money(c.adv)}`) },
+  { key:'revenue', name:'TTM 營收≥$100M或YoY≥30%', keywords:['營收'],
+    check:(c)=>{
+      const rev = toNum(c.ttm.revenue);
+      const yoy = toNum(c.trends.revenue_yoy);
+      if(rev==null && yoy==null) return computed(null, null, '營收資料不足');
+      return computed((rev!=null && rev >= 100e6) || (yoy!=null && yoy >= 0.3), rev, `TTM 營收 ${money(rev)}，YoY ${pct(yoy)}`);
+    } },
+  { key:'gross_margin', name:'毛利率≥30%（硬體20%）', keywords:['毛利'],
+    check:(c)=>{
+      const gm = toNum(c.ttm.gross_margin);
+      return computed(gm==null ? null : gm >= 0.3, gm, `TTM 毛利率 ${pct(gm)}（以 30% 門檻判斷，硬體業由 LLM 複核）`);
+    } },
+  { key:'ocf', name:'TTM OCF 轉正或虧損收斂≥50%', keywords:['OCF','現金流'],
+    check:(c)=>{
+      const ocf = toNum(c.ttm.ocf);
+      if(ocf==null) return computed(null, null, 'OCF 資料不足');
+      if(ocf > 0) return computed(true, ocf, `TTM OCF ${money(ocf)}`);
+      const prior = priorTtm(c.f?.quarters, 'ocf');
+      if(prior==null || prior >= 0) return computed(false, ocf, `TTM OCF ${money(ocf)}`);
+      const narrowed = (ocf - prior) / Math.abs(prior);
+      return computed(narrowed >= 0.5, ocf, `TTM OCF ${money(ocf)}，較前一年收斂 ${pct(narrowed)}`);
+    } },
+  { key:'runway', name:'現金 runway≥18m', keywords:['runway','現金'],
+    check:(c)=>{
+      const months = runwayMonths(c.f);
+      if(months==null) return computed(null, null, '現金或 FCF 資料不足');
+      return computed(months >= 18, Number.isFinite(months) ? Math.round(months) : null, Number.isFinite(months) ? `以 TTM FCF 估算 runway ${Math.round(months)} 個月` : 'FCF 為正，無燒錢壓力');
+    } },
+  { key:'dilution', name:'近12M 淨發股率≤8%', keywords:['發股','稀釋'],
+    check:(c)=>{
+      const change = toNum(c.trends.share_change_12m);
+      return computed(change==null ? null : change <= 0.08, change, `12M 股數變化 ${pct(change)}`);
+    } },
+  { key:'debt_wall', name:'負債到期牆可控無重大違約風險', keywords:['負債','違約'],
+    check:()=> llmJudged('缺少債務到期資料') }
+];
+
+function growthPoints(yoy, max){
+  if(yoy==null) return null;
+  if(yoy >= 0.2) return max;
+  if(yoy >= 0.1) return max * 0.7;
+  if(yoy >= 0) return max * 0.4;
+  return 0;
+}
+
+function upsidePoints(c, max){
+  if(c.targetMean==null || !c.price) return null;
+  const upside = c.targetMean / c.price - 1;
+  const ratio = upside >= 0.3 ? 1 : upside >= 0.15 ? 0.7 : upside >= 0.05 ? 0.4 : 0.1;
+  return { points: Math.round(max * ratio), reason:`分析師均價上檔空間 ${pct(upside)}（以目標價近似估值吸引力）` };
+}
+
+function momentumPoints(c, max){
+  if(c.momentumScore==null) return { points:null, reason:'缺少動能資料' };
+  return { points: Math.round(clamp(c.momentumScore, 0, 100) / 100 * max), reason:`動能評分 ${c.momentumScore}（${c.trend || '中性'}）` };
+}
+
+const LARGE_SCORES = [
+  { key:'theme', category:'結構性主題與供需稀缺', max:20, keywords:['主題','稀缺'] },
+  { key:'revisions', category:'EPS/營收上修+利潤率擴張', max:20, keywords:['上修','利潤率'],
+    score:(c)=>{
+      const gm = c.trends.gross_margin_expanding_2q;
+      const om = c.trends.operating_margin_expanding_2q;
+      const eps = c.revisions || c.beatRate;
+      // 有 EPS 修正或擊敗率時營收 8、利潤率 3+3、EPS 6（修正 3、近四季擊敗率 3）
+      const growth = growthPoints(toNum(c.trends.revenue_yoy), eps ? 8 : 10);
+      if(growth==null && gm==null && om==null && !eps) return null;
+      const margin = (gm ? 1 : 0) + (om ? 1 : 0);
+      const base = `營收 YoY ${pct(toNum(c.trends.revenue_yoy))}，毛利率擴張 ${gm ?? '-'}、營益率擴張 ${om ?? '-'}`;
+      if(!eps) return { points: Math.round((growth ?? 0) + margin * 5), reason:`${base}（未含 EPS 預期修正）` };
+      const revision = c.revisions ? ({ up:3, flat:1, down:0 })[c.revisions.trend] ?? 0 : 0;
+      const beatRatio = c.beatRate ? c.beatRate.beats / c.beatRate.quarters : null;
+      const beats = beatRatio==null ? 0 : beatRatio >= 0.75 ? 3 : beatRatio >= 0.5 ? 1.5 : 0;
+      const parts = [
+        c.revisions ? `EPS 預期 ${c.revisions.days} 天變化 ${pct(c.revisions.change)}` : 'EPS 預期修正資料不足',
+        c.beatRate ? `近四季擊敗 ${c.beatRate.beats}/${c.beatRate.quarters}` : null
+      ].filter(Boolean);
+      return { points: Math.round((growth ?? 0) + margin * 3 + revision + beats), reason:`${base}，${parts.join('，')}` };
+    } },
+  { key:'momentum', category:'價格動能品質', max:10, keywords:['動能'],
+    score:(c)=>{ const r = momentumPoints(c, 10); return r.points==null ? null : r; } },
+  { key:'fcf', category:'FCF與資本配置', max:10, keywords:['FCF','資本配置'],
+    score:(c)=>{
+      const fcfPositive = c.trends.fcf_positive_ttm;
+      const shareChange = toNum(c.trends.share_change_12m);
+      if(fcfPositive==null && shareChange==null) return null;
+      const points = (fcfPositive ? 5 : 0) + (shareChange!=null && shareChange <= 0 ? 5 : (shareChange!=null && shareChange <= 0.02 ? 2 : 0));
+      return { points, reason:`TTM FCF ${money(toNum(c.ttm.fcf))}，12M 股數變化 ${pct(shareChange)}` };
+    } },
+  { key:'valuation', category:'估值 vs 成長', max:10, keywords:['估值'],
+    score:(c)=> upsidePoints(c, 10) },
+  { key:'passive', category:'被動/指數動能', max:10, keywords:['被動','指數'] },
+  { key:'moat', category:'護城河/產能', max:10, keywords:['護城河'] },
+  { key:'risk', category:'風險控制', max:10, keywords:['風險'] }
+];
+
+const SMALL_SCORES = [
+  { key:'survival', category:'生存力/財務安全', max:20, keywords:['生存','財務安全'],
+    score:(c)=>{
+      const months = runwayMonths(c.f);
+      const ocf = toNum(c.ttm.ocf);
+      if(months==null && ocf==null) return null;
+      const runwayPts = months==null ? 0 : (months >= 24 ? 10 : months >= 18 ? 7 : months >= 12 ? 4 : 0);
+      const ocfPts = ocf==null ? 0 : (ocf > 0 ? 10 : 3);
+      return { points: runwayPts + ocfPts, reason:`runway ${months==null ? '-' : (Number.isFinite(months) ? `${Math.round(months)} 個月` : '無燒錢')}，TTM OCF ${money(ocf)}` };
+    } },
+  { key:'growth', category:'成長與單位經濟', max:20, keywords:['成長','單位經濟'],
+    score:(c)=>{
+      const yoy = toNum(c.trends.revenue_yoy);
+      const gm = toNum(c.ttm.gross_margin);
+      if(yoy==null && gm==null) return null;
+      const growth = yoy==null ? 0 : (yoy >= 0.3 ? 10 : yoy >= 0.15 ? 7 : yoy >= 0 ? 4 : 0);
+      const margin = gm==null ? 0 : (gm >= 0.5 ? 10 : gm >= 0.3 ? 7 : gm >= 0.2 ? 4 : 0);
+      return { points: growth + margin, reason:`營收 YoY ${pct(yoy)}，TTM 毛利率 ${pct(gm)}` };
+    } },
+  { key:'catalyst', category:'可驗證催化', max:15, keywords:['催化'] },
+  { key:'support', category:'機構與內部人支持', max:15, keywords:['機構','內部人'] },
+  { key:'momentum', category:'價格動能', max:10, keywords:['動能'],
+    score:(c)=>{ const r = momentumPoints(c, 10); return r.points==null ? null : r; } },
+  { key:'valuation', category:'估值 vs 成長', max:10, keywords:['估值'],
+    score:(c)=> upsidePoints(c, 10) },
+  { key:'governance', category:'治理與披露', max:10, keywords:['治理','披露'] }
+];
+
+// 提示詞中的檢核項目名稱與配分；fixture LLM 依此產生與規則結果無關的 profile
+export function profileRubric(segment){
+  const large = segment !== 'small_cap';
+  return {
+    filters: (large ? LARGE_FILTERS : SMALL_FILTERS).map(r=>r.name),
+    score_detail: (large ? LARGE_SCORES : SMALL_SCORES).map(r=>({ category: r.category, max: r.max }))
+  };
+}
+
+function matchesRule(rule, label){
+  const text = String(label || '');
+  if(!text) return false;
+  if((rule.exclude || []).some(k=>text.includes(k))) return false;
+  return rule.keywords.some(k=>text.toUpperCase().includes(k.toUpperCase()));
+}
+
+function findLlmItem(rule, items, used){
+  const idx = (items || []).findIndex((item, i)=> !used.has(i) && matchesRule(rule, item?.name || item?.label || item?.category));
+  if(idx < 0) return null;
+  used.add(idx);
+  return items[idx];
+}
+
+function resolveSegment(c, llmProfile){
+  if(c.marketCap!=null){
+    return { segment: c.marketCap >= LARGE_CAP_MIN ? 'large_cap' : 'small_cap', source:'computed' };
+  }
+  const llmSegment = llmProfile?.segment;
+  if(llmSegment === 'large_cap' || llmSegment === 'small_cap') return { segment: llmSegment, source:'llm' };
+  return { segment:'large_cap', source:'default' };
+}
+
+// 只計算可重現的部分，可在呼叫 LLM 前放進 payload
+export function evaluateProfileRules(inputs, llmProfile=null){
+  const c = buildContext(inputs || {});
+  const { segment, source } = resolveSegment(c, llmProfile);
+  const filterRules = segment === 'large_cap' ? LARGE_FILTERS : SMALL_FILTERS;
+  const scoreRules = segment === 'large_cap' ? LARGE_SCORES : SMALL_SCORES;
+  const filterItems = filterRules.map(rule=>({ key: rule.key, name: rule.name, ...rule.check(c) }));
+  const scoreItems = scoreRules.map(rule=>{
+    const res = rule.score ? rule.score(c) : null;
+    if(!rule.score) return { key: rule.key, category: rule.category, max: rule.max, source:'llm', points:null, reason:'需由 LLM 依文字資料判斷' };
+    if(!res) return { key: rule.key, category: rule.category, max: rule.max, source:'unavailable', points:null, reason:'資料不足' };
+    return { key: rule.key, category: rule.category, max: rule.max, source:'computed', points: clamp(res.points, 0, rule.max), reason: res.reason };
+  });
+  const computedFilters = filterItems.filter(i=>i.source === 'computed');
+  const computedScores = scoreItems.filter(i=>i.source === 'computed');
+  return {
+    segment,
+    segment_label: segment === 'large_cap' ? '大型股' : '小型股',
+    segment_source: source,
+    filters:{
+      total: filterItems.length,
+      required: FILTERS_REQUIRED,
+      computed: computedFilters.length,
+      computed_met: computedFilters.filter(i=>i.met).length,
+      items: filterItems
+    },
+    score_computed: computedScores.reduce((acc,i)=>acc+i.points,0),
+    score_computed_max: computedScores.reduce((acc,i)=>acc+i.max,0),
+    score_detail: scoreItems
+  };
+}
+
+// 將 LLM 的 profile 併入規則結果：llm 項目採用 LLM 判斷，computed 項目與 LLM 比對產生差異清單
+export function reconcileProfileRules(rules, llmProfile){
+  if(!rules) return null;
+  const disagreements = [];
+  const llmSegment = llmProfile?.segment;
+  if(llmSegment && rules.segment_source === 'computed' && llmSegment !== rules.segment){
+    disagreements.push({ field:'segment', rule: rules.segment, llm: llmSegment, note:'市值分類與 LLM 判斷不同' });
+  }
+  const filterRules = rules.segment === 'large_cap' ? LARGE_FILTERS : SMALL_FILTERS;
+  const scoreRules = rules.segment === 'large_cap' ? LARGE_SCORES : SMALL_SCORES;
+  const usedFilters = new Set();
+  const llmFilterItems = Array.isArray(llmProfile?.filters?.items) ? llmProfile.filters.items : [];
+  const filterItems = rules.filters.items.map(item=>{
+    const rule = filterRules.find(r=>r.key === item.key);
+    const llmItem = rule ? findLlmItem(rule, llmFilterItems, usedFilters) : null;
+    const llmMet = llmItem ? Boolean(llmItem.met ?? llmItem.pass) : null;
+    if(item.source === 'computed'){
+      if(llmItem && llmMet !== item.met){
+        disagreements.push({ field:`filters.${item.key}`, rule: item.met, llm: llmMet, note: item.reason });
+      }
+      return { ...item, llm_met: llmMet };
+    }
+    // LLM 判斷時保留規則端整理的資料（rule_reason），例如 13F 持股變化
+    if(!llmItem) return { ...item, met: llmMet };
+    return { ...item, met: llmMet, source:'llm', reason: llmItem.reason || item.reason, rule_reason: item.reason };
+  });
+
+  const usedScores = new Set();
+  const llmScoreItems = Array.isArray(llmProfile?.score_detail) ? llmProfile.score_detail : [];
+  const scoreItems = rules.score_detail.map(item=>{
+    const rule = scoreRules.find(r=>r.key === item.key);
+    const llmItem = rule ? findLlmItem(rule, llmScoreItems, usedScores) : null;
+    const llmPoints = llmItem ? toNum(llmItem.points ?? llmItem.score) : null;
+    if(item.source === 'computed'){
+      if(llmPoints!=null && Math.abs(llmPoints - item.points) > item.max * SCORE_DISAGREE_RATIO){
+        disagreements.push({ field:`score.${item.key}`, rule: item.points, llm: llmPoints, note: item.reason });
+      }
+      return { ...item, llm_points: llmPoints };
+    }
+    const points = llmPoints==null ? null : clamp(llmPoints, 0, item.max);
+    return { ...item, points, source: llmPoints==null ? item.source : 'llm', reason: llmItem?.reason || item.reason };
+  });
+
+  const met = filterItems.filter(i=>i.met === true).length;
+  const scoreKnown = scoreItems.every(i=>i.points!=null);
+  const score = scoreItems.reduce((acc,i)=>acc+(i.points ?? 0),0);
+  const llmScore = toNum(llmProfile?.score);
+  if(llmScore!=null && scoreKnown && Math.abs(llmScore - score) >= 10){
+    disagreements.push({ field:'score', rule: score, llm: llmScore, note:'LLM 總分與逐項加總不一致' });
+  }
+  return {
+    ...rules,
+    filters:{ ...rules.filters, met, passed: met >= rules.filters.required, items: filterItems },
+    score,
+    score_complete: scoreKnown,
+    score_detail: scoreItems,
+    disagreements
+  };
+}
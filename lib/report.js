@@ -0,0 +1,328 @@
+import * as XLSX from 'xlsx';
+import dayjs from 'dayjs';
+import { buildComparisonRow } from './compare.js';
+import { toNum } from './numbers.js';
+
+// 分析報告 Excel：摘要、每檔明細、錯誤與說明工作表。SheetJS 社群版寫檔不支援字型 / 底色，
+// 格式以數字格式（百分比、金額）、欄寬、自動篩選與超連結呈現。
+// entries：[{ ticker, date, model, result?, error?, promptVersion? }]，result 為 performAnalysis 的輸出或快照內容。
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const PCT = '0.0%';
+const MONEY = '$#,##0.00';
+const BIG_MONEY = '$#,##0';
+const DECIMAL = '0.00';
+const MAX_SHEET_NAME = 31;
+
+const SUMMARY_COLUMNS = [
+  { key:'ticker', label:'Ticker', width:9 },
+  { key:'date', label:'基準日', width:11 },
+  { key:'model', label:'模型', width:14 },
+  { key:'status', label:'狀態', width:8 },
+  { key:'price', label:'現價', z: MONEY },
+  { key:'analyst_target', label:'分析師目標價', z: MONEY },
+  { key:'analyst_upside', label:'分析師空間', z: PCT },
+  { key:'llm_target', label:'模型目標價', z: MONEY },
+  { key:'llm_upside', label:'模型空間', z: PCT },
+  { key:'stop_loss', label:'停損', z: MONEY },
+  { key:'rating', label:'建議', width:8 },
+  { key:'segment', label:'分類', width:10 },
+  { key:'quality_score', label:'體質分數', z:'0' },
+  { key:'filters', label:'硬性過濾', width:9 },
+  { key:'momentum_score', label:'動能分數', z:'0' },
+  { key:'trend', label:'趨勢', width:8 },
+  { key:'m3', label:'3M 報酬', z: PCT },
+  { key:'m12', label:'12M 報酬', z: PCT },
+  { key:'pe', label:'P/E', z:'0.0' },
+  { key:'ev_ebitda', label:'EV/EBITDA', z:'0.0' },
+  { key:'dcf_upside', label:'DCF 空間', z: PCT },
+  { key:'news_sentiment', label:'新聞情緒', width:9 },
+  { key:'sheet', label:'明細', width:18 }
+];
+
+// 儲存格可為原始值或 { v, z, link }；z 為數字格式，link 為超連結（# 開頭為活頁簿內連結）
+function cell(v, z, link){
+  return { v, z, link };
+}
+
+function isCell(c){
+  return c!=null && typeof c === 'object' && !Array.isArray(c) && 'v' in c;
+}
+
+function plain(value){
+  if(value==null || value==='') return null;
+  if(Array.isArray(value)) return value.filter(x=>x!=null && x!=='').join('\n') || null;
+  if(typeof value === 'boolean') return value ? '是' : '否';
+  return value;
+}
+
+function buildSheet(rows, widths, { autofilter }={}){
+  const ws = XLSX.utils.aoa_to_sheet(rows.map(r=>r.map(c=>plain(isCell(c) ? c.v : c))));
+  rows.forEach((r, i)=> r.forEach((c, j)=>{
+    if(!isCell(c)) return;
+    const target = ws[XLSX.utils.encode_cell({ r:i, c:j })];
+    if(!target) return;
+    if(c.z && target.t === 'n') target.z = c.z;
+    if(c.link) target.l = { Target: c.link };
+  }));
+  ws['!cols'] = widths.map(wch=>({ wch }));
+  if(autofilter && rows.length > 1) ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s:{ r:0, c:0 }, e:{ r: rows.length - 1, c: rows[0].length - 1 } }) };
+  return ws;
+}
+
+function sheetName(base, used){
+  const clean = String(base).replace(/[\[\]:*?/\\]/g, '_').slice(0, MAX_SHEET_NAME);
+  let name = clean;
+  for(let i = 2; used.has(name.toLowerCase()); i++){
+    const suffix = `_${i}`;
+    name = clean.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function mark(met){
+  if(met==null) return '-';
+  return met ? '✓' : '✗';
+}
+
+function summaryRow(entry, detailSheet){
+  const base = { ticker: entry.ticker, date: entry.date, model: entry.model };
+  if(!entry.result) return { ...base, status:'錯誤' };
+  const row = buildComparisonRow(entry.ticker, { ok:true, result: entry.result });
+  const rules = entry.result.profile_rules;
+  const filters = rules?.filters;
+  const met = filters?.items ? filters.items.filter(i=>i.met).length : null;
+  return {
+    ...base,
+    ticker: row.ticker,
+    model: entry.model || entry.result.analysis_model,
+    status: entry.result.analysis?.validation_errors ? 'LLM 無效' : '完成',
+    price: row.price,
+    analyst_target: row.analyst_target,
+    analyst_upside: row.analyst_upside,
+    llm_target: row.llm_target,
+    llm_upside: row.llm_upside,
+    stop_loss: toNum(entry.result.analysis?.action?.stop_loss),
+    rating: row.rating,
+    segment: rules?.segment_label || entry.result.analysis?.profile?.segment_label || row.segment,
+    quality_score: row.quality_score,
+    filters: met!=null ? `${met}/${filters.total}` : null,
+    momentum_score: row.momentum_score,
+    trend: row.trend,
+    m3: row.returns.m3,
+    m12: row.returns.m12,
+    pe: row.valuation.pe,
+    ev_ebitda: row.valuation.ev_ebitda,
+    dcf_upside: row.valuation.dcf_upside,
+    news_sentiment: row.news_sentiment,
+    sheet: detailSheet
+  };
+}
+
+function summarySheet(entries, detailNames){
+  const rows = [SUMMARY_COLUMNS.map(c=>c.label)];
+  entries.forEach((entry, i)=>{
+    const row = summaryRow(entry, detailNames[i]);
+    rows.push(SUMMARY_COLUMNS.map(col=>{
+      if(col.key === 'sheet') return row.sheet ? cell(row.sheet, null, `#'${row.sheet}'!A1`) : null;
+      return col.z ? cell(row[col.key] ?? null, col.z) : row[col.key] ?? null;
+    }));
+  });
+  return buildSheet(rows, SUMMARY_COLUMNS.map(c=>c.width || 12), { autofilter:true });
+}
+
+// 明細工作表由數個區塊組成：區塊標題、表頭、資料列，區塊之間空一列
+function section(rows, title, header, data){
+  if(rows.length) rows.push([]);
+  rows.push([`【${title}】`]);
+  if(header) rows.push(header);
+  if(data.length) rows.push(...data);
+  else rows.push(['（無資料）']);
+}
+
+function overviewRows(entry){
+  const result = entry.result;
+  const summary = result.fetched?.finnhub_summary || {};
+  const analysis = result.analysis || {};
+  const rules = result.profile_rules;
+  return [
+    ['Ticker', result.input?.ticker || entry.ticker],
+    ['基準日', result.input?.date || entry.date],
+    ['模型', `${result.analysis_model || entry.model || '-'}（${result.analysis_provider || '-'}）`],
+    ['快照 ID', result.snapshot_id ?? null],
+    ['現價', cell(toNum(summary.quote?.c), MONEY)],
+    ['價格來源', [summary.price_meta?.source, summary.price_meta?.as_of].filter(Boolean).join(' ') || null],
+    ['分析師平均目標價', cell(toNum(summary.price_target?.targetMean ?? summary.price_target?.targetMedian), MONEY)],
+    ['建議', analysis.action?.rating],
+    ['模型目標價', cell(toNum(analysis.action?.target_price), MONEY)],
+    ['停損', cell(toNum(analysis.action?.stop_loss), MONEY)],
+    ['理由', analysis.action?.rationale],
+    ['共識摘要', analysis.consensus_view?.summary],
+    ['共識一致度', cell(toNum(analysis.consensus_view?.agreement_ratio), PCT)],
+    ['分類', rules?.segment_label || analysis.profile?.segment_label || analysis.profile?.segment],
+    ['體質分數', cell(toNum(rules?.score_complete ? rules.score : (analysis.profile?.score ?? rules?.score)), '0')],
+    ['體質摘要', analysis.profile?.summary]
+  ];
+}
+
+function filingRows(result){
+  const urls = new Map((result.fetched?.filings || []).map(f=>[`${f.form}_${f.filingDate}`, f.url]));
+  return (result.analysis?.per_filing || []).map(f=>{
+    const five = f.five_indicators || {};
+    const url = urls.get(`${f.form}_${f.filingDate}`);
+    return [
+      url ? cell(f.form, null, url) : f.form,
+      f.filingDate,
+      f.reportDate,
+      cell(toNum(five.alignment_score), '0.0'),
+      five.key_conflicts,
+      five.valuation_rationale_stale && five.valuation_rationale ? `（DCF 已依新假設重算，以下沿用原分析）${five.valuation_rationale}` : five.valuation_rationale,
+      five.risk_factors,
+      (five.catalyst_timeline || []).map(c=>[c.event, c.window && `（${c.window}）`, c.why && `：${c.why}`].filter(Boolean).join('')),
+      f.explanation
+    ];
+  });
+}
+
+function filterRows(result){
+  const items = result.profile_rules?.filters?.items || result.analysis?.profile?.filters?.items || [];
+  // 規則無法計算時沿用 LLM 判斷（llm_met）
+  return items.map(i=>[i.name, mark(i.met ?? i.llm_met), i.source || 'llm', typeof i.value === 'object' ? null : i.value, i.reason]);
+}
+
+function scoreRows(result){
+  const items = result.profile_rules?.score_detail || result.analysis?.profile?.score_detail || [];
+  return items.map(i=>[i.category, cell(toNum(i.points), '0.0'), cell(toNum(i.max), '0'), i.source || 'llm', i.reason]);
+}
+
+function momentumRows(m){
+  const rs = m.relative_strength;
+  return [
+    ['動能分數', cell(toNum(m.score), '0')],
+    ['趨勢', m.trend],
+    ['參考日', m.reference_date],
+    ['收盤價（還原分割）', cell(toNum(m.price), MONEY)],
+    ['3 個月報酬', cell(toNum(m.returns?.m3), PCT)],
+    ['6 個月報酬', cell(toNum(m.returns?.m6), PCT)],
+    ['12 個月報酬', cell(toNum(m.returns?.m12), PCT)],
+    ['RSI14', cell(toNum(m.rsi14), DECIMAL)],
+    ['MA20 / MA50 / MA200', ['ma20','ma50','ma200'].map(k=>toNum(m.moving_averages?.[k])?.toFixed(2) ?? '-').join(' / ')],
+    ['ATR14', cell(toNum(m.atr14), DECIMAL)],
+    ['3 個月日均成交額', cell(toNum(m.adv_3m), BIG_MONEY)],
+    ['63 日年化波動度', cell(toNum(m.volatility?.realized_63d), PCT)],
+    ['一年最大回撤', cell(toNum(m.max_drawdown?.value), PCT)],
+    ['距 52 週高點', cell(toNum(m.range_52w?.from_high), PCT)],
+    [`3 個月相對 ${rs?.benchmark || '基準'}`, cell(toNum(rs?.m3), PCT)],
+    ['產業', [m.sector?.sector_label, m.sector?.industry_label].filter(Boolean).join(' / ') || null]
+  ];
+}
+
+function newsRows(result){
+  const news = result.news || {};
+  const insight = result.analysis?.news_insight || {};
+  return {
+    overview: [
+      ['情緒', news.sentiment?.sentiment_label],
+      ['情緒摘要', news.sentiment?.summary],
+      ['模型新聞解讀', insight.summary],
+      ['影響', insight.impact],
+      ['關鍵字', news.keywords]
+    ],
+    events: [
+      ...(news.sentiment?.supporting_events || []).map(e=>['情緒依據', e.title, e.reason]),
+      ...(insight.key_events || []).map(e=>['模型解讀', e.title, e.why])
+    ],
+    articles: (news.articles || []).map(a=>[a.published_at, a.source, a.url ? cell(a.title, null, a.url) : a.title, a.tags])
+  };
+}
+
+function detailSheet(entry){
+  const result = entry.result;
+  const rows = [];
+  section(rows, '概要', null, overviewRows(entry));
+  section(rows, '申報文件逐份解讀', ['表單','申報日','報告期','一致性分數','主要矛盾','估值理由','風險因子','催化時程','詳解'], filingRows(result));
+  section(rows, '硬性過濾', ['項目','符合','來源','數值','說明'], filterRows(result));
+  section(rows, '打分明細', ['類別','得分','滿分','來源','說明'], scoreRows(result));
+  section(rows, '催化劑', null, (result.analysis?.profile?.catalysts || []).map(c=>[c]));
+  const momentum = result.momentum;
+  section(rows, '動能指標', null, momentum ? momentumRows(momentum) : []);
+  section(rows, '動能評分明細', ['項目','數值','得分','上限'], (momentum?.score_breakdown || []).map(b=>[b.label, typeof b.value === 'number' ? cell(b.value, '0.0000') : b.value, cell(toNum(b.points), DECIMAL), cell(toNum(b.max), DECIMAL)]));
+  const news = newsRows(result);
+  section(rows, '新聞', null, news.overview);
+  section(rows, '新聞事件', ['類型','事件','說明'], news.events);
+  section(rows, '新聞來源', ['日期','來源','標題','標籤'], news.articles);
+  return buildSheet(rows, [22, 14, 14, 12, 40, 40, 50, 40, 80]);
+}
+
+function errorRows(entries){
+  const rows = [];
+  for(const entry of entries){
+    const base = [entry.ticker, entry.date, entry.model];
+    if(!entry.result){
+      rows.push([...base, '分析失敗', entry.error || '未知錯誤']);
+      continue;
+    }
+    for(const message of entry.result.analysis?.validation_errors || []){
+      rows.push([...base, 'LLM 輸出驗證', typeof message === 'string' ? message : JSON.stringify(message)]);
+    }
+    if(entry.result.news?.sentiment?.error) rows.push([...base, '新聞情緒', entry.result.news.sentiment.error]);
+  }
+  return rows;
+}
+
+function distinct(values){
+  return [...new Set(values.flat().filter(Boolean))];
+}
+
+function readmeSheet(entries, sheetGuide, { kind, generatedAt }){
+  const results = entries.map(e=>e.result).filter(Boolean);
+  const summaries = results.map(r=>r.fetched?.finnhub_summary || {});
+  const rows = [
+    ['項目','內容'],
+    ['報告類型', kind === 'single' ? '單筆分析' : '批次分析'],
+    ['產生時間', dayjs(generatedAt).format('YYYY-MM-DD HH:mm:ss')],
+    ['分析筆數', `${entries.length}（成功 ${results.length}、失敗 ${entries.length - results.length}）`],
+    ['基準日', distinct(entries.map(e=>e.date)).join('、')],
+    ['模型', distinct(entries.map(e=>e.result?.analysis_model || e.model)).join('、')],
+    ['LLM 供應商', distinct(results.map(r=>r.analysis_provider)).join('、')],
+    ['提示詞版本', distinct(entries.map(e=>e.promptVersion)).join('、') || '-'],
+    [],
+    ['資料來源','說明'],
+    ['SEC EDGAR', '10-K / 10-Q / 20-F / 6-K 申報全文（MD&A、風險因子）、8-K 重大事件、Form 4 內部人交易、13F 機構持股'],
+    ['SEC XBRL companyfacts', distinct(results.map(r=>r.fundamentals ? `${r.fundamentals.source}（最新季底 ${r.fundamentals.latest_period_end}）` : null)).join('、') || '-'],
+    ['價格', distinct(summaries.map(s=>s.price_meta?.source)).join('、') || '-'],
+    ['分析師目標價', distinct(summaries.map(s=>s.price_target?.source)).join('、') || '-'],
+    ['分析師評級 / EPS', 'Finnhub recommendation、earnings、EPS 預估'],
+    ['動能', `價格倉庫日線，基準 ${distinct(results.map(r=>Object.values(r.momentum?.benchmarks || {}).map(b=>b.symbol))).join('、') || '-'}`],
+    ['新聞', `GDELT（${distinct(results.map(r=>(r.news?.articles || []).map(a=>a.source))).join('、') || '無文章'}）`],
+    [],
+    ['工作表','內容'],
+    ...sheetGuide
+  ];
+  return buildSheet(rows, [22, 100]);
+}
+
+export function buildAnalysisWorkbook(entries, { kind='batch', generatedAt=new Date() }={}){
+  const wb = XLSX.utils.book_new();
+  const used = new Set(['摘要','錯誤','說明']);
+  const detailNames = entries.map(e=> e.result ? sheetName(`${e.result.input?.ticker || e.ticker}_${e.result.input?.date || e.date}`, used) : null);
+  const guide = [
+    ['摘要', '每列一筆分析：價格、目標價與空間、停損、建議、體質 / 動能分數、估值與新聞情緒，末欄連到明細工作表'],
+    ...detailNames.filter(Boolean).map(name=>[name, '申報文件逐份解讀（五大指標、風險因子、催化時程）、硬性過濾與打分明細、催化劑、動能指標、新聞事件與來源']),
+    ['錯誤', '分析失敗、LLM 輸出驗證錯誤與新聞情緒失敗'],
+    ['說明', '本工作表：模型、提示詞版本與資料來源']
+  ];
+  XLSX.utils.book_append_sheet(wb, summarySheet(entries, detailNames), '摘要');
+  entries.forEach((entry, i)=>{
+    if(detailNames[i]) XLSX.utils.book_append_sheet(wb, detailSheet(entry), detailNames[i]);
+  });
+  XLSX.utils.book_append_sheet(wb, buildSheet([['Ticker','基準日','模型','類型','訊息'], ...errorRows(entries)], [9, 11, 14, 14, 100], { autofilter:true }), '錯誤');
+  XLSX.utils.book_append_sheet(wb, readmeSheet(entries, guide, { kind, generatedAt }), '說明');
+  return wb;
+}
+
+export function workbookBuffer(wb){
+  return XLSX.write(wb, { type:'buffer', bookType:'xlsx' });
+}
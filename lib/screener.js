@@ -0,0 +1,271 @@
+import dayjs from 'dayjs';
+import { listSecTickers } from './sec.js';
+import { getCachedFundamentals } from './secFacts.js';
+import { computeMomentumMetrics } from './momentum.js';
+import { resolveScoringConfig } from './momentumScoring.js';
+import { getPriceCoverage } from './priceStore.js';
+import { getSessionClose, missingRange, SERIES_LOOKBACK_DAYS } from './prices.js';
+import { resolveProviderName } from './llmProvider.js';
+import { performAnalysis, resolveModelName, mapWithConcurrency } from './analysis.js';
+import { buildComparisonRow } from './compare.js';
+import { compileFilter } from './screenerFilter.js';
+import { round } from './numbers.js';
+
+// 選股器：先以不需 LLM 的指標（動能、報酬、RSI、成交額，以及已快取的 SEC 財報）篩選股票池，
+// 再視需要把排序前 N 名送進完整的 performAnalysis。股票池預設為 SEC company_tickers.json，
+// 只使用價格倉庫已涵蓋基準日的個股（cached_only），避免一次向上游補抓上千檔日線。
+
+const UA = process.env.SEC_USER_AGENT || 'App/1.0 (email@example.com)';
+const SEC_KEY = process.env.SEC_API_KEY || '';
+export const MAX_UNIVERSE = Number(process.env.SCREENER_MAX_UNIVERSE) || 500;
+export const MAX_ESCALATE = 10;
+const DEFAULT_LIMIT = 100;
+const DEFAULT_SORT = '-momentum_score';
+
+export const SCREENER_FIELDS = [
+  { key:'ticker', label:'Ticker' },
+  { key:'title', label:'公司名稱' },
+  { key:'price', label:'基準日還原收盤價' },
+  { key:'momentum_score', label:'動能分數' },
+  { key:'trend', label:'趨勢（強勢 / 中性 / 弱勢）' },
+  { key:'m3', label:'3 個月報酬' },
+  { key:'m6', label:'6 個月報酬' },
+  { key:'m12', label:'12 個月報酬' },
+  { key:'rs_m3', label:'3 個月相對 SPY' },
+  { key:'rsi14', label:'RSI14' },
+  { key:'adv_3m', label:'3 個月日均成交額' },
+  { key:'volume_ratio', label:'5 日 / 30 日均量比' },
+  { key:'above_ma50', label:'站上 50 日均線' },
+  { key:'above_ma200', label:'站上 200 日均線' },
+  { key:'from_high', label:'距 52 週高點' },
+  { key:'volatility_63d', label:'63 日年化波動度' },
+  { key:'max_drawdown', label:'一年最大回撤' },
+  { key:'market_cap', label:'市值（基準日成交價）' },
+  { key:'revenue_yoy', label:'單季營收年增率' },
+  { key:'gross_margin', label:'TTM 毛利率' },
+  { key:'operating_margin', label:'TTM 營業利益率' },
+  { key:'pe', label:'TTM 本益比' },
+  { key:'ps', label:'TTM 股價營收比' },
+  { key:'fcf_yield', label:'TTM 自由現金流殖利率' },
+  { key:'fundamentals_period', label:'財報最新季底' }
+];
+const FIELD_KEYS = SCREENER_FIELDS.map(f=>f.key);
+const ANALYSIS_FIELDS = ['rating','llm_target','llm_upside','quality_score','analysis_error'];
+export const SCREENER_CSV_FIELDS = ['rank', ...FIELD_KEYS, ...ANALYSIS_FIELDS];
+
+function fail(message){
+  throw new Error(`[Screener] invalid request: ${message}`);
+}
+
+function ratio(a, b){
+  return a!=null && b!=null && b > 0 ? a / b : null;
+}
+
+function intOption(raw, name, { min, max, fallback }){
+  if(raw==null || raw==='') return fallback;
+  const n = Number(raw);
+  if(!Number.isInteger(n) || n < min || n > max) fail(`${name} must be an integer between ${min} and ${max}`);
+  return n;
+}
+
+function boolOption(raw, fallback){
+  if(raw==null || raw==='') return fallback;
+  if(typeof raw === 'boolean') return raw;
+  return /^(1|true|yes|on)$/i.test(String(raw).trim());
+}
+
+// 排序：`-field` 或 `field:desc` 為由大到小，`field` / `field:asc` 為由小到大；缺值一律排最後
+export function parseSort(raw){
+  const text = String(raw || DEFAULT_SORT).trim();
+  const [, minus, name, dir] = /^(-?)([a-z_]\w*)(?::(asc|desc))?$/i.exec(text) || [];
+  if(!name) throw new Error(`[Screener] invalid sort: "${text}"`);
+  if(!FIELD_KEYS.includes(name)) throw new Error(`[Screener] invalid sort: unknown field "${name}"`);
+  return { field: name, direction: dir ? dir.toLowerCase() : (minus ? 'desc' : 'asc') };
+}
+
+export function sortRows(rows, { field, direction }){
+  const sign = direction === 'desc' ? -1 : 1;
+  const key = (row)=> typeof row[field] === 'boolean' ? Number(row[field]) : row[field];
+  return [...rows].sort((a, b)=>{
+    const x = key(a);
+    const y = key(b);
+    if(x==null || y==null) return x==null ? (y==null ? 0 : 1) : -1;
+    if(typeof x === 'string' || typeof y === 'string') return sign * String(x).localeCompare(String(y));
+    return sign * (x - y);
+  });
+}
+
+function parseTickerList(raw){
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,;]+/);
+  return [...new Set(list.map(t=>String(t || '').trim().toUpperCase()).filter(Boolean))];
+}
+
+// 驗證請求參數（API body、multipart 欄位皆為字串時也適用），錯誤訊息供 400 使用
+export function parseScreenerRequest(raw={}){
+  const date = String(raw.date || '').trim();
+  if(!date || !dayjs(date).isValid()) fail('date required');
+  const tickers = parseTickerList(raw.tickers);
+  const universe = String(raw.universe || (tickers.length ? 'list' : 'sec')).toLowerCase();
+  if(!['sec','list'].includes(universe)) fail('universe must be "sec" or "list"');
+  if(universe === 'list' && !tickers.length) fail('tickers required for a list universe');
+  if(tickers.length > MAX_UNIVERSE) fail(`at most ${MAX_UNIVERSE} tickers`);
+  return {
+    date: dayjs(date).format('YYYY-MM-DD'),
+    universe,
+    tickers: universe === 'list' ? tickers : [],
+    offset: intOption(raw.offset, 'offset', { min:0, max:100000, fallback:0 }),
+    limit: intOption(raw.limit, 'limit', { min:1, max:MAX_UNIVERSE, fallback: Math.min(DEFAULT_LIMIT, MAX_UNIVERSE) }),
+    cachedOnly: boolOption(raw.cached_only, universe === 'sec'),
+    filter: compileFilter(raw.filter, FIELD_KEYS),
+    sort: parseSort(raw.sort),
+    analyzeTop: intOption(raw.analyze_top, 'analyze_top', { min:0, max:MAX_ESCALATE, fallback:0 }),
+    model: raw.model,
+    provider: raw.provider,
+    // 篩選直接用解析後的設定計分；升級分析時沿用原始覆寫，交由 performAnalysis 處理
+    scoring: raw.momentum_scoring ? resolveScoringConfig(raw.momentum_scoring) : undefined,
+    momentumScoring: raw.momentum_scoring || undefined
+  };
+}
+
+// 價格倉庫已涵蓋動能計算取用的整段日線（基準日往前 SERIES_LOOKBACK_DAYS 天起）才算有快取；
+// 與 ensureDailyPrices 用同一個缺口判斷，篩選時不會再向上游補抓
+function hasCachedPrices(ticker, baselineDate){
+  const coverage = getPriceCoverage(ticker);
+  if(!coverage) return false;
+  const from = dayjs(baselineDate).subtract(SERIES_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD');
+  return !missingRange(coverage, from, baselineDate);
+}
+
+async function resolveUniverse(opts){
+  let entries;
+  let secIndex = [];
+  try{
+    secIndex = await listSecTickers(UA, SEC_KEY);
+  }catch(err){
+    if(opts.universe === 'sec') throw err;
+    console.warn('[Screener]', err.message);
+  }
+  if(opts.universe === 'list'){
+    const byTicker = new Map(secIndex.map(row=>[row.ticker, row]));
+    entries = opts.tickers.map(ticker=> byTicker.get(ticker) || { ticker, cik:null, title:null });
+  }else{
+    // 重複的 ticker 只取第一筆
+    const seen = new Set();
+    entries = secIndex.filter((row)=>{
+      if(seen.has(row.ticker)) return false;
+      seen.add(row.ticker);
+      return true;
+    });
+  }
+  const available = opts.cachedOnly ? entries.filter(e=>hasCachedPrices(e.ticker, opts.date)) : entries;
+  return {
+    entries: available.slice(opts.offset, opts.offset + opts.limit),
+    total: entries.length,
+    available: available.length
+  };
+}
+
+// 財報只取已快取的 companyfacts；市值以基準日實際成交價（推回分割）乘上流通股數
+async function fundamentalFields(entry, baselineDate){
+  if(!entry.cik) return {};
+  const fundamentals = await getCachedFundamentals(entry.cik, baselineDate);
+  if(!fundamentals) return {};
+  let marketCap = null;
+  const shares = fundamentals.shares_outstanding?.value;
+  if(shares){
+    try{
+      marketCap = shares * (await getSessionClose(entry.ticker, baselineDate)).price;
+    }catch(err){
+      console.warn('[Screener]', err.message);
+    }
+  }
+  const ttm = fundamentals.ttm || {};
+  return {
+    market_cap: round(marketCap, 0),
+    revenue_yoy: fundamentals.trends?.revenue_yoy ?? null,
+    gross_margin: ttm.gross_margin ?? null,
+    operating_margin: ttm.operating_margin ?? null,
+    pe: ttm.net_income > 0 ? round(ratio(marketCap, ttm.net_income), 2) : null,
+    ps: round(ratio(marketCap, ttm.revenue), 2),
+    fcf_yield: round(ratio(ttm.fcf, marketCap)),
+    fundamentals_period: fundamentals.latest_period_end
+  };
+}
+
+export async function screenTicker(entry, baselineDate, { scoring }={}){
+  const momentum = await computeMomentumMetrics(entry.ticker, baselineDate, { scoring });
+  if(!momentum) return { ticker: entry.ticker, title: entry.title, status:'no_data' };
+  const base = {
+    ticker: entry.ticker,
+    title: entry.title,
+    status: 'ok',
+    as_of: momentum.reference_date,
+    price: round(momentum.price, 2),
+    momentum_score: momentum.score,
+    trend: momentum.trend,
+    m3: round(momentum.returns?.m3),
+    m6: round(momentum.returns?.m6),
+    m12: round(momentum.returns?.m12),
+    rs_m3: round(momentum.benchmarks?.market?.relative?.m3),
+    rsi14: round(momentum.rsi14, 2),
+    adv_3m: round(momentum.adv_3m, 0),
+    volume_ratio: round(momentum.volume_ratio, 2),
+    above_ma50: momentum.price_vs_ma?.above50 ?? null,
+    above_ma200: momentum.price_vs_ma?.above200 ?? null,
+    from_high: round(momentum.range_52w?.from_high),
+    volatility_63d: round(momentum.volatility?.realized_63d),
+    max_drawdown: round(momentum.max_drawdown?.value)
+  };
+  let fundamentals = {};
+  try{
+    fundamentals = await fundamentalFields(entry, baselineDate);
+  }catch(err){
+    console.warn('[Screener] fundamentals failed', entry.ticker, err.message);
+  }
+  return { ...Object.fromEntries(FIELD_KEYS.map(k=>[k, null])), ...base, ...fundamentals };
+}
+
+async function escalate(rows, opts, concurrency, signal){
+  const providerName = resolveProviderName(opts.provider);
+  const llmModel = resolveModelName(opts.model, providerName);
+  await mapWithConcurrency(rows, concurrency, async (row)=>{
+    let outcome;
+    try{
+      outcome = { ok:true, result: await performAnalysis(row.ticker, opts.date, { model: llmModel, provider: providerName, momentumScoring: opts.momentumScoring, signal }) };
+    }catch(error){
+      if(error.name === 'AbortError') throw error;
+      outcome = { ok:false, error };
+    }
+    const compared = buildComparisonRow(row.ticker, outcome);
+    Object.assign(row, compared.status === 'ok'
+      ? { rating: compared.rating, llm_target: compared.llm_target, llm_upside: compared.llm_upside, quality_score: compared.quality_score }
+      : { analysis_error: compared.error });
+  });
+  return { model: llmModel, provider: providerName, count: rows.length };
+}
+
+export async function runScreener(raw, { concurrency=3, signal }={}){
+  const opts = parseScreenerRequest(raw);
+  const universe = await resolveUniverse(opts);
+  const screened = await mapWithConcurrency(universe.entries, concurrency, (entry)=>screenTicker(entry, opts.date, { scoring: opts.scoring }));
+  const ok = screened.filter(r=>r.status === 'ok');
+  const rows = sortRows(ok.filter(r=>opts.filter.test(r)), opts.sort).map((row, i)=>({ rank: i + 1, ...row }));
+  const analysis = opts.analyzeTop ? await escalate(rows.slice(0, opts.analyzeTop), opts, concurrency, signal) : null;
+  return {
+    baseline_date: opts.date,
+    universe: {
+      source: opts.universe,
+      cached_only: opts.cachedOnly,
+      total: universe.total,
+      available: universe.available,
+      offset: opts.offset,
+      screened: universe.entries.length,
+      no_data: screened.filter(r=>r.status !== 'ok').map(r=>r.ticker)
+    },
+    filter: { expression: opts.filter.expression, fields: opts.filter.fields },
+    sort: opts.sort,
+    matched: rows.length,
+    rows,
+    analysis
+  };
+}
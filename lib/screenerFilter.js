@@ -0,0 +1,148 @@
+// 選股器的條件式：比較（< <= > >= == !=）以 and / or / not（亦可寫 && || !）與括號組合，
+// 例如 `momentum_score >= 60 and rsi14 < 70 and (trend == "強勢" or m3 > 15%)`。
+// 數字可加 K/M/B（千 / 百萬 / 十億）或 % 後綴；欄位單獨出現時以真假值判斷；
+// 任一側缺值（null）的比較一律為 false。只解析成語法樹後求值，不使用 eval。
+
+const COMPARATORS = ['<=','>=','==','!=','<','>'];
+const SUFFIX = { k:1e3, m:1e6, b:1e9, '%':0.01 };
+const LITERALS = { true:true, false:false, null:null };
+
+function fail(message){
+  throw new Error(`[Screener] invalid filter: ${message}`);
+}
+
+function tokenize(text){
+  const tokens = [];
+  let i = 0;
+  while(i < text.length){
+    const ch = text[i];
+    if(/\s/.test(ch)){ i++; continue; }
+    if(ch === '(' || ch === ')'){ tokens.push({ type: ch, pos: i }); i++; continue; }
+    const two = text.slice(i, i + 2);
+    if(two === '&&' || two === '||'){ tokens.push({ type:'op', value: two === '&&' ? 'and' : 'or', pos: i }); i += 2; continue; }
+    const cmp = COMPARATORS.find(op=>text.startsWith(op, i));
+    if(cmp){ tokens.push({ type:'cmp', value: cmp, pos: i }); i += cmp.length; continue; }
+    if(ch === '='){ tokens.push({ type:'cmp', value:'==', pos: i }); i++; continue; }
+    if(ch === '!'){ tokens.push({ type:'op', value:'not', pos: i }); i++; continue; }
+    if(ch === '"' || ch === "'"){
+      const end = text.indexOf(ch, i + 1);
+      if(end < 0) fail(`unterminated string at ${i}`);
+      tokens.push({ type:'value', value: text.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+    const num = /^-?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?([kmb%](?![\w.]))?/i.exec(text.slice(i));
+    if(num){
+      const suffix = num[4]?.toLowerCase();
+      const base = Number(suffix ? num[0].slice(0, -1) : num[0]);
+      tokens.push({ type:'value', value: suffix ? base * SUFFIX[suffix] : base, pos: i });
+      i += num[0].length;
+      continue;
+    }
+    const word = /^[a-z_]\w*/i.exec(text.slice(i));
+    if(word){
+      const lower = word[0].toLowerCase();
+      if(lower === 'and' || lower === 'or' || lower === 'not') tokens.push({ type:'op', value: lower, pos: i });
+      else if(Object.hasOwn(LITERALS, lower)) tokens.push({ type:'value', value: LITERALS[lower], pos: i });
+      else tokens.push({ type:'field', value: word[0], pos: i });
+      i += word[0].length;
+      continue;
+    }
+    fail(`unexpected "${ch}" at ${i}`);
+  }
+  return tokens;
+}
+
+// 遞迴下降：or → and → not → comparison → primary
+function parse(tokens, fields){
+  let pos = 0;
+  const peek = ()=> tokens[pos];
+  const isOp = (value)=> peek()?.type === 'op' && peek().value === value;
+
+  function primary(){
+    const tok = tokens[pos++];
+    if(!tok) fail('unexpected end of expression');
+    if(tok.type === '('){
+      const node = orExpr();
+      if(peek()?.type !== ')') fail(`missing ")" for "(" at ${tok.pos}`);
+      pos++;
+      return node;
+    }
+    if(tok.type === 'value') return { kind:'value', value: tok.value };
+    if(tok.type === 'field'){
+      if(!fields.has(tok.value)) fail(`unknown field "${tok.value}"`);
+      return { kind:'field', name: tok.value };
+    }
+    fail(`unexpected "${tok.value ?? tok.type}" at ${tok.pos}`);
+  }
+
+  function comparison(){
+    const left = primary();
+    if(peek()?.type !== 'cmp') return left;
+    const op = tokens[pos++].value;
+    return { kind:'cmp', op, left, right: primary() };
+  }
+
+  function notExpr(){
+    if(isOp('not')){ pos++; return { kind:'not', expr: notExpr() }; }
+    return comparison();
+  }
+
+  function andExpr(){
+    let node = notExpr();
+    while(isOp('and')){ pos++; node = { kind:'and', left: node, right: notExpr() }; }
+    return node;
+  }
+
+  function orExpr(){
+    let node = andExpr();
+    while(isOp('or')){ pos++; node = { kind:'or', left: node, right: andExpr() }; }
+    return node;
+  }
+
+  const tree = orExpr();
+  if(pos < tokens.length) fail(`unexpected "${tokens[pos].value ?? tokens[pos].type}" at ${tokens[pos].pos}`);
+  return tree;
+}
+
+function compare(op, a, b){
+  if(a==null || b==null) return false;
+  if(typeof a === 'string' || typeof b === 'string'){
+    if(typeof a !== typeof b) return false;
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+  switch(op){
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '==': return a === b;
+    default: return a !== b;
+  }
+}
+
+function evaluate(node, row){
+  switch(node.kind){
+    case 'value': return node.value;
+    case 'field': return row[node.name] ?? null;
+    case 'cmp': return compare(node.op, evaluate(node.left, row), evaluate(node.right, row));
+    case 'not': return !evaluate(node.expr, row);
+    case 'and': return Boolean(evaluate(node.left, row)) && Boolean(evaluate(node.right, row));
+    default: return Boolean(evaluate(node.left, row)) || Boolean(evaluate(node.right, row));
+  }
+}
+
+function collectFields(node, out=new Set()){
+  if(node.kind === 'field') out.add(node.name);
+  for(const child of [node.left, node.right, node.expr]) if(child) collectFields(child, out);
+  return out;
+}
+
+// 編譯條件式；空字串代表不過濾。fields 為可用欄位名稱
+export function compileFilter(expression, fields){
+  const text = String(expression ?? '').trim();
+  if(!text) return { expression:'', fields:[], test:()=>true };
+  const tree = parse(tokenize(text), new Set(fields));
+  return { expression: text, fields: [...collectFields(tree)], test:(row)=>Boolean(evaluate(tree, row)) };
+}
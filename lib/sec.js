@@ -1,10 +1,43 @@
 import axios from 'axios';
+import './httpFixtures.js';
 import dayjs from 'dayjs';
 import { getCache, setCache } from './cache.js';
 
 const SUBMISSIONS = (cik)=>`https://data.sec.gov/submissions/CIK${cik}.json`;
 const INDEX_URL = 'https://www.sec.gov/files/company_tickers.json';
 const SUPPORTED_FORMS = ['10-Q','10-K','20-F','6-K'];
+const EVENT_FORMS = ['8-K','8-K/A'];
+const INSIDER_FORMS = ['4','4/A'];
+const EIGHT_K_ITEMS = {
+  '1.01':'簽訂重大協議',
+  '1.02':'終止重大協議',
+  '1.03':'破產或接管',
+  '1.04':'礦場安全事故',
+  '1.05':'重大資安事件',
+  '2.01':'完成資產收購或處分',
+  '2.02':'營運成果與財務狀況',
+  '2.03':'新增直接財務義務',
+  '2.04':'觸發加速償債事件',
+  '2.05':'退出或處分活動成本',
+  '2.06':'重大資產減損',
+  '3.01':'下市或未符上市標準通知',
+  '3.02':'未經註冊之股權銷售',
+  '3.03':'證券持有人權利重大變更',
+  '4.01':'更換簽證會計師',
+  '4.02':'先前財報不可依賴',
+  '5.01':'控制權變更',
+  '5.02':'董事或高階主管異動與薪酬安排',
+  '5.03':'公司章程或會計年度變更',
+  '5.04':'員工退休計畫交易暫停',
+  '5.05':'道德守則修訂或豁免',
+  '5.07':'股東會表決結果',
+  '5.08':'股東提名董事事項',
+  '7.01':'Regulation FD 揭露',
+  '8.01':'其他事件',
+  '9.01':'財務報表與附件'
+};
+// 可能影響財務安全或治理的事件，UI 與 LLM payload 會特別標示
+const NOTABLE_EIGHT_K_ITEMS = new Set(['1.01','1.02','1.03','1.05','2.01','2.04','2.06','3.01','4.01','4.02','5.01','5.02']);
 const FORM_LABEL = {
   '10-Q':'Form 10-Q（美國季報）',
   '10-K':'Form 10-K（美國年報）',
@@ -12,8 +45,7 @@ const FORM_LABEL = {
   '6-K':'Form 6-K（外國發行人臨時報告）'
 };
 
-export async function getCIK(ticker, userAgent, apiKey){
-  const t = ticker.toUpperCase().trim();
+async function loadTickerIndex(userAgent, apiKey){
   const key = `sec_index_all`;
   let idx = await getCache(key);
   if(!idx){
@@ -25,12 +57,38 @@ export async function getCIK(ticker, userAgent, apiKey){
       idx = data; await setCache(key, idx);
     }catch(err){ throw new Error(`[SEC] getCIK index failed: ${err.message}`); }
   }
+  return idx;
+}
+
+async function findTickerRow(ticker, userAgent, apiKey){
+  const t = ticker.toUpperCase().trim();
+  const idx = await loadTickerIndex(userAgent, apiKey);
   const row = Object.values(idx).find(x=>x.ticker?.toUpperCase()===t);
   if(!row) throw new Error('[SEC] Ticker not found in SEC index');
+  return row;
+}
+
+export async function getCIK(ticker, userAgent, apiKey){
+  const row = await findTickerRow(ticker, userAgent, apiKey);
   return String(row.cik_str).padStart(10,'0');
 }
 
-export async function getRecentFilings(cik, baselineDate, userAgent, apiKey){
+// company_tickers.json 的全部上市公司，依檔案順序（SEC 大致依市值由大到小排列），供選股器當作股票池
+export async function listSecTickers(userAgent, apiKey){
+  const idx = await loadTickerIndex(userAgent, apiKey);
+  return Object.values(idx)
+    .filter(row=>row.ticker)
+    .map(row=>({ ticker: row.ticker.toUpperCase(), cik: String(row.cik_str).padStart(10,'0'), title: row.title || null }));
+}
+
+// SEC 登記的公司名稱（例如 NVIDIA CORP），13F 以發行人名稱對應 CUSIP 時使用
+export async function getCompanyTitle(ticker, userAgent, apiKey){
+  const row = await findTickerRow(ticker, userAgent, apiKey);
+  return row.title || null;
+}
+
+// submissions 的 filings.recent 為欄位陣列，轉成逐筆申報；sic / sicDescription 供產業分類（lib/sectors.js）
+export async function getSubmissions(cik, userAgent, apiKey){
   const url = SUBMISSIONS(cik);
   const cacheKey = `sec_submissions_${cik}`;
   let data = await getCache(cacheKey);
@@ -50,18 +108,73 @@ export async function getRecentFilings(cik, baselineDate, userAgent, apiKey){
     reportDate: forms.reportDate[i],
     filingDate: forms.filingDate[i],
     accession: forms.accessionNumber[i],
-    primary: forms.primaryDocument[i]
-  })).filter(r=> SUPPORTED_FORMS.includes(r.form));
+    primary: forms.primaryDocument[i],
+    items: forms.items?.[i] || ''
+  }));
+  return { name: data.name || null, sic: data.sic || null, sicDescription: data.sicDescription || null, rows };
+}
+
+export async function getSubmissionRows(cik, userAgent, apiKey){
+  return (await getSubmissions(cik, userAgent, apiKey)).rows;
+}
+
+export function filingDocumentUrl(cik, accession, document){
+  return `https://www.sec.gov/Archives/edgar/data/${parseInt(cik,10)}/${accession.replace(/-/g,'')}/${document}`;
+}
+
+// 基準日（含）前、由新到舊；lookbackDays 有值時只取該區間
+function beforeBaseline(rows, baselineDate, lookbackDays){
   const base = dayjs(baselineDate);
-  const filtered = rows
-    .filter(r=> dayjs(r.filingDate).isBefore(base.add(1,'day')))
-    .sort((a,b)=> dayjs(b.filingDate)-dayjs(a.filingDate))
-    .slice(0,4);
-  const withLinks = filtered.map(r=>{
-    const accNo = r.accession.replace(/-/g,'');
-    const file = `https://www.sec.gov/Archives/edgar/data/${parseInt(cik,10)}/${accNo}/${r.primary}`;
-    return {...r, url:file, formLabel: FORM_LABEL[r.form] || r.form};
-  });
+  const from = lookbackDays ? base.subtract(lookbackDays,'day') : null;
+  return rows
+    .filter(r=> dayjs(r.filingDate).isBefore(base.add(1,'day')) && (!from || !dayjs(r.filingDate).isBefore(from)))
+    .sort((a,b)=> dayjs(b.filingDate)-dayjs(a.filingDate));
+}
+
+export async function getRecentFilings(cik, baselineDate, userAgent, apiKey){
+  const rows = (await getSubmissionRows(cik, userAgent, apiKey)).filter(r=> SUPPORTED_FORMS.includes(r.form));
+  const withLinks = beforeBaseline(rows, baselineDate).slice(0,4).map(r=>({
+    ...r,
+    url: filingDocumentUrl(cik, r.accession, r.primary),
+    formLabel: FORM_LABEL[r.form] || r.form
+  }));
   if(!withLinks.length) throw new Error('[SEC] No supported filings (10-Q/10-K/20-F/6-K) found before baseline');
   return withLinks;
 }
+
+export function decodeEightKItems(items){
+  return String(items || '').split(',').map(s=>s.trim()).filter(Boolean).map(code=>({
+    code,
+    label: EIGHT_K_ITEMS[code] || `Item ${code}`,
+    notable: NOTABLE_EIGHT_K_ITEMS.has(code)
+  }));
+}
+
+// 8-K 重大事件：Item 代碼由 submissions 的 items 欄位解碼，不另行下載文件
+export async function getMaterialEvents(cik, baselineDate, userAgent, apiKey, { lookbackDays=180 }={}){
+  const rows = (await getSubmissionRows(cik, userAgent, apiKey)).filter(r=> EVENT_FORMS.includes(r.form));
+  return beforeBaseline(rows, baselineDate, lookbackDays).map(r=>{
+    const items = decodeEightKItems(r.items);
+    return {
+      form: r.form,
+      filingDate: r.filingDate,
+      reportDate: r.reportDate || null,
+      accession: r.accession,
+      url: filingDocumentUrl(cik, r.accession, r.primary),
+      items,
+      notable: items.some(i=>i.notable)
+    };
+  });
+}
+
+// Form 4 的 primaryDocument 指向 XSL 轉出的頁面（xslF345X05/...），原始 XML 位於同層
+export async function getInsiderFilings(cik, baselineDate, userAgent, apiKey, { lookbackDays=180 }={}){
+  const rows = (await getSubmissionRows(cik, userAgent, apiKey)).filter(r=> INSIDER_FORMS.includes(r.form));
+  return beforeBaseline(rows, baselineDate, lookbackDays).map(r=>({
+    form: r.form,
+    filingDate: r.filingDate,
+    accession: r.accession,
+    url: filingDocumentUrl(cik, r.accession, r.primary),
+    xmlUrl: filingDocumentUrl(cik, r.accession, r.primary.replace(/^xsl[^/]*\//i,''))
+  }));
+}
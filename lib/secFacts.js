@@ -0,0 +1,310 @@
+import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
+import { getCache, setCache } from './cache.js';
+import { round } from './numbers.js';
+
+const COMPANY_FACTS = (cik)=>`https://data.sec.gov/api/xbrl/companyfacts/CIK${cik}.json`;
+const FACTS_CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_QUARTERS = 8;
+// 最新季底距基準日超過此天數視為已停止申報或標籤失效（一季 91 天 + 10-K 最長 90 天申報期限，另留緩衝）
+export const STALE_PERIOD_DAYS = 200;
+
+// 依優先順序嘗試的 XBRL 標籤（us-gaap 為主，20-F 發行人改用 ifrs-full）
+const CONCEPTS = {
+  revenue: [
+    ['us-gaap','Revenues'],
+    ['us-gaap','RevenueFromContractWithCustomerExcludingAssessedTax'],
+    ['us-gaap','RevenueFromContractWithCustomerIncludingAssessedTax'],
+    ['us-gaap','SalesRevenueNet'],
+    ['ifrs-full','Revenue']
+  ],
+  gross_profit: [
+    ['us-gaap','GrossProfit'],
+    ['ifrs-full','GrossProfit']
+  ],
+  cost_of_revenue: [
+    ['us-gaap','CostOfRevenue'],
+    ['us-gaap','CostOfGoodsAndServicesSold'],
+    ['ifrs-full','CostOfSales']
+  ],
+  operating_income: [
+    ['us-gaap','OperatingIncomeLoss'],
+    ['ifrs-full','ProfitLossFromOperatingActivities']
+  ],
+  net_income: [
+    ['us-gaap','NetIncomeLoss'],
+    ['us-gaap','ProfitLoss'],
+    ['ifrs-full','ProfitLossAttributableToOwnersOfParent'],
+    ['ifrs-full','ProfitLoss']
+  ],
+  ocf: [
+    ['us-gaap','NetCashProvidedByUsedInOperatingActivities'],
+    ['ifrs-full','CashFlowsFromUsedInOperatingActivities']
+  ],
+  capex: [
+    ['us-gaap','PaymentsToAcquirePropertyPlantAndEquipment'],
+    ['ifrs-full','PurchaseOfPropertyPlantAndEquipmentClassifiedAsInvestingActivities']
+  ],
+  depreciation: [
+    ['us-gaap','DepreciationDepletionAndAmortization'],
+    ['us-gaap','DepreciationAmortizationAndAccretionNet'],
+    ['us-gaap','DepreciationAndAmortization'],
+    ['us-gaap','Depreciation'],
+    ['ifrs-full','DepreciationAndAmortisationExpense']
+  ],
+  cash: [
+    ['us-gaap','CashAndCashEquivalentsAtCarryingValue'],
+    ['ifrs-full','CashAndCashEquivalents']
+  ],
+  short_term_investments: [
+    ['us-gaap','MarketableSecuritiesCurrent'],
+    ['us-gaap','AvailableForSaleSecuritiesDebtSecuritiesCurrent'],
+    ['us-gaap','ShortTermInvestments'],
+    ['ifrs-full','CurrentFinancialAssetsAtFairValueThroughProfitOrLoss']
+  ],
+  // LongTermDebt 已含一年內到期部分；只有 Noncurrent 時再加上 debt_current
+  debt: [
+    ['us-gaap','LongTermDebt'],
+    ['us-gaap','LongTermDebtNoncurrent'],
+    ['ifrs-full','LongtermBorrowings']
+  ],
+  debt_current: [
+    ['us-gaap','LongTermDebtCurrent'],
+    ['us-gaap','DebtCurrent'],
+    ['ifrs-full','CurrentPortionOfLongtermBorrowings']
+  ],
+  shares: [
+    ['dei','EntityCommonStockSharesOutstanding'],
+    ['us-gaap','CommonStockSharesOutstanding']
+  ]
+};
+
+function safeDiv(a, b){
+  if(a==null || b==null || b===0) return null;
+  return a / b;
+}
+
+function growth(current, previous){
+  if(current==null || previous==null || previous===0) return null;
+  return current / Math.abs(previous) - Math.sign(previous);
+}
+
+function sum(values){
+  if(values.some(v=>v==null)) return null;
+  return values.reduce((a,b)=>a+b,0);
+}
+
+function daysBetween(start, end){
+  return dayjs(end).diff(dayjs(start), 'day');
+}
+
+function isQuarterLength(days){
+  return days >= 80 && days <= 100;
+}
+
+export async function fetchCompanyFacts(cik, userAgent, apiKey){
+  const cacheKey = `sec_companyfacts_${cik}`;
+  const cached = await getCache(cacheKey, FACTS_CACHE_TTL);
+  if(cached) return cached;
+  try{
+    const { data } = await axios.get(COMPANY_FACTS(cik),{
+      headers:{ 'User-Agent': userAgent, 'Authorization': apiKey?`Bearer ${apiKey}`:undefined },
+      timeout:30000
+    });
+    await setCache(cacheKey, data);
+    return data;
+  }catch(err){
+    throw new Error(`[SEC] companyfacts failed: ${err.message}`);
+  }
+}
+
+// 取得某概念在基準日前已申報的數值；同一期間若有多次申報，保留基準日前最後一次（允許重編但不看未來）。
+// 發行人常改用新標籤（例如 ASC 606 後 SalesRevenueNet → RevenueFromContractWithCustomer...），
+// 舊標籤只剩多年前的資料，因此取最新期間最近的標籤，相同時才依 CONCEPTS 的優先順序
+function pickConcept(facts, key, baselineDate){
+  const base = dayjs(baselineDate);
+  let picked = null;
+  for(const [taxonomy, tag] of CONCEPTS[key]){
+    const units = facts?.facts?.[taxonomy]?.[tag]?.units;
+    if(!units) continue;
+    const unit = units.USD ? 'USD' : (units.shares ? 'shares' : Object.keys(units)[0]);
+    const entries = (units[unit] || []).filter(e=> e.filed && !dayjs(e.filed).isAfter(base, 'day') && Number.isFinite(Number(e.val)));
+    if(!entries.length) continue;
+    const latest = new Map();
+    for(const e of entries){
+      const id = `${e.start || ''}_${e.end}`;
+      const prev = latest.get(id);
+      if(!prev || dayjs(e.filed).isAfter(dayjs(prev.filed))) latest.set(id, e);
+    }
+    const lastEnd = entries.reduce((max, e)=> e.end > max ? e.end : max, '');
+    if(picked && lastEnd <= picked.lastEnd) continue;
+    picked = { tag:`${taxonomy}:${tag}`, unit, lastEnd, entries:[...latest.values()].map(e=>({ start:e.start || null, end:e.end, val:Number(e.val), filed:e.filed, form:e.form })) };
+  }
+  if(!picked) return null;
+  const { lastEnd, ...concept } = picked;
+  return concept;
+}
+
+// 10-Q 現金流量多為年初至今累計值，需以相鄰累計期間相減還原單季（Q4 = 全年 - 前三季）
+function quarterlyValues(concept){
+  const out = new Map();
+  if(!concept) return out;
+  const durations = concept.entries.filter(e=>e.start);
+  for(const e of durations){
+    if(isQuarterLength(daysBetween(e.start, e.end))) out.set(e.end, { value:e.val, filed:e.filed, derived:false });
+  }
+  const cumulative = durations
+    .filter(e=> daysBetween(e.start, e.end) > 100)
+    .sort((a,b)=> daysBetween(a.start, a.end) - daysBetween(b.start, b.end));
+  for(const e of cumulative){
+    if(out.has(e.end)) continue;
+    const prior = durations.find(p=> p.start === e.start && p.end !== e.end && isQuarterLength(daysBetween(p.end, e.end)));
+    if(prior){
+      out.set(e.end, { value: e.val - prior.val, filed:e.filed, derived:true });
+      continue;
+    }
+    // 只有單季與全年數字時（常見於營收），以全年扣除同年度前三季
+    const inside = [...out.entries()].filter(([end])=> dayjs(end).isAfter(dayjs(e.start)) && dayjs(end).isBefore(dayjs(e.end)));
+    const expected = Math.round(daysBetween(e.start, e.end) / 91) - 1;
+    if(expected > 0 && inside.length === expected){
+      out.set(e.end, { value: e.val - inside.reduce((acc,[,q])=>acc+q.value,0), filed:e.filed, derived:true });
+    }
+  }
+  return out;
+}
+
+function latestInstant(concept){
+  if(!concept) return null;
+  const instants = concept.entries.filter(e=>!e.start).sort((a,b)=> dayjs(b.end).valueOf() - dayjs(a.end).valueOf());
+  return instants.length ? instants : null;
+}
+
+function instantNear(instants, targetDate, toleranceDays=45){
+  if(!instants) return null;
+  const target = dayjs(targetDate);
+  return instants.find(e=> Math.abs(dayjs(e.end).diff(target, 'day')) <= toleranceDays) || null;
+}
+
+export function buildFundamentals(facts, baselineDate, { price }={}){
+  const concepts = {};
+  for(const key of Object.keys(CONCEPTS)) concepts[key] = pickConcept(facts, key, baselineDate);
+  const series = {};
+  for(const key of ['revenue','gross_profit','cost_of_revenue','operating_income','net_income','ocf','capex','depreciation']){
+    series[key] = quarterlyValues(concepts[key]);
+  }
+  const periodEnds = [...new Set([...series.revenue.keys(), ...series.net_income.keys()])]
+    .sort((a,b)=> dayjs(b).valueOf() - dayjs(a).valueOf())
+    .slice(0, MAX_QUARTERS);
+  if(!periodEnds.length) return null;
+
+  const valueAt = (key, end)=> series[key].get(end)?.value ?? null;
+  const quarters = periodEnds.map(end=>{
+    const revenue = valueAt('revenue', end);
+    const cost = valueAt('cost_of_revenue', end);
+    const grossProfit = valueAt('gross_profit', end) ?? (revenue!=null && cost!=null ? revenue - cost : null);
+    const operatingIncome = valueAt('operating_income', end);
+    const ocf = valueAt('ocf', end);
+    const capex = valueAt('capex', end);
+    const depreciation = valueAt('depreciation', end);
+    return {
+      period_end: end,
+      filed: series.revenue.get(end)?.filed || series.net_income.get(end)?.filed || null,
+      revenue,
+      gross_profit: grossProfit,
+      gross_margin: round(safeDiv(grossProfit, revenue)),
+      operating_income: operatingIncome,
+      operating_margin: round(safeDiv(operatingIncome, revenue)),
+      depreciation,
+      ebitda: operatingIncome!=null && depreciation!=null ? operatingIncome + depreciation : null,
+      net_income: valueAt('net_income', end),
+      ocf,
+      capex,
+      fcf: ocf!=null ? ocf - (capex ?? 0) : null
+    };
+  });
+
+  const last4 = quarters.slice(0, 4);
+  const hasFour = last4.length === 4;
+  const ttm = {
+    revenue: hasFour ? sum(last4.map(q=>q.revenue)) : null,
+    gross_profit: hasFour ? sum(last4.map(q=>q.gross_profit)) : null,
+    operating_income: hasFour ? sum(last4.map(q=>q.operating_income)) : null,
+    ebitda: hasFour ? sum(last4.map(q=>q.ebitda)) : null,
+    net_income: hasFour ? sum(last4.map(q=>q.net_income)) : null,
+    ocf: hasFour ? sum(last4.map(q=>q.ocf)) : null,
+    capex: hasFour ? sum(last4.map(q=>q.capex ?? 0)) : null,
+    fcf: hasFour ? sum(last4.map(q=>q.fcf)) : null
+  };
+  // 前一個 TTM（第 5–8 季），估值的成長率與 PEG 使用
+  const prev4 = quarters.slice(4, 8);
+  const ttmPrevious = prev4.length === 4
+    ? { revenue: sum(prev4.map(q=>q.revenue)), net_income: sum(prev4.map(q=>q.net_income)), fcf: sum(prev4.map(q=>q.fcf)) }
+    : null;
+  ttm.gross_margin = round(safeDiv(ttm.gross_profit, ttm.revenue));
+  ttm.operating_margin = round(safeDiv(ttm.operating_income, ttm.revenue));
+
+  const sharesList = latestInstant(concepts.shares);
+  const sharesLatest = sharesList?.[0] || null;
+  const sharesYearAgo = sharesLatest ? instantNear(sharesList, dayjs(sharesLatest.end).subtract(1, 'year')) : null;
+  const cashLatest = latestInstant(concepts.cash)?.[0] || null;
+  const stiLatest = latestInstant(concepts.short_term_investments)?.[0] || null;
+  const debtLatest = latestInstant(concepts.debt)?.[0] || null;
+  const debtCurrent = concepts.debt?.tag === 'us-gaap:LongTermDebt' ? null : latestInstant(concepts.debt_current)?.[0] || null;
+  const totalDebt = debtLatest || debtCurrent
+    ? { value: (debtLatest?.val ?? 0) + (debtCurrent && (!debtLatest || debtCurrent.end === debtLatest.end) ? debtCurrent.val : 0), as_of: (debtLatest || debtCurrent).end }
+    : null;
+  const yearAgoEnd = dayjs(quarters[0].period_end).subtract(1, 'year');
+  const yearAgoQuarter = quarters.find(q=> Math.abs(dayjs(q.period_end).diff(yearAgoEnd, 'day')) <= 20) || null;
+
+  const trends = {
+    revenue_qoq: round(growth(quarters[0].revenue, quarters[1]?.revenue)),
+    revenue_yoy: round(growth(quarters[0].revenue, yearAgoQuarter?.revenue)),
+    gross_margin_expanding_2q: quarters.length >= 3 && quarters[0].gross_margin!=null && quarters[1].gross_margin!=null && quarters[2].gross_margin!=null
+      ? quarters[0].gross_margin > quarters[1].gross_margin && quarters[1].gross_margin > quarters[2].gross_margin
+      : null,
+    operating_margin_expanding_2q: quarters.length >= 3 && quarters[0].operating_margin!=null && quarters[1].operating_margin!=null && quarters[2].operating_margin!=null
+      ? quarters[0].operating_margin > quarters[1].operating_margin && quarters[1].operating_margin > quarters[2].operating_margin
+      : null,
+    net_income_positive_quarters: last4.filter(q=>q.net_income!=null && q.net_income > 0).length,
+    fcf_positive_ttm: ttm.fcf!=null ? ttm.fcf > 0 : null,
+    share_change_12m: sharesLatest && sharesYearAgo ? round(sharesLatest.val / sharesYearAgo.val - 1) : null
+  };
+
+  const priceNum = Number(price);
+  const marketCap = sharesLatest && Number.isFinite(priceNum) && priceNum > 0 ? sharesLatest.val * priceNum : null;
+  return {
+    source: 'sec_companyfacts',
+    entity_name: facts?.entityName || null,
+    as_of: baselineDate,
+    latest_period_end: quarters[0].period_end,
+    period_lag_days: daysBetween(quarters[0].period_end, baselineDate),
+    stale: daysBetween(quarters[0].period_end, baselineDate) > STALE_PERIOD_DAYS,
+    quarters,
+    ttm,
+    ttm_previous: ttmPrevious,
+    trends,
+    shares_outstanding: sharesLatest ? { value: sharesLatest.val, as_of: sharesLatest.end } : null,
+    cash: cashLatest ? { value: cashLatest.val, as_of: cashLatest.end } : null,
+    short_term_investments: stiLatest ? { value: stiLatest.val, as_of: stiLatest.end } : null,
+    debt: totalDebt,
+    market_cap: marketCap,
+    concepts: Object.fromEntries(Object.entries(concepts).map(([k,v])=>[k, v?.tag || null]))
+  };
+}
+
+// 只讀快取的 companyfacts（選股器用，不對 SEC 發出請求）；沒有快取、沒有季度資料或資料過舊時回傳 null
+export async function getCachedFundamentals(cik, baselineDate, { price }={}){
+  const facts = await getCache(`sec_companyfacts_${cik}`, FACTS_CACHE_TTL);
+  const fundamentals = facts ? buildFundamentals(facts, baselineDate, { price }) : null;
+  return fundamentals && !fundamentals.stale ? fundamentals : null;
+}
+
+// 過舊的財報不交給估值、規則與 LLM，避免以多年前的營收與 TTM 當作現況
+export async function getFundamentals(cik, baselineDate, { userAgent, apiKey, price }={}){
+  const facts = await fetchCompanyFacts(cik, userAgent, apiKey);
+  const fundamentals = buildFundamentals(facts, baselineDate, { price });
+  if(!fundamentals) throw new Error('[SEC] companyfacts has no quarterly data before baseline');
+  if(fundamentals.stale) throw new Error(`[SEC] latest quarterly data ends ${fundamentals.latest_period_end}, ${fundamentals.period_lag_days} days before baseline`);
+  return fundamentals;
+}
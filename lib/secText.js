@@ -1,23 +1,193 @@
 import axios from 'axios';
-import TurndownService from 'turndown';
+import './httpFixtures.js';
 import { getCache, setCache } from './cache.js';
 
-export async function fetchMDA(url, userAgent){
-  const key = `sec_mda_${encodeURIComponent(url)}`;
+// 10-K / 10-Q / 20-F 章節解析：依 Item 標題切出 MD&A、Risk Factors、Liquidity and Capital Resources，
+// 去除數字表格、頁首頁尾與目錄，再依字數預算截斷，避免把目錄頁或財報表格送進 LLM
+
+export const SECTION_BUDGETS = { mda: 6000, risk_factors: 3000, liquidity: 2000 };
+
+const MDA_TITLE = /management.{0,3}s\s+discussion\s+and\s+analysis|operating\s+and\s+financial\s+review/i;
+const RISK_TITLE = /^risk\s+factors/i;
+const MDA_ITEMS = { '10-K':['7'], '10-Q':['2'], '20-F':['5'] };
+const RISK_ITEMS = { '10-K':['1A'], '10-Q':['1A'], '20-F':['3'] };
+const ITEM_HEADING = /^item\s*(\d{1,2}[a-z]?)\s*[.:\-–—]?\s*(.*)$/i;
+const RISK_SUBHEADING = /^(?:d\s*[.\-–—]\s*)?risk\s+factors\.?$/i;
+const LIQUIDITY_HEADING = /^(?:b\s*[.\-–—]\s*)?liquidity\s+and\s+capital\s+resources\.?$/i;
+// MD&A 內 Liquidity 之後常見的下一個小節
+const LIQUIDITY_STOP = /^(?:[a-g]\s*[.\-–—]\s*)?(critical\s+accounting|contractual\s+obligations|off[-\s]balance\s+sheet|recent(ly)?\s+(issued|adopted)\s+accounting|adoption\s+of\s+new|research\s+and\s+development,\s+patents|trend\s+information|quantitative\s+and\s+qualitative|non-gaap)/i;
+const BLOCK_TAGS = /<\/?(p|div|br|tr|li|h[1-6]|section|article|ul|ol|center|title|hr)\b[^>]*>/gi;
+const NAMED_ENTITIES = { nbsp:' ', amp:'&', lt:'<', gt:'>', quot:'"', apos:"'", rsquo:'’', lsquo:'‘', ldquo:'“', rdquo:'”', mdash:'—', ndash:'–', bull:'•', middot:'·', hellip:'…', sect:'§', reg:'®', trade:'™', copy:'©' };
+
+function decodeEntities(text){
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_,hex)=>String.fromCodePoint(parseInt(hex,16)))
+    .replace(/&#(\d+);/g, (_,dec)=>String.fromCodePoint(Number(dec)))
+    .replace(/&([a-z]+);/gi, (m,name)=>NAMED_ENTITIES[name.toLowerCase()] ?? m);
+}
+
+function stripTags(html){
+  return decodeEntities(html.replace(/<[^>]+>/g,' ')).replace(/[\s ]+/g,' ').trim();
+}
+
+// 以數字為主的表格（財務報表、明細）整張丟棄；版面用表格（Item 標題、條列）保留文字
+function tableToText(table){
+  const rows = table.split(/<\/tr>/i).map(row=>stripTags(row.replace(/<\/t[dh]>/gi,' '))).filter(Boolean);
+  const compact = rows.join('').replace(/\s+/g,'');
+  if(!compact) return '\n';
+  const digits = (compact.match(/[\d$%()]/g) || []).length;
+  if(digits / compact.length > 0.15) return '\n';
+  return `\n${rows.join('\n')}\n`;
+}
+
+export function htmlToLines(html){
+  const cleaned = String(html || '')
+    .replace(/<ix:header[\s\S]*?<\/ix:header>/gi,' ')
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi,' ')
+    .replace(/<!--[\s\S]*?-->/g,' ')
+    .replace(/<table\b[\s\S]*?<\/table>/gi, tableToText)
+    .replace(BLOCK_TAGS,'\n')
+    .replace(/<[^>]+>/g,' ');
+  const lines = decodeEntities(cleaned)
+    .split('\n')
+    .map(line=>line.replace(/[\s ]+/g,' ').trim())
+    .filter(Boolean);
+  return stripBoilerplate(lines);
+}
+
+// 頁碼、目錄連結與重複出現的頁首頁尾（例如「NVIDIA Corporation | Form 10-K」）
+function stripBoilerplate(lines){
+  const counts = new Map();
+  for(const line of lines){
+    if(line.length < 100) counts.set(line, (counts.get(line) || 0) + 1);
+  }
+  return lines.filter(line=>{
+    if(/^(page\s*)?[\divx]{1,4}$/i.test(line)) return false;
+    if(/^(table\s+of\s+contents|index|back\s+to\s+(top|contents))$/i.test(line)) return false;
+    if(ITEM_HEADING.test(line) || /^part\s+[iv]+\b/i.test(line)) return true;
+    return (counts.get(line) || 0) < 3;
+  });
+}
+
+function findHeadings(lines){
+  const headings = [];
+  lines.forEach((line, index)=>{
+    if(line.length > 160) return;
+    const m = line.match(ITEM_HEADING);
+    if(!m) return;
+    let title = m[2].trim();
+    let bodyStart = index + 1;
+    // 「Item 7.」與標題分成兩行時取下一行
+    const next = lines[index + 1];
+    if(!title && next && next.length <= 120 && !ITEM_HEADING.test(next)){
+      title = next;
+      bodyStart = index + 2;
+    }
+    headings.push({ index, bodyStart, item: m[1].toUpperCase(), title: title.replace(/\s*\d+$/,'').trim() });
+  });
+  return headings;
+}
+
+function bodyLength(lines, start, end){
+  let total = 0;
+  for(let i = start; i < end; i++) total += lines[i].length;
+  return total;
+}
+
+// 目錄頁也會出現相同標題，取內文最長的那一次
+function longestSection(lines, starts, endOf){
+  let best = null;
+  for(const start of starts){
+    const end = endOf(start);
+    const size = bodyLength(lines, start.bodyStart, end);
+    if(!best || size > best.size) best = { ...start, end, size };
+  }
+  return best && best.size > 0 ? best : null;
+}
+
+function findItemSection(lines, headings, { title, items=[] }){
+  const candidates = headings.filter(h=> h.title ? title.test(h.title) : items.includes(h.item));
+  return longestSection(lines, candidates, (h)=>{
+    const next = headings.find(x=>x.index > h.index);
+    return next ? next.index : lines.length;
+  });
+}
+
+function findSubsection(lines, from, to, heading, stop){
+  const starts = [];
+  for(let i = from; i < to; i++){
+    if(lines[i].length <= 80 && heading.test(lines[i])) starts.push({ index: i, bodyStart: i + 1, title: lines[i] });
+  }
+  return longestSection(lines, starts, (s)=>{
+    for(let i = s.bodyStart; i < to; i++){
+      if(ITEM_HEADING.test(lines[i]) && lines[i].length <= 160) return i;
+      if(stop && lines[i].length <= 120 && stop.test(lines[i])) return i;
+    }
+    return to;
+  });
+}
+
+function truncate(text, budget){
+  if(!budget || text.length <= budget) return { text, truncated:false };
+  const cut = text.slice(0, budget);
+  const boundary = Math.max(cut.lastIndexOf('。'), cut.lastIndexOf('. '), cut.lastIndexOf('\n'));
+  return { text: (boundary > budget * 0.8 ? cut.slice(0, boundary + 1) : cut).trim(), truncated:true };
+}
+
+function buildSection(lines, found, budget, extra={}){
+  if(!found) return { found:false, item:null, title:null, chars:0, truncated:false, text:'' };
+  const full = lines.slice(found.bodyStart, found.end).join('\n');
+  const { text, truncated } = truncate(full, budget);
+  return { found:true, item: found.item || null, title: found.title || null, chars: full.length, truncated, text, ...extra };
+}
+
+export function extractFilingSections(html, form, { budgets=SECTION_BUDGETS }={}){
+  const lines = htmlToLines(html);
+  const headings = findHeadings(lines);
+
+  let mda = findItemSection(lines, headings, { title: MDA_TITLE, items: MDA_ITEMS[form] || [] });
+  let mdaFallback = false;
+  if(!mda && lines.length){
+    // 6-K 新聞稿等沒有 Item 結構的文件：以全文為主體
+    mda = { bodyStart: 0, end: lines.length, item: null, title: null };
+    mdaFallback = true;
+  }
+
+  let risk = findItemSection(lines, headings, { title: RISK_TITLE, items: RISK_ITEMS[form] || [] });
+  if(!risk || form === '20-F'){
+    // 20-F 的 Risk Factors 位於 Item 3.D
+    const sub = findSubsection(lines, 0, lines.length, RISK_SUBHEADING);
+    if(sub && (!risk || sub.size > risk.size)) risk = { ...sub, item: form === '20-F' ? '3D' : null };
+  }
+
+  const liquidity = mda && !mdaFallback
+    ? findSubsection(lines, mda.bodyStart, mda.end, LIQUIDITY_HEADING, LIQUIDITY_STOP)
+    : null;
+  if(liquidity) liquidity.item = form === '20-F' ? '5B' : mda.item;
+
+  return {
+    form: form || null,
+    text_chars: bodyLength(lines, 0, lines.length),
+    // 未截斷的 Risk Factors 段落，供相鄰財報比對（lib/filingDiff.js）
+    risk_paragraphs: risk ? lines.slice(risk.bodyStart, risk.end) : [],
+    sections:{
+      mda: buildSection(lines, mda, budgets.mda, mdaFallback ? { found:false, fallback:'full_text' } : {}),
+      risk_factors: buildSection(lines, risk, budgets.risk_factors),
+      liquidity: buildSection(lines, liquidity, budgets.liquidity)
+    }
+  };
+}
+
+export async function fetchFilingSections(url, userAgent, { form }={}){
+  const key = `sec_sections_v2_${encodeURIComponent(url)}`;
   const c = await getCache(key);
   if(c) return c;
   try{
-    const {data:html} = await axios.get(url,{ headers:{'User-Agent': userAgent}, timeout:30000 });
-    const tds = new TurndownService();
-    const lower = html.toLowerCase();
-    const idx = lower.indexOf("management’s discussion and analysis")>=0
-      ? lower.indexOf("management’s discussion and analysis")
-      : lower.indexOf("management's discussion and analysis");
-    const slice = idx>0 ? html.slice(idx, idx+15000) : html.slice(0,15000);
-    const md = tds.turndown(slice).replace(/\s+\n/g,'\n').trim();
-    await setCache(key, md);
-    return md;
+    const {data:html} = await axios.get(url,{ headers:{'User-Agent': userAgent}, timeout:30000, responseType:'text' });
+    const parsed = extractFilingSections(html, form);
+    await setCache(key, parsed);
+    return parsed;
   }catch(err){
-    throw new Error(`[SEC] fetchMDA failed: ${err.message}`);
+    throw new Error(`[SEC] fetchFilingSections failed: ${err.message}`);
   }
 }
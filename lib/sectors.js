@@ -0,0 +1,221 @@
+import fs from 'fs';
+import { getSubmissions } from './sec.js';
+
+// 由 SEC submissions 的 SIC 代碼推出產業分類與對應的 SPDR 類股 / 細產業 ETF，
+// 動能與回測的相對表現以此為基準（另固定比較大盤 SPY）。SIC 與 GICS 不是一對一，
+// 例如 Alphabet / Meta 的 SIC 7370 會落在資訊科技，需以 SECTOR_MAP_CONFIG 設定檔覆寫。
+
+export const MARKET_BENCHMARK = 'SPY';
+
+export const SECTORS = {
+  technology:    { label:'資訊科技', etf:'XLK' },
+  communication: { label:'通訊服務', etf:'XLC' },
+  health_care:   { label:'醫療保健', etf:'XLV' },
+  financials:    { label:'金融', etf:'XLF' },
+  real_estate:   { label:'房地產', etf:'XLRE' },
+  energy:        { label:'能源', etf:'XLE' },
+  materials:     { label:'原物料', etf:'XLB' },
+  industrials:   { label:'工業', etf:'XLI' },
+  discretionary: { label:'非必需消費', etf:'XLY' },
+  staples:       { label:'必需消費', etf:'XLP' },
+  utilities:     { label:'公用事業', etf:'XLU' }
+};
+
+export const INDUSTRIES = {
+  semiconductors:  { label:'半導體', etf:'XSD' },
+  software:        { label:'軟體與資訊服務', etf:'XSW' },
+  telecom:         { label:'電信', etf:'XTL' },
+  biotech:         { label:'生技', etf:'XBI' },
+  pharma:          { label:'製藥', etf:'XPH' },
+  health_equipment:{ label:'醫療器材', etf:'XHE' },
+  health_services: { label:'醫療服務', etf:'XHS' },
+  banks:           { label:'銀行', etf:'KBE' },
+  regional_banks:  { label:'區域銀行', etf:'KRE' },
+  insurance:       { label:'保險', etf:'KIE' },
+  capital_markets: { label:'資本市場', etf:'KCE' },
+  oil_gas_ep:      { label:'油氣探勘與生產', etf:'XOP' },
+  oil_services:    { label:'油氣設備與服務', etf:'XES' },
+  metals_mining:   { label:'金屬與採礦', etf:'XME' },
+  aerospace:       { label:'航太與國防', etf:'XAR' },
+  transportation:  { label:'運輸', etf:'XTN' },
+  homebuilders:    { label:'住宅建商', etf:'XHB' },
+  retail:          { label:'零售', etf:'XRT' }
+};
+
+// [起, 迄, 類股, 細產業]；由上往下第一個符合的區間生效，細分的區間放在前面
+const SIC_RANGES = [
+  [1000, 1099, 'materials', 'metals_mining'],
+  [1200, 1299, 'energy', null],
+  [1300, 1311, 'energy', 'oil_gas_ep'],
+  [1380, 1389, 'energy', 'oil_services'],
+  [1300, 1399, 'energy', 'oil_gas_ep'],
+  [1400, 1499, 'materials', null],
+  [1520, 1531, 'discretionary', 'homebuilders'],
+  [1500, 1799, 'industrials', null],
+  [2000, 2099, 'staples', null],
+  [2100, 2199, 'staples', null],
+  [2200, 2399, 'discretionary', null],
+  [2400, 2450, 'materials', null],
+  [2451, 2452, 'discretionary', 'homebuilders'],
+  [2500, 2599, 'discretionary', null],
+  [2600, 2699, 'materials', null],
+  [2700, 2799, 'communication', null],
+  [2833, 2834, 'health_care', 'pharma'],
+  [2835, 2836, 'health_care', 'biotech'],
+  [2840, 2844, 'staples', null],
+  [2800, 2899, 'materials', null],
+  [2900, 2999, 'energy', 'oil_gas_ep'],
+  [3000, 3099, 'materials', null],
+  [3100, 3199, 'discretionary', null],
+  [3200, 3299, 'materials', null],
+  [3310, 3399, 'materials', 'metals_mining'],
+  [3400, 3569, 'industrials', null],
+  [3570, 3579, 'technology', null],
+  [3580, 3599, 'industrials', null],
+  [3630, 3639, 'discretionary', null],
+  [3651, 3652, 'discretionary', null],
+  [3674, 3674, 'technology', 'semiconductors'],
+  [3600, 3699, 'technology', null],
+  [3711, 3716, 'discretionary', null],
+  [3720, 3729, 'industrials', 'aerospace'],
+  [3760, 3769, 'industrials', 'aerospace'],
+  [3700, 3799, 'industrials', null],
+  [3812, 3812, 'industrials', 'aerospace'],
+  [3841, 3851, 'health_care', 'health_equipment'],
+  [3800, 3899, 'technology', null],
+  [3900, 3999, 'discretionary', null],
+  [4000, 4799, 'industrials', 'transportation'],
+  [4800, 4899, 'communication', 'telecom'],
+  [4922, 4925, 'energy', null],
+  [4950, 4959, 'industrials', null],
+  [4900, 4999, 'utilities', null],
+  [5122, 5122, 'health_care', null],
+  [5140, 5149, 'staples', null],
+  [5000, 5199, 'industrials', null],
+  [5331, 5331, 'staples', 'retail'],
+  [5400, 5499, 'staples', 'retail'],
+  [5912, 5912, 'staples', 'retail'],
+  [5812, 5813, 'discretionary', null],
+  [5200, 5999, 'discretionary', 'retail'],
+  [6021, 6029, 'financials', 'banks'],
+  [6030, 6099, 'financials', 'regional_banks'],
+  [6000, 6199, 'financials', null],
+  [6200, 6299, 'financials', 'capital_markets'],
+  [6324, 6324, 'health_care', 'health_services'],
+  [6300, 6411, 'financials', 'insurance'],
+  [6500, 6553, 'real_estate', null],
+  [6798, 6798, 'real_estate', null],
+  [6000, 6799, 'financials', null],
+  [7000, 7099, 'discretionary', null],
+  [7370, 7379, 'technology', 'software'],
+  [7810, 7841, 'communication', null],
+  [7900, 7999, 'discretionary', null],
+  [8000, 8099, 'health_care', 'health_services'],
+  [7000, 8999, 'industrials', null]
+];
+
+function fail(message){
+  throw new Error(`[Sectors] invalid sector map config: ${message}`);
+}
+
+const OVERRIDE_FIELDS = ['sector', 'industry', 'sector_etf', 'industry_etf'];
+
+function checkOverride(entry, path){
+  if(!entry || typeof entry !== 'object' || Array.isArray(entry)) fail(`${path} must be an object`);
+  for(const [field, value] of Object.entries(entry)){
+    if(!OVERRIDE_FIELDS.includes(field)) fail(`${path}.${field} is not supported`);
+    if(field === 'sector' && !SECTORS[value]) fail(`${path}.sector "${value}" is not one of ${Object.keys(SECTORS).join(', ')}`);
+    if(field === 'industry' && value!==null && !INDUSTRIES[value]) fail(`${path}.industry "${value}" is not one of ${Object.keys(INDUSTRIES).join(', ')}`);
+    if(field.endsWith('_etf') && value!==null && (typeof value !== 'string' || !/^[A-Za-z.\-]{1,10}$/.test(value))) fail(`${path}.${field} must be a ticker or null`);
+  }
+  return Object.fromEntries(Object.entries(entry).map(([k,v])=>[k, k.endsWith('_etf') && v ? v.toUpperCase() : v]));
+}
+
+// 設定檔格式：{ "tickers": { "GOOGL": { "sector":"communication" } }, "sic": { "3674": { "industry_etf":"SOXX" } } }
+export function parseSectorConfig(raw){
+  if(!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must be an object');
+  const config = { tickers:{}, sic:{} };
+  for(const [key, value] of Object.entries(raw)){
+    if(key === 'tickers'){
+      if(!value || typeof value !== 'object') fail('tickers must be an object');
+      for(const [ticker, entry] of Object.entries(value)) config.tickers[ticker.toUpperCase()] = checkOverride(entry, `tickers.${ticker}`);
+    }else if(key === 'sic'){
+      if(!value || typeof value !== 'object') fail('sic must be an object');
+      for(const [code, entry] of Object.entries(value)){
+        if(!/^\d{3,4}$/.test(code)) fail(`sic.${code} is not a SIC code`);
+        config.sic[String(Number(code))] = checkOverride(entry, `sic.${code}`);
+      }
+    }else{
+      fail(`unknown field "${key}"`);
+    }
+  }
+  return config;
+}
+
+let fileConfig = null;
+
+// SECTOR_MAP_CONFIG 指向 JSON 檔時載入覆寫（啟動後第一次使用時讀取）
+export function loadSectorConfig(){
+  if(fileConfig) return fileConfig;
+  const file = process.env.SECTOR_MAP_CONFIG;
+  fileConfig = file
+    ? { ...parseSectorConfig(JSON.parse(fs.readFileSync(file, 'utf8'))), source:'file' }
+    : { tickers:{}, sic:{}, source:'default' };
+  return fileConfig;
+}
+
+export function sectorFromSic(sic){
+  const code = Number(sic);
+  if(!Number.isInteger(code) || code <= 0) return null;
+  const hit = SIC_RANGES.find(([from, to])=> code >= from && code <= to);
+  return hit ? { sector: hit[2], industry: hit[3] } : null;
+}
+
+function applyOverride(base, override){
+  const next = { ...base, ...override };
+  // 只改類股 / 細產業時，ETF 跟著換成對應的預設
+  if('sector' in override && !('sector_etf' in override)) next.sector_etf = SECTORS[override.sector].etf;
+  if('industry' in override && !('industry_etf' in override)) next.industry_etf = override.industry ? INDUSTRIES[override.industry].etf : null;
+  return next;
+}
+
+// 回傳產業分類與三層基準：sector_etf（類股）、industry_etf（細產業，可能為 null）、market（SPY）
+export function classifySector({ ticker, sic, sicDescription }={}, config=loadSectorConfig()){
+  const code = sic ? String(Number(sic)) : null;
+  const mapped = code ? sectorFromSic(code) : null;
+  let out = {
+    sic: code,
+    sic_description: sicDescription || null,
+    sector: mapped?.sector || null,
+    sector_etf: mapped ? SECTORS[mapped.sector].etf : null,
+    industry: mapped?.industry || null,
+    industry_etf: mapped?.industry ? INDUSTRIES[mapped.industry].etf : null,
+    market: MARKET_BENCHMARK,
+    source: mapped ? 'sic' : 'unmapped'
+  };
+  if(code && config.sic[code]){
+    out = { ...applyOverride(out, config.sic[code]), source:'sic_override' };
+  }
+  const upper = ticker ? ticker.toUpperCase() : null;
+  if(upper && config.tickers[upper]){
+    out = { ...applyOverride(out, config.tickers[upper]), source:'ticker_override' };
+  }
+  return {
+    ...out,
+    sector_label: out.sector ? SECTORS[out.sector].label : null,
+    industry_label: out.industry ? INDUSTRIES[out.industry].label : null
+  };
+}
+
+// 分析流程用：SIC 取自已快取的 submissions，失敗時只套用 ticker 覆寫
+export async function getSectorClassification(ticker, cik, { userAgent, apiKey }={}){
+  if(cik){
+    try{
+      const { sic, sicDescription } = await getSubmissions(cik, userAgent, apiKey);
+      return classifySector({ ticker, sic, sicDescription });
+    }catch(err){
+      console.warn('[Sectors]', err.message);
+    }
+  }
+  return classifySector({ ticker });
+}
@@ -0,0 +1,106 @@
+import dayjs from 'dayjs';
+
+// 美股（NYSE）交易日曆：週末、固定假日與臨時休市；日期一律為 YYYY-MM-DD 字串（美東交易日）。
+// 收盤後約 30 分鐘才視為當日已收盤，避免把盤中價格當成日線收盤。
+
+const SPECIAL_CLOSURES = new Set([
+  '2012-10-29', '2012-10-30', // 颶風 Sandy
+  '2018-12-05', // 老布希國葬
+  '2025-01-09' // 卡特國葬
+]);
+const CLOSE_UTC_MINUTES = 21 * 60 + 30;
+
+const holidayCache = new Map();
+
+// 第 n 個星期 weekday（n = -1 為最後一個）
+function nthWeekday(year, month, weekday, n){
+  if(n < 0){
+    const last = dayjs(new Date(year, month, 0));
+    return last.subtract((last.day() - weekday + 7) % 7, 'day').format('YYYY-MM-DD');
+  }
+  const first = dayjs(new Date(year, month - 1, 1));
+  return first.add((weekday - first.day() + 7) % 7 + (n - 1) * 7, 'day').format('YYYY-MM-DD');
+}
+
+// 週六的假日提前到週五、週日延到週一；元旦落在週六時 NYSE 不在前一年 12/31 補休
+function observed(year, month, day, { skipSaturday=false }={}){
+  const d = dayjs(new Date(year, month - 1, day));
+  if(d.day() === 6) return skipSaturday ? null : d.subtract(1, 'day').format('YYYY-MM-DD');
+  if(d.day() === 0) return d.add(1, 'day').format('YYYY-MM-DD');
+  return d.format('YYYY-MM-DD');
+}
+
+// 復活節（Anonymous Gregorian algorithm），Good Friday 為前兩天
+function goodFriday(year){
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return dayjs(new Date(year, month - 1, day)).subtract(2, 'day').format('YYYY-MM-DD');
+}
+
+export function marketHolidays(year){
+  if(holidayCache.has(year)) return holidayCache.get(year);
+  const days = [
+    observed(year, 1, 1, { skipSaturday:true }),
+    nthWeekday(year, 1, 1, 3),
+    nthWeekday(year, 2, 1, 3),
+    goodFriday(year),
+    nthWeekday(year, 5, 1, -1),
+    year >= 2022 ? observed(year, 6, 19) : null,
+    observed(year, 7, 4),
+    nthWeekday(year, 9, 1, 1),
+    nthWeekday(year, 11, 4, 4),
+    observed(year, 12, 25)
+  ].filter(Boolean);
+  const set = new Set(days);
+  holidayCache.set(year, set);
+  return set;
+}
+
+export function isTradingDay(date){
+  const d = dayjs(date);
+  if(!d.isValid() || d.day() === 0 || d.day() === 6) return false;
+  const key = d.format('YYYY-MM-DD');
+  return !SPECIAL_CLOSURES.has(key) && !marketHolidays(d.year()).has(key);
+}
+
+// 當天（含）以前最近的交易日
+export function previousSession(date){
+  let d = dayjs(date);
+  for(let i = 0; i < 10 && !isTradingDay(d); i++) d = d.subtract(1, 'day');
+  return d.format('YYYY-MM-DD');
+}
+
+// 當天（不含）以後的下一個交易日
+export function nextSession(date){
+  let d = dayjs(date).add(1, 'day');
+  for(let i = 0; i < 10 && !isTradingDay(d); i++) d = d.add(1, 'day');
+  return d.format('YYYY-MM-DD');
+}
+
+export function sessionsBetween(from, to){
+  const sessions = [];
+  for(let d = dayjs(from); !d.isAfter(dayjs(to), 'day'); d = d.add(1, 'day')){
+    if(isTradingDay(d)) sessions.push(d.format('YYYY-MM-DD'));
+  }
+  return sessions;
+}
+
+// 已收盤的最近交易日；以 UTC 計算，不受伺服器時區影響
+export function lastCompletedSession(now=new Date()){
+  const today = now.toISOString().slice(0, 10);
+  const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+  if(isTradingDay(today) && minutes >= CLOSE_UTC_MINUTES) return today;
+  return previousSession(dayjs(today).subtract(1, 'day'));
+}
@@ -0,0 +1,231 @@
+import dayjs from 'dayjs';
+import { round } from './numbers.js';
+import { configFailer, finiteNumber, mergeNumberFields, mergeConfig, createConfigLoader, configHash } from './configLoader.js';
+
+// 基準日估值：倍數（P/E、預估 P/E、EV/Sales、EV/EBITDA、FCF 殖利率、PEG）與兩階段 DCF。
+// 財務數字取自 SEC XBRL（lib/secFacts.js，只含基準日前已申報資料），股價為基準日實際成交價；
+// 預估 EPS 來自 Finnhub（已還原分割的目前基準），以 split_factor 換回基準日當時的股本。
+//   第一階段：base FCF 以 growth_rate 成長 years 年；第二階段：以 terminal_growth 永續成長（Gordon）。
+
+export const DEFAULT_DCF_CONFIG = Object.freeze({
+  discount_rate: 0.09,
+  terminal_growth: 0.025,
+  years: 5,
+  growth_rate: null,
+  growth_floor: 0,
+  growth_cap: 0.25,
+  sensitivity: { discount_rate_step: 0.01, terminal_growth_step: 0.005, steps: 1 }
+});
+
+const RATE_FIELDS = ['discount_rate', 'terminal_growth', 'growth_floor', 'growth_cap'];
+const SENSITIVITY_FIELDS = ['discount_rate_step', 'terminal_growth_step', 'steps'];
+
+function positiveRatio(numerator, denominator){
+  if(numerator==null || denominator==null || !(denominator > 0)) return null;
+  return numerator / denominator;
+}
+
+const fail = configFailer('[Valuation] invalid DCF config');
+
+function applyOverride(merged, key, value){
+  if(RATE_FIELDS.includes(key)){
+    merged[key] = finiteNumber(value, key, fail);
+  }else if(key === 'growth_rate'){
+    merged.growth_rate = value===null ? null : finiteNumber(value, key, fail);
+  }else if(key === 'years'){
+    const years = finiteNumber(value, key, fail);
+    if(!Number.isInteger(years) || years < 1 || years > 20) fail('years must be an integer between 1 and 20');
+    merged.years = years;
+  }else if(key === 'sensitivity'){
+    mergeNumberFields(merged.sensitivity, value, { path:'sensitivity', allowed: SENSITIVITY_FIELDS, fail });
+    const steps = merged.sensitivity.steps;
+    if(!Number.isInteger(steps) || steps < 0 || steps > 3) fail('sensitivity.steps must be an integer between 0 and 3');
+  }else{
+    fail(`unknown field "${key}"`);
+  }
+}
+
+// 以 base 為底合併 overrides；growth_rate 可為 null（由營收成長推估）
+export function mergeDcfConfig(base, overrides){
+  const merged = mergeConfig(base, overrides, { apply: applyOverride, fail });
+  if(merged.discount_rate <= merged.terminal_growth) fail('discount_rate must be greater than terminal_growth');
+  if(merged.growth_floor > merged.growth_cap) fail('growth_floor must be <= growth_cap');
+  return merged;
+}
+
+// VALUATION_DCF_CONFIG 指向 JSON 檔時，以其覆寫預設值；單次請求的設定再套用在其上
+const loader = createConfigLoader({ envVar:'VALUATION_DCF_CONFIG', defaults: DEFAULT_DCF_CONFIG, merge: mergeDcfConfig, fail });
+export const loadDcfConfig = loader.load;
+export const resolveDcfConfig = loader.resolve;
+export const dcfHash = configHash;
+
+// Finnhub eps-estimate（季）：取最新已申報季度之後的四季 epsAvg 加總
+export function forwardEpsFromEstimates(estimates, latestPeriodEnd){
+  const rows = Array.isArray(estimates?.data) ? estimates.data : [];
+  const after = rows
+    .filter(r=>r?.period && Number.isFinite(Number(r.epsAvg)) && (!latestPeriodEnd || r.period > latestPeriodEnd))
+    .sort((a,b)=>a.period.localeCompare(b.period))
+    .slice(0, 4);
+  if(after.length < 4) return null;
+  return {
+    value: after.reduce((acc,r)=>acc + Number(r.epsAvg), 0),
+    periods: after.map(r=>r.period),
+    analysts: Math.min(...after.map(r=>Number(r.numberAnalysts) || 0)) || null
+  };
+}
+
+function presentValue(inputs, discountRate, terminalGrowth, years, growth){
+  let fcf = inputs.base_fcf;
+  let pvSum = 0;
+  const projections = [];
+  for(let year=1; year<=years; year++){
+    fcf *= 1 + growth;
+    const pv = fcf / (1 + discountRate) ** year;
+    pvSum += pv;
+    projections.push({ year, fcf, pv });
+  }
+  const terminalValue = fcf * (1 + terminalGrowth) / (discountRate - terminalGrowth);
+  const pvTerminal = terminalValue / (1 + discountRate) ** years;
+  const enterpriseValue = pvSum + pvTerminal;
+  const equityValue = enterpriseValue - (inputs.net_debt ?? 0);
+  return { projections, terminal_value: terminalValue, pv_terminal: pvTerminal, enterprise_value: enterpriseValue, equity_value: equityValue, per_share: equityValue / inputs.shares };
+}
+
+// inputs 來自 buildValuation；快取命中但 DCF 設定不同時也用這個重新計算
+export function runDcf(inputs, config=loadDcfConfig()){
+  const meta = { source: config.source || 'request', hash: dcfHash(config) };
+  if(!inputs?.shares) return { available:false, reason:'缺少流通股數', config: meta };
+  if(inputs.base_fcf==null) return { available:false, reason:'缺少 TTM 自由現金流', config: meta };
+  if(inputs.base_fcf <= 0) return { available:false, reason:'TTM 自由現金流為負，不適用 DCF', config: meta };
+
+  let growth = config.growth_rate;
+  let growthSource = 'config';
+  if(growth==null){
+    growth = Math.min(config.growth_cap, Math.max(config.growth_floor, inputs.revenue_growth ?? config.growth_floor));
+    growthSource = inputs.revenue_growth==null ? 'floor' : inputs.revenue_growth_source;
+  }
+  const main = presentValue(inputs, config.discount_rate, config.terminal_growth, config.years, growth);
+
+  const { discount_rate_step, terminal_growth_step, steps } = config.sensitivity;
+  const offsets = Array.from({ length: steps * 2 + 1 }, (_, i)=> i - steps);
+  const discountRates = offsets.map(o=>round(config.discount_rate + o * discount_rate_step));
+  const terminalGrowths = offsets.map(o=>round(config.terminal_growth + o * terminal_growth_step));
+  const values = discountRates.map(r=> terminalGrowths.map(g=> r > g ? round(presentValue(inputs, r, g, config.years, growth).per_share, 2) : null));
+
+  return {
+    available: true,
+    config: meta,
+    discount_rate: config.discount_rate,
+    terminal_growth: config.terminal_growth,
+    years: config.years,
+    growth_rate: round(growth),
+    growth_source: growthSource,
+    base_fcf: inputs.base_fcf,
+    projections: main.projections.map(p=>({ year: p.year, fcf: Math.round(p.fcf), pv: Math.round(p.pv) })),
+    terminal_value: Math.round(main.terminal_value),
+    pv_terminal: Math.round(main.pv_terminal),
+    terminal_share: round(main.pv_terminal / main.enterprise_value),
+    enterprise_value: Math.round(main.enterprise_value),
+    equity_value: Math.round(main.equity_value),
+    per_share: round(main.per_share, 2),
+    upside: inputs.price ? round(main.per_share / inputs.price - 1) : null,
+    sensitivity: { discount_rates: discountRates, terminal_growth: terminalGrowths, per_share: values }
+  };
+}
+
+export function applyDcfConfig(valuation, config){
+  if(!valuation?.inputs) return valuation;
+  return { ...valuation, dcf: runDcf(valuation.inputs, config || loadDcfConfig()) };
+}
+
+// fundamentals 為 buildFundamentals 的結果；price 為基準日實際成交價。
+// 歷史基準日的 estimates 需為基準日前的快照（estimatesAsOf 為快照日期），否則不計算預估 EPS 與相關倍數
+export function buildValuation({ price, fundamentals, estimates, estimatesAsOf=null, splitFactor=1, baselineDate, isHistorical }, config=loadDcfConfig()){
+  const priceNum = Number(price);
+  if(!fundamentals || fundamentals.error) return { available:false, reason:'缺少 SEC 財務數據' };
+  if(!Number.isFinite(priceNum) || priceNum <= 0) return { available:false, reason:'缺少基準日股價' };
+  const ttm = fundamentals.ttm || {};
+  const shares = fundamentals.shares_outstanding?.value ?? null;
+  const marketCap = shares ? shares * priceNum : null;
+  const cash = fundamentals.cash?.value ?? null;
+  const sti = fundamentals.short_term_investments?.value ?? null;
+  const debt = fundamentals.debt?.value ?? null;
+  const netDebt = cash==null && debt==null ? null : (debt ?? 0) - (cash ?? 0) - (sti ?? 0);
+  const enterpriseValue = marketCap!=null ? marketCap + (netDebt ?? 0) : null;
+  const notes = [];
+  if(netDebt==null) notes.push('缺少現金與負債資料，EV 以市值代替');
+  if(fundamentals.shares_outstanding?.as_of) notes.push(`流通股數截至 ${fundamentals.shares_outstanding.as_of}`);
+
+  const ttmEps = shares && ttm.net_income!=null ? ttm.net_income / shares : null;
+  const today = dayjs().format('YYYY-MM-DD');
+  const currentOnly = isHistorical && baselineDate < today && !estimatesAsOf;
+  const forward = currentOnly ? null : forwardEpsFromEstimates(estimates, fundamentals.latest_period_end);
+  if(currentOnly && estimates) notes.push('基準日前沒有預估 EPS 快照，不使用目前共識計算預估 EPS');
+  // 預估與基準日股價的股本基準不同時，乘上期間的分割比例才能相比
+  const forwardEps = forward ? forward.value * (splitFactor || 1) : null;
+
+  let epsGrowth = null;
+  let growthSource = null;
+  if(forwardEps!=null && ttmEps > 0){
+    epsGrowth = forwardEps / ttmEps - 1;
+    growthSource = 'forward_vs_ttm_eps';
+  }else if(ttm.net_income > 0 && fundamentals.ttm_previous?.net_income > 0){
+    epsGrowth = ttm.net_income / fundamentals.ttm_previous.net_income - 1;
+    growthSource = 'ttm_net_income_yoy';
+  }
+  const pe = ttmEps > 0 ? priceNum / ttmEps : null;
+  if(ttmEps!=null && ttmEps <= 0) notes.push('TTM 淨利為負，P/E 不適用');
+
+  let revenueGrowth = null;
+  let revenueGrowthSource = null;
+  if(ttm.revenue > 0 && fundamentals.ttm_previous?.revenue > 0){
+    revenueGrowth = ttm.revenue / fundamentals.ttm_previous.revenue - 1;
+    revenueGrowthSource = 'ttm_revenue_yoy';
+  }else if(fundamentals.trends?.revenue_yoy!=null){
+    revenueGrowth = fundamentals.trends.revenue_yoy;
+    revenueGrowthSource = 'quarter_revenue_yoy';
+  }
+
+  const inputs = {
+    price: priceNum,
+    shares,
+    net_debt: netDebt,
+    base_fcf: ttm.fcf ?? null,
+    revenue_growth: round(revenueGrowth),
+    revenue_growth_source: revenueGrowthSource
+  };
+  return {
+    available: true,
+    as_of: baselineDate,
+    price: priceNum,
+    shares,
+    market_cap: marketCap,
+    enterprise_value: enterpriseValue,
+    balance: { cash, short_term_investments: sti, debt, net_debt: netDebt, as_of: fundamentals.cash?.as_of || fundamentals.debt?.as_of || null },
+    eps: {
+      ttm: round(ttmEps),
+      forward: round(forwardEps),
+      forward_periods: forward?.periods || null,
+      forward_analysts: forward?.analysts ?? null,
+      growth: round(epsGrowth),
+      growth_source: growthSource
+    },
+    multiples: {
+      pe: round(pe, 2),
+      forward_pe: round(forwardEps > 0 ? priceNum / forwardEps : null, 2),
+      ev_sales: round(positiveRatio(enterpriseValue, ttm.revenue), 2),
+      ev_ebitda: round(positiveRatio(enterpriseValue, ttm.ebitda), 2),
+      fcf_yield: round(marketCap && ttm.fcf!=null ? ttm.fcf / marketCap : null),
+      peg: round(pe!=null && epsGrowth > 0 ? pe / (epsGrowth * 100) : null, 2)
+    },
+    point_in_time: {
+      trailing: { point_in_time: true, as_of: fundamentals.latest_period_end },
+      forward: forward
+        ? { point_in_time: true, as_of: estimatesAsOf || today }
+        : { point_in_time: false, note: currentOnly ? '基準日前沒有預估 EPS 快照' : '無法取得預估 EPS' }
+    },
+    notes,
+    inputs,
+    dcf: runDcf(inputs, config)
+  };
+}
@@ -0,0 +1,150 @@
+import axios from 'axios';
+import './httpFixtures.js';
+import dayjs from 'dayjs';
+import { performAnalysis, resolveModelName, mapWithConcurrency } from './analysis.js';
+import { getWatchlist, getDueTickers, recordTickerRun, insertAlerts, setAlertWebhookStatus } from './watchlistStore.js';
+import { toNum } from './numbers.js';
+
+// 追蹤清單排程：每檔每日以當天為基準日重跑 performAnalysis（6 小時內命中 analysisStore 即不重算），
+// 與上一次保存的快照比對，重大變化寫入提醒並推送 webhook。
+
+const RUN_EVERY_MS = Math.max(60 * 60 * 1000, Number(process.env.WATCHLIST_RUN_EVERY_MS) || 24 * 60 * 60 * 1000);
+const CHECK_INTERVAL_MS = Math.max(60 * 1000, Number(process.env.WATCHLIST_CHECK_INTERVAL_MS) || 15 * 60 * 1000);
+const TARGET_MOVE_THRESHOLD = Number(process.env.WATCHLIST_TARGET_THRESHOLD) > 0 ? Number(process.env.WATCHLIST_TARGET_THRESHOLD) : 0.1;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const RATING_LABELS = { BUY:'買進', HOLD:'觀望', SELL:'賣出' };
+
+export function snapshotFromResult(result){
+  const summary = result.fetched?.finnhub_summary || {};
+  const action = result.analysis?.action || {};
+  return {
+    baseline_date: result.input?.date || null,
+    price: toNum(summary.quote?.c),
+    rating: action.rating || null,
+    target_price: toNum(action.target_price),
+    stop_loss: toNum(action.stop_loss),
+    trend: result.momentum?.trend || null,
+    momentum_score: toNum(result.momentum?.score),
+    sentiment: result.news?.sentiment?.sentiment_label || null,
+    analysis_valid: !result.analysis?.validation_errors
+  };
+}
+
+export function detectChanges(previous, current, { targetThreshold=TARGET_MOVE_THRESHOLD }={}){
+  if(!previous || !current) return [];
+  const changes = [];
+  if(previous.rating && current.rating && previous.rating !== current.rating){
+    changes.push({
+      kind:'rating_change',
+      message:`評級由 ${RATING_LABELS[previous.rating] || previous.rating} 轉為 ${RATING_LABELS[current.rating] || current.rating}`,
+      previous: previous.rating,
+      current: current.rating
+    });
+  }
+  if(previous.target_price > 0 && current.target_price!=null){
+    const move = current.target_price / previous.target_price - 1;
+    if(Math.abs(move) >= targetThreshold){
+      changes.push({
+        kind:'target_move',
+        message:`模型目標價 $${previous.target_price.toFixed(2)} → $${current.target_price.toFixed(2)}（${move > 0 ? '+' : ''}${(move*100).toFixed(1)}%）`,
+        previous: previous.target_price,
+        current: current.target_price
+      });
+    }
+  }
+  if(previous.trend && current.trend && previous.trend !== current.trend){
+    changes.push({ kind:'trend_change', message:`動能趨勢 ${previous.trend} → ${current.trend}`, previous: previous.trend, current: current.trend });
+  }
+  if(previous.sentiment && current.sentiment && previous.sentiment !== current.sentiment){
+    changes.push({ kind:'sentiment_change', message:`新聞情緒 ${previous.sentiment} → ${current.sentiment}`, previous: previous.sentiment, current: current.sentiment });
+  }
+  return changes;
+}
+
+async function sendWebhook(watchlist, ticker, baselineDate, alerts){
+  try{
+    await axios.post(watchlist.webhook_url, {
+      event: 'watchlist.alerts',
+      watchlist: { id: watchlist.id, name: watchlist.name },
+      ticker,
+      baseline_date: baselineDate,
+      alerts: alerts.map(({ kind, message, previous, current })=>({ kind, message, previous, current }))
+    }, { timeout: WEBHOOK_TIMEOUT_MS });
+    return 'sent';
+  }catch(err){
+    console.warn('[Watchlist] webhook failed', watchlist.id, err.message);
+    return `failed: ${err.response?.status || err.message}`;
+  }
+}
+
+export async function runWatchlistTicker(watchlist, ticker, { date }={}){
+  const baselineDate = date || dayjs().format('YYYY-MM-DD');
+  const previous = watchlist.tickers.find(t=>t.ticker === ticker)?.snapshot || null;
+  try{
+    const provider = watchlist.provider || undefined;
+    const result = await performAnalysis(ticker, baselineDate, { model: resolveModelName(watchlist.model, provider), provider });
+    const snapshot = snapshotFromResult(result);
+    // LLM 輸出無效時保留上一份快照，避免空評級造成誤報
+    if(!snapshot.analysis_valid){
+      recordTickerRun(watchlist.id, ticker, { status:'error', error:'LLM 輸出格式無效' });
+      return { ticker, status:'error', error:'LLM 輸出格式無效', alerts:[] };
+    }
+    const changes = detectChanges(previous, snapshot);
+    recordTickerRun(watchlist.id, ticker, { status:'ok', snapshot });
+    if(!changes.length) return { ticker, status:'ok', alerts:[] };
+    const ids = insertAlerts(watchlist.id, ticker, baselineDate, changes);
+    const alerts = changes.map((change, i)=>({ id: ids[i], ...change }));
+    if(watchlist.webhook_url){
+      setAlertWebhookStatus(ids, await sendWebhook(watchlist, ticker, baselineDate, alerts));
+    }
+    return { ticker, status:'ok', alerts };
+  }catch(err){
+    recordTickerRun(watchlist.id, ticker, { status:'error', error: err.message });
+    return { ticker, status:'error', error: err.message, alerts:[] };
+  }
+}
+
+export async function runWatchlist(id, { date, concurrency=3, tickers }={}){
+  const watchlist = getWatchlist(id);
+  if(!watchlist) return null;
+  const targets = tickers || watchlist.tickers.map(t=>t.ticker);
+  const results = await mapWithConcurrency(targets, concurrency, (ticker)=> runWatchlistTicker(watchlist, ticker, { date }));
+  return { id, ran: results.length, results };
+}
+
+let inFlight = null;
+
+// 取出超過 RUN_EVERY_MS 未更新的 ticker 依清單分組執行；上一輪未結束時不重複啟動
+export function runDueWatchlists({ concurrency=3, now=Date.now(), date }={}){
+  if(inFlight) return inFlight;
+  inFlight = (async ()=>{
+    const due = getDueTickers(now - RUN_EVERY_MS);
+    const byList = new Map();
+    for(const row of due){
+      if(!byList.has(row.watchlistId)) byList.set(row.watchlistId, []);
+      byList.get(row.watchlistId).push(row.ticker);
+    }
+    const out = [];
+    for(const [id, tickers] of byList){
+      const run = await runWatchlist(id, { concurrency, tickers, date });
+      if(run) out.push(run);
+    }
+    return out;
+  })().finally(()=>{ inFlight = null; });
+  return inFlight;
+}
+
+export function startWatchlistScheduler({ concurrency=3 }={}){
+  if(process.env.WATCHLIST_SCHEDULER === 'off') return ()=>{};
+  const tick = ()=>{
+    runDueWatchlists({ concurrency })
+      .then(runs=>{
+        const total = runs.reduce((acc,r)=>acc + r.ran, 0);
+        if(total) console.log(`[Watchlist] refreshed ${total} ticker(s)`);
+      })
+      .catch(err=> console.error('[Watchlist] scheduler failed', err.message));
+  };
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+  return ()=> clearInterval(timer);
+}
@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import db from './db.js';
+
+db.prepare(`CREATE TABLE IF NOT EXISTS watchlists (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  model TEXT,
+  webhook_url TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+)`).run();
+
+// 舊資料庫補上 LLM 供應商欄位；空字串表示使用 LLM_PROVIDER
+if(!db.prepare('PRAGMA table_info(watchlists)').all().some(c=>c.name === 'provider')){
+  db.prepare('ALTER TABLE watchlists ADD COLUMN provider TEXT').run();
+}
+
+db.prepare(`CREATE TABLE IF NOT EXISTS watchlist_tickers (
+  watchlist_id TEXT NOT NULL,
+  ticker TEXT NOT NULL,
+  added_at INTEGER NOT NULL,
+  last_run_at INTEGER,
+  last_status TEXT,
+  last_error TEXT,
+  snapshot_json TEXT,
+  PRIMARY KEY (watchlist_id, ticker)
+)`).run();
+
+db.prepare(`CREATE TABLE IF NOT EXISTS watchlist_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  watchlist_id TEXT NOT NULL,
+  ticker TEXT NOT NULL,
+  baseline_date TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  message TEXT NOT NULL,
+  previous_json TEXT,
+  current_json TEXT,
+  webhook_status TEXT,
+  created_at INTEGER NOT NULL,
+  read_at INTEGER
+)`).run();
+
+db.prepare('CREATE INDEX IF NOT EXISTS idx_watchlist_alerts_feed ON watchlist_alerts(watchlist_id, created_at)').run();
+
+const insertListStmt = db.prepare(`INSERT INTO watchlists (id, name, model, provider, webhook_url, created_at, updated_at)
+VALUES (@id, @name, @model, @provider, @webhook_url, @now, @now)`);
+const updateListStmt = db.prepare('UPDATE watchlists SET name=@name, model=@model, provider=@provider, webhook_url=@webhook_url, updated_at=@now WHERE id=@id');
+const getListStmt = db.prepare('SELECT * FROM watchlists WHERE id=?');
+const allListsStmt = db.prepare('SELECT * FROM watchlists ORDER BY created_at');
+const deleteListStmt = db.prepare('DELETE FROM watchlists WHERE id=?');
+const insertTickerStmt = db.prepare(`INSERT OR IGNORE INTO watchlist_tickers (watchlist_id, ticker, added_at) VALUES (?, ?, ?)`);
+const deleteTickerStmt = db.prepare('DELETE FROM watchlist_tickers WHERE watchlist_id=? AND ticker=?');
+const deleteTickersStmt = db.prepare('DELETE FROM watchlist_tickers WHERE watchlist_id=?');
+const tickersStmt = db.prepare('SELECT * FROM watchlist_tickers WHERE watchlist_id=? ORDER BY added_at, ticker');
+const dueTickersStmt = db.prepare(`SELECT watchlist_id, ticker FROM watchlist_tickers
+WHERE last_run_at IS NULL OR last_run_at <= ? ORDER BY COALESCE(last_run_at, 0), watchlist_id, ticker`);
+const setRunStmt = db.prepare(`UPDATE watchlist_tickers SET last_run_at=@now, last_status=@status, last_error=@error,
+snapshot_json=COALESCE(@snapshot_json, snapshot_json) WHERE watchlist_id=@watchlist_id AND ticker=@ticker`);
+const insertAlertStmt = db.prepare(`INSERT INTO watchlist_alerts (watchlist_id, ticker, baseline_date, kind, message, previous_json, current_json, webhook_status, created_at)
+VALUES (@watchlist_id, @ticker, @baseline_date, @kind, @message, @previous_json, @current_json, NULL, @now)`);
+const setWebhookStmt = db.prepare('UPDATE watchlist_alerts SET webhook_status=? WHERE id=?');
+const deleteAlertsStmt = db.prepare('DELETE FROM watchlist_alerts WHERE watchlist_id=?');
+const markAllReadStmt = db.prepare('UPDATE watchlist_alerts SET read_at=? WHERE read_at IS NULL');
+const markReadStmt = db.prepare('UPDATE watchlist_alerts SET read_at=? WHERE id=? AND read_at IS NULL');
+const unreadCountStmt = db.prepare('SELECT COUNT(*) AS n FROM watchlist_alerts WHERE read_at IS NULL');
+
+function parseJson(text){
+  if(!text) return null;
+  try{ return JSON.parse(text); }catch{ return null; }
+}
+
+export function normalizeTickers(raw){
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,;]+/);
+  return [...new Set(list.map(t=>String(t || '').trim().toUpperCase()).filter(t=>/^[A-Z0-9.\-]{1,10}$/.test(t)))];
+}
+
+function formatTicker(row){
+  return {
+    ticker: row.ticker,
+    added_at: row.added_at,
+    last_run_at: row.last_run_at || null,
+    last_status: row.last_status || null,
+    last_error: row.last_error || null,
+    snapshot: parseJson(row.snapshot_json)
+  };
+}
+
+function formatWatchlist(row){
+  return {
+    id: row.id,
+    name: row.name,
+    model: row.model || '',
+    provider: row.provider || '',
+    webhook_url: row.webhook_url || '',
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    tickers: tickersStmt.all(row.id).map(formatTicker)
+  };
+}
+
+function formatAlert(row){
+  return {
+    id: row.id,
+    watchlist_id: row.watchlist_id,
+    ticker: row.ticker,
+    baseline_date: row.baseline_date,
+    kind: row.kind,
+    message: row.message,
+    previous: parseJson(row.previous_json),
+    current: parseJson(row.current_json),
+    webhook_status: row.webhook_status || null,
+    created_at: row.created_at,
+    read_at: row.read_at || null
+  };
+}
+
+export function createWatchlist({ name, tickers, model, provider, webhookUrl }){
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  db.transaction(()=>{
+    insertListStmt.run({ id, name: name || '未命名清單', model: model || '', provider: provider || '', webhook_url: webhookUrl || '', now });
+    for(const ticker of normalizeTickers(tickers)) insertTickerStmt.run(id, ticker, now);
+  })();
+  return getWatchlist(id);
+}
+
+export function getWatchlist(id){
+  const row = getListStmt.get(id);
+  return row ? formatWatchlist(row) : null;
+}
+
+export function listWatchlists(){
+  return allListsStmt.all().map(formatWatchlist);
+}
+
+// tickers 有提供時視為完整清單：保留既有 ticker 的快照，刪除不在清單中的 ticker
+export function updateWatchlist(id, { name, model, provider, webhookUrl, tickers }){
+  const row = getListStmt.get(id);
+  if(!row) return null;
+  const now = Date.now();
+  db.transaction(()=>{
+    updateListStmt.run({
+      id,
+      name: name ?? row.name,
+      model: model ?? row.model,
+      provider: provider ?? row.provider,
+      webhook_url: webhookUrl ?? row.webhook_url,
+      now
+    });
+    if(tickers!==undefined){
+      const next = new Set(normalizeTickers(tickers));
+      for(const existing of tickersStmt.all(id)){
+        if(!next.has(existing.ticker)) deleteTickerStmt.run(id, existing.ticker);
+      }
+      for(const ticker of next) insertTickerStmt.run(id, ticker, now);
+    }
+  })();
+  return getWatchlist(id);
+}
+
+export function deleteWatchlist(id){
+  let changes = 0;
+  db.transaction(()=>{
+    deleteTickersStmt.run(id);
+    deleteAlertsStmt.run(id);
+    changes = deleteListStmt.run(id).changes;
+  })();
+  return changes > 0;
+}
+
+export function getDueTickers(olderThan){
+  return dueTickersStmt.all(olderThan).map(row=>({ watchlistId: row.watchlist_id, ticker: row.ticker }));
+}
+
+export function recordTickerRun(watchlistId, ticker, { status, error=null, snapshot=null }){
+  setRunStmt.run({
+    watchlist_id: watchlistId,
+    ticker,
+    status,
+    error,
+    snapshot_json: snapshot ? JSON.stringify(snapshot) : null,
+    now: Date.now()
+  });
+}
+
+export function insertAlerts(watchlistId, ticker, baselineDate, changes){
+  const now = Date.now();
+  const ids = [];
+  db.transaction(()=>{
+    for(const change of changes){
+      const info = insertAlertStmt.run({
+        watchlist_id: watchlistId,
+        ticker,
+        baseline_date: baselineDate,
+        kind: change.kind,
+        message: change.message,
+        previous_json: JSON.stringify(change.previous ?? null),
+        current_json: JSON.stringify(change.current ?? null),
+        now
+      });
+      ids.push(Number(info.lastInsertRowid));
+    }
+  })();
+  return ids;
+}
+
+export function setAlertWebhookStatus(ids, status){
+  for(const id of ids) setWebhookStmt.run(status, id);
+}
+
+export function listAlerts({ watchlistId, unreadOnly=false, limit=50 }={}){
+  const where = [];
+  const params = [];
+  if(watchlistId){ where.push('watchlist_id=?'); params.push(watchlistId); }
+  if(unreadOnly) where.push('read_at IS NULL');
+  const sql = `SELECT * FROM watchlist_alerts ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC LIMIT ?`;
+  return db.prepare(sql).all(...params, limit).map(formatAlert);
+}
+
+export function countUnreadAlerts(){
+  return unreadCountStmt.get().n;
+}
+
+export function markAlertsRead(ids){
+  const now = Date.now();
+  if(!ids) return markAllReadStmt.run(now).changes;
+  let changes = 0;
+  db.transaction(()=>{
+    for(const id of ids) changes += markReadStmt.run(now, id).changes;
+  })();
+  return changes;
+}
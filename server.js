@@ -4,18 +4,26 @@ import morgan from 'morgan';
 import dayjs from 'dayjs';
 import fetch from 'node-fetch';
 import multer from 'multer';
-import path from 'path';
 import Papa from 'papaparse';
-import * as XLSX from 'xlsx';
-import { getCIK, getRecentFilings } from './lib/sec.js';
-import { fetchMDA } from './lib/secText.js';
-import { getRecommendations, getEarnings, getQuote } from './lib/finnhub.js';
-import { getAggregatedPriceTarget } from './lib/pricetarget.js';
-import { analyzeWithLLM } from './lib/llm.js';
-import { getHistoricalPrice } from './lib/historicalPrice.js';
-import { getCachedAnalysis, saveAnalysisResult } from './lib/analysisStore.js';
-import { buildNewsBundle } from './lib/news.js';
-import { computeMomentumMetrics } from './lib/momentum.js';
+import { listProviders, getUsageStats, resolveProviderName } from './lib/llmProvider.js';
+import { getCachedAnalysis, listAnalyses, getAnalysisSnapshot, getPreviousSnapshot } from './lib/analysisStore.js';
+import { diffAnalyses } from './lib/analysisDiff.js';
+import { performAnalysis, resolveModelName, analysisStoreModel, mapWithConcurrency, ANALYSIS_STAGES, PRICE_SOURCE_KEYS, PROMPT_VERSION } from './lib/analysis.js';
+import { parseBatchFile, parsePortfolioFile, parseTickerFile } from './lib/batchFile.js';
+import { compareTickers, parseCompareTickers } from './lib/compare.js';
+import { analyzePortfolio, normalizeHoldings } from './lib/portfolio.js';
+import { runScreener, parseScreenerRequest, SCREENER_FIELDS, SCREENER_CSV_FIELDS, MAX_UNIVERSE, MAX_ESCALATE } from './lib/screener.js';
+import { createWatchlist, getWatchlist, listWatchlists, updateWatchlist, deleteWatchlist, normalizeTickers, listAlerts, countUnreadAlerts, markAlertsRead } from './lib/watchlistStore.js';
+import { runWatchlist, startWatchlistScheduler } from './lib/watchlist.js';
+import { createJob, getJob, listJobs, getPendingRows, updateJobRow, setJobStatus, resetRunningRows, recoverUnfinishedJobs } from './lib/jobStore.js';
+import { getCompanyTitle } from './lib/sec.js';
+import { getInstitutionalOwnership } from './lib/institutions.js';
+import { setCusipMapping } from './lib/institutionStore.js';
+import { buildBacktestTasks, evaluateAnalysis, summarizeBacktest, BACKTEST_DEFAULTS } from './lib/backtest.js';
+import { loadScoringConfig, resolveScoringConfig, describeScoringComponents } from './lib/momentumScoring.js';
+import { loadDcfConfig, resolveDcfConfig } from './lib/valuation.js';
+import { parsePositionSizing, positionSizingFromFields } from './lib/positionSizing.js';
+import { buildAnalysisWorkbook, workbookBuffer, XLSX_MIME } from './lib/report.js';
 
 const app = express();
 app.use(express.json());
@@ -23,263 +31,334 @@ app.use(morgan('dev'));
 app.use(express.static('public'));
 
 const PORT = process.env.PORT || 3000;
-const UA   = process.env.SEC_USER_AGENT || 'App/1.0 (email@example.com)';
-const SEC_KEY = process.env.SEC_API_KEY || '';
-const FH_KEY  = process.env.FINNHUB_KEY || '';
-const AV_KEY  = process.env.ALPHAVANTAGE_KEY || '';
-const TWELVE_KEY = process.env.TWELVE_DATA_KEY || '';
-const OPEN_KEY= process.env.OPENROUTER_KEY || '';
-const MODEL   = process.env.OPENROUTER_MODEL || 'gpt-5';
 const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY || 3));
 const upload = multer({ storage: multer.memoryStorage(), limits:{ fileSize: 10 * 1024 * 1024 } });
-const REALTIME_TTL_MS = 6 * 60 * 60 * 1000;
-const HISTORICAL_TTL_MS = 30 * 24 * 60 * 60 * 1000;
-const ALLOWED_MODEL_LIST = (process.env.OPENROUTER_ALLOWED_MODELS || 'gpt-5,gpt-4.1,gpt-4o-mini')
-  .split(',')
-  .map(s=>s.trim())
-  .filter(Boolean);
-if(!ALLOWED_MODEL_LIST.includes(MODEL)) ALLOWED_MODEL_LIST.push(MODEL);
-const ALLOWED_MODEL_SET = new Set(ALLOWED_MODEL_LIST);
-
-function resolveModelName(requested){
-  const trimmed = (requested || '').trim();
-  if(!trimmed) return MODEL;
-  if(ALLOWED_MODEL_SET.size === 0) return trimmed;
-  return ALLOWED_MODEL_SET.has(trimmed) ? trimmed : MODEL;
-}
 
 function errRes(res, err){ console.error('❌', err); return res.status(500).json({error:String(err.message||err)}); }
 
-async function mapWithConcurrency(items, limit, mapper){
-  if(!Array.isArray(items) || !items.length) return [];
-  const size = Math.max(1, Math.min(limit || 1, items.length));
-  const results = new Array(items.length);
-  let index = 0;
-  const workers = Array.from({ length: size }, ()=>(async function worker(){
-    while(true){
-      const current = index++;
-      if(current >= items.length) break;
-      results[current] = await mapper(items[current], current);
-    }
-  })());
-  await Promise.all(workers);
-  return results;
+// 單次請求的動能評分設定（body 物件或 query 的 JSON 字串），格式錯誤回傳訊息供 400 使用
+function scoringError(raw){
+  try{ resolveScoringConfig(raw); return null; }
+  catch(err){ return err.message; }
 }
 
-async function performAnalysis(ticker, date, opts={}){
-  const parsedDate = dayjs(date);
-  if(!parsedDate.isValid()) throw new Error('invalid date format');
-  const baselineDate = parsedDate.format('YYYY-MM-DD');
-  const upperTicker = ticker.toUpperCase();
-  const isHistorical = parsedDate.isBefore(dayjs(), 'day');
-  const analysisTtl = isHistorical ? HISTORICAL_TTL_MS : REALTIME_TTL_MS;
-  const llmModel = resolveModelName(opts.model);
-
-  const cachedResult = getCachedAnalysis({ ticker: upperTicker, baselineDate, ttlMs: analysisTtl, model: llmModel });
-  if(cachedResult){
-    return cachedResult;
-  }
+// 單次請求的 DCF 假設，格式同 VALUATION_DCF_CONFIG
+function dcfError(raw){
+  try{ resolveDcfConfig(raw); return null; }
+  catch(err){ return err.message; }
+}
 
-  const cik = await getCIK(upperTicker, UA, SEC_KEY);
-  const filings = await getRecentFilings(cik, baselineDate, UA, SEC_KEY);
-  const perFiling = await mapWithConcurrency(filings, 3, async (f)=>{
-    const mda = await fetchMDA(f.url, UA);
-    return { form:f.form, formLabel:f.formLabel, filingDate:f.filingDate, reportDate:f.reportDate, mda };
-  });
+// 部位規劃參數（account_size / risk_pct 等），未提供時不計算
+function sizingError(raw){
+  try{ parsePositionSizing(raw); return null; }
+  catch(err){ return err.message; }
+}
 
-  const cacheContext = baselineDate;
-  const [recoRes, earnRes, quoteRes] = await Promise.allSettled([
-    getRecommendations(upperTicker, FH_KEY, cacheContext),
-    getEarnings(upperTicker, FH_KEY, cacheContext),
-    getQuote(upperTicker, FH_KEY, cacheContext)
-  ]);
-  const finnhub = {
-    recommendation: recoRes.status==='fulfilled'?recoRes.value:{ error:recoRes.reason.message },
-    earnings:       earnRes.status==='fulfilled'?earnRes.value:{ error:earnRes.reason.message },
-    quote:          quoteRes.status==='fulfilled'?quoteRes.value:{ error:quoteRes.reason.message }
-  };
-  let current = finnhub?.quote?.c ?? null;
-  const priceMeta = {
-    source: isHistorical ? 'historical_missing' : 'real-time',
-    as_of: isHistorical ? baselineDate : dayjs().format('YYYY-MM-DD')
+app.post('/api/analyze', async (req,res)=>{
+  const {ticker, date, model, provider, momentum_scoring, dcf, position_sizing} = req.body||{};
+  if(!ticker||!date) return res.status(400).json({error:'ticker and date required'});
+  const invalidOptions = scoringError(momentum_scoring) || dcfError(dcf) || sizingError(position_sizing);
+  if(invalidOptions) return res.status(400).json({ error: invalidOptions });
+  const resolvedModel = resolveModelName(model, provider);
+  try{
+    const result = await performAnalysis(ticker, date, { model: resolvedModel, provider, momentumScoring: momentum_scoring, dcf, positionSizing: position_sizing });
+    res.json(result);
+  }catch(err){ return errRes(res, err); }
+});
+
+// SSE 版本：每個階段開始 / 完成 / 失敗都推送事件，連線中斷即取消後續階段
+app.get('/api/analyze/stream', async (req,res)=>{
+  const { ticker, date, model, provider, momentum_scoring, dcf, position_sizing } = req.query || {};
+  if(!ticker||!date) return res.status(400).json({error:'ticker and date required'});
+  const invalidOptions = scoringError(momentum_scoring) || dcfError(dcf) || sizingError(position_sizing);
+  if(invalidOptions) return res.status(400).json({ error: invalidOptions });
+  const resolvedModel = resolveModelName(model, provider);
+  const controller = new AbortController();
+  res.on('close', ()=>{ if(!res.writableFinished) controller.abort(); });
+  res.writeHead(200, {
+    'Content-Type':'text/event-stream',
+    'Cache-Control':'no-cache',
+    'Connection':'keep-alive',
+    'X-Accel-Buffering':'no'
+  });
+  const send = (event, data)=>{
+    if(res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   };
-  if(isHistorical){
-    try{
-      const hist = await getHistoricalPrice(upperTicker, baselineDate, {
-        finnhubKey: FH_KEY,
-        alphaKey: AV_KEY,
-        twelveKey: TWELVE_KEY
-      });
-      if(hist?.price!=null){
-        current = hist.price;
-        priceMeta.source = hist.source;
-      }
-    }catch(err){
-      console.warn('[HistoricalPrice]', err.message);
-      priceMeta.source = 'real-time_fallback';
+  const heartbeat = setInterval(()=>{ if(!res.writableEnded) res.write(': ping\n\n'); }, 15000);
+  send('stages', { stages: ANALYSIS_STAGES });
+  try{
+    const result = await performAnalysis(String(ticker), String(date), {
+      model: resolvedModel,
+      provider,
+      momentumScoring: momentum_scoring,
+      dcf,
+      positionSizing: position_sizing,
+      signal: controller.signal,
+      onProgress: (evt)=>send('stage', evt)
+    });
+    send('result', result);
+  }catch(err){
+    if(err.name === 'AbortError' || controller.signal.aborted){
+      console.log(`[SSE] analysis cancelled ${ticker} ${date}`);
+    }else{
+      console.error('❌', err);
+      send('fail', { error: String(err.message || err) });
     }
-  }else{
-    priceMeta.source = 'real-time';
+  }finally{
+    clearInterval(heartbeat);
+    res.end();
   }
-  priceMeta.value = current;
-  priceMeta.kind = isHistorical && priceMeta.source !== 'real-time' ? 'historical' : 'real-time';
-  const quote = { ...(finnhub.quote || {}), c: current };
-  finnhub.quote = quote;
-  finnhub.price_meta = priceMeta;
-
-  let ptAgg;
-  try{ ptAgg = await getAggregatedPriceTarget(upperTicker, FH_KEY, AV_KEY, current); }
-  catch(e){ ptAgg = { error:e.message }; }
-
-  const payload = {
-      company: upperTicker,
-      baseline_date: baselineDate,
-      sec_filings: perFiling.map(x=>({
-        form: x.form,
-        form_label: x.formLabel || x.form,
-        filingDate: x.filingDate,
-        reportDate: x.reportDate,
-      mda_excerpt: x.mda.slice(0,5000)
-    })),
-    finnhub: { recommendation:finnhub.recommendation, earnings:finnhub.earnings, quote:finnhub.quote, price_target: ptAgg }
-  };
-  const newsBundle = await buildNewsBundle({ ticker: upperTicker, baselineDate, openKey: OPEN_KEY, model: llmModel });
-  payload.news = newsBundle;
-  const momentum = await computeMomentumMetrics(upperTicker, baselineDate);
-  payload.momentum = momentum;
-  const llmTtlMs = analysisTtl;
-  const llm = await analyzeWithLLM(OPEN_KEY, llmModel, payload, { cacheTtlMs: llmTtlMs, promptVersion: 'profile_v2' });
-
-  const result = {
-    input:{ticker:upperTicker, date: baselineDate},
-    fetched:{
-      filings: filings.map(f=>({form:f.form, form_label:f.formLabel || f.form, filingDate:f.filingDate, reportDate:f.reportDate, url:f.url})),
-      finnhub_summary:{
-        recommendation: Array.isArray(finnhub.recommendation)?finnhub.recommendation[0]:finnhub.recommendation,
-        quote: finnhub.quote,
-        price_target: ptAgg,
-        price_meta: priceMeta
-      }
-    },
-    analysis: llm,
-    analysis_model: llmModel,
-    news: newsBundle,
-    momentum
-  };
-  saveAnalysisResult({ ticker: upperTicker, baselineDate, isHistorical, model: llmModel, result });
-  return result;
-}
+});
 
-function normalizeDate(raw){
-  if(raw==null) return '';
-  if(typeof raw === 'number'){
-    const date = new Date(Math.round((raw - 25569) * 86400 * 1000));
-    return Number.isNaN(date.getTime()) ? '' : dayjs(date).format('YYYY-MM-DD');
+// 分析歷程：每次分析都是不可變快照，可依 ticker / 基準日區間 / 模型查詢並兩兩比較
+app.get('/api/analyses', (req,res)=>{
+  const { ticker, from, to, model } = req.query || {};
+  for(const value of [from, to]){
+    if(value && !dayjs(value).isValid()) return res.status(400).json({error:'invalid date format'});
   }
-  if(raw instanceof Date) return dayjs(raw).format('YYYY-MM-DD');
-  const str = String(raw).trim();
-  if(!str) return '';
-  const parsed = dayjs(str);
-  if(parsed.isValid()) return parsed.format('YYYY-MM-DD');
-  const alt = dayjs(new Date(str));
-  return alt.isValid() ? alt.format('YYYY-MM-DD') : str;
-}
+  try{
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    res.json(listAnalyses({
+      ticker: ticker ? String(ticker).trim() : undefined,
+      from: from ? dayjs(from).format('YYYY-MM-DD') : undefined,
+      to: to ? dayjs(to).format('YYYY-MM-DD') : undefined,
+      model: model ? String(model).trim() : undefined,
+      limit,
+      offset
+    }));
+  }catch(err){ return errRes(res, err); }
+});
 
-function parseBatchFile(file){
-  if(!file) throw new Error('缺少檔案');
-  const ext = path.extname(file.originalname || '').toLowerCase();
-  let rows = [];
-  if(ext === '.csv'){
-    const text = file.buffer.toString('utf8');
-    rows = Papa.parse(text, { skipEmptyLines:false }).data;
-  }else{
-    const wb = XLSX.read(file.buffer, { type:'buffer' });
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    rows = XLSX.utils.sheet_to_json(ws, { header:1, raw:false, defval:'' });
-  }
-  const tasks = [];
-  for (const row of rows){
-    if(!row || !row.length) continue;
-    const ticker = String(row[0] ?? '').trim();
-    const date = normalizeDate(row[1]);
-    const model = String(row[2] ?? '').trim();
-    if(/^(ticker|symbol)$/i.test(ticker) && /^date$/i.test(String(row[1] || ''))) continue;
-    if(!ticker && !date) break;
-    if(!ticker || !date) continue;
-    tasks.push({ ticker, date, model });
+app.get('/api/analyses/:id', (req,res)=>{
+  const snapshot = getAnalysisSnapshot(Number(req.params.id));
+  if(!snapshot) return res.status(404).json({error:'analysis not found'});
+  res.json(snapshot);
+});
+
+app.get('/api/analyses/:id/xlsx', (req,res)=>{
+  const snapshot = getAnalysisSnapshot(Number(req.params.id));
+  if(!snapshot) return res.status(404).json({error:'analysis not found'});
+  try{
+    const wb = buildAnalysisWorkbook([{
+      ticker: snapshot.ticker,
+      date: snapshot.baseline_date,
+      model: snapshot.model,
+      result: snapshot.result,
+      promptVersion: snapshot.prompt_version
+    }], { kind:'single' });
+    sendWorkbook(res, wb, `${snapshot.ticker}_${snapshot.baseline_date}_analysis`);
+  }catch(err){ return errRes(res, err); }
+});
+
+// 未指定 base 時與同 ticker、同模型的上一筆快照比較
+app.get('/api/analyses/:id/diff', (req,res)=>{
+  const target = getAnalysisSnapshot(Number(req.params.id));
+  if(!target) return res.status(404).json({error:'analysis not found'});
+  const base = req.query.base ? getAnalysisSnapshot(Number(req.query.base)) : getPreviousSnapshot(target);
+  if(!base) return res.status(404).json({error: req.query.base ? 'base analysis not found' : 'no previous analysis to compare'});
+  try{ res.json(diffAnalyses(base, target)); }
+  catch(err){ return errRes(res, err); }
+});
+
+// 機構持股（13F）：未指定 date 時以今天為基準日
+app.get('/api/institutions/:ticker', async (req,res)=>{
+  const date = req.query.date ? dayjs(req.query.date) : dayjs();
+  if(!date.isValid()) return res.status(400).json({error:'invalid date format'});
+  const ticker = String(req.params.ticker || '').trim().toUpperCase();
+  const userAgent = process.env.SEC_USER_AGENT || 'App/1.0 (email@example.com)';
+  const apiKey = process.env.SEC_API_KEY || '';
+  try{
+    const companyName = await getCompanyTitle(ticker, userAgent, apiKey);
+    res.json(await getInstitutionalOwnership(ticker, date.format('YYYY-MM-DD'), { userAgent, apiKey, companyName }));
+  }catch(err){ return errRes(res, err); }
+});
+
+// 名稱比對失敗或對到錯誤證券時，手動指定 ticker 的 CUSIP
+app.put('/api/institutions/:ticker/cusip', (req,res)=>{
+  try{ res.json(setCusipMapping({ ticker: req.params.ticker, cusip: req.body?.cusip, issuerName: req.body?.issuer_name || null })); }
+  catch(err){ return res.status(400).json({ error: err.message }); }
+});
+
+// 目前生效的動能評分設定（預設或 MOMENTUM_SCORING_CONFIG）與可調整的項目
+app.get('/api/momentum/scoring', (req,res)=>{
+  try{ res.json({ config: loadScoringConfig(), components: describeScoringComponents() }); }
+  catch(err){ return errRes(res, err); }
+});
+
+// 目前生效的 DCF 假設（預設或 VALUATION_DCF_CONFIG）
+app.get('/api/valuation/dcf', (req,res)=>{
+  try{ res.json({ config: loadDcfConfig() }); }
+  catch(err){ return errRes(res, err); }
+});
+
+// 同業比較：同一基準日逐檔分析後輸出對齊的比較表與 LLM 相對排名
+app.post('/api/compare', async (req,res)=>{
+  const { tickers, date, model, provider, momentum_scoring, dcf } = req.body || {};
+  let list;
+  try{
+    list = parseCompareTickers(tickers);
+  }catch(err){
+    return res.status(400).json({ error: err.message });
   }
-  return tasks;
-}
+  if(!date || !dayjs(date).isValid()) return res.status(400).json({error:'tickers and date required'});
+  const invalidOptions = scoringError(momentum_scoring) || dcfError(dcf);
+  if(invalidOptions) return res.status(400).json({ error: invalidOptions });
+  try{
+    const result = await compareTickers({ tickers: list, date, model, provider, momentumScoring: momentum_scoring, dcf, concurrency: BATCH_CONCURRENCY });
+    res.json(result);
+  }catch(err){ return errRes(res, err); }
+});
 
-app.post('/api/analyze', async (req,res)=>{
-  const {ticker, date, model} = req.body||{};
-  if(!ticker||!date) return res.status(400).json({error:'ticker and date required'});
-  const resolvedModel = resolveModelName(model);
+// 投資組合：multipart 上傳持股檔（ticker, shares, cost_basis, stop_loss）或 JSON body 的 holdings 陣列
+app.post('/api/portfolio/analyze', upload.single('file'), async (req,res)=>{
+  const { holdings, date, model, provider, momentum_scoring, dcf } = req.body || {};
+  let list;
   try{
-    const result = await performAnalysis(ticker, date, { model: resolvedModel });
+    list = normalizeHoldings(req.file ? parsePortfolioFile(req.file) : holdings);
+  }catch(err){
+    return res.status(400).json({ error: err.message });
+  }
+  if(!date || !dayjs(date).isValid()) return res.status(400).json({error:'holdings and date required'});
+  const invalidOptions = scoringError(momentum_scoring) || dcfError(dcf);
+  if(invalidOptions) return res.status(400).json({ error: invalidOptions });
+  try{
+    const result = await analyzePortfolio({ holdings: list, date, model, provider, momentumScoring: momentum_scoring, dcf, concurrency: BATCH_CONCURRENCY });
     res.json(result);
   }catch(err){ return errRes(res, err); }
 });
 
+// 選股器可用的欄位（條件式與排序）
+app.get('/api/screener/fields', (req,res)=>{
+  res.json({ fields: SCREENER_FIELDS, max_universe: MAX_UNIVERSE, max_analyze: MAX_ESCALATE });
+});
+
+// 選股器：JSON body 或 multipart（field `file` 為股票清單）；?format=csv 回傳 CSV
+app.post('/api/screener', upload.single('file'), async (req,res)=>{
+  const body = { ...(req.body || {}) };
+  try{
+    if(req.file) Object.assign(body, { universe:'list', tickers: parseTickerFile(req.file) });
+    parseScreenerRequest(body);
+  }catch(err){
+    return res.status(400).json({ error: err.message });
+  }
+  try{
+    const result = await runScreener(body, { concurrency: BATCH_CONCURRENCY });
+    if((req.query.format || body.format) !== 'csv') return res.json(result);
+    const csv = Papa.unparse({
+      fields: SCREENER_CSV_FIELDS,
+      data: result.rows.map(r=>SCREENER_CSV_FIELDS.map(f=>r[f] ?? ''))
+    });
+    res.setHeader('Content-Type','text/csv');
+    res.setHeader('Content-Disposition',`attachment; filename="screener_${result.baseline_date}.csv"`);
+    res.send(csv);
+  }catch(err){ return errRes(res, err); }
+});
+
+const BATCH_FIELDS = ['ticker','date','model','current_price','analyst_mean_target','llm_target_price','recommendation','segment','quality_score','news_sentiment','momentum_score','trend_flag','shares','dollar_risk','reward_risk','risk_warnings'];
+
+function buildBatchRow(task, resolvedModel, outcome){
+  if(!outcome.ok){
+    return {
+      ticker: task.ticker.toUpperCase(),
+      date: task.date,
+      model: resolvedModel,
+      current_price: '',
+      analyst_mean_target: '',
+      llm_target_price: '',
+      recommendation: `ERROR: ${outcome.error.message}`,
+      segment: '',
+      quality_score: '',
+      news_sentiment: '',
+      momentum_score: '',
+      trend_flag: '',
+      shares: '',
+      dollar_risk: '',
+      reward_risk: '',
+      risk_warnings: ''
+    };
+  }
+  const result = outcome.result;
+  const summary = result.fetched?.finnhub_summary || {};
+  const profile = result.analysis?.profile;
+  const newsSent = result.news?.sentiment;
+  const momentum = result.momentum || {};
+  const plan = result.position_plan?.available ? result.position_plan : null;
+  return {
+    ticker: result.input.ticker,
+    date: task.date,
+    model: resolvedModel,
+    current_price: summary.quote?.c ?? '',
+    analyst_mean_target: summary.price_target?.targetMean ?? summary.price_target?.targetMedian ?? '',
+    llm_target_price: result.analysis?.action?.target_price ?? '',
+    recommendation: result.analysis?.action?.rating ?? (result.analysis?.validation_errors ? 'ERROR: LLM 輸出格式無效' : ''),
+    segment: profile?.segment_label || profile?.segment || '',
+    quality_score: profile?.score ?? '',
+    news_sentiment: newsSent?.sentiment_label || '',
+    momentum_score: momentum.score ?? '',
+    trend_flag: momentum.trend || '',
+    shares: plan?.shares ?? '',
+    dollar_risk: plan?.dollar_risk ?? '',
+    reward_risk: plan?.reward_risk ?? '',
+    risk_warnings: plan ? plan.warnings.map(w=>w.message).join('；') : (result.position_plan?.reason || ''),
+    // 不在 CSV 欄位內；非同步批次的 Excel 報告依此讀回完整快照
+    snapshot_id: result.snapshot_id ?? null
+  };
+}
+
+function sendWorkbook(res, wb, basename){
+  res.setHeader('Content-Type', XLSX_MIME);
+  res.setHeader('Content-Disposition',`attachment; filename="${basename}.xlsx"`);
+  res.send(workbookBuffer(wb));
+}
+
+function reportEntry(task, resolvedModel, outcome){
+  const base = { ticker: task.ticker.toUpperCase(), date: task.date, model: resolvedModel };
+  if(!outcome.ok) return { ...base, error: String(outcome.error?.message || outcome.error) };
+  return { ...base, result: outcome.result, promptVersion: PROMPT_VERSION };
+}
+
+function memoizedAnalysis(memo, task, resolvedModel, { positionSizing=null, provider }={}){
+  const key = `${task.ticker.toUpperCase()}__${task.date}__${resolveProviderName(provider)}__${resolvedModel}`;
+  if(!memo.has(key)){
+    memo.set(key, (async ()=>{
+      try{
+        const result = await performAnalysis(task.ticker, task.date, { model: resolvedModel, provider, positionSizing });
+        return { ok:true, result };
+      }catch(error){
+        return { ok:false, error };
+      }
+    })());
+  }
+  return memo.get(key);
+}
+
+// 批次的部位規劃參數與 /api/analyze 相同，以 multipart 欄位 account_size、risk_pct 等傳入，LLM 供應商為欄位 provider；
+// ?format=xlsx（或 multipart 欄位 format）改回傳含摘要 / 明細 / 錯誤 / 說明工作表的 Excel 報告
 app.post('/api/batch', upload.single('file'), async (req,res)=>{
+  let sizing;
+  try{ sizing = positionSizingFromFields(req.body); }
+  catch(err){ return res.status(400).json({ error: err.message }); }
+  const format = String(req.query.format || req.body?.format || 'csv').toLowerCase();
+  if(!['csv','xlsx'].includes(format)) return res.status(400).json({error:'format must be csv or xlsx'});
+  const provider = resolveProviderName(req.body?.provider);
   try{
     const tasks = parseBatchFile(req.file);
     if(!tasks.length) return res.status(400).json({error:'檔案內沒有有效的 ticker/date 列'});
     const memo = new Map();
-    const rows = await mapWithConcurrency(tasks, BATCH_CONCURRENCY, async (task)=>{
-      const resolvedModel = resolveModelName(task.model);
-      const key = `${task.ticker.toUpperCase()}__${task.date}__${resolvedModel}`;
-      if(!memo.has(key)){
-        memo.set(key, (async ()=>{
-          try{
-            const result = await performAnalysis(task.ticker, task.date, { model: resolvedModel });
-            return { ok:true, result };
-          }catch(error){
-            return { ok:false, error };
-          }
-        })());
-      }
-      const outcome = await memo.get(key);
-      if(!outcome.ok){
-        return {
-          ticker: task.ticker.toUpperCase(),
-          date: task.date,
-          model: resolvedModel,
-          current_price: '',
-          analyst_mean_target: '',
-          llm_target_price: '',
-          recommendation: `ERROR: ${outcome.error.message}`,
-          segment: '',
-          quality_score: '',
-          news_sentiment: '',
-          momentum_score: '',
-          trend_flag: ''
-        };
-      }
-      const result = outcome.result;
-      const summary = result.fetched?.finnhub_summary || {};
-      const profile = result.analysis?.profile;
-      const newsSent = result.news?.sentiment;
-      const momentum = result.momentum || {};
-      return {
-        ticker: result.input.ticker,
-        date: task.date,
-        model: resolvedModel,
-        current_price: summary.quote?.c ?? '',
-        analyst_mean_target: summary.price_target?.targetMean ?? summary.price_target?.targetMedian ?? '',
-        llm_target_price: result.analysis?.action?.target_price ?? '',
-        recommendation: result.analysis?.action?.rating ?? '',
-        segment: profile?.segment_label || profile?.segment || '',
-        quality_score: profile?.score ?? '',
-        news_sentiment: newsSent?.sentiment_label || '',
-        momentum_score: momentum.score ?? '',
-        trend_flag: momentum.trend || ''
-      };
+    const outcomes = await mapWithConcurrency(tasks, BATCH_CONCURRENCY, async (task)=>{
+      const resolvedModel = resolveModelName(task.model, provider);
+      return { task, resolvedModel, outcome: await memoizedAnalysis(memo, task, resolvedModel, { positionSizing: sizing, provider }) };
     });
-    const fields = ['ticker','date','model','current_price','analyst_mean_target','llm_target_price','recommendation','segment','quality_score','news_sentiment','momentum_score','trend_flag'];
+    if(format === 'xlsx'){
+      const wb = buildAnalysisWorkbook(outcomes.map(o=>reportEntry(o.task, o.resolvedModel, o.outcome)));
+      return sendWorkbook(res, wb, 'batch_results');
+    }
+    const rows = outcomes.map(o=>buildBatchRow(o.task, o.resolvedModel, o.outcome));
     const csv = Papa.unparse({
-      fields,
-      data: rows.map(r=>fields.map(f=>r[f]))
+      fields: BATCH_FIELDS,
+      data: rows.map(r=>BATCH_FIELDS.map(f=>r[f]))
     });
     res.setHeader('Content-Type','text/csv');
     res.setHeader('Content-Disposition','attachment; filename="batch_results.csv"');
@@ -289,6 +368,247 @@ app.post('/api/batch', upload.single('file'), async (req,res)=>{
   }
 });
 
+// 非同步批次：列狀態存於 SQLite，重啟後會自動續跑
+const activeJobs = new Map();
+
+function drainJob(jobId){
+  if(activeJobs.has(jobId)) return activeJobs.get(jobId);
+  const run = (async ()=>{
+    setJobStatus(jobId, 'running');
+    const options = getJob(jobId, { includeRows:false })?.options || {};
+    const sizing = options.position_sizing || null;
+    const memo = new Map();
+    await mapWithConcurrency(getPendingRows(jobId), BATCH_CONCURRENCY, async (row)=>{
+      const resolvedModel = resolveModelName(row.model, options.provider);
+      updateJobRow(jobId, row.index, { status:'running' });
+      const outcome = await memoizedAnalysis(memo, row, resolvedModel, { positionSizing: sizing, provider: options.provider });
+      const summary = buildBatchRow(row, resolvedModel, outcome);
+      if(outcome.ok){
+        updateJobRow(jobId, row.index, { status:'done', result: summary });
+      }else{
+        updateJobRow(jobId, row.index, { status:'error', error: String(outcome.error?.message || outcome.error), result: summary });
+      }
+    });
+    setJobStatus(jobId, 'completed');
+  })().catch(err=>{
+    // 標為 failed 讓輪詢端結束等待；執行中的列退回 pending，重啟後續跑
+    console.error('[Jobs] drain failed', jobId, err.message);
+    resetRunningRows(jobId);
+    setJobStatus(jobId, 'failed');
+  }).finally(()=>{
+    activeJobs.delete(jobId);
+  });
+  activeJobs.set(jobId, run);
+  return run;
+}
+
+function jobCsv(job){
+  const fields = [...BATCH_FIELDS, 'status'];
+  const data = job.rows.map(row=>{
+    const base = row.result || {
+      ticker: row.ticker.toUpperCase(),
+      date: row.date,
+      model: resolveModelName(row.model, job.options?.provider),
+      recommendation: row.error ? `ERROR: ${row.error}` : ''
+    };
+    return fields.map(f=> f === 'status' ? row.status : (base[f] ?? ''));
+  });
+  return Papa.unparse({ fields, data });
+}
+
+app.post('/api/jobs', upload.single('file'), (req,res)=>{
+  let sizing;
+  try{ sizing = positionSizingFromFields(req.body); }
+  catch(err){ return res.status(400).json({ error: err.message }); }
+  try{
+    const tasks = parseBatchFile(req.file);
+    if(!tasks.length) return res.status(400).json({error:'檔案內沒有有效的 ticker/date 列'});
+    const options = {};
+    if(sizing) options.position_sizing = sizing;
+    if(req.body?.provider) options.provider = resolveProviderName(req.body.provider);
+    const jobId = createJob({ filename: req.file?.originalname, tasks, options: Object.keys(options).length ? options : null });
+    drainJob(jobId);
+    res.status(202).json(getJob(jobId, { includeRows:false }));
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+app.get('/api/jobs', (req,res)=>{
+  try{
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    res.json({ jobs: listJobs(limit) });
+  }catch(err){ return errRes(res, err); }
+});
+
+app.get('/api/jobs/:id', (req,res)=>{
+  try{
+    const job = getJob(req.params.id);
+    if(!job) return res.status(404).json({error:'job not found'});
+    res.json(job);
+  }catch(err){ return errRes(res, err); }
+});
+
+function jobFileBase(job){
+  return (job.filename || 'batch').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'batch';
+}
+
+// 每列依 snapshot_id 讀回完整分析；失敗、未完成或 LLM 輸出無效（未存快照）的列列入錯誤工作表
+function jobReportEntries(job){
+  return job.rows.map(row=>{
+    const base = { ticker: row.ticker.toUpperCase(), date: row.date, model: row.result?.model || resolveModelName(row.model, job.options?.provider) };
+    if(row.status === 'pending' || row.status === 'running') return { ...base, error:'尚未完成' };
+    if(row.error) return { ...base, error: row.error };
+    const snapshot = row.result?.snapshot_id!=null ? getAnalysisSnapshot(row.result.snapshot_id) : null;
+    if(!snapshot){
+      const recommendation = String(row.result?.recommendation || '');
+      return { ...base, error: recommendation.startsWith('ERROR: ') ? recommendation.slice(7) : '找不到分析快照' };
+    }
+    return { ...base, result: snapshot.result, promptVersion: snapshot.prompt_version };
+  });
+}
+
+app.get('/api/jobs/:id/csv', (req,res)=>{
+  try{
+    const job = getJob(req.params.id);
+    if(!job) return res.status(404).json({error:'job not found'});
+    res.setHeader('Content-Type','text/csv');
+    res.setHeader('Content-Disposition',`attachment; filename="${jobFileBase(job)}_results.csv"`);
+    res.send(jobCsv(job));
+  }catch(err){ return errRes(res, err); }
+});
+
+app.get('/api/jobs/:id/xlsx', (req,res)=>{
+  try{
+    const job = getJob(req.params.id);
+    if(!job) return res.status(404).json({error:'job not found'});
+    sendWorkbook(res, buildAnalysisWorkbook(jobReportEntries(job)), `${jobFileBase(job)}_report`);
+  }catch(err){ return errRes(res, err); }
+});
+
+app.post('/api/backtest', async (req,res)=>{
+  const body = req.body || {};
+  const provider = resolveProviderName(body.provider);
+  const requestedModels = Array.isArray(body.models) && body.models.length ? body.models : [body.model];
+  const models = [...new Set(requestedModels.map(m=>resolveModelName(m, provider)))];
+  const horizonDays = Math.max(1, Number(body.horizon_days) || BACKTEST_DEFAULTS.horizonDays);
+  const holdBand = Number.isFinite(Number(body.hold_band)) && body.hold_band!=null ? Number(body.hold_band) : BACKTEST_DEFAULTS.holdBand;
+  const cachedOnly = Boolean(body.cached_only);
+  let tasks;
+  try{
+    tasks = buildBacktestTasks({ tickers: body.tickers, from: body.from, to: body.to, stepDays: body.step_days, models });
+  }catch(err){
+    return res.status(400).json({ error: err.message });
+  }
+  try{
+    const rows = await mapWithConcurrency(tasks, BATCH_CONCURRENCY, async (task)=>{
+      let result;
+      try{
+        result = cachedOnly
+          ? getCachedAnalysis({ ticker: task.ticker, baselineDate: task.date, ttlMs: Number.POSITIVE_INFINITY, model: analysisStoreModel(task.model, provider) })
+          : await performAnalysis(task.ticker, task.date, { model: task.model, provider });
+      }catch(err){
+        return { ...task, status:'error', error: err.message };
+      }
+      if(!result) return { ...task, status:'not_cached' };
+      try{
+        const row = await evaluateAnalysis(result, { horizonDays, holdBand, ...PRICE_SOURCE_KEYS });
+        return { ...row, model: row.model || task.model };
+      }catch(err){
+        return { ...task, status:'error', error: err.message };
+      }
+    });
+    res.json({
+      params:{ tickers:[...new Set(tasks.map(t=>t.ticker))], from: body.from, to: body.to || body.from, provider, models, horizon_days: horizonDays, hold_band: holdBand, cached_only: cachedOnly },
+      summary: summarizeBacktest(rows),
+      rows
+    });
+  }catch(err){
+    return errRes(res, err);
+  }
+});
+
+// 追蹤清單：清單與快照存於 SQLite，排程每日重跑並比對上一次結果
+function readWatchlistBody(body={}){
+  const webhookUrl = body.webhook_url!=null ? String(body.webhook_url).trim() : undefined;
+  if(webhookUrl && !/^https?:\/\//i.test(webhookUrl)) throw new Error('webhook_url 必須為 http(s) URL');
+  return {
+    name: body.name!=null ? String(body.name).trim() : undefined,
+    model: body.model!=null ? String(body.model).trim() : undefined,
+    provider: body.provider!=null ? (String(body.provider).trim() ? resolveProviderName(body.provider) : '') : undefined,
+    webhookUrl,
+    tickers: body.tickers!==undefined ? normalizeTickers(body.tickers) : undefined
+  };
+}
+
+app.get('/api/watchlists', (req,res)=>{
+  try{ res.json({ watchlists: listWatchlists() }); }
+  catch(err){ return errRes(res, err); }
+});
+
+app.post('/api/watchlists', (req,res)=>{
+  let input;
+  try{ input = readWatchlistBody(req.body); }
+  catch(err){ return res.status(400).json({ error: err.message }); }
+  if(!input.tickers?.length) return res.status(400).json({ error:'tickers required' });
+  try{ res.status(201).json(createWatchlist(input)); }
+  catch(err){ return errRes(res, err); }
+});
+
+app.get('/api/watchlists/:id', (req,res)=>{
+  const watchlist = getWatchlist(req.params.id);
+  if(!watchlist) return res.status(404).json({error:'watchlist not found'});
+  res.json(watchlist);
+});
+
+app.patch('/api/watchlists/:id', (req,res)=>{
+  let input;
+  try{ input = readWatchlistBody(req.body); }
+  catch(err){ return res.status(400).json({ error: err.message }); }
+  try{
+    const watchlist = updateWatchlist(req.params.id, input);
+    if(!watchlist) return res.status(404).json({error:'watchlist not found'});
+    res.json(watchlist);
+  }catch(err){ return errRes(res, err); }
+});
+
+app.delete('/api/watchlists/:id', (req,res)=>{
+  try{
+    if(!deleteWatchlist(req.params.id)) return res.status(404).json({error:'watchlist not found'});
+    res.status(204).end();
+  }catch(err){ return errRes(res, err); }
+});
+
+// 手動立即更新：同樣以今天為基準日，6 小時內已分析過的 ticker 直接沿用結果
+app.post('/api/watchlists/:id/run', async (req,res)=>{
+  try{
+    const run = await runWatchlist(req.params.id, { concurrency: BATCH_CONCURRENCY });
+    if(!run) return res.status(404).json({error:'watchlist not found'});
+    res.json(run);
+  }catch(err){ return errRes(res, err); }
+});
+
+app.get('/api/alerts', (req,res)=>{
+  try{
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    res.json({
+      unread: countUnreadAlerts(),
+      alerts: listAlerts({ watchlistId: req.query.watchlist_id, unreadOnly: req.query.unread === '1', limit })
+    });
+  }catch(err){ return errRes(res, err); }
+});
+
+app.post('/api/alerts/read', (req,res)=>{
+  try{
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number).filter(Number.isInteger) : null;
+    res.json({ updated: markAlertsRead(ids), unread: countUnreadAlerts() });
+  }catch(err){ return errRes(res, err); }
+});
+
+app.get('/api/llm/usage', (req,res)=>{
+  res.json({ providers: listProviders(), usage: getUsageStats() });
+});
+
 // 自我測試
 app.get('/selftest', async (req,res)=>{
   try{
@@ -302,4 +622,11 @@ app.get('/selftest', async (req,res)=>{
   }catch(err){ return errRes(res, err); }
 });
 
-app.listen(PORT, ()=> console.log(`🚀 http://localhost:${PORT}`));
+app.listen(PORT, ()=>{
+  console.log(`🚀 http://localhost:${PORT}`);
+  for(const jobId of recoverUnfinishedJobs()){
+    console.log(`[Jobs] resuming ${jobId}`);
+    drainJob(jobId);
+  }
+  startWatchlistScheduler({ concurrency: BATCH_CONCURRENCY });
+});
@@ -0,0 +1,187 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('analysis');
+const { seedAnalysisFixtures, TICKER, BASELINE, HISTORICAL_CLOSE, RISK_PARAGRAPHS } = await import('./helpers/upstream.js');
+const { performAnalysis, ANALYSIS_STAGES } = await import('../lib/analysis.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+let first;
+
+test('performAnalysis runs every stage against replayed fixtures', async ()=>{
+  const events = [];
+  first = await performAnalysis(TICKER.toLowerCase(), BASELINE, { onProgress:(evt)=>events.push(evt) });
+
+  const done = events.filter(e=>e.status === 'done').map(e=>e.stage);
+  assert.deepEqual(done, ANALYSIS_STAGES);
+  assert.equal(events.filter(e=>e.status === 'error').length, 0);
+
+  assert.deepEqual(first.input, { ticker: TICKER, date: BASELINE });
+  assert.equal(first.analysis_provider, 'fixture');
+  assert.equal(first.analysis_model, 'fixture');
+});
+
+test('only filings and facts published on or before the baseline are used', ()=>{
+  assert.deepEqual(first.fetched.filings.map(f=>[f.form, f.filingDate]), [['10-Q','2024-05-29'], ['10-K','2024-02-21']]);
+  assert.deepEqual(first.fetched.filings[0].sections.mda, { found:true, item:'2', chars:69, truncated:false });
+  assert.equal(first.fetched.filings[0].sections.risk_factors.found, true);
+  assert.equal(first.fundamentals.latest_period_end, '2024-04-28');
+  assert.equal(first.fundamentals.quarters[0].revenue, 26044000000);
+  // Q4 由 10-K 全年數扣除前三季推得
+  assert.equal(first.fundamentals.quarters[1].period_end, '2024-01-28');
+  assert.equal(first.fundamentals.quarters[1].revenue, 60922000000 - 7192000000 - 13507000000 - 18120000000);
+  assert.equal(first.fundamentals.trends.net_income_positive_quarters, 4);
+});
+
+test('risk factors of the two latest filings are aligned paragraph by paragraph', ()=>{
+  const changes = first.risk_factor_changes;
+  assert.equal(changes.available, true);
+  assert.deepEqual([changes.current.form, changes.current.filingDate], ['10-Q','2024-05-29']);
+  assert.deepEqual([changes.previous.form, changes.previous.filingDate], ['10-K','2024-02-21']);
+  assert.deepEqual(
+    { new: changes.counts.new, removed: changes.counts.removed, reworded: changes.counts.reworded, unchanged: changes.counts.unchanged },
+    { new:1, removed:1, reworded:1, unchanged:1 }
+  );
+  assert.equal(changes.new[0].text, RISK_PARAGRAPHS['10-Q'][2]);
+  assert.equal(changes.removed[0].text, RISK_PARAGRAPHS['10-K'][2]);
+  assert.equal(changes.reworded[0].after, RISK_PARAGRAPHS['10-Q'][1]);
+});
+
+test('8-K events and Form 4 insider trades before the baseline feed the result', ()=>{
+  const events = first.corporate_events;
+  assert.deepEqual(events.material_events.map(e=>e.filingDate), ['2024-05-22','2024-03-08']);
+  assert.equal(events.insider.signal, 'net_selling');
+  assert.equal(events.insider.net_value, 180000 - 1000000);
+  assert.deepEqual(events.insider.notable_insiders.map(r=>r.name), ['HUANG JEN HSUN','STEVENS MARK A']);
+});
+
+test('13F holdings of the tracked filers feed the float / institutional filter', ()=>{
+  const inst = first.institutions;
+  assert.deepEqual([inst.period, inst.trend, inst.holder_count], ['2024-03-31', 'increasing', 2]);
+  assert.equal(inst.pct_of_outstanding, 0.124);
+  const filter = first.profile_rules.filters.items.find(i=>i.key === 'float_institutional');
+  assert.match(filter.rule_reason, /追蹤機構 2024-03-31 較 2023-12-31 持股變化 1\.7%/);
+});
+
+test('historical baseline uses the replayed closing price', ()=>{
+  const summary = first.fetched.finnhub_summary;
+  assert.equal(summary.price_meta.source, 'yahoo_chart');
+  assert.equal(summary.price_meta.kind, 'historical');
+  assert.equal(summary.quote.c, HISTORICAL_CLOSE);
+  assert.equal(summary.price_target.source, 'finnhub');
+  assert.equal(summary.price_target.targetMean, 1200);
+  // Finnhub lastUpdated 2024-05-30 早於基準日，目前共識即為基準日當時的資料
+  assert.deepEqual([summary.price_target.point_in_time, summary.price_target.as_of], [true, '2024-05-30']);
+  assert.deepEqual(summary.quote, { c: HISTORICAL_CLOSE });
+  assert.deepEqual(Object.fromEntries(Object.entries(summary.point_in_time).map(([k,v])=>[k, v.point_in_time])), { recommendation:true, earnings:true, quote:true, price_target:true });
+  assert.equal(first.momentum.reference_date, BASELINE);
+  assert.equal(first.momentum.etf.symbol, 'XLK');
+  assert.deepEqual([first.momentum.sector.sector, first.momentum.sector.sic_description], ['technology', 'Semiconductors & Related Devices']);
+  assert.deepEqual(Object.values(first.momentum.benchmarks).map(b=>b.symbol), ['XLK','XSD','SPY']);
+  assert.ok(Object.values(first.momentum.benchmarks).every(b=>b.relative?.m3 != null));
+});
+
+test('valuation multiples use SEC facts at the as-traded baseline price', ()=>{
+  const v = first.valuation;
+  assert.equal(v.market_cap, 2460000000 * HISTORICAL_CLOSE);
+  // 淨負債 = 長期負債（非流動 + 一年內到期）- 現金 - 有價證券
+  assert.equal(v.balance.net_debt, 8460000000 + 1250000000 - 7587000000 - 23851000000);
+  assert.equal(v.enterprise_value, v.market_cap + v.balance.net_debt);
+  // 基準日前沒有預期快照：目前的 Finnhub 共識含基準日後才形成的預期，不計算預估 EPS、forward P/E 與 PEG
+  assert.deepEqual(v.multiples, { pe:63.31, forward_pe:null, ev_sales:33.54, ev_ebitda:54.29, fcf_yield:0.0146, peg:null });
+  assert.deepEqual([v.eps.forward, v.eps.growth_source, v.point_in_time.forward], [null, null, { point_in_time:false, note:'基準日前沒有預估 EPS 快照' }]);
+  assert.deepEqual([v.dcf.available, v.dcf.base_fcf, v.dcf.growth_rate, v.dcf.config.source], [true, 39334000000, 0.25, 'default']);
+  assert.equal(v.dcf.sensitivity.per_share[1][1], v.dcf.per_share);
+  assert.equal(first.valuation.inputs.base_fcf, v.dcf.base_fcf);
+});
+
+test('earnings surprises are matched to 8-K release dates known at the baseline', ()=>{
+  const e = first.earnings;
+  // 2024-06-30 季於基準日後公布；2023-12-31 季沒有 8-K，但早於配對區間仍保留
+  assert.deepEqual(e.history.map(q=>[q.period, q.report_date]), [
+    ['2024-03-31','2024-05-22'], ['2023-12-31',null], ['2023-09-30','2023-11-21'], ['2023-06-30','2023-08-23'], ['2023-03-31','2023-05-24']
+  ]);
+  assert.equal(e.history[0].surprise_pct, 0.0948);
+  assert.deepEqual(e.summary.streak, { kind:'beat', count:5 });
+  assert.deepEqual(e.summary.beat_rate_4q, { beats:4, quarters:4 });
+  // 合成序列每日 +0.05%、SPY +0.02%：公布前後兩個交易日
+  assert.deepEqual(e.history[0].reaction, { from:'2024-05-21', to:'2024-05-23', change:0.001, excess:0.0006 });
+  assert.equal(e.history[1].reaction, null);
+  assert.equal(e.summary.reactions_measured, 4);
+  assert.deepEqual(e.next_report, { date:'2024-08-21', source:'year_ago_report', days_until:82 });
+  // 本次取得的預期快照日期晚於基準日，沒有 Alpha Vantage 金鑰時不計算修正
+  assert.equal(e.revisions.available, false);
+  assert.equal(first.profile_rules.filters.items.find(i=>i.key === 'eps_revision').source, 'llm');
+});
+
+test('news articles are filtered to reliable or tagged sources', ()=>{
+  assert.deepEqual(first.news.keywords, ['earnings','guidance','revenue','outlook','analyst']);
+  assert.deepEqual(first.news.articles.map(a=>a.source), ['reuters.com','cnbc.com']);
+  assert.equal(first.news.sentiment.sentiment_label, '中性');
+});
+
+test('fixture LLM output passes validation and feeds the profile rules', ()=>{
+  assert.equal(first.analysis.validation_errors, undefined);
+  assert.equal(first.analysis.action.rating, 'HOLD');
+  assert.equal(first.analysis.action.target_price, Math.round(HISTORICAL_CLOSE * 1.1 * 100) / 100);
+  assert.equal(first.profile_rules.segment, 'large_cap');
+  assert.ok(first.profile_rules.filters.items.some(i=>i.source === 'computed'));
+  // LLM 沒有收到規則結果，fixture 固定給一半分數，與算出的動能 / FCF 分數不同
+  assert.deepEqual(first.profile_rules.disagreements.filter(d=>d.field.startsWith('score.')).map(d=>d.field), ['score.momentum','score.fcf']);
+  assert.equal(first.profile_rules.segment, first.analysis.profile.segment);
+});
+
+test('a repeated request is served from the analysis store without any upstream call', async ()=>{
+  fs.rmSync(env.fixtureDir, { recursive:true, force:true });
+  const events = [];
+  const again = await performAnalysis(TICKER, BASELINE, { onProgress:(evt)=>events.push(evt) });
+  assert.equal(events.length, 0);
+  assert.deepEqual(again, first);
+});
+
+test('a per-request momentum scoring config re-scores the cached analysis', async ()=>{
+  const custom = await performAnalysis(TICKER, BASELINE, { momentumScoring:{ base:0, components:{ above_ma50:{ points:0 } } } });
+  assert.deepEqual([custom.momentum.scoring.source, custom.momentum.scoring.rescored, custom.momentum.scoring.base], ['request', true, 0]);
+  assert.ok(!custom.momentum.score_breakdown.some(b=>b.key === 'above_ma50'));
+  assert.ok(custom.momentum.score < first.momentum.score);
+  assert.deepEqual(custom.analysis, first.analysis);
+  await assert.rejects(()=>performAnalysis(TICKER, BASELINE, { momentumScoring:{ components:{ nope:{ weight:1 } } } }), /unknown component "nope"/);
+});
+
+test('per-request DCF assumptions re-run the valuation of the cached analysis', async ()=>{
+  const custom = await performAnalysis(TICKER, BASELINE, { dcf:{ discount_rate:0.12, growth_rate:0.1 } });
+  assert.deepEqual([custom.valuation.dcf.config.source, custom.valuation.dcf.config.rescored, custom.valuation.dcf.growth_source], ['request', true, 'config']);
+  assert.ok(custom.valuation.dcf.per_share < first.valuation.dcf.per_share);
+  assert.deepEqual(custom.valuation.multiples, first.valuation.multiples);
+  // LLM 的估值說明仍是原快照的 DCF，標記為過期；其餘結論不變
+  assert.ok(custom.analysis.per_filing.every(f=>f.five_indicators.valuation_rationale_stale === true));
+  assert.equal(custom.analysis.per_filing[0].five_indicators.valuation_rationale, first.analysis.per_filing[0].five_indicators.valuation_rationale);
+  assert.deepEqual(custom.analysis.action, first.analysis.action);
+  await assert.rejects(()=>performAnalysis(TICKER, BASELINE, { dcf:{ discount_rate:0.02 } }), /discount_rate must be greater than terminal_growth/);
+});
+
+test('account size and risk per trade turn the cached analysis into a position plan', async ()=>{
+  const sized = await performAnalysis(TICKER, BASELINE, { positionSizing:{ account_size:200000, risk_pct:1 } });
+  const plan = sized.position_plan;
+  // fixture LLM 以現價 ±10% 設定目標與停損：每股風險 109.63，風險報酬比 1
+  assert.deepEqual([plan.direction, plan.entry, plan.risk_per_share, plan.shares, plan.reward_risk], ['long', HISTORICAL_CLOSE, 109.63, 18, 1]);
+  assert.equal(plan.stop_check.status, 'ok');
+  assert.deepEqual(plan.warnings.map(w=>w.code), ['hold_rating', 'low_reward_risk']);
+  // 部位規劃不寫入快照
+  const plain = await performAnalysis(TICKER, BASELINE);
+  assert.equal(plain.position_plan, undefined);
+  await assert.rejects(()=>performAnalysis(TICKER, BASELINE, { positionSizing:{ account_size:200000 } }), /risk_pct is required/);
+});
+
+test('an aborted signal stops the pipeline before any stage runs', async ()=>{
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    performAnalysis('AAPL', BASELINE, { signal: controller.signal }),
+    (err)=> err.name === 'AbortError'
+  );
+});
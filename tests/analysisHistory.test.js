@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('history');
+const { seedAnalysisFixtures, TICKER, BASELINE } = await import('./helpers/upstream.js');
+const { performAnalysis } = await import('../lib/analysis.js');
+const store = await import('../lib/analysisStore.js');
+const { diffAnalyses } = await import('../lib/analysisDiff.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+let first;
+
+// 模擬同一基準日的下一次分析：評級、目標價、過濾條件與風險因子都有變化
+function revised(result){
+  const next = structuredClone(result);
+  delete next.snapshot_id;
+  next.analysis.action = { ...next.analysis.action, rating:'BUY', target_price: next.analysis.action.target_price + 50 };
+  for(const filing of next.analysis.per_filing){
+    filing.five_indicators.risk_factors = ['出口管制擴大', '客戶集中度偏高'];
+  }
+  const filter = next.profile_rules.filters.items.find(i=>i.met !== null);
+  filter.met = !filter.met;
+  return { next, filter };
+}
+
+test('every run is kept as a snapshot with model, prompt version and input hash', async ()=>{
+  first = await performAnalysis(TICKER, BASELINE);
+  assert.ok(Number.isInteger(first.snapshot_id));
+  const snapshot = store.getAnalysisSnapshot(first.snapshot_id);
+  assert.equal(snapshot.ticker, TICKER);
+  assert.equal(snapshot.baseline_date, BASELINE);
+  assert.equal(snapshot.model, 'fixture');
+  assert.equal(snapshot.provider, 'fixture');
+  assert.equal(snapshot.prompt_version, 'profile_v12');
+  assert.match(snapshot.input_hash, /^[0-9a-f]{64}$/);
+  assert.equal(snapshot.rating, 'HOLD');
+  assert.deepEqual(snapshot.result, first);
+  assert.equal(store.getAnalysisSnapshot(999999), null);
+});
+
+test('a newer snapshot does not overwrite the previous one and becomes the cache hit', ()=>{
+  const { next } = revised(first);
+  const id = store.saveAnalysisResult({ ticker: TICKER, baselineDate: BASELINE, isHistorical:true, model:'fixture:fixture', result: next, promptVersion:'profile_v12' });
+  assert.ok(id > first.snapshot_id);
+  assert.equal(store.getAnalysisSnapshot(first.snapshot_id).rating, 'HOLD');
+  const cached = store.getCachedAnalysis({ ticker: TICKER, baselineDate: BASELINE, ttlMs: 60000, model:'fixture:fixture' });
+  assert.equal(cached.snapshot_id, id);
+  assert.equal(cached.analysis.action.rating, 'BUY');
+  assert.equal(store.getPreviousSnapshot(store.getAnalysisSnapshot(id)).id, first.snapshot_id);
+  assert.equal(store.getPreviousSnapshot(store.getAnalysisSnapshot(first.snapshot_id)), null);
+});
+
+test('listing filters by ticker, baseline range and model', ()=>{
+  store.saveAnalysisResult({ ticker:'AMD', baselineDate:'2024-03-28', isHistorical:true, model:'gpt-5', result:{ input:{ ticker:'AMD', date:'2024-03-28' }, analysis_model:'gpt-5', analysis_provider:'openrouter', analysis:{ action:{ rating:'SELL', target_price:150 } } } });
+  const all = store.listAnalyses();
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.items.map(i=>i.ticker), ['AMD', TICKER, TICKER]);
+  assert.equal(all.items[0].result, undefined);
+  assert.equal(store.listAnalyses({ ticker:'nvda' }).total, 2);
+  assert.equal(store.listAnalyses({ from:'2024-04-01' }).total, 2);
+  assert.equal(store.listAnalyses({ to:'2024-04-01' }).items[0].ticker, 'AMD');
+  assert.equal(store.listAnalyses({ model:'gpt-5' }).items[0].target_price, 150);
+  assert.equal(store.listAnalyses({ limit:1, offset:1 }).items[0].ticker, TICKER);
+});
+
+test('diff highlights rating, target, filter and risk factor changes', ()=>{
+  const { filter } = revised(first);
+  const [latest] = store.listAnalyses({ ticker: TICKER }).items;
+  const diff = diffAnalyses(store.getAnalysisSnapshot(first.snapshot_id), store.getAnalysisSnapshot(latest.id));
+  assert.equal(diff.base.id, first.snapshot_id);
+  assert.equal(diff.target.id, latest.id);
+  assert.deepEqual(diff.rating, { before:'HOLD', after:'BUY', changed:true });
+  assert.equal(diff.targets.target_price.delta, 50);
+  assert.equal(diff.targets.stop_loss.changed, false);
+  assert.deepEqual(diff.filters.changes.map(c=>[c.key, c.before, c.after]), [[filter.key, !filter.met, filter.met]]);
+  assert.deepEqual(diff.risk_factors.added, ['出口管制擴大', '客戶集中度偏高']);
+  assert.deepEqual(diff.risk_factors.removed, []);
+  assert.equal(diff.highlights[0], '評級 觀望 → 買進');
+  assert.ok(diff.highlights.includes('新增 2 項風險因子'));
+
+  const reverse = diffAnalyses(store.getAnalysisSnapshot(latest.id), store.getAnalysisSnapshot(first.snapshot_id));
+  assert.equal(reverse.risk_factors.removed.length, 2);
+  assert.equal(reverse.targets.target_price.delta, -50);
+
+  const same = diffAnalyses(store.getAnalysisSnapshot(first.snapshot_id), store.getAnalysisSnapshot(first.snapshot_id));
+  assert.deepEqual(same.highlights, []);
+  assert.equal(same.same_input, true);
+});
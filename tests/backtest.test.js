@@ -0,0 +1,101 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('backtest');
+const { seedSeries, syntheticSeries } = await import('./helpers/upstream.js');
+const { evaluateAnalysis, summarizeBacktest, buildBacktestTasks } = await import('../lib/backtest.js');
+
+after(()=> env.cleanup());
+
+// 基準日 + 90 天 = 2024-04-30；序列以 horizon 結束日為基準抓取
+const BASE = '2024-01-31';
+const END = '2024-04-30';
+const BENCH = 'BTBM';
+const BENCH_RATE = 0.0002;
+
+seedSeries(BENCH, syntheticSeries({ rate: BENCH_RATE }), { asOf: END });
+
+function seedTicker(symbol, rate){
+  const rows = syntheticSeries({ rate });
+  seedSeries(symbol, rows, { asOf: END });
+  const entry = rows.filter(r=>r.date <= BASE).at(-1);
+  const path = rows.filter(r=>r.date > BASE && r.date <= END);
+  return { entry, path, exit: path.at(-1) };
+}
+
+function analysis(ticker, rating, target, stop, model='gpt-5'){
+  return {
+    input:{ ticker, date: BASE },
+    analysis_model: model,
+    analysis:{ action:{ rating, target_price: target, stop_loss: stop } },
+    momentum:{ etf:{ symbol: BENCH } }
+  };
+}
+
+function benchReturn(){
+  const rows = syntheticSeries({ rate: BENCH_RATE });
+  return rows.filter(r=>r.date <= END).at(-1).close / rows.filter(r=>r.date <= BASE).at(-1).close - 1;
+}
+
+const round4 = (x)=> Math.round(x * 10000) / 10000;
+
+test('a target reached before the stop counts as a hit with excess return over the benchmark', async ()=>{
+  const { entry, path, exit } = seedTicker('BTUP', 0.001);
+  const target = entry.close * 1.05;
+  const row = await evaluateAnalysis(analysis('BTUP', 'BUY', target, entry.close * 0.9));
+  assert.deepEqual([row.status, row.horizon_end, row.entry_price, row.exit_price], ['ok', END, entry.close, exit.close]);
+  // high 為收盤 +1%，第一個 high ≥ 目標價的交易日
+  assert.equal(row.target_reached_on, path.find(r=>r.high >= target).date);
+  assert.deepEqual([row.target_reached, row.stop_hit, row.stop_hit_on, row.first_touch], [true, false, null, 'target']);
+  assert.equal(row.forward_return, round4(exit.close / entry.close - 1));
+  assert.equal(row.benchmark, BENCH);
+  assert.equal(row.benchmark_return, round4(benchReturn()));
+  assert.equal(row.excess_return, round4(row.forward_return - benchReturn()));
+  assert.equal(row.hit, true);
+});
+
+test('a stop hit on a falling series is a miss for BUY', async ()=>{
+  const { entry, path } = seedTicker('BTDN', -0.001);
+  const stop = entry.close * 0.95;
+  const row = await evaluateAnalysis(analysis('BTDN', 'BUY', entry.close * 1.1, stop));
+  assert.equal(row.stop_hit_on, path.find(r=>r.low <= stop).date);
+  assert.deepEqual([row.target_reached, row.stop_hit, row.first_touch], [false, true, 'stop']);
+  assert.ok(row.forward_return < 0 && row.excess_return < row.forward_return);
+  assert.equal(row.hit, false);
+});
+
+test('a flat series touches neither level and HOLD is judged against the hold band', async ()=>{
+  const { entry } = seedTicker('BTFL', 0);
+  const row = await evaluateAnalysis(analysis('BTFL', 'HOLD', entry.close * 1.1, entry.close * 0.9));
+  assert.deepEqual([row.target_reached, row.stop_hit, row.first_touch, row.forward_return], [false, false, null, 0]);
+  // 超額報酬 = -基準報酬（約 -1.2%），落在 ±5% 內
+  assert.equal(row.excess_return, round4(-benchReturn()));
+  assert.equal(row.hit, true);
+  assert.equal((await evaluateAnalysis(analysis('BTFL', 'HOLD', null, null), { holdBand: 0.01 })).hit, false);
+});
+
+test('unrated and future-dated analyses are not evaluated', async ()=>{
+  assert.equal((await evaluateAnalysis(analysis('BTFL', 'MAYBE', 1, 1))).status, 'no_rating');
+  const future = analysis('BTFL', 'BUY', 1, 1);
+  future.input.date = '2999-01-01';
+  assert.equal((await evaluateAnalysis(future)).status, 'pending');
+});
+
+test('results are aggregated per model and rating, best hit rate first', ()=>{
+  const rows = [
+    { model:'a', status:'ok', rating:'BUY', hit:true, target_reached:true, stop_hit:false, forward_return:0.1, excess_return:0.05 },
+    { model:'a', status:'ok', rating:'SELL', hit:false, target_reached:false, stop_hit:true, forward_return:0.02, excess_return:0.01 },
+    { model:'a', status:'pending', rating:'BUY' },
+    { model:'b', status:'ok', rating:'BUY', hit:true, target_reached:null, stop_hit:null, forward_return:0.04, excess_return:null }
+  ];
+  const [b, a] = summarizeBacktest(rows);
+  assert.deepEqual([b.model, b.hit_rate, b.target_reached_ratio, b.avg_excess_return], ['b', 1, null, null]);
+  assert.deepEqual([a.model, a.total, a.evaluated, a.status_counts], ['a', 3, 2, { ok:2, pending:1 }]);
+  assert.deepEqual([a.hit_rate, a.target_reached_ratio, a.stop_hit_ratio, a.avg_return, a.avg_excess_return], [0.5, 0.5, 0.5, 0.06, 0.03]);
+  assert.deepEqual(Object.keys(a.by_rating), ['BUY','SELL']);
+  assert.deepEqual([a.by_rating.BUY.count, a.by_rating.BUY.evaluated, a.by_rating.SELL.hit_rate], [2, 1, 0]);
+
+  assert.equal(buildBacktestTasks({ tickers:'nvda, amd', from:'2024-01-01', to:'2024-02-15', stepDays:30, models:['m1','m1','m2'] }).length, 8);
+  assert.throws(()=>buildBacktestTasks({ tickers:'NVDA', from:'2024-02-01', to:'2024-01-01', models:['m'] }), /from must be on or before to/);
+});
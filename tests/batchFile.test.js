@@ -0,0 +1,64 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('batch');
+const { parseBatchFile, parsePortfolioFile, parseTickerFile, normalizeDate } = await import('../lib/batchFile.js');
+
+after(()=> env.cleanup());
+
+function csvFile(text, name='tasks.csv'){
+  return { originalname: name, buffer: Buffer.from(text, 'utf8') };
+}
+
+test('csv: header row is skipped and parsing stops at the first blank row', ()=>{
+  const tasks = parseBatchFile(csvFile('ticker,date,model\nNVDA,2024-05-31,gpt-4.1\nAAPL,2024/06/03,\n,,\nMSFT,2024-06-04,\n'));
+  assert.deepEqual(tasks, [
+    { ticker:'NVDA', date:'2024-05-31', model:'gpt-4.1' },
+    { ticker:'AAPL', date:'2024-06-03', model:'' }
+  ]);
+});
+
+test('csv: rows missing a ticker or date are skipped without ending the file', ()=>{
+  const tasks = parseBatchFile(csvFile('NVDA,\n,2024-05-31\nTSM,2024-05-30\n'));
+  assert.deepEqual(tasks, [{ ticker:'TSM', date:'2024-05-30', model:'' }]);
+});
+
+test('xlsx: formatted dates and the first sheet are read', ()=>{
+  const ws = XLSX.utils.aoa_to_sheet([['Ticker','Date'], ['AMD','2024-05-31'], ['INTC','2024-06-03','gpt-5']]);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'tasks');
+  const buffer = XLSX.write(wb, { type:'buffer', bookType:'xlsx' });
+  assert.deepEqual(parseBatchFile({ originalname:'tasks.xlsx', buffer }), [
+    { ticker:'AMD', date:'2024-05-31', model:'' },
+    { ticker:'INTC', date:'2024-06-03', model:'gpt-5' }
+  ]);
+});
+
+test('portfolio: shares, cost basis and stop loss accept formatted numbers', ()=>{
+  const holdings = parsePortfolioFile(csvFile('ticker,shares,cost_basis,stop_loss\nNVDA,"1,200",$95.5,\nAMD,50,,120\nTSM,,100\n,,\nAAPL,10,150\n', 'portfolio.csv'));
+  assert.deepEqual(holdings, [
+    { ticker:'NVDA', shares:1200, cost_basis:95.5, stop_loss:null },
+    { ticker:'AMD', shares:50, cost_basis:null, stop_loss:120 }
+  ]);
+  assert.throws(()=>parsePortfolioFile(csvFile('NVDA,10\nAMD,-5\n')), /第 2 列股數無效：-5/);
+  assert.throws(()=>parsePortfolioFile(csvFile('NVDA,10,abc\n')), /第 1 列成本無效：abc/);
+});
+
+test('ticker list: only the first column is read until the first blank row', ()=>{
+  assert.deepEqual(parseTickerFile(csvFile('Symbol,Name\nnvda,NVIDIA\n,note\nAMD\n,\nTSM\n')), ['NVDA','AMD']);
+});
+
+test('missing file is rejected', ()=>{
+  assert.throws(()=>parseBatchFile(null), /缺少檔案/);
+});
+
+test('normalizeDate handles excel serials, Date objects and free text', ()=>{
+  assert.equal(normalizeDate(45443), '2024-05-31');
+  assert.equal(normalizeDate(new Date('2024-05-31T00:00:00Z')), '2024-05-31');
+  assert.equal(normalizeDate(' 2024-5-31 '), '2024-05-31');
+  assert.equal(normalizeDate('May 31, 2024'), '2024-05-31');
+  assert.equal(normalizeDate(''), '');
+  assert.equal(normalizeDate(null), '');
+});
@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('compare');
+const { seedAnalysisFixtures, TICKER, BASELINE, HISTORICAL_CLOSE } = await import('./helpers/upstream.js');
+const { compareTickers, parseCompareTickers, rankTickers } = await import('../lib/compare.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+test('ticker list is normalised, de-duplicated and bounded', ()=>{
+  assert.deepEqual(parseCompareTickers('nvda, amd  avgo,NVDA'), ['NVDA','AMD','AVGO']);
+  assert.deepEqual(parseCompareTickers(['tsm','asml']), ['TSM','ASML']);
+  assert.throws(()=>parseCompareTickers('NVDA'), /至少需要兩個/);
+  assert.throws(()=>parseCompareTickers('A B C D E F G H I'), /最多比較 8/);
+});
+
+test('rows stay aligned with the request and failures are reported per ticker', async ()=>{
+  const out = await compareTickers({ tickers:[TICKER, 'AAPL'], date: BASELINE });
+  assert.equal(out.baseline_date, BASELINE);
+  assert.equal(out.provider, 'fixture');
+  assert.deepEqual(out.rows.map(r=>[r.ticker, r.status]), [[TICKER,'ok'], ['AAPL','error']]);
+  assert.match(out.rows[1].error, /\[SEC\] submissions failed/);
+
+  const nvda = out.rows[0];
+  assert.equal(nvda.price, HISTORICAL_CLOSE);
+  assert.equal(nvda.analyst_target, 1200);
+  assert.equal(nvda.analyst_upside, Math.round((1200 / HISTORICAL_CLOSE - 1) * 10000) / 10000);
+  assert.equal(nvda.llm_upside, 0.1);
+  assert.equal(nvda.rating, 'HOLD');
+  assert.equal(nvda.segment, 'large_cap');
+  assert.equal(typeof nvda.momentum_score, 'number');
+  assert.equal(nvda.news_sentiment, '中性');
+  assert.equal(nvda.filters_total, 8);
+
+  // 只剩一檔成功時不呼叫 LLM
+  assert.equal(out.ranking.source, 'computed');
+  assert.deepEqual(out.ranking.items.map(i=>i.ticker), [TICKER]);
+});
+
+test('invalid dates are rejected before any analysis runs', async ()=>{
+  await assert.rejects(compareTickers({ tickers:['NVDA','AMD'], date:'not-a-date' }), /invalid date format/);
+});
+
+test('LLM ranking covers every comparable ticker exactly once', async ()=>{
+  const rows = [
+    { ticker:'AMD', status:'ok', quality_score:62, momentum_score:55 },
+    { ticker:'NVDA', status:'ok', quality_score:88, momentum_score:80 },
+    { ticker:'INTC', status:'error', error:'boom' },
+    { ticker:'AVGO', status:'ok', quality_score:75, momentum_score:70 }
+  ];
+  const ranking = await rankTickers(rows, { baselineDate: BASELINE, model:'fixture', provider:'fixture' });
+  assert.equal(ranking.source, 'llm');
+  assert.deepEqual(ranking.items.map(i=>[i.rank, i.ticker]), [[1,'NVDA'], [2,'AVGO'], [3,'AMD']]);
+  assert.ok(ranking.summary);
+});
+
+test('without LLM credentials the ranking falls back to scores', async ()=>{
+  const rows = [
+    { ticker:'AMD', status:'ok', quality_score:70, momentum_score:40 },
+    { ticker:'AVGO', status:'ok', quality_score:70, momentum_score:65 },
+    { ticker:'SMCI', status:'ok', quality_score:null, momentum_score:90 }
+  ];
+  const ranking = await rankTickers(rows, { baselineDate: BASELINE, model:'gpt-5', provider:'openrouter' });
+  assert.equal(ranking.source, 'computed');
+  assert.deepEqual(ranking.items.map(i=>i.ticker), ['AVGO','AMD','SMCI']);
+});
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('events');
+const { seedAnalysisFixtures, form4Xml, INSIDER_FILINGS, CIK, BASELINE } = await import('./helpers/upstream.js');
+const { parseForm4, summarizeInsiders, getCorporateEvents } = await import('../lib/corporateEvents.js');
+const { decodeEightKItems } = await import('../lib/sec.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+const CIK10 = String(CIK).padStart(10, '0');
+
+test('8-K item codes are decoded and governance items flagged', ()=>{
+  assert.deepEqual(decodeEightKItems('2.02, 5.02,9.99'), [
+    { code:'2.02', label:'營運成果與財務狀況', notable:false },
+    { code:'5.02', label:'董事或高階主管異動與薪酬安排', notable:true },
+    { code:'9.99', label:'Item 9.99', notable:false }
+  ]);
+  assert.deepEqual(decodeEightKItems(''), []);
+});
+
+test('parseForm4 reads the reporting owner, 10b5-1 flag and non-derivative transactions', ()=>{
+  const parsed = parseForm4(form4Xml(INSIDER_FILINGS[1]));
+  assert.equal(parsed.plan_10b5_1, true);
+  assert.deepEqual(parsed.owners, [{ name:'HUANG JEN HSUN', cik:'0001197649', is_director:true, is_officer:true, is_ten_percent:false, officer_title:'President and CEO', title:'President and CEO' }]);
+  assert.deepEqual(parsed.transactions.map(t=>[t.code, t.side, t.shares, t.value]), [['S','sell',1000,1000000], ['F',null,500,500000]]);
+
+  const footnoted = parseForm4('<ownershipDocument><nonDerivativeTransaction><transactionCoding><transactionCode>P</transactionCode></transactionCoding>'
+    + '<transactionShares><value>10</value></transactionShares><transactionPricePerShare><footnoteId id="F1"/></transactionPricePerShare></nonDerivativeTransaction></ownershipDocument>');
+  assert.deepEqual([footnoted.transactions[0].price, footnoted.transactions[0].value], [null, null]);
+});
+
+test('only open-market buys and sells count toward net insider activity', ()=>{
+  const owner = (name, title)=>({ name, cik:name, title });
+  const summary = summarizeInsiders([
+    { filingDate:'2024-05-01', owners:[owner('A','CFO')], transactions:[{ date:'2024-04-30', side:'sell', shares:100, value:10000 }, { side:null, shares:50, value:5000 }] },
+    { filingDate:'2024-05-02', owners:[owner('B','Director')], transactions:[{ date:'2024-05-01', side:'buy', shares:300, value:30000 }] },
+    { filingDate:'2024-05-03', owners:[owner('A','CFO')], plan_10b5_1:true, transactions:[{ date:'2024-05-02', side:'sell', shares:50, value:5000 }] }
+  ]);
+  assert.equal(summary.signal, 'net_buying');
+  assert.deepEqual([summary.buys.value, summary.sells.value, summary.net_value, summary.net_shares], [30000, 15000, 15000, 150]);
+  assert.deepEqual([summary.planned_sell_value, summary.other_transactions, summary.insiders], [5000, 1, 2]);
+  assert.deepEqual(summary.notable_insiders.map(r=>[r.name, r.net_value, r.last_date]), [['B',30000,'2024-05-01'], ['A',-15000,'2024-05-02']]);
+  assert.equal(summarizeInsiders([]).signal, 'none');
+});
+
+test('getCorporateEvents keeps filings inside the lookback window before the baseline', async ()=>{
+  const events = await getCorporateEvents(CIK10, BASELINE, { userAgent:'test-agent', lookbackDays:180 });
+  assert.deepEqual([events.from, events.to], ['2023-12-03', BASELINE]);
+  assert.deepEqual(events.material_events.map(e=>[e.filingDate, e.items.map(i=>i.code), e.notable]), [
+    ['2024-05-22', ['2.02','9.01'], false],
+    ['2024-03-08', ['5.02'], true]
+  ]);
+  assert.deepEqual([events.insider.filings, events.insider.parsed, events.insider.failed], [2, 2, 0]);
+  assert.equal(events.insider.signal, 'net_selling');
+  assert.deepEqual([events.insider.buys.value, events.insider.sells.value, events.insider.planned_sell_value], [180000, 1000000, 1000000]);
+  assert.deepEqual(events.timeline.map(t=>[t.date, t.type, t.notable]), [
+    ['2024-05-22', '8-K', false],
+    ['2024-05-22', 'Form 4', false],
+    ['2024-03-28', 'Form 4', true],
+    ['2024-03-08', '8-K', true]
+  ]);
+  assert.equal(events.timeline[1].title, 'HUANG JEN HSUN（President and CEO）賣出 1,000 股（10b5-1 計畫）');
+});
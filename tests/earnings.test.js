@@ -0,0 +1,116 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('earnings');
+const { matchReportDates, priceReaction, expectedNextReport, revisionsFromSnapshots, revisionsFromAlphaVantage, estimatesSnapshotAt, getEarningsAnalytics, surprisePct } = await import('../lib/earnings.js');
+const { saveEpsEstimateSnapshot } = await import('../lib/earningsStore.js');
+const { evaluateProfileRules } = await import('../lib/profileRules.js');
+
+after(()=> env.cleanup());
+
+const release = (filingDate, items='2.02,9.01')=>({ filingDate, items: items.split(',').map(code=>({ code })) });
+
+test('each quarter is matched to the first Item 2.02 8-K filed after the period end', ()=>{
+  const events = [release('2024-05-22'), release('2024-03-08', '5.02'), release('2024-02-21'), release('2023-11-21')];
+  assert.deepEqual(matchReportDates(['2024-03-31', '2023-12-31', '2023-09-30', '2023-03-31'], events), {
+    '2024-03-31':'2024-05-22',
+    '2023-12-31':'2024-02-21',
+    '2023-09-30':'2023-11-21',
+    // 100 天內沒有財報新聞稿
+    '2023-03-31':null
+  });
+  assert.equal(surprisePct({ actual:1.1, estimate:-1 }), 2.1);
+  assert.equal(surprisePct({ actual:0.05, estimate:0, surprisePercent:12 }), 0.12);
+});
+
+test('price reaction spans the sessions before and after the report date', ()=>{
+  const series = [
+    { date:'2024-05-24', close:112 },
+    { date:'2024-05-23', close:110 },
+    { date:'2024-05-21', close:100 },
+    { date:'2024-05-20', close:98 }
+  ];
+  const reaction = priceReaction(series, '2024-05-22');
+  assert.deepEqual([reaction.from, reaction.to, reaction.change.toFixed(4)], ['2024-05-21', '2024-05-23', '0.1000']);
+  assert.equal(priceReaction(series, '2024-05-24'), null);
+});
+
+test('next report date steps 52 weeks from the year-ago release, else 13 weeks from the last one', ()=>{
+  const history = [
+    { period:'2024-03-31', report_date:'2024-05-22' },
+    { period:'2023-12-31', report_date:null },
+    { period:'2023-09-30', report_date:'2023-11-21' },
+    { period:'2023-06-30', report_date:'2023-08-23' }
+  ];
+  assert.deepEqual(expectedNextReport(history, '2024-05-31'), { date:'2024-08-21', source:'year_ago_report', days_until:82 });
+  assert.deepEqual(expectedNextReport(history.slice(0, 2), '2024-05-31'), { date:'2024-08-21', source:'last_report', days_until:82 });
+  assert.equal(expectedNextReport([{ period:'2024-03-31', report_date:null }], '2024-05-31'), null);
+});
+
+test('estimate revisions compare dated snapshots of the same upcoming quarters', ()=>{
+  const periods = ['2024-04-28','2024-07-28','2024-10-27','2025-01-26','2025-04-27'];
+  const snapshot = (asOf, values)=> saveEpsEstimateSnapshot({ ticker:'nvda', asOf, estimates: periods.map((period, i)=>({ period, epsAvg: values[i], numberAnalysts:30 })) });
+  snapshot('2024-02-25', [0.50, 0.55, 0.60, 0.65, null]);
+  snapshot('2024-04-25', [0.54, 0.60, 0.66, 0.74, 0.80]);
+  snapshot('2024-05-30', [0.56, 0.64, 0.75, 0.85, 0.93]);
+  // 基準日之後的快照不得使用
+  snapshot('2024-06-20', [0.60, 0.70, 0.80, 0.90, 1.00]);
+
+  const rev = revisionsFromSnapshots('NVDA', '2024-05-31', '2024-04-28');
+  assert.deepEqual([rev.as_of, rev.trend, rev.next_quarter.period, rev.next_quarter.eps_avg], ['2024-05-30', 'up', '2024-07-28', 0.64]);
+  // 30 天：四季 2.80 → 3.17；90 天前的快照缺 2025-04-27 季，只比較三季 1.80 → 2.24
+  assert.deepEqual(rev.windows.d30, { as_of:'2024-04-25', periods:4, change:0.1321 });
+  assert.deepEqual(rev.windows.d90, { as_of:'2024-02-25', periods:3, change:0.2444 });
+  assert.equal(revisionsFromSnapshots('NVDA', '2024-03-01', '2024-01-28'), null);
+  // 歷史基準日的估值只取基準日前的快照
+  const atBaseline = estimatesSnapshotAt('NVDA', '2024-05-31');
+  assert.deepEqual([atBaseline.as_of, atBaseline.data[1]], ['2024-05-30', { period:'2024-07-28', epsAvg:0.64, numberAnalysts:30 }]);
+  assert.equal(estimatesSnapshotAt('NVDA', '2024-01-31'), null);
+
+  assert.deepEqual([rev.windows.d180, rev.trend_180d], [null, null]);
+
+  const rulesFor = (revisions)=> evaluateProfileRules({ fundamentals:{ market_cap:2.5e12, ttm:{}, trends:{ revenue_yoy:0.5 } }, earnings:{ available:true, revisions, summary:{ beat_rate_4q:{ beats:4, quarters:4 } } } });
+  const rules = rulesFor(rev);
+  // 「近 6-12M」上修需要至少 180 天前的快照；只有 90 天窗口時交由 LLM，打分項目仍採用 90 天變化
+  const short = rules.filters.items.find(i=>i.key === 'eps_revision');
+  assert.deepEqual([short.source, short.reason], ['llm', '僅有 90 天的一致預期修正資料，不足 6 個月']);
+  const score = rules.score_detail.find(i=>i.key === 'revisions');
+  assert.equal(score.points, 8 + 3 + 3);
+
+  // 180 天前的快照缺 2025-04-27 季，比較三季 1.65 → 2.24
+  snapshot('2023-11-30', [0.45, 0.50, 0.55, 0.60, null]);
+  const longRev = revisionsFromSnapshots('NVDA', '2024-05-31', '2024-04-28');
+  assert.deepEqual([longRev.windows.d180, longRev.trend_180d], [{ as_of:'2023-11-30', periods:3, change:0.3576 }, 'up']);
+  const filter = rulesFor(longRev).filters.items.find(i=>i.key === 'eps_revision');
+  assert.deepEqual([filter.source, filter.met, filter.value, filter.reason], ['computed', true, 0.3576, '未來四季 EPS 一致預期 180 天變化 35.8%']);
+  // 非時點資料不列入規則
+  const stale = evaluateProfileRules({ fundamentals:{ market_cap:2.5e12, ttm:{}, trends:{} }, earnings:{ available:true, revisions:{ ...rev, point_in_time:false } } });
+  assert.equal(stale.filters.items.find(i=>i.key === 'eps_revision').source, 'llm');
+});
+
+test('Alpha Vantage estimates fall back to the next fiscal quarter revision fields', ()=>{
+  const rev = revisionsFromAlphaVantage({ estimates:[
+    { date:'2025-01-31', horizon:'next fiscal year', eps_estimate_average:'4.5', eps_estimate_average_30_days_ago:'4.4' },
+    { date:'2024-10-31', horizon:'next fiscal quarter', eps_estimate_average:'0.75', eps_estimate_average_30_days_ago:'0.75', eps_estimate_average_90_days_ago:'0.80',
+      eps_estimate_analyst_count:'39', eps_estimate_revision_up_trailing_30_days:'2', eps_estimate_revision_down_trailing_30_days:'5' },
+    { date:'2024-07-31', horizon:'current fiscal quarter', eps_estimate_average:'0.64', eps_estimate_average_30_days_ago:'0.60', eps_estimate_average_90_days_ago:'0.55' }
+  ] }, '2024-07-31');
+  assert.deepEqual([rev.source, rev.next_quarter.period, rev.windows.d30.change, rev.windows.d90.change, rev.trend], ['alphavantage', '2024-10-31', 0, -0.0625, 'down']);
+  assert.deepEqual([rev.revisions_up_30d, rev.revisions_down_30d, rev.next_quarter.analysts], [2, 5, 39]);
+  assert.equal(revisionsFromAlphaVantage({ Note:'rate limit' }, null), null);
+});
+
+test('a failing estimate revision only degrades revisions, not the surprise history', async (t)=>{
+  const warn = t.mock.method(console, 'warn', ()=>{});
+  const earnings = [
+    { period:'2024-03-31', actual:6.12, estimate:5.59 },
+    { period:'2023-12-31', actual:5.16, estimate:4.59 }
+  ];
+  const estimates = { get data(){ throw new Error('snapshot write failed'); } };
+  const out = await getEarningsAnalytics('DEGRADE', { baselineDate:'2024-06-28', isHistorical:true, earnings, estimates });
+  assert.equal(out.available, true);
+  assert.deepEqual(out.history.map(q=>[q.period, q.outcome]), [['2024-03-31', 'beat'], ['2023-12-31', 'beat']]);
+  assert.deepEqual(out.revisions, { available:false, error:'snapshot write failed' });
+  assert.ok(warn.mock.calls.some(c=>c.arguments[0] === '[Earnings]' && c.arguments[1] === 'snapshot write failed'));
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { paragraphSimilarity, riskParagraphs, alignParagraphs, diffRiskFactors, buildRiskFactorChanges } from '../lib/filingDiff.js';
+
+const SUPPLY = 'We depend on third-party foundries and subcontractors to manufacture, assemble and test our products.';
+const SUPPLY_REWORDED = 'We depend on a limited number of third-party foundries to manufacture our products, and capacity constraints limited shipments.';
+const TAX = 'Changes in tax laws in the jurisdictions where we operate could increase our effective tax rate and reduce net income.';
+const CYBER = 'Cybersecurity incidents affecting our systems or those of our partners could disrupt operations and expose confidential data.';
+
+test('similarity ignores case, punctuation and common words', ()=>{
+  assert.equal(paragraphSimilarity(SUPPLY, SUPPLY.toUpperCase()), 1);
+  assert.equal(paragraphSimilarity(SUPPLY, ''), 0);
+  const score = paragraphSimilarity(SUPPLY, SUPPLY_REWORDED);
+  assert.ok(score > 0.5 && score < 0.9, String(score));
+  assert.ok(paragraphSimilarity(TAX, CYBER) < 0.2);
+});
+
+test('sub-headings and duplicate paragraphs are not compared', ()=>{
+  assert.deepEqual(riskParagraphs(['Risks Related to Our Industry', SUPPLY, ` ${SUPPLY} `, TAX]), [SUPPLY, TAX]);
+});
+
+test('each paragraph is matched at most once, most similar first', ()=>{
+  const { matches, added, removed } = alignParagraphs([SUPPLY, TAX], [SUPPLY_REWORDED, SUPPLY, CYBER]);
+  assert.deepEqual(matches.map(m=>[m.ci, m.pi]), [[1, 0]]);
+  assert.deepEqual(added, [0, 2]);
+  assert.deepEqual(removed, [1]);
+});
+
+test('diff classifies new, removed, reworded and unchanged paragraphs', ()=>{
+  const diff = diffRiskFactors([SUPPLY, TAX, CYBER], [CYBER, SUPPLY_REWORDED, 'x'.repeat(700)]);
+  assert.deepEqual(diff.counts, { new:1, removed:1, reworded:1, unchanged:1, previous_total:3, current_total:3 });
+  assert.equal(diff.removed[0].text, TAX);
+  assert.deepEqual([diff.reworded[0].before, diff.reworded[0].after], [SUPPLY, SUPPLY_REWORDED]);
+  assert.equal(diff.new[0].text.length, 601);
+});
+
+test('"no material changes" statements are skipped when picking the filings to compare', ()=>{
+  const out = buildRiskFactorChanges([
+    { form:'10-Q', filingDate:'2024-08-28', riskParagraphs:['There have been no material changes to the risk factors disclosed in our Annual Report on Form 10-K.'] },
+    { form:'10-Q', filingDate:'2024-05-29', riskParagraphs:['Risk Factors', SUPPLY_REWORDED, CYBER] },
+    { form:'8-K', filingDate:'2024-05-22', riskParagraphs:[] },
+    { form:'10-K', filingDate:'2024-02-21', riskParagraphs:[SUPPLY, TAX] }
+  ]);
+  assert.equal(out.available, true);
+  assert.deepEqual(out.no_material_change.map(f=>f.filingDate), ['2024-08-28']);
+  assert.deepEqual([out.current.filingDate, out.previous.filingDate], ['2024-05-29', '2024-02-21']);
+  assert.deepEqual([out.counts.new, out.counts.removed, out.counts.reworded], [1, 1, 1]);
+});
+
+test('fewer than two comparable filings yields an explanation instead of a diff', ()=>{
+  const out = buildRiskFactorChanges([{ form:'10-K', filingDate:'2024-02-21', riskParagraphs:[SUPPLY] }]);
+  assert.equal(out.available, false);
+  assert.deepEqual(out.filings.map(f=>f.form), ['10-K']);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { pointInTimeRecommendations, pointInTimeEarnings, pointInTimeQuote } from '../lib/finnhub.js';
+
+const RECO = [
+  { period:'2024-07-01', strongBuy:30, buy:40 },
+  { period:'2024-06-01', strongBuy:28, buy:39 },
+  { period:'2024-05-01', strongBuy:24, buy:38 }
+];
+
+const EARNINGS = [
+  { period:'2024-06-30', actual:0.68 },
+  { period:'2024-03-31', actual:0.61 },
+  { period:'2023-12-31', actual:0.52 }
+];
+
+test('recommendations are cut to months on or before the baseline', ()=>{
+  const { rows, meta } = pointInTimeRecommendations(RECO, '2024-06-15');
+  assert.deepEqual(rows.map(r=>r.period), ['2024-06-01','2024-05-01']);
+  assert.deepEqual(meta, { point_in_time:true, as_of:'2024-06-01', dropped:1 });
+});
+
+test('earnings quarters still inside the reporting lag are dropped', ()=>{
+  // 2024-03-31 季度距基準日 40 天，當時可能尚未公布
+  const { rows, meta } = pointInTimeEarnings(EARNINGS, '2024-05-10');
+  assert.deepEqual(rows.map(r=>r.period), ['2023-12-31']);
+  assert.deepEqual([meta.as_of, meta.dropped, meta.report_lag_days], ['2023-12-31', 2, 45]);
+  assert.deepEqual(pointInTimeEarnings(EARNINGS, '2024-05-31').rows.map(r=>r.period), ['2024-03-31','2023-12-31']);
+});
+
+test('upstream errors are passed through and marked as not point-in-time', ()=>{
+  const { rows, meta } = pointInTimeRecommendations({ error:'[FINNHUB] 401' }, '2024-05-31');
+  assert.deepEqual(rows, { error:'[FINNHUB] 401' });
+  assert.equal(meta.point_in_time, false);
+});
+
+test('historical quotes keep only the historical close', ()=>{
+  const live = { c:130, h:131, l:128, o:129, pc:127, t:1760000000 };
+  const historical = pointInTimeQuote({ ...live, c:1096.33 }, { kind:'historical', source:'yahoo_chart', as_of:'2024-05-31', value:1096.33 });
+  assert.deepEqual(historical.quote, { c:1096.33 });
+  assert.equal(historical.meta.point_in_time, true);
+
+  const fallback = pointInTimeQuote(live, { kind:'real-time', source:'real-time_fallback', as_of:'2024-05-31', value:130 });
+  assert.deepEqual([fallback.quote, fallback.meta.point_in_time], [live, false]);
+
+  const today = pointInTimeQuote(live, { kind:'real-time', source:'real-time', as_of: dayjs().format('YYYY-MM-DD'), value:130 });
+  assert.equal(today.meta.point_in_time, true);
+});
@@ -0,0 +1,25 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 每個測試檔在獨立的 node 行程執行：匯入 lib 模組前先呼叫，讓快取、SQLite 與錄製檔都落在暫存目錄，
+// 並強制 replay 模式與 fixture LLM，確保測試不連網也不讀取開發者的 .env 金鑰。
+export function useTestEnv(name, { mode='replay' }={}){
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), `uea-${name}-`));
+  Object.assign(process.env, {
+    TZ: 'UTC',
+    HTTP_FIXTURE_MODE: mode,
+    HTTP_FIXTURE_DIR: path.join(root, 'http'),
+    CACHE_DIR: path.join(root, 'cache'),
+    ANALYSIS_DB_PATH: path.join(root, 'analyses.db'),
+    LLM_PROVIDER: 'fixture',
+    LLM_MAX_RETRIES: '0',
+    INSTITUTION_FILER_CIKS: '102909,93751'
+  });
+  for(const key of ['FINNHUB_KEY','ALPHAVANTAGE_KEY','TWELVE_DATA_KEY','OPENROUTER_KEY','SEC_API_KEY','MOMENTUM_SCORING_CONFIG','SECTOR_MAP_CONFIG']) delete process.env[key];
+  return {
+    root,
+    fixtureDir: process.env.HTTP_FIXTURE_DIR,
+    cleanup: ()=> fs.rmSync(root, { recursive:true, force:true })
+  };
+}
@@ -0,0 +1,320 @@
+import dayjs from 'dayjs';
+import { writeFixture } from '../../lib/httpFixtures.js';
+import { buildGdeltUrl } from '../../lib/news.js';
+import { yahooChartUrl, SERIES_LOOKBACK_DAYS } from '../../lib/prices.js';
+import { lastCompletedSession, isTradingDay } from '../../lib/tradingCalendar.js';
+
+// 以合成資料產生「錄製檔」，格式與 HTTP_FIXTURE_MODE=record 寫出的完全相同。
+// 數值刻意設計成可手算（固定日成長率、整數營收），讓測試能斷言精確結果。
+
+export const TICKER = 'NVDA';
+export const CIK = 1045810;
+export const BASELINE = '2024-05-31';
+export const HISTORICAL_CLOSE = 1096.33;
+// 基準日後的 10:1 分割：Yahoo 回傳的是分割還原價，歷史收盤價需推回當天實際成交價
+export const SPLIT = { date:'2024-06-10', ratio:10 };
+// Finnhub 季度 EPS 預估（分割後基準）；2024-04-28 季已申報，不計入預估
+export const EPS_ESTIMATES = [
+  { period:'2024-04-28', epsAvg:0.56, numberAnalysts:38 },
+  { period:'2024-07-28', epsAvg:0.64, numberAnalysts:40 },
+  { period:'2024-10-27', epsAvg:0.75, numberAnalysts:39 },
+  { period:'2025-01-26', epsAvg:0.85, numberAnalysts:35 },
+  { period:'2025-04-27', epsAvg:0.93, numberAnalysts:30 }
+];
+// Finnhub 實際 vs 預期 EPS；2023-12-31 季沒有對應的 8-K，2024-06-30 季於基準日後才公布
+export const EARNINGS = [
+  { period:'2024-06-30', actual:6.80, estimate:6.40, surprisePercent:6.25 },
+  { period:'2024-03-31', actual:6.12, estimate:5.59, surprisePercent:9.48 },
+  { period:'2023-12-31', actual:5.16, estimate:4.59, surprisePercent:12.42 },
+  { period:'2023-09-30', actual:4.02, estimate:3.37, surprisePercent:19.29 },
+  { period:'2023-06-30', actual:2.70, estimate:2.07, surprisePercent:30.43 },
+  { period:'2023-03-31', actual:1.09, estimate:0.92, surprisePercent:18.48 }
+];
+export const KEYWORDS = ['earnings','guidance','revenue','outlook','analyst'];
+
+const CIK10 = String(CIK).padStart(10, '0');
+
+const FILINGS = [
+  { form:'10-Q', filingDate:'2024-08-28', reportDate:'2024-07-28', accession:'0001045810-24-000264', primary:'nvda-20240728.htm' },
+  { form:'10-Q', filingDate:'2024-05-29', reportDate:'2024-04-28', accession:'0001045810-24-000124', primary:'nvda-20240428.htm' },
+  { form:'8-K', filingDate:'2024-05-22', reportDate:'2024-05-22', accession:'0001045810-24-000113', primary:'nvda-20240522.htm', items:'2.02,9.01' },
+  { form:'8-K', filingDate:'2024-03-08', reportDate:'2024-03-06', accession:'0001045810-24-000061', primary:'nvda-20240306.htm', items:'5.02' },
+  { form:'10-K', filingDate:'2024-02-21', reportDate:'2024-01-28', accession:'0001045810-24-000029', primary:'nvda-20240128.htm' }
+];
+
+// 較早的財報新聞稿（Item 2.02），在重大事件的回溯區間之外，只供財報分析配對公布日
+const EARNINGS_RELEASES = [
+  { form:'8-K', filingDate:'2023-11-21', reportDate:'2023-11-21', accession:'0001045810-23-000225', primary:'nvda-20231121.htm', items:'2.02,9.01' },
+  { form:'8-K', filingDate:'2023-08-23', reportDate:'2023-08-23', accession:'0001045810-23-000171', primary:'nvda-20230823.htm', items:'2.02,9.01' },
+  { form:'8-K', filingDate:'2023-05-24', reportDate:'2023-05-24', accession:'0001045810-23-000091', primary:'nvda-20230524.htm', items:'2.02,9.01' }
+];
+
+// Form 4：基準日前一筆董事買進、一筆 CEO 10b5-1 計畫賣出（含一筆非公開市場的扣稅），另有基準日後與回溯區間外各一筆
+export const INSIDER_FILINGS = [
+  { form:'4', filingDate:'2024-06-14', accession:'0001045810-24-000180', primary:'xslF345X05/wf-form4_171840.xml',
+    owner:{ cik:'0001197649', name:'HUANG JEN HSUN', officerTitle:'President and CEO', director:true, officer:true }, plan:true,
+    transactions:[{ date:'2024-06-13', code:'S', shares:120000, price:130, ad:'D' }] },
+  { form:'4', filingDate:'2024-05-24', accession:'0001045810-24-000120', primary:'xslF345X05/wf-form4_171658.xml',
+    owner:{ cik:'0001197649', name:'HUANG JEN HSUN', officerTitle:'President and CEO', director:true, officer:true }, plan:true,
+    transactions:[{ date:'2024-05-22', code:'S', shares:1000, price:1000, ad:'D' }, { date:'2024-05-22', code:'F', shares:500, price:1000, ad:'D' }] },
+  { form:'4', filingDate:'2024-04-02', accession:'0001045810-24-000090', primary:'xslF345X05/wf-form4_171208.xml',
+    owner:{ cik:'0001214128', name:'STEVENS MARK A', director:true }, plan:false,
+    transactions:[{ date:'2024-03-28', code:'P', shares:200, price:900, ad:'A' }] },
+  { form:'4', filingDate:'2023-11-20', accession:'0001045810-23-000230', primary:'xslF345X05/wf-form4_170050.xml',
+    owner:{ cik:'0001214128', name:'STEVENS MARK A', director:true }, plan:false,
+    transactions:[{ date:'2023-11-16', code:'S', shares:5000, price:480, ad:'D' }] }
+];
+
+// 10-K → 2024-05 10-Q 的 Item 1A：一段不變、一段改寫、一段移除、一段新增
+export const RISK_PARAGRAPHS = {
+  '10-K': [
+    'Competition could adversely impact our market share and financial results as competitors develop competing accelerators and platforms.',
+    'We depend on third-party foundries and subcontractors to manufacture, assemble and test our products, which reduces our control over product quality.',
+    'Climate change may have a long-term impact on our business, including increased operating costs and evolving regulatory requirements.'
+  ],
+  '10-Q': [
+    'Competition could adversely impact our market share and financial results as competitors develop competing accelerators and platforms.',
+    'We depend on a limited number of third-party foundries and subcontractors to manufacture, assemble and test our products, and capacity constraints at these partners have limited our ability to meet demand.',
+    'New export controls announced by the U.S. government restrict sales of our data center products to China and other regions without a license.'
+  ]
+};
+
+export const CUSIP = '67066G104';
+
+// 13F-HR：兩家追蹤機構各三期（2024-06-30 期於基準日後才申報）；Vanguard 同一 CUSIP 拆成兩列，State Street 另有賣權
+export const INSTITUTIONS = [
+  { cik:'0000102909', name:'VANGUARD GROUP INC', filings:[
+    { period:'2024-06-30', filingDate:'2024-08-13', accession:'0000102909-24-000300', nvda:[230000000] },
+    { period:'2024-03-31', filingDate:'2024-05-14', accession:'0000102909-24-000200', nvda:[160000000, 50000000] },
+    { period:'2023-12-31', filingDate:'2024-02-13', accession:'0000102909-24-000100', nvda:[150000000, 50000000] }
+  ] },
+  { cik:'0000093751', name:'STATE STREET CORP', filings:[
+    { period:'2024-06-30', filingDate:'2024-08-14', accession:'0000093751-24-000300', nvda:[90000000] },
+    { period:'2024-03-31', filingDate:'2024-05-15', accession:'0000093751-24-000200', nvda:[95000000], put:4000000 },
+    { period:'2023-12-31', filingDate:'2024-02-14', accession:'0000093751-24-000100', nvda:[100000000] }
+  ] }
+];
+
+export function informationTableXml({ nvda, put }){
+  const row = (name, cusip, shares, putCall)=>`<infoTable><nameOfIssuer>${name}</nameOfIssuer><titleOfClass>COM</titleOfClass><cusip>${cusip}</cusip>`
+    + `<value>${shares * 100}</value><shrsOrPrnAmt><sshPrnamt>${shares}</sshPrnamt><sshPrnamtType>SH</sshPrnamtType></shrsOrPrnAmt>`
+    + `${putCall ? `<putCall>${putCall}</putCall>` : ''}<investmentDiscretion>SOLE</investmentDiscretion></infoTable>`;
+  return `<?xml version="1.0"?><informationTable xmlns="http://www.sec.gov/edgar/document/thirteenf/informationtable">`
+    + nvda.map(shares=>row('NVIDIA CORPORATION', CUSIP, shares)).join('')
+    + row('APPLE INC', '037833100', 1000000)
+    + (put ? row('NVIDIA CORPORATION', CUSIP, put, 'Put') : '')
+    + '</informationTable>';
+}
+
+export function form4Xml({ owner, plan, transactions }){
+  const txs = transactions.map(t=>`<nonDerivativeTransaction><securityTitle><value>Common Stock</value></securityTitle>`
+    + `<transactionDate><value>${t.date}</value></transactionDate>`
+    + `<transactionCoding><transactionFormType>4</transactionFormType><transactionCode>${t.code}</transactionCode></transactionCoding>`
+    + `<transactionAmounts><transactionShares><value>${t.shares}</value></transactionShares><transactionPricePerShare><value>${t.price}</value></transactionPricePerShare>`
+    + `<transactionAcquiredDisposedCode><value>${t.ad}</value></transactionAcquiredDisposedCode></transactionAmounts>`
+    + `<postTransactionAmounts><sharesOwnedFollowingTransaction><value>1000000</value></sharesOwnedFollowingTransaction></postTransactionAmounts></nonDerivativeTransaction>`).join('');
+  return `<?xml version="1.0"?><ownershipDocument><schemaVersion>X0508</schemaVersion><documentType>4</documentType>`
+    + `<periodOfReport>${transactions[0].date}</periodOfReport><aff10b5One>${plan ? 1 : 0}</aff10b5One>`
+    + `<issuer><issuerCik>0001045810</issuerCik><issuerTradingSymbol>NVDA</issuerTradingSymbol></issuer>`
+    + `<reportingOwner><reportingOwnerId><rptOwnerCik>${owner.cik}</rptOwnerCik><rptOwnerName>${owner.name}</rptOwnerName></reportingOwnerId>`
+    + `<reportingOwnerRelationship><isDirector>${owner.director ? 1 : 0}</isDirector><isOfficer>${owner.officer ? 1 : 0}</isOfficer>`
+    + `${owner.officerTitle ? `<officerTitle>${owner.officerTitle}</officerTitle>` : ''}</reportingOwnerRelationship></reportingOwner>`
+    + `<nonDerivativeTable>${txs}</nonDerivativeTable></ownershipDocument>`;
+}
+
+export function filingUrl(f){
+  return `https://www.sec.gov/Archives/edgar/data/${CIK}/${f.accession.replace(/-/g,'')}/${f.primary}`;
+}
+
+// 交易日（排除週末與 NYSE 休市日）由舊到新，收盤價每日固定成長 rate
+export function syntheticSeries({ from='2023-01-02', to='2024-06-28', start=100, rate=0.0005, volume=1000000 }={}){
+  const rows = [];
+  let close = start;
+  for(let d = dayjs(from); !d.isAfter(dayjs(to)); d = d.add(1, 'day')){
+    if(!isTradingDay(d)) continue;
+    rows.push({ date: d.format('YYYY-MM-DD'), close, high: close * 1.01, low: close * 0.99, volume });
+    close = close * (1 + rate);
+  }
+  return rows;
+}
+
+function yahooChart(rows, { splits=[] }={}){
+  const events = splits.length ? {
+    splits: Object.fromEntries(splits.map(sp=>{
+      const ts = dayjs(`${sp.date}T13:30:00Z`).unix();
+      return [ts, { date: ts, numerator: sp.ratio, denominator: 1, splitRatio: `${sp.ratio}:1` }];
+    }))
+  } : undefined;
+  return {
+    chart:{
+      result:[{
+        meta:{ currency:'USD' },
+        timestamp: rows.map(r=> dayjs(`${r.date}T13:30:00Z`).unix()),
+        events,
+        indicators:{
+          quote:[{
+            close: rows.map(r=>r.close),
+            high: rows.map(r=>r.high),
+            low: rows.map(r=>r.low),
+            volume: rows.map(r=>r.volume)
+          }]
+        }
+      }],
+      error:null
+    }
+  };
+}
+
+// 價格倉庫第一次補抓的請求：基準日往前 SERIES_LOOKBACK_DAYS 天到最近已收盤交易日
+export function seriesUrl(symbol, asOf=BASELINE){
+  return yahooChartUrl(symbol, dayjs(asOf).subtract(SERIES_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD'), lastCompletedSession());
+}
+
+export function seedSeries(symbol, rows, { asOf=BASELINE, splits=[] }={}){
+  writeFixture({ url: seriesUrl(symbol, asOf), data: yahooChart(rows, { splits }) });
+}
+
+// 分割還原後的合成序列，基準日收盤 × 分割比例 = HISTORICAL_CLOSE
+export function tickerSeries(){
+  const rows = syntheticSeries({ rate:0.0005 });
+  const scale = HISTORICAL_CLOSE / SPLIT.ratio / rows.find(r=>r.date === BASELINE).close;
+  return rows.map(r=>({ ...r, close: r.close * scale, high: r.high * scale, low: r.low * scale }));
+}
+
+function quarterFact(start, end, val, filed, form='10-Q'){
+  return { start, end, val, filed, form, fy:Number(end.slice(0,4)), fp:'Q' };
+}
+
+function companyFacts(){
+  const revenue = [
+    quarterFact('2023-01-30', '2023-04-30', 7192000000, '2023-05-26'),
+    quarterFact('2023-05-01', '2023-07-30', 13507000000, '2023-08-28'),
+    quarterFact('2023-07-31', '2023-10-29', 18120000000, '2023-11-21'),
+    { start:'2023-01-30', end:'2024-01-28', val:60922000000, filed:'2024-02-21', form:'10-K', fy:2024, fp:'FY' },
+    quarterFact('2024-01-29', '2024-04-28', 26044000000, '2024-05-29'),
+    // 基準日之後才申報，不得出現在分析結果
+    quarterFact('2024-04-29', '2024-07-28', 30040000000, '2024-08-28')
+  ];
+  const netIncome = [
+    quarterFact('2023-01-30', '2023-04-30', 2043000000, '2023-05-26'),
+    quarterFact('2023-05-01', '2023-07-30', 6188000000, '2023-08-28'),
+    quarterFact('2023-07-31', '2023-10-29', 9243000000, '2023-11-21'),
+    { start:'2023-01-30', end:'2024-01-28', val:29760000000, filed:'2024-02-21', form:'10-K', fy:2024, fp:'FY' },
+    quarterFact('2024-01-29', '2024-04-28', 14881000000, '2024-05-29'),
+    quarterFact('2024-04-29', '2024-07-28', 16599000000, '2024-08-28')
+  ];
+  // 現金流量與折舊為年初至今累計值（10-Q），由 secFacts 還原單季
+  const ytd = (values, filed=['2023-05-26','2023-08-28','2023-11-21','2024-02-21'])=>[
+    quarterFact('2023-01-30', '2023-04-30', values[0], filed[0]),
+    { start:'2023-01-30', end:'2023-07-30', val:values[1], filed:filed[1], form:'10-Q' },
+    { start:'2023-01-30', end:'2023-10-29', val:values[2], filed:filed[2], form:'10-Q' },
+    { start:'2023-01-30', end:'2024-01-28', val:values[3], filed:filed[3], form:'10-K' },
+    quarterFact('2024-01-29', '2024-04-28', values[4], '2024-05-29')
+  ];
+  const instant = (end, val, filed)=>({ end, val, filed, form:'10-Q' });
+  const operatingIncome = [
+    quarterFact('2023-01-30', '2023-04-30', 2140000000, '2023-05-26'),
+    quarterFact('2023-05-01', '2023-07-30', 6800000000, '2023-08-28'),
+    quarterFact('2023-07-31', '2023-10-29', 10417000000, '2023-11-21'),
+    { start:'2023-01-30', end:'2024-01-28', val:32972000000, filed:'2024-02-21', form:'10-K', fy:2024, fp:'FY' },
+    quarterFact('2024-01-29', '2024-04-28', 16909000000, '2024-05-29')
+  ];
+  return {
+    cik: CIK,
+    entityName: 'NVIDIA CORP',
+    facts:{
+      dei:{
+        EntityCommonStockSharesOutstanding:{ units:{ shares:[
+          { end:'2023-05-19', val:2470000000, filed:'2023-05-26', form:'10-Q' },
+          { end:'2024-05-17', val:2460000000, filed:'2024-05-29', form:'10-Q' }
+        ] } }
+      },
+      'us-gaap':{
+        Revenues:{ units:{ USD: revenue } },
+        NetIncomeLoss:{ units:{ USD: netIncome } },
+        OperatingIncomeLoss:{ units:{ USD: operatingIncome } },
+        NetCashProvidedByUsedInOperatingActivities:{ units:{ USD: ytd([2911000000, 9259000000, 16731000000, 28090000000, 15345000000]) } },
+        PaymentsToAcquirePropertyPlantAndEquipment:{ units:{ USD: ytd([248000000, 537000000, 815000000, 1069000000, 369000000]) } },
+        DepreciationDepletionAndAmortization:{ units:{ USD: ytd([384000000, 749000000, 1116000000, 1508000000, 410000000]) } },
+        CashAndCashEquivalentsAtCarryingValue:{ units:{ USD:[ instant('2024-01-28', 7280000000, '2024-02-21'), instant('2024-04-28', 7587000000, '2024-05-29') ] } },
+        MarketableSecuritiesCurrent:{ units:{ USD:[ instant('2024-04-28', 23851000000, '2024-05-29') ] } },
+        LongTermDebtNoncurrent:{ units:{ USD:[ instant('2024-04-28', 8460000000, '2024-05-29') ] } },
+        LongTermDebtCurrent:{ units:{ USD:[ instant('2024-04-28', 1250000000, '2024-05-29') ] } }
+      }
+    }
+  };
+}
+
+function gdeltArticles(){
+  return {
+    articles:[
+      { title:'NVIDIA beats earnings estimates as data center revenue surges', url:'https://www.reuters.com/a', domain:'reuters.com', language:'English', seendate:'20240523T120000Z' },
+      { title:'NVIDIA raises guidance on AI demand', url:'https://www.cnbc.com/b', domain:'cnbc.com', language:'English', seendate:'20240524T090000Z' },
+      { title:'Some unrelated blog post', url:'https://example.com/c', domain:'example.com', language:'English', seendate:'20240525T090000Z' }
+    ]
+  };
+}
+
+// SIC 3674 對應的類股 / 細產業 ETF 與大盤
+export function seedBenchmarks(asOf=BASELINE){
+  seedSeries('XLK', syntheticSeries({ start:200, rate:0.0003 }), { asOf });
+  seedSeries('XSD', syntheticSeries({ start:150, rate:0.0004 }), { asOf });
+  seedSeries('SPY', syntheticSeries({ start:500, rate:0.0002 }), { asOf });
+}
+
+// 寫入 performAnalysis(TICKER, BASELINE) 需要的所有上游回應
+export function seedAnalysisFixtures(){
+  writeFixture({ url:'https://www.sec.gov/files/company_tickers.json', data:{ 0:{ cik_str: CIK, ticker: TICKER, title:'NVIDIA CORP' }, 1:{ cik_str: 320193, ticker:'AAPL', title:'Apple Inc.' } } });
+  const submissions = [...FILINGS, ...EARNINGS_RELEASES, ...INSIDER_FILINGS];
+  writeFixture({
+    url:`https://data.sec.gov/submissions/CIK${CIK10}.json`,
+    data:{ cik: String(CIK), name:'NVIDIA CORP', sic:'3674', sicDescription:'Semiconductors & Related Devices', filings:{ recent:{
+      form: submissions.map(f=>f.form),
+      filingDate: submissions.map(f=>f.filingDate),
+      reportDate: submissions.map(f=>f.reportDate || ''),
+      accessionNumber: submissions.map(f=>f.accession),
+      primaryDocument: submissions.map(f=>f.primary),
+      items: submissions.map(f=>f.items || '')
+    } } }
+  });
+  for(const f of INSIDER_FILINGS){
+    writeFixture({ url: filingUrl({ ...f, primary: f.primary.replace(/^xsl[^/]*\//,'') }), headers:{ 'content-type':'text/xml' }, data: form4Xml(f) });
+  }
+  for(const f of FILINGS){
+    writeFixture({
+      url: filingUrl(f),
+      headers:{ 'content-type':'text/html' },
+      data:`<html><body><p>Cover page</p><h2>Item 2. Management's Discussion and Analysis</h2><p>${f.form} for period ended ${f.reportDate}: revenue grew on data center demand.</p>`
+        + `<h2>Item 1A. Risk Factors</h2><p>Risks Related to Our Industry</p>${(RISK_PARAGRAPHS[f.form] || []).map(r=>`<p>${r}</p>`).join('')}</body></html>`
+    });
+  }
+  for(const inst of INSTITUTIONS){
+    writeFixture({
+      url:`https://data.sec.gov/submissions/CIK${inst.cik}.json`,
+      data:{ cik: inst.cik.replace(/^0+/,''), name: inst.name, filings:{ recent:{
+        form: inst.filings.map(()=>'13F-HR'),
+        filingDate: inst.filings.map(f=>f.filingDate),
+        reportDate: inst.filings.map(f=>f.period),
+        accessionNumber: inst.filings.map(f=>f.accession),
+        primaryDocument: inst.filings.map(()=>'primary_doc.xml')
+      } } }
+    });
+    for(const f of inst.filings){
+      const folder = `https://www.sec.gov/Archives/edgar/data/${Number(inst.cik)}/${f.accession.replace(/-/g,'')}`;
+      writeFixture({ url:`${folder}/index.json`, data:{ directory:{ item:[{ name:'primary_doc.xml' }, { name:'infotable.xml' }] } } });
+      writeFixture({ url:`${folder}/infotable.xml`, headers:{ 'content-type':'text/xml' }, data: informationTableXml(f) });
+    }
+  }
+  writeFixture({ url:`https://data.sec.gov/api/xbrl/companyfacts/CIK${CIK10}.json`, data: companyFacts() });
+
+  writeFixture({ url:`https://finnhub.io/api/v1/stock/recommendation?symbol=${TICKER}`, data:[{ period:'2024-05-01', strongBuy:24, buy:38, hold:7, sell:0, strongSell:0, symbol:TICKER }] });
+  writeFixture({ url:`https://finnhub.io/api/v1/stock/earnings?symbol=${TICKER}`, data: EARNINGS.map(r=>({ ...r, symbol:TICKER })) });
+  writeFixture({ url:`https://finnhub.io/api/v1/quote?symbol=${TICKER}`, data:{ c:1208.88, h:1210, l:1190, o:1195, pc:1200, t:1717200000 } });
+  writeFixture({ url:`https://finnhub.io/api/v1/stock/eps-estimate?symbol=${TICKER}&freq=quarterly`, data:{ symbol:TICKER, freq:'quarterly', data: EPS_ESTIMATES } });
+  writeFixture({ url:`https://finnhub.io/api/v1/stock/price-target?symbol=${TICKER}`, data:{ symbol:TICKER, targetHigh:1400, targetLow:900, targetMean:1200, targetMedian:1180, lastUpdated:'2024-05-30' } });
+
+  seedSeries(TICKER, tickerSeries(), { splits:[SPLIT] });
+  seedBenchmarks();
+
+  writeFixture({ url: buildGdeltUrl({ ticker: TICKER, keywords: KEYWORDS, baselineDate: BASELINE }), data: gdeltArticles() });
+}
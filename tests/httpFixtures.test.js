@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { useTestEnv } from './helpers/env.js';
+
+// record 模式：對本機假上游發出請求，確認錄製檔內容與金鑰遮蔽
+const env = useTestEnv('fixtures', { mode:'record' });
+const { default: axios } = await import('axios');
+const { fetchWithFixtures, normalizeUrl, fixtureKey, readFixture, fixtureMode } = await import('../lib/httpFixtures.js');
+
+let server;
+let base;
+
+before(async ()=>{
+  server = http.createServer((req,res)=>{
+    if(req.url.startsWith('/missing')){
+      res.writeHead(404, { 'Content-Type':'application/json' });
+      return res.end(JSON.stringify({ error:'not found' }));
+    }
+    if(req.url.startsWith('/csv')){
+      res.writeHead(200, { 'Content-Type':'text/csv' });
+      return res.end('Date,Close\n2024-05-31,10\n');
+    }
+    const query = new URL(req.url, 'http://127.0.0.1').searchParams;
+    res.writeHead(200, { 'Content-Type':'application/json' });
+    res.end(JSON.stringify({ symbol: query.get('symbol'), authorized: query.get('token') === 'secret' }));
+  });
+  await new Promise(resolve=> server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(()=>{
+  server.close();
+  env.cleanup();
+});
+
+test('normalizeUrl drops credentials and sorts the query', ()=>{
+  assert.equal(
+    normalizeUrl('https://finnhub.io/api/v1/quote?token=abc&symbol=NVDA'),
+    'https://finnhub.io/api/v1/quote?symbol=NVDA'
+  );
+  assert.equal(
+    normalizeUrl('https://www.alphavantage.co/query?symbol=A&function=OVERVIEW&apikey=k'),
+    'https://www.alphavantage.co/query?function=OVERVIEW&symbol=A'
+  );
+  assert.equal(fixtureKey('get', 'https://x.test/a?b=1&a=2'), fixtureKey('GET', 'https://x.test/a?a=2&b=1&token=zzz'));
+  assert.notEqual(fixtureKey('POST', 'https://x.test/a', { q:1 }), fixtureKey('POST', 'https://x.test/a', { q:2 }));
+});
+
+test('axios responses are recorded without the api key', async ()=>{
+  assert.equal(fixtureMode(), 'record');
+  const { data } = await axios.get(`${base}/quote`, { params:{ symbol:'NVDA', token:'secret' } });
+  assert.deepEqual(data, { symbol:'NVDA', authorized:true });
+  const saved = readFixture('GET', `${base}/quote?symbol=NVDA`);
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body, data);
+  const files = fs.readdirSync(env.fixtureDir).map(f=>fs.readFileSync(path.join(env.fixtureDir, f), 'utf8'));
+  assert.ok(files.every(text=>!text.includes('secret')));
+});
+
+test('axios error responses are recorded too', async ()=>{
+  await assert.rejects(axios.get(`${base}/missing`), (err)=> err.response?.status === 404);
+  assert.equal(readFixture('GET', `${base}/missing`).status, 404);
+});
+
+test('fetchWithFixtures records text bodies and still returns a readable response', async ()=>{
+  const res = await fetchWithFixtures(`${base}/csv`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'Date,Close\n2024-05-31,10\n');
+  assert.equal(readFixture('GET', `${base}/csv`).body, 'Date,Close\n2024-05-31,10\n');
+});
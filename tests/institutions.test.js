@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('institutions');
+const { seedAnalysisFixtures, informationTableXml, CUSIP, BASELINE } = await import('./helpers/upstream.js');
+const { parseInformationTable, getInstitutionalOwnership } = await import('../lib/institutions.js');
+const { issuerKey, setCusipMapping, getCusipMapping, isInstitutionSynced } = await import('../lib/institutionStore.js');
+const { evaluateProfileRules } = await import('../lib/profileRules.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+test('information tables merge rows per CUSIP and skip options', ()=>{
+  const rows = parseInformationTable(informationTableXml({ nvda:[160, 50], put:40 }), { filingDate:'2024-05-14' });
+  assert.deepEqual(rows.map(r=>[r.cusip, r.issuer_name, r.shares, r.value]), [[CUSIP, 'NVIDIA CORPORATION', 210, 21000], ['037833100', 'APPLE INC', 1000000, 100000000]]);
+  // 2023 年以前申報的 value 為千美元
+  assert.equal(parseInformationTable(informationTableXml({ nvda:[1] }), { filingDate:'2022-11-14' })[0].value, 100000);
+});
+
+test('issuer names are compared without punctuation or corporate suffixes', ()=>{
+  assert.equal(issuerKey('NVIDIA CORP'), issuerKey('NVIDIA Corporation'));
+  assert.equal(issuerKey('Apple Inc.'), 'APPLE');
+  assert.notEqual(issuerKey('NVIDIA CORP'), issuerKey('NVE CORP'));
+});
+
+test('quarter-over-quarter holder changes as of the baseline', async ()=>{
+  const own = await getInstitutionalOwnership('NVDA', BASELINE, { userAgent:'test-agent', companyName:'NVIDIA CORP', sharesOutstanding:2460000000 });
+  assert.equal(own.available, true);
+  assert.deepEqual([own.cusip, own.cusip_source, own.period, own.previous_period], [CUSIP, 'issuer_name', '2024-03-31', '2023-12-31']);
+  assert.deepEqual([own.holder_count, own.total_shares, own.previous_total_shares, own.change_shares], [2, 305000000, 300000000, 5000000]);
+  assert.equal(own.change_pct, 0.0167);
+  assert.equal(own.pct_of_outstanding, 0.124);
+  assert.equal(own.trend, 'increasing');
+  assert.deepEqual(own.top_increases.map(h=>[h.name, h.change]), [['VANGUARD GROUP INC', 10000000]]);
+  assert.deepEqual(own.top_decreases.map(h=>[h.name, h.change]), [['STATE STREET CORP', -5000000]]);
+  assert.deepEqual(getCusipMapping('nvda').cusip, CUSIP);
+});
+
+test('CUSIP mappings can be set manually and unknown issuers are reported', async ()=>{
+  assert.throws(()=>setCusipMapping({ ticker:'AMD', cusip:'bad' }), /invalid CUSIP/);
+  const own = await getInstitutionalOwnership('ZZZZ', BASELINE, { userAgent:'test-agent', companyName:'Unknown Widgets Inc' });
+  assert.equal(own.available, false);
+  setCusipMapping({ ticker:'ZZZZ', cusip:'037833100' });
+  const mapped = await getInstitutionalOwnership('ZZZZ', BASELINE, { userAgent:'test-agent' });
+  assert.deepEqual([mapped.cusip_source, mapped.trend, mapped.total_shares], ['manual', 'flat', 2000000]);
+});
+
+test('falling institutional ownership fails the large-cap float filter', ()=>{
+  const filter = (institutions)=> evaluateProfileRules({ fundamentals:{ market_cap: 50e9 }, institutions }).filters.items.find(i=>i.key === 'float_institutional');
+  const base = { available:true, period:'2024-03-31', previous_period:'2023-12-31', filers_compared:2 };
+  assert.deepEqual([filter({ ...base, trend:'decreasing', change_pct:-0.05 }).source, filter({ ...base, trend:'decreasing', change_pct:-0.05 }).met], ['computed', false]);
+  assert.equal(filter({ ...base, trend:'increasing', change_pct:0.05 }).source, 'llm');
+  assert.equal(filter(null).source, 'llm');
+});
+
+test('each filer and quarter is synced once, so later baselines in the quarter skip SEC', async ()=>{
+  await getInstitutionalOwnership('NVDA', BASELINE, { userAgent:'test-agent', companyName:'NVIDIA CORP' });
+  assert.ok(isInstitutionSynced('0000102909', '2024-03-31') && isInstitutionSynced('0000093751', '2024-03-31'));
+  // 移除錄製檔與 submissions 快取：若再查詢 SEC 會出現 failed_filers
+  fs.rmSync(env.fixtureDir, { recursive:true, force:true });
+  fs.rmSync(process.env.CACHE_DIR, { recursive:true, force:true });
+  // 2024-04-15 兩家機構都尚未申報 03-31 期，改比較已同步的前兩期
+  const early = await getInstitutionalOwnership('NVDA', '2024-04-15', { userAgent:'test-agent' });
+  assert.deepEqual(early.failed_filers, []);
+  assert.deepEqual([early.period, early.previous_period, early.filers_compared], ['2023-12-31', '2023-09-30', 0]);
+});
@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('jobstore');
+const { createJob, getJob, listJobs, getPendingRows, updateJobRow, setJobStatus, resetRunningRows, recoverUnfinishedJobs } = await import('../lib/jobStore.js');
+
+after(()=> env.cleanup());
+
+const TASKS = [
+  { ticker:'NVDA', date:'2024-05-31', model:'gpt-5' },
+  { ticker:'AMD', date:'2024-05-31' },
+  { ticker:'TSM', date:'2024-05-31' }
+];
+
+test('a new job stores its rows as pending with options and progress', ()=>{
+  const id = createJob({ filename:'list.xlsx', tasks: TASKS, options:{ position_sizing:{ account_size:100000, risk_pct:1 } } });
+  const job = getJob(id);
+  assert.deepEqual([job.status, job.total, job.filename, job.progress, job.finished_at], ['queued', 3, 'list.xlsx', 0, null]);
+  assert.deepEqual(job.options, { position_sizing:{ account_size:100000, risk_pct:1 } });
+  assert.deepEqual(job.counts, { pending:3, running:0, done:0, error:0 });
+  assert.deepEqual(job.rows.map(r=>[r.index, r.ticker, r.model, r.status, r.result]), [[0, 'NVDA', 'gpt-5', 'pending', null], [1, 'AMD', '', 'pending', null], [2, 'TSM', '', 'pending', null]]);
+  assert.equal(getJob(id, { includeRows:false }).rows, undefined);
+  assert.equal(getJob('missing'), null);
+});
+
+test('row updates drive pending rows, counts and finish time', ()=>{
+  const id = createJob({ filename:'x.csv', tasks: TASKS });
+  updateJobRow(id, 0, { status:'done', result:{ ticker:'NVDA', snapshot_id:1 } });
+  updateJobRow(id, 1, { status:'error', error:'[SEC] submissions failed' });
+  assert.deepEqual(getPendingRows(id).map(r=>r.ticker), ['TSM']);
+  const job = getJob(id);
+  assert.deepEqual([job.counts.done, job.counts.error, job.progress], [1, 1, 0.667]);
+  assert.deepEqual(job.rows[0].result, { ticker:'NVDA', snapshot_id:1 });
+  assert.equal(job.rows[1].error, '[SEC] submissions failed');
+
+  setJobStatus(id, 'running');
+  assert.equal(getJob(id).finished_at, null);
+  setJobStatus(id, 'completed');
+  assert.ok(getJob(id).finished_at > 0);
+  assert.ok(listJobs(10).some(j=>j.id === id && j.counts.done === 1));
+});
+
+test('a failed drain returns running rows to pending and is resumed on restart', ()=>{
+  const failed = createJob({ filename:'f.csv', tasks: TASKS });
+  const finished = createJob({ filename:'c.csv', tasks: TASKS.slice(0, 1) });
+  const interrupted = createJob({ filename:'r.csv', tasks: TASKS });
+  updateJobRow(failed, 0, { status:'done', result:{ ticker:'NVDA' } });
+  updateJobRow(failed, 1, { status:'running' });
+  updateJobRow(interrupted, 2, { status:'running' });
+  resetRunningRows(failed);
+  setJobStatus(failed, 'failed');
+  assert.deepEqual(getPendingRows(failed).map(r=>r.index), [1, 2]);
+  assert.ok(getJob(failed).finished_at > 0);
+  // 只重置指定 job 的列
+  assert.equal(getJob(interrupted).counts.running, 1);
+
+  updateJobRow(finished, 0, { status:'done', result:{ ticker:'NVDA' } });
+  setJobStatus(finished, 'completed');
+  setJobStatus(interrupted, 'running');
+  const resumed = recoverUnfinishedJobs();
+  assert.ok(resumed.includes(failed) && resumed.includes(interrupted));
+  assert.ok(!resumed.includes(finished));
+  assert.deepEqual(getPendingRows(interrupted).map(r=>r.index), [0, 1, 2]);
+});
@@ -0,0 +1,87 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { useTestEnv } from './helpers/env.js';
+
+// 以本機 OpenAI 相容端點驗證重試退避、逾時與用量統計：不使用錄製檔
+const env = useTestEnv('llmprovider', { mode:'off' });
+const replies = [];
+const requests = [];
+const server = http.createServer((req, res)=>{
+  let body = '';
+  req.on('data', chunk=>{ body += chunk; });
+  req.on('end', ()=>{
+    requests.push({ at: Date.now(), auth: req.headers.authorization, body: JSON.parse(body) });
+    const { status=200, data={}, delayMs=0 } = replies.shift() || {};
+    setTimeout(()=>{
+      if(res.destroyed) return;
+      res.writeHead(status, { 'Content-Type':'application/json' });
+      res.end(JSON.stringify(data));
+    }, delayMs);
+  });
+});
+await new Promise(resolve=> server.listen(0, '127.0.0.1', resolve));
+Object.assign(process.env, { LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`, LLM_API_KEY: 'local-key', LLM_MAX_RETRIES: '1' });
+const { chatCompletion, getUsageStats } = await import('../lib/llmProvider.js');
+
+after(()=>{
+  server.closeAllConnections();
+  server.close();
+  env.cleanup();
+});
+
+const MESSAGES = [{ role:'user', content:'hi' }];
+const reply = (content, usage)=>({ data:{ choices:[{ message:{ content } }], usage } });
+
+function reset(...queued){
+  replies.splice(0, replies.length, ...queued);
+  requests.length = 0;
+}
+
+test('a 5xx response is retried after a backoff and the retry result is returned', async ()=>{
+  reset({ status:503, data:{ error:{ message:'busy' } } }, reply('ok', { prompt_tokens:10, completion_tokens:5, total_tokens:15 }));
+  const out = await chatCompletion({ provider:'openai', model:'local', messages: MESSAGES, purpose:'retry' });
+  assert.deepEqual([out.text, out.usage.total_tokens], ['ok', 15]);
+  assert.equal(requests.length, 2);
+  // 第一次退避 1 秒（另加最多 250ms 抖動）
+  assert.ok(requests[1].at - requests[0].at >= 1000);
+  assert.deepEqual([requests[0].auth, requests[0].body.model, requests[0].body.temperature], ['Bearer local-key', 'local', 0.2]);
+});
+
+test('client errors are not retried and server errors stop at the retry limit', async ()=>{
+  reset({ status:400, data:{ error:{ message:'bad request' } } });
+  await assert.rejects(chatCompletion({ provider:'openai', model:'local', messages: MESSAGES, purpose:'fail' }), /status code 400/);
+  assert.equal(requests.length, 1);
+
+  reset({ status:500 }, { status:502 }, reply('never'));
+  await assert.rejects(chatCompletion({ provider:'openai', model:'local', messages: MESSAGES, purpose:'fail' }), /status code 502/);
+  assert.equal(requests.length, 2);
+
+  await assert.rejects(chatCompletion({ provider:'openrouter', messages: MESSAGES }), /\[LLM\] missing API key for provider openrouter/);
+});
+
+test('a request slower than timeoutMs is aborted and retried', async ()=>{
+  reset({ delayMs:500, ...reply('late') }, reply('fast', { prompt_tokens:3, completion_tokens:2 }));
+  const started = Date.now();
+  const out = await chatCompletion({ provider:'openai', model:'local', messages: MESSAGES, timeoutMs:100, purpose:'timeout' });
+  assert.equal(out.text, 'fast');
+  assert.equal(requests.length, 2);
+  assert.ok(Date.now() - started < 2000);
+
+  reset({ delayMs:500, ...reply('late') }, { delayMs:500, ...reply('late') });
+  await assert.rejects(chatCompletion({ provider:'openai', model:'local', messages: MESSAGES, timeoutMs:100, purpose:'timeout' }), /timeout/);
+});
+
+test('usage is accounted per provider, model and purpose and only for successful calls', async ()=>{
+  reset(reply('a', { prompt_tokens:1, completion_tokens:1, total_tokens:2 }));
+  await chatCompletion({ provider:'openai', model:'local', messages: MESSAGES, purpose:'retry' });
+  await chatCompletion({ provider:'fixture', messages: MESSAGES, purpose:'news_keywords' });
+  const { totals, rows } = getUsageStats();
+  const row = (purpose)=> rows.find(r=>r.purpose === purpose);
+  assert.deepEqual(row('retry'), { provider:'openai', model:'local', purpose:'retry', calls:2, prompt_tokens:11, completion_tokens:6, total_tokens:17 });
+  // 缺 total_tokens 時以 prompt + completion 補
+  assert.deepEqual([row('timeout').calls, row('timeout').total_tokens], [1, 5]);
+  assert.deepEqual([row('news_keywords').provider, row('news_keywords').model, row('news_keywords').total_tokens], ['fixture', 'fixture', 0]);
+  assert.equal(row('fail'), undefined);
+  assert.deepEqual(totals, { calls:4, prompt_tokens:14, completion_tokens:8, total_tokens:22 });
+});
@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('llmschema');
+const { seedAnalysisFixtures, TICKER, BASELINE } = await import('./helpers/upstream.js');
+const { performAnalysis } = await import('../lib/analysis.js');
+const { listAnalyses } = await import('../lib/analysisStore.js');
+const { getUsageStats } = await import('../lib/llmProvider.js');
+const { queueFixtureResponses } = await import('../lib/llmFixture.js');
+const { getNewsKeywords, analyzeNewsSentiment } = await import('../lib/news.js');
+const { MAX_REPAIR_ATTEMPTS, NEWS_SENTIMENT_SCHEMA, NEWS_KEYWORDS_SCHEMA, completeJson, validate } = await import('../lib/llmSchema.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+function calls(purpose){
+  return getUsageStats().rows.filter(r=>r.purpose === purpose).reduce((acc,r)=>acc + r.calls, 0);
+}
+
+const INVALID_ANALYSIS = JSON.stringify({ per_filing:[], action:{ rating:'MAYBE' } });
+const ARTICLES = [{ title:'NVDA beats estimates', url:'https://example.com/a', source:'reuters.com' }];
+
+test('completeJson feeds validation errors back and stops after the repair limit', async ()=>{
+  const sent = [];
+  const replies = ['not json', '["ok"]'];
+  const repaired = await completeJson({ send: async (history)=>{ sent.push(history); return replies.shift(); }, messages:[{ role:'user', content:'q' }], schema: NEWS_KEYWORDS_SCHEMA });
+  assert.deepEqual([repaired.ok, repaired.value, repaired.attempts], [true, ['ok'], 2]);
+  // 修正請求附上前一次原文與錯誤清單
+  assert.deepEqual(sent[1].slice(1).map(m=>m.role), ['assistant', 'user']);
+  assert.equal(sent[1][1].content, 'not json');
+  assert.match(sent[1][2].content, /- invalid JSON/);
+
+  let count = 0;
+  const failed = await completeJson({ send: async ()=>{ count += 1; return '[]'; }, messages:[], schema: NEWS_KEYWORDS_SCHEMA });
+  assert.equal(count, MAX_REPAIR_ATTEMPTS + 1);
+  assert.deepEqual([failed.ok, failed.text, failed.errors, failed.attempts], [false, '[]', ['$: must contain at least 1 item(s)'], MAX_REPAIR_ATTEMPTS + 1]);
+});
+
+test('news schemas coerce unambiguous values and reject the rest', ()=>{
+  const ok = validate(NEWS_SENTIMENT_SCHEMA, { sentiment_label:'中性', summary:'s', supporting_events:[{ title:'t' }] });
+  assert.equal(ok.valid, true);
+  const bad = validate(NEWS_SENTIMENT_SCHEMA, { sentiment_label:'bullish', supporting_events:[{ reason:'r' }] });
+  assert.deepEqual(bad.errors, ['$.summary: required', '$.sentiment_label: must be one of 樂觀|中性|悲觀, got "bullish"', '$.supporting_events[0].title: required']);
+  assert.deepEqual(validate(NEWS_KEYWORDS_SCHEMA, ['ai', 42]).errors, ['$[1]: expected string, got number']);
+  assert.equal(validate(NEWS_KEYWORDS_SCHEMA, 'ai').valid, false);
+});
+
+test('analysis output still invalid after the repair limit is neither cached nor saved', async ()=>{
+  const before = calls('analysis');
+  queueFixtureResponses('analysis', Array(MAX_REPAIR_ATTEMPTS + 1).fill(INVALID_ANALYSIS));
+  const result = await performAnalysis(TICKER, BASELINE);
+  assert.equal(calls('analysis') - before, MAX_REPAIR_ATTEMPTS + 1);
+  assert.equal(result.analysis.raw, INVALID_ANALYSIS);
+  assert.ok(result.analysis.validation_errors.includes('$.action.rating: must be one of BUY|HOLD|SELL, got "MAYBE"'));
+  assert.equal(result.snapshot_id, undefined);
+  assert.equal(listAnalyses({ ticker: TICKER }).total, 0);
+});
+
+test('an invalid analysis response is repaired on the next attempt and then saved', async ()=>{
+  const before = calls('analysis');
+  queueFixtureResponses('analysis', [INVALID_ANALYSIS]);
+  // 上一次的無效輸出沒有進快取：這次仍會呼叫模型
+  const result = await performAnalysis(TICKER, BASELINE);
+  assert.equal(calls('analysis') - before, 2);
+  assert.equal(result.analysis.validation_errors, undefined);
+  assert.equal(result.analysis.action.rating, 'HOLD');
+  assert.ok(result.snapshot_id > 0);
+});
+
+test('news keywords and sentiment are repaired, and failures fall back without caching', async ()=>{
+  queueFixtureResponses('news_keywords', ['[]', '```json\n["chips","datacenter"]\n```']);
+  assert.deepEqual(await getNewsKeywords('KWTEST', '', 'fixture', 'fixture'), ['chips','datacenter']);
+
+  const args = { ticker:'KWTEST', baselineDate: BASELINE, articles: ARTICLES, openKey:'', model:'fixture', provider:'fixture' };
+  queueFixtureResponses('news_sentiment', Array(MAX_REPAIR_ATTEMPTS + 1).fill(JSON.stringify({ sentiment_label:'bullish', summary:'x', supporting_events:[] })));
+  const failed = await analyzeNewsSentiment(args);
+  assert.equal(failed.summary, '新聞情緒分析失敗，請稍後重試。');
+  assert.match(failed.error, /invalid news_sentiment output/);
+
+  queueFixtureResponses('news_sentiment', ['{"sentiment_label":"樂觀"}']);
+  const repaired = await analyzeNewsSentiment(args);
+  assert.deepEqual([repaired.sentiment_label, repaired.supporting_events[0].title], ['中性', ARTICLES[0].title]);
+});
@@ -0,0 +1,109 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('momentum');
+const { seedSeries, syntheticSeries, seedBenchmarks } = await import('./helpers/upstream.js');
+const { computeMomentumMetrics, sliceByDate, fetchDailySeries } = await import('../lib/momentum.js');
+const { resolveScoringConfig, DEFAULT_MOMENTUM_SCORING } = await import('../lib/momentumScoring.js');
+const { classifySector } = await import('../lib/sectors.js');
+
+after(()=> env.cleanup());
+
+const close = (rate, days)=> (1 + rate) ** days;
+const sector = classifySector({ ticker:'AMD', sic:'3674', sicDescription:'Semiconductors & Related Devices' });
+
+test('steady uptrend: returns, RSI, ATR and score', async ()=>{
+  seedSeries('AMD', syntheticSeries({ rate:0.0005 }));
+  seedBenchmarks('2024-05-31');
+  const m = await computeMomentumMetrics('AMD', '2024-05-31', { sector });
+
+  assert.equal(m.reference_date, '2024-05-31');
+  assert.ok(Math.abs(m.returns.m3 - (close(0.0005, 63) - 1)) < 1e-9);
+  assert.ok(Math.abs(m.returns.m6 - (close(0.0005, 126) - 1)) < 1e-9);
+  assert.ok(Math.abs(m.returns.m12 - (close(0.0005, 252) - 1)) < 1e-9);
+  assert.equal(m.rsi14, 100);
+  // high / low 為收盤 ±1%，真實波幅即 2% 收盤價
+  const expectedAtr = m.price * 0.02 * (1 - close(0.0005, -14)) / (1 - 1 / 1.0005) / 14;
+  assert.ok(Math.abs(m.atr14 - expectedAtr) < 1e-6);
+  assert.equal(m.volume_ratio, 1);
+  assert.deepEqual(m.price_vs_ma, { above50:true, above200:true });
+  assert.equal(m.trend, '中性');
+  assert.equal(m.score, 96);
+  assert.equal(m.etf.symbol, 'XLK');
+  assert.ok(Math.abs(m.etf.return3m - (close(0.0003, 63) - 1)) < 1e-9);
+
+  // 與類股 ETF 同一組交易日對齊；細產業與大盤另列在 benchmarks
+  assert.equal(m.relative_strength.benchmark, 'XLK');
+  assert.ok(Math.abs(m.relative_strength.m3 - (close(0.0005, 63) - close(0.0003, 63))) < 1e-9);
+  assert.ok(Math.abs(m.relative_strength.m12 - (close(0.0005, 252) - close(0.0003, 252))) < 1e-9);
+  assert.deepEqual(Object.entries(m.benchmarks).map(([role, b])=>[role, b.symbol]), [['sector','XLK'], ['industry','XSD'], ['market','SPY']]);
+  assert.ok(Math.abs(m.benchmarks.industry.relative.m3 - (close(0.0005, 63) - close(0.0004, 63))) < 1e-9);
+  assert.ok(Math.abs(m.benchmarks.market.relative.m6 - (close(0.0005, 126) - close(0.0002, 126))) < 1e-9);
+  assert.deepEqual([m.sector.sector, m.sector.industry, m.sector.sic, m.sector.source], ['technology', 'semiconductors', '3674', 'sic']);
+  assert.ok(Math.abs(m.range_52w.from_high - (1 / 1.01 - 1)) < 1e-9);
+  assert.ok(m.volatility.realized_63d < 1e-9);
+  assert.deepEqual([m.max_drawdown.value, m.volume_trend.up_volume_ratio20], [0, 1]);
+  assert.ok(m.macd.histogram_pct > 0 && m.bollinger.percent_b > 0.5);
+
+  // 預設設定只列出有權重的 7 項，總和即分數
+  assert.deepEqual(m.score_breakdown.map(b=>b.key), ['return_3m','return_6m','return_12m','rsi14','volume_ratio','above_ma50','above_ma200']);
+  assert.equal(m.scoring.source, 'default');
+  assert.equal(Math.round(50 + m.score_breakdown.reduce((a,b)=>a + b.points, 0)), 96);
+});
+
+test('scoring weights and thresholds can be overridden per request', async ()=>{
+  const scoring = resolveScoringConfig({
+    base: 40,
+    components:{ above_ma200:{ points:0 }, relative_strength_3m:{ weight:100, cap:3 } },
+    trend:{ strong_return_3m: 0.01 }
+  });
+  const m = await computeMomentumMetrics('AMD', '2024-05-31', { scoring, sector });
+  assert.equal(m.scoring.source, 'request');
+  assert.equal(m.trend, '強勢');
+  const rs = m.score_breakdown.find(b=>b.key === 'relative_strength_3m');
+  assert.deepEqual([rs.points, rs.max], [Math.round(Math.min(3, (close(0.0005, 63) - close(0.0003, 63)) * 100) * 100) / 100, 3]);
+  assert.ok(!m.score_breakdown.some(b=>b.key === 'above_ma200'));
+  assert.equal(m.score, 96 - 10 - 5 + Math.round(rs.points));
+  // 覆寫不影響預設值
+  assert.equal(DEFAULT_MOMENTUM_SCORING.components.above_ma200.points, 5);
+});
+
+test('invalid scoring configs are rejected with the offending field', ()=>{
+  assert.throws(()=>resolveScoringConfig({ components:{ macd:{ weight:1 } } }), /unknown component "macd"/);
+  assert.throws(()=>resolveScoringConfig({ components:{ above_ma50:{ weight:1 } } }), /components\.above_ma50\.weight is not supported/);
+  assert.throws(()=>resolveScoringConfig({ components:{ rsi14:{ cap:'x' } } }), /components\.rsi14\.cap must be a number/);
+  assert.throws(()=>resolveScoringConfig({ min:80, max:20 }), /min must be <= max/);
+  assert.throws(()=>resolveScoringConfig('{bad'), /not valid JSON/);
+  assert.equal(resolveScoringConfig('{"base":45}').base, 45);
+  // 空白的表單欄位或 query 視同未提供
+  assert.equal(resolveScoringConfig('').source, 'default');
+});
+
+test('steady downtrend is flagged weak', async ()=>{
+  seedSeries('INTC', syntheticSeries({ rate:-0.002 }));
+  const m = await computeMomentumMetrics('INTC', '2024-05-31');
+  assert.equal(m.rsi14, 0);
+  assert.deepEqual(m.price_vs_ma, { above50:false, above200:false });
+  assert.equal(m.trend, '弱勢');
+  // 沒有 SIC 分類時只比較大盤
+  assert.deepEqual([m.etf.symbol, Object.keys(m.benchmarks), m.sector.source], ['SPY', ['market'], 'unmapped']);
+  assert.ok(m.score < 20);
+});
+
+test('less than 60 sessions before the baseline yields no metrics', async ()=>{
+  seedSeries('ARM', syntheticSeries({ from:'2024-04-01' }));
+  assert.equal(await computeMomentumMetrics('ARM', '2024-05-31'), null);
+});
+
+test('missing upstream data yields null instead of throwing', async ()=>{
+  assert.equal(await fetchDailySeries('NOPE'), null);
+  assert.equal(await computeMomentumMetrics('NOPE', '2024-05-31'), null);
+});
+
+test('sliceByDate starts at the last session on or before the baseline', ()=>{
+  const series = syntheticSeries({ from:'2024-05-27', to:'2024-06-07' }).reverse();
+  assert.equal(sliceByDate(series, '2024-06-01')[0].date, '2024-05-31');
+  assert.equal(sliceByDate(series, '2024-06-03')[0].date, '2024-06-03');
+  assert.equal(sliceByDate(series, null).length, series.length);
+});
@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('portfolio');
+const { seedAnalysisFixtures, TICKER, BASELINE, HISTORICAL_CLOSE } = await import('./helpers/upstream.js');
+const { analyzePortfolio, normalizeHoldings, dailyReturns, correlationMatrix, calcBeta, sectorConcentration } = await import('../lib/portfolio.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+test('holdings are validated and duplicate tickers merged at the average cost', ()=>{
+  assert.deepEqual(normalizeHoldings([
+    { ticker:'nvda', shares:10, cost_basis:100 },
+    { ticker:'NVDA', shares:30, cost_basis:200, stop_loss:150 },
+    { ticker:'amd', shares:'5' }
+  ]), [
+    { ticker:'NVDA', shares:40, cost_basis:175, stop_loss:150 },
+    { ticker:'AMD', shares:5, cost_basis:null, stop_loss:null }
+  ]);
+  assert.equal(normalizeHoldings('[{"ticker":"TSM","shares":1,"cost_basis":100},{"ticker":"TSM","shares":1}]')[0].cost_basis, null);
+  assert.throws(()=>normalizeHoldings([]), /至少需要一筆持股/);
+  assert.throws(()=>normalizeHoldings([{ ticker:'NVDA', shares:0 }]), /NVDA 股數無效/);
+  assert.throws(()=>normalizeHoldings([{ ticker:'NVDA', shares:1, cost_basis:'abc' }]), /NVDA 成本無效/);
+  assert.throws(()=>normalizeHoldings('nope'), /不是有效的 JSON/);
+});
+
+test('correlation and beta come from returns aligned by date', ()=>{
+  const dates = Array.from({ length:30 }, (_, i)=>`2024-05-${String(i + 1).padStart(2, '0')}`);
+  const base = dates.map((_, i)=> (i % 3 - 1) * 0.01 + i * 0.0001);
+  const series = (scale)=> new Map(dates.map((d, i)=>[d, base[i] * scale]));
+  const { tickers, matrix, average } = correlationMatrix({ AAA: series(1), BBB: series(2), CCC: series(-1), EMPTY: new Map() });
+  assert.deepEqual(tickers, ['AAA','BBB','CCC']);
+  assert.deepEqual(matrix, [[1, 1, -1], [1, 1, -1], [-1, -1, 1]]);
+  assert.equal(average, -0.3333);
+  assert.equal(calcBeta(series(2), series(1)).toFixed(4), '2.0000');
+  // 共同交易日不足 20 天時不計算
+  assert.equal(calcBeta(new Map([...series(2)].slice(0, 10)), series(1)), null);
+
+  const returns = dailyReturns([{ date:'2024-05-03', close:110 }, { date:'2024-05-02', close:100 }, { date:'2024-05-01', close:80 }]);
+  assert.deepEqual([...returns.keys()], ['2024-05-03','2024-05-02']);
+  assert.equal(returns.get('2024-05-02'), 0.25);
+});
+
+test('sector weights are grouped with a concentration warning above the limit', ()=>{
+  const rows = [
+    { ticker:'NVDA', weight:0.5, sector:'technology', sector_label:'資訊科技' },
+    { ticker:'AMD', weight:0.2, sector:'technology', sector_label:'資訊科技' },
+    { ticker:'XOM', weight:0.3, sector:'energy', sector_label:'能源' }
+  ];
+  const out = sectorConcentration(rows, 0.6);
+  assert.deepEqual(out.items.map(g=>[g.sector, g.weight, g.tickers]), [['technology', 0.7, ['NVDA','AMD']], ['energy', 0.3, ['XOM']]]);
+  assert.equal(out.hhi, 0.58);
+  assert.deepEqual(out.largest_holding, { ticker:'NVDA', weight:0.5 });
+  assert.match(out.warning, /資訊科技 占 70%，超過 60% 上限/);
+});
+
+test('portfolio analysis reports P&L, weights and flags per holding', async ()=>{
+  const out = await analyzePortfolio({ date: BASELINE, holdings:[
+    { ticker: TICKER, shares:10, cost_basis:900, stop_loss:1100 },
+    { ticker:'AAPL', shares:5, cost_basis:150 }
+  ] });
+  assert.deepEqual([out.baseline_date, out.provider], [BASELINE, 'fixture']);
+  const [nvda, aapl] = out.holdings;
+  assert.deepEqual([aapl.status, aapl.shares], ['error', 5]);
+  assert.match(aapl.error, /\[SEC\] submissions failed/);
+
+  assert.equal(nvda.price, HISTORICAL_CLOSE);
+  assert.equal(nvda.market_value, Math.round(HISTORICAL_CLOSE * 10 * 100) / 100);
+  assert.equal(nvda.unrealized_pnl, Math.round((HISTORICAL_CLOSE - 900) * 10 * 100) / 100);
+  assert.equal(nvda.unrealized_pct, Math.round((HISTORICAL_CLOSE / 900 - 1) * 10000) / 10000);
+  assert.deepEqual([nvda.weight, nvda.sector, nvda.stop_loss, nvda.stop_source], [1, 'technology', 1100, 'holding']);
+
+  const s = out.summary;
+  assert.deepEqual([s.holdings, s.analyzed, s.failed, s.market_value, s.pnl_coverage], [2, 1, ['AAPL'], nvda.market_value, 1]);
+  assert.equal(s.weighted_quality_score, nvda.quality_score);
+  assert.equal(s.weighted_momentum_score, Math.round(nvda.momentum_score * 100) / 100);
+  assert.equal(out.sectors.items[0].label, '資訊科技');
+  assert.ok(out.sectors.warning);
+  assert.deepEqual([out.correlation.tickers, out.correlation.matrix], [[TICKER], [[1]]]);
+  assert.equal(out.beta.benchmark, 'SPY');
+  // 自訂停損 1100 高於基準日收盤
+  assert.deepEqual(out.flags.map(f=>[f.ticker, f.code]), [[TICKER, 'below_stop']]);
+});
+
+test('invalid dates are rejected before any analysis runs', async ()=>{
+  await assert.rejects(analyzePortfolio({ holdings:[{ ticker:'NVDA', shares:1 }], date:'not-a-date' }), /invalid date format/);
+});
@@ -0,0 +1,51 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('position-sizing');
+const { parsePositionSizing, positionSizingFromFields, buildPositionPlan } = await import('../lib/positionSizing.js');
+
+after(()=> env.cleanup());
+
+// ATR14 為股價的 2%：進場 100 時 ATR = 2
+const momentum = { price:50, atr14:1 };
+
+test('shares follow the risk budget and the reward/risk of the LLM levels', ()=>{
+  const plan = buildPositionPlan({ price:100, action:{ rating:'BUY', target_price:130, stop_loss:90 }, momentum }, parsePositionSizing({ account_size:100000, risk_pct:1 }));
+  // 風險預算 1,000 ÷ 每股風險 10 = 100 股
+  assert.deepEqual([plan.direction, plan.shares, plan.dollar_risk, plan.dollar_reward, plan.reward_risk, plan.position_pct], ['long', 100, 1000, 3000, 3, 0.1]);
+  assert.deepEqual(plan.stop_check, { atr14:2, atr_pct:0.02, stop_atr_multiple:5, atr_stop:96, status:'ok' });
+  assert.deepEqual(plan.warnings, []);
+});
+
+test('tight stops, low reward/risk and oversized positions are flagged', ()=>{
+  const sizing = parsePositionSizing({ account_size:10000, risk_pct:2, min_reward_risk:1.5 });
+  const plan = buildPositionPlan({ price:100, action:{ rating:'BUY', target_price:101, stop_loss:99 }, momentum }, sizing);
+  // 風險預算 200 ÷ 1 = 200 股，超過帳戶可買的 100 股
+  assert.equal(plan.shares, 100);
+  assert.equal(plan.stop_check.status, 'inside_noise');
+  assert.deepEqual(plan.warnings.map(w=>w.code), ['capped_by_account', 'low_reward_risk', 'stop_inside_noise']);
+
+  const short = buildPositionPlan({ price:100, action:{ rating:'SELL', target_price:80, stop_loss:105 }, momentum }, sizing);
+  assert.deepEqual([short.direction, short.shares, short.reward_risk, short.stop_check.status, short.stop_check.atr_stop], ['short', 40, 4, 'ok', 104]);
+
+  const fallback = buildPositionPlan({ price:100, action:{ rating:'HOLD', target_price:110 }, momentum }, sizing);
+  assert.deepEqual([fallback.stop_loss, fallback.risk_per_share, fallback.shares], [96, 4, 50]);
+  assert.deepEqual(fallback.warnings.map(w=>w.code), ['missing_stop', 'hold_rating']);
+  assert.equal(buildPositionPlan({ price:100, action:{}, momentum:{} }, sizing).available, false);
+});
+
+test('sizing parameters are validated for the API and batch form fields', ()=>{
+  assert.equal(parsePositionSizing(null), null);
+  assert.deepEqual(parsePositionSizing('{"account_size":50000,"risk_pct":0.5}'), { account_size:50000, risk_pct:0.5, min_reward_risk:2, atr_multiple:2, noise_atr:1 });
+  assert.throws(()=>parsePositionSizing({ account_size:50000 }), /risk_pct is required/);
+  assert.throws(()=>parsePositionSizing({ account_size:50000, risk_pct:25 }), /risk_pct must be <= 20/);
+  assert.throws(()=>parsePositionSizing({ account_size:-1, risk_pct:1 }), /account_size must be > 0/);
+  assert.throws(()=>parsePositionSizing({ account_size:1000, risk_pct:1, leverage:2 }), /unknown field "leverage"/);
+  assert.equal(positionSizingFromFields({ account_size:' ', risk_pct:'' }), null);
+  // 表單欄位只驗證、不套預設值：批次與非同步工作會再交給 performAnalysis 解析一次
+  const fields = positionSizingFromFields({ account_size:' 20000', risk_pct:'1.5', provider:'fixture' });
+  assert.deepEqual(fields, { account_size:'20000', risk_pct:'1.5' });
+  assert.equal(parsePositionSizing(fields).risk_pct, 1.5);
+  assert.throws(()=>positionSizingFromFields({ account_size:'20000' }), /risk_pct is required/);
+});
@@ -0,0 +1,114 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('prices');
+const { seedSeries, tickerSeries, syntheticSeries, SPLIT, HISTORICAL_CLOSE, BASELINE } = await import('./helpers/upstream.js');
+const { writeFixture } = await import('../lib/httpFixtures.js');
+const { isTradingDay, previousSession, lastCompletedSession, marketHolidays } = await import('../lib/tradingCalendar.js');
+const { ensureDailyPrices, getSessionClose, missingRange, yahooChartUrl } = await import('../lib/prices.js');
+const { savePriceRows, listPriceRows, getPriceCoverage, listPriceActions, splitFactorAfter } = await import('../lib/priceStore.js');
+const { getHistoricalPrice } = await import('../lib/historicalPrice.js');
+
+after(()=> env.cleanup());
+
+test('trading calendar skips weekends, NYSE holidays and observed dates', ()=>{
+  assert.deepEqual([...marketHolidays(2024)], ['2024-01-01','2024-01-15','2024-02-19','2024-03-29','2024-05-27','2024-06-19','2024-07-04','2024-09-02','2024-11-28','2024-12-25']);
+  // 2021 聖誕節落在週六提前到週五；2022 元旦落在週六不補休
+  assert.equal(isTradingDay('2021-12-24'), false);
+  assert.equal(isTradingDay('2021-12-31'), true);
+  assert.equal(previousSession('2024-06-02'), '2024-05-31');
+  assert.equal(previousSession('2024-04-01'), '2024-04-01');
+  assert.equal(previousSession('2024-03-29'), '2024-03-28');
+  assert.equal(lastCompletedSession(new Date('2024-07-05T15:00:00Z')), '2024-07-03');
+  assert.equal(lastCompletedSession(new Date('2024-07-05T22:00:00Z')), '2024-07-05');
+});
+
+test('missingRange only asks upstream for what the store does not cover', ()=>{
+  const coverage = { first_date:'2023-01-02', last_date:'2024-06-28' };
+  assert.equal(missingRange(coverage, '2023-06-01', '2024-05-31', '2024-07-03'), null);
+  // 起日是週末、最早一天已涵蓋
+  assert.equal(missingRange(coverage, '2022-12-31', '2024-05-31', '2024-07-03'), null);
+  assert.deepEqual(missingRange(coverage, '2024-01-01', '2024-07-03', '2024-07-03'), { from:'2024-06-28', to:'2024-07-03', kind:'tail' });
+  assert.deepEqual(missingRange(coverage, '2022-06-01', '2024-05-31', '2024-07-03'), { from:'2022-06-01', to:'2024-07-03', kind:'full' });
+  assert.deepEqual(missingRange(null, '2024-01-02', '2024-05-31', '2024-07-03'), { from:'2024-01-02', to:'2024-07-03', kind:'full' });
+  // 7/4 休市、7/5 尚未收盤時不必再抓
+  assert.equal(missingRange({ first_date:'2024-01-02', last_date:'2024-07-03' }, '2024-01-02', '2024-07-05', '2024-07-03'), null);
+});
+
+test('historical close falls back to the prior session and undoes later splits', async ()=>{
+  seedSeries('NVDA', tickerSeries(), { asOf:'2024-06-01', splits:[SPLIT] });
+  const saturday = await getHistoricalPrice('NVDA', '2024-06-01');
+  assert.deepEqual([saturday.price, saturday.source, saturday.date, saturday.session_date, saturday.split_factor], [HISTORICAL_CLOSE, 'yahoo_chart', '2024-06-01', BASELINE, SPLIT.ratio]);
+  const afterSplit = await getSessionClose('NVDA', '2024-06-14');
+  assert.equal(afterSplit.split_factor, 1);
+  assert.equal(afterSplit.price, Math.round(afterSplit.split_adjusted * 10000) / 10000);
+
+  // 第二次查詢（含更早但已涵蓋的日期）完全由倉庫回應
+  assert.deepEqual(await ensureDailyPrices('NVDA', { from:'2023-01-03', to:'2024-01-10' }), { fetched:false });
+  const rows = listPriceRows('NVDA', '2024-05-27', '2024-06-07');
+  assert.deepEqual(rows.map(r=>r.date), ['2024-06-07','2024-06-06','2024-06-05','2024-06-04','2024-06-03','2024-05-31','2024-05-30','2024-05-29','2024-05-28']);
+  assert.ok(rows.every(r=>r.source === 'yahoo_chart'));
+});
+
+test('dates far from any stored session are reported instead of guessed', async ()=>{
+  seedSeries('ARM', syntheticSeries({ from:'2024-04-01' }), { asOf:'2024-03-15' });
+  await assert.rejects(()=>getSessionClose('ARM', '2024-03-15'), /no price for ARM on or before 2024-03-15/);
+});
+
+test('tail updates rebase stored rows when a split happened since the last fetch', async ()=>{
+  const old = syntheticSeries({ from:'2024-05-01', to:'2024-06-28', start:200, rate:0 });
+  savePriceRows({ symbol:'TAIL', rows: old, source:'stooq_csv', firstDate:'2022-01-03', lastDate:'2024-06-28' });
+  const last = lastCompletedSession();
+  // 上游已換成 2:1 分割後的基準：重疊的 6/28 為 100
+  const fresh = syntheticSeries({ from:'2024-06-28', to:'2024-07-10', start:100, rate:0 });
+  writeFixture({ url: yahooChartUrl('TAIL', '2024-06-28', last), data:{ chart:{ result:[{
+    timestamp: fresh.map(r=>Date.parse(`${r.date}T13:30:00Z`) / 1000),
+    events:{ splits:{ 1719840600:{ date:1719840600, numerator:2, denominator:1 } } },
+    indicators:{ quote:[{ close: fresh.map(r=>r.close), high: fresh.map(r=>r.high), low: fresh.map(r=>r.low), volume: fresh.map(r=>r.volume) }] }
+  }] } } });
+
+  const result = await ensureDailyPrices('TAIL', { from:'2024-05-01', to: last });
+  assert.deepEqual([result.fetched, result.kind, result.source], [true, 'tail', 'yahoo_chart']);
+  const may = listPriceRows('TAIL', '2024-05-01', '2024-05-01')[0];
+  assert.deepEqual([may.close, may.volume, may.source], [100, 2000000, 'stooq_csv']);
+  assert.deepEqual(getPriceCoverage('TAIL'), { ...getPriceCoverage('TAIL'), first_date:'2022-01-03', last_date: last });
+  const close = await getSessionClose('TAIL', '2024-05-01');
+  assert.deepEqual([close.price, close.split_adjusted, close.split_factor], [200, 100, 2]);
+});
+
+test('a dividend-adjusted source only rebases against the stored adjusted close', ()=>{
+  // Yahoo 的 close 只還原分割，adj_close 另含股利（相差 2%）；Stooq 的收盤價等於含股利的還原價
+  const yahoo = syntheticSeries({ from:'2024-05-01', to:'2024-05-31', start:100, rate:0 }).map(r=>({ ...r, adj_close:98 }));
+  savePriceRows({ symbol:'MIX', rows: yahoo, source:'yahoo_chart', firstDate:'2024-05-01', lastDate:'2024-05-31' });
+  const stooq = syntheticSeries({ from:'2024-05-31', to:'2024-06-14', start:98, rate:0 }).map(r=>({ ...r, adj_close: r.close }));
+  assert.equal(savePriceRows({ symbol:'MIX', rows: stooq, source:'stooq_csv', firstDate:'2024-05-31', lastDate:'2024-06-14' }).rebase, null);
+  const may = ()=> listPriceRows('MIX', '2024-05-01', '2024-05-01')[0];
+  assert.deepEqual([may().close, may().adj_close, may().source], [100, 98, 'yahoo_chart']);
+
+  // 之後 2:1 分割，重疊列為 Stooq、新資料為 Yahoo：依 adj_close 比例換算兩欄
+  const split = syntheticSeries({ from:'2024-06-14', to:'2024-06-28', start:50, rate:0 }).map(r=>({ ...r, adj_close:49 }));
+  const { rebase } = savePriceRows({ symbol:'MIX', rows: split, source:'yahoo_chart', firstDate:'2024-06-14', lastDate:'2024-06-28' });
+  assert.deepEqual([rebase.date, rebase.ratio, rebase.adj_ratio], ['2024-06-14', 0.5, 0.5]);
+  assert.deepEqual([may().close, may().adj_close], [50, 49]);
+  // 新資料沒有附分割紀錄：由換算比例推定 2:1，記在重疊日之後第一個交易日
+  assert.deepEqual(rebase.inferred_split, { date:'2024-06-17', value:2 });
+  assert.equal(splitFactorAfter('MIX', '2024-05-01'), 2);
+});
+
+test('rebases from sources without split events record the implied split, dividends do not', ()=>{
+  const old = syntheticSeries({ from:'2024-05-01', to:'2024-06-14', start:200, rate:0 }).map(r=>({ ...r, adj_close: r.close }));
+  savePriceRows({ symbol:'SPL', rows: old, source:'stooq_csv', firstDate:'2024-05-01', lastDate:'2024-06-14' });
+  // 除息：含股利的還原價整段下修 1%，不是分割
+  const dividend = syntheticSeries({ from:'2024-06-14', to:'2024-06-21', start:198, rate:0 }).map(r=>({ ...r, adj_close: r.close }));
+  const first = savePriceRows({ symbol:'SPL', rows: dividend, source:'stooq_csv', firstDate:'2024-06-14', lastDate:'2024-06-21' }).rebase;
+  assert.deepEqual([first.ratio, first.inferred_split], [0.99, undefined]);
+  assert.deepEqual(listPriceActions('SPL'), []);
+
+  // 1:10 反向分割：Twelve Data 的新資料為 10 倍價格
+  const reverse = syntheticSeries({ from:'2024-06-21', to:'2024-06-28', start:1980, rate:0 }).map(r=>({ ...r, adj_close: r.close }));
+  savePriceRows({ symbol:'SPL', rows: reverse, source:'twelvedata', firstDate:'2024-06-21', lastDate:'2024-06-28' });
+  assert.deepEqual(listPriceActions('SPL').map(a=>[a.date, a.kind, a.value, a.source]), [['2024-06-24', 'split', 0.1, 'twelvedata_inferred']]);
+  assert.equal(splitFactorAfter('SPL', '2024-06-21'), 0.1);
+  assert.equal(listPriceRows('SPL', '2024-05-01', '2024-05-01')[0].close, 1980);
+});
@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('pricetarget');
+const { writeFixture } = await import('../lib/httpFixtures.js');
+const { normalizeTargets, getAggregatedPriceTarget } = await import('../lib/pricetarget.js');
+const { savePriceTargetSnapshot, findPriceTargetSnapshot } = await import('../lib/priceTargetStore.js');
+
+after(()=> env.cleanup());
+
+test('mean only: high / low are derived at ±15%', ()=>{
+  assert.deepEqual(normalizeTargets({ source:'alphavantage', targetMean:100 }), {
+    source:'alphavantage', targetHigh:115, targetLow:85, targetMean:100, targetMedian:null
+  });
+});
+
+test('median is used when mean is missing', ()=>{
+  const out = normalizeTargets({ targetMedian:50, targetHigh:60 });
+  assert.equal(out.targetMean, 50);
+  assert.equal(out.targetMedian, 50);
+  assert.equal(out.targetHigh, 60);
+  assert.equal(out.targetLow, 45);
+});
+
+test('single bound without mean fills the other side at 1.2x', ()=>{
+  assert.equal(normalizeTargets({ targetHigh:120 }).targetLow, 100);
+  assert.equal(normalizeTargets({ targetLow:100 }).targetHigh, 120);
+});
+
+test('current price outside the range widens the band', ()=>{
+  const above = normalizeTargets({ targetHigh:110, targetLow:90, targetMean:100 }, 200);
+  assert.equal(above.targetHigh, 210);
+  assert.equal(above.targetLow, 90);
+  const below = normalizeTargets({ targetHigh:110, targetLow:90, targetMean:100 }, 50);
+  assert.equal(below.targetLow, 47.5);
+  assert.equal(below.source, 'aggregated');
+});
+
+test('aggregation falls back from Finnhub to Yahoo', async ()=>{
+  writeFixture({ url:'https://finnhub.io/api/v1/stock/price-target?symbol=AMD', status:403, data:{ error:"You don't have access to this resource." } });
+  writeFixture({
+    url:'https://query2.finance.yahoo.com/v10/finance/quoteSummary/AMD?modules=financialData',
+    data:{ quoteSummary:{ result:[{ financialData:{ targetHighPrice:{ raw:250 }, targetLowPrice:{ raw:120 }, targetMeanPrice:{ raw:190 } } }] } }
+  });
+  const out = await getAggregatedPriceTarget('AMD', 'secret', '', 160);
+  const today = dayjs().format('YYYY-MM-DD');
+  assert.deepEqual(out, { source:'yahoo', targetHigh:250, targetLow:120, targetMean:190, targetMedian:null, as_of: today, point_in_time:true, age_days:0 });
+  // 每次取得都留下當天的快照
+  assert.equal(findPriceTargetSnapshot('AMD', today).targetMean, 190);
+});
+
+test('historical baselines use the nearest snapshot on or before the baseline', async ()=>{
+  savePriceTargetSnapshot({ ticker:'INTC', asOf:'2024-01-10', target:{ source:'finnhub', targetHigh:60, targetLow:30, targetMean:45 } });
+  savePriceTargetSnapshot({ ticker:'INTC', asOf:'2024-03-01', target:{ source:'yahoo', targetHigh:70, targetLow:35, targetMean:50 } });
+  savePriceTargetSnapshot({ ticker:'INTC', asOf:'2024-03-01', target:{ source:'finnhub', targetHigh:68, targetLow:36, targetMean:49 } });
+  savePriceTargetSnapshot({ ticker:'INTC', asOf:'2024-06-01', target:{ source:'finnhub', targetHigh:40, targetLow:20, targetMean:30 } });
+  // 沒有任何 INTC 錄製檔：走快照即不會連線
+  const out = await getAggregatedPriceTarget('INTC', 'secret', '', 40, { baselineDate:'2024-05-31' });
+  assert.deepEqual(out, { source:'finnhub', targetHigh:68, targetLow:36, targetMean:49, targetMedian:null, as_of:'2024-03-01', point_in_time:true, age_days:91 });
+});
+
+test('without a prior snapshot the current consensus is used and flagged', async ()=>{
+  writeFixture({ url:'https://finnhub.io/api/v1/stock/price-target?symbol=MU', data:{ symbol:'MU', targetHigh:200, targetLow:100, targetMean:150, lastUpdated:'2024-07-15 00:00:00' } });
+  const early = await getAggregatedPriceTarget('MU', 'secret', '', 120, { baselineDate:'2024-05-31' });
+  assert.deepEqual([early.point_in_time, early.as_of, early.age_days], [false, '2024-07-15', null]);
+  assert.match(early.note, /非時點資料/);
+  // Finnhub 的 lastUpdated 作為快照生效日，之後的基準日可直接使用
+  const later = await getAggregatedPriceTarget('MU', 'secret', '', 120, { baselineDate:'2024-08-01' });
+  assert.deepEqual([later.point_in_time, later.as_of, later.age_days, later.targetMean], [true, '2024-07-15', 17, 150]);
+});
+
+test('all sources failing reports every error', async ()=>{
+  await assert.rejects(getAggregatedPriceTarget('ZZZZ', 'secret', '', 10), (err)=>{
+    assert.match(err.message, /\[FINNHUB\] \[fixtures\] no recorded response/);
+    assert.match(err.message, /\[YAHOO\]/);
+    assert.match(err.message, /\[ALPHAVANTAGE\] Missing API key/);
+    return true;
+  });
+});
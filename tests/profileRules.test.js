@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateProfileRules, reconcileProfileRules } from '../lib/profileRules.js';
+
+const LARGE = {
+  price: 100,
+  momentum:{ adv_3m: 80e6, score: 70, trend:'強勢' },
+  fundamentals:{
+    market_cap: 50e9,
+    ttm:{ fcf: 5e9 },
+    trends:{ net_income_positive_quarters:4, gross_margin_expanding_2q:true, operating_margin_expanding_2q:false, fcf_positive_ttm:true, share_change_12m:-0.01, revenue_yoy:0.25 }
+  },
+  priceTarget:{ targetMean: 120 }
+};
+
+// 單季 OCF：近四季合計 -10M，前四季合計 -40M（虧損收斂 75%）
+const SMALL = {
+  price: 12,
+  momentum:{ adv_3m: 8e6, score: 40, trend:'中性' },
+  fundamentals:{
+    market_cap: 1e9,
+    cash:{ value: 40e6 },
+    ttm:{ revenue: 80e6, gross_margin: 0.45, ocf: -10e6, fcf: -20e6 },
+    trends:{ revenue_yoy: 0.4, share_change_12m: 0.12 },
+    quarters: [...Array(4).fill({ ocf: -2.5e6 }), ...Array(4).fill({ ocf: -10e6 })]
+  }
+};
+
+const bySource = (items, source)=> items.filter(i=>i.source === source).map(i=>i.key);
+
+test('large caps: computed filters and scores, text-only items left to the LLM', ()=>{
+  const rules = evaluateProfileRules(LARGE);
+  assert.deepEqual([rules.segment, rules.segment_label, rules.segment_source], ['large_cap', '大型股', 'computed']);
+  assert.deepEqual(bySource(rules.filters.items, 'computed'), ['market_cap','adv','profitability','fcf_buyback']);
+  assert.deepEqual(bySource(rules.filters.items, 'llm'), ['eps_revision','float_institutional','scarcity','no_red_flags']);
+  assert.deepEqual([rules.filters.total, rules.filters.required, rules.filters.computed, rules.filters.computed_met], [8, 6, 4, 4]);
+  // 營收 YoY 25% 得 10、營益率未擴張只加毛利率 5；動能 70 → 7；FCF 正且淨縮股本 10；上檔 20% → 7
+  const points = Object.fromEntries(rules.score_detail.filter(i=>i.source === 'computed').map(i=>[i.key, i.points]));
+  assert.deepEqual(points, { revisions:15, momentum:7, fcf:10, valuation:7 });
+  assert.deepEqual([rules.score_computed, rules.score_computed_max], [39, 50]);
+
+  // 沒有市值時改用 LLM 的分類，兩者都沒有時預設大型股
+  assert.equal(evaluateProfileRules({}, { segment:'small_cap' }).segment_source, 'llm');
+  assert.deepEqual([evaluateProfileRules({}).segment, evaluateProfileRules({}).segment_source], ['large_cap', 'default']);
+  assert.equal(evaluateProfileRules({}).filters.items.find(i=>i.key === 'market_cap').source, 'unavailable');
+});
+
+test('large caps: LLM verdicts fill the text items and conflicts with computed ones are listed', ()=>{
+  const profile = reconcileProfileRules(evaluateProfileRules(LARGE), {
+    segment:'small_cap',
+    score: 90,
+    filters:{ items:[
+      { name:'市值≥$10B', met:false, reason:'LLM 誤判' },
+      { name:'近 6-12M EPS 一致預期上修', met:true, reason:'預期上修' },
+      { name:'核心產能/資產稀缺', met:false, reason:'產能不稀缺' }
+    ] },
+    score_detail:[
+      { category:'價格動能品質', points:2 },
+      { category:'結構性主題與供需稀缺', points:25, reason:'AI 主題' }
+    ]
+  });
+  assert.deepEqual(profile.disagreements.map(d=>[d.field, d.rule, d.llm]), [['segment', 'large_cap', 'small_cap'], ['filters.market_cap', true, false], ['score.momentum', 7, 2]]);
+  const filter = (key)=> profile.filters.items.find(i=>i.key === key);
+  // computed 項目保留規則結論，另附 LLM 的判斷
+  assert.deepEqual([filter('market_cap').met, filter('market_cap').llm_met, filter('market_cap').source], [true, false, 'computed']);
+  assert.deepEqual([filter('eps_revision').met, filter('eps_revision').source, filter('eps_revision').reason], [true, 'llm', '預期上修']);
+  assert.equal(filter('eps_revision').rule_reason, '缺少一致預期修正資料');
+  assert.deepEqual([filter('float_institutional').met, filter('no_red_flags').met], [null, null]);
+  assert.deepEqual([profile.filters.met, profile.filters.passed], [5, false]);
+  const theme = profile.score_detail.find(i=>i.key === 'theme');
+  assert.deepEqual([theme.points, theme.source, theme.reason], [20, 'llm', 'AI 主題']);
+  // 尚有未判斷的打分項目：不比較總分
+  assert.deepEqual([profile.score, profile.score_complete], [39 + 20, false]);
+});
+
+test('small caps: survival, growth and dilution rules', ()=>{
+  const rules = evaluateProfileRules(SMALL);
+  assert.equal(rules.segment, 'small_cap');
+  const filters = Object.fromEntries(rules.filters.items.map(i=>[i.key, i.met]));
+  assert.deepEqual(filters, { price:true, market_cap:true, float_cap:null, adv:true, revenue:true, gross_margin:true, ocf:true, runway:true, dilution:false, debt_wall:null });
+  const runway = rules.filters.items.find(i=>i.key === 'runway');
+  assert.deepEqual([runway.value, runway.reason], [24, '以 TTM FCF 估算 runway 24 個月']);
+  assert.match(rules.filters.items.find(i=>i.key === 'ocf').reason, /收斂 75\.0%/);
+  const scores = Object.fromEntries(rules.score_detail.map(i=>[i.key, [i.source, i.points]]));
+  // runway 24 個月 10 + OCF 仍為負 3；YoY 40% 10 + 毛利率 45% 7；沒有目標價時估值無法計算
+  assert.deepEqual(scores, {
+    survival:['computed', 13], growth:['computed', 17], catalyst:['llm', null], support:['llm', null],
+    momentum:['computed', 4], valuation:['unavailable', null], governance:['llm', null]
+  });
+});
+
+test('small caps: a complete LLM profile closes the score and flags total and filter conflicts', ()=>{
+  const profile = reconcileProfileRules(evaluateProfileRules(SMALL), {
+    score: 80,
+    filters:{ items:[
+      { name:'自由流通市值≥$150M', met:true },
+      { name:'近12M 淨發股率≤8%', met:true },
+      { name:'負債到期牆可控無重大違約風險', met:false }
+    ] },
+    score_detail:[
+      { category:'生存力/財務安全', points:12 },
+      { category:'成長與單位經濟', points:18 },
+      { category:'可驗證催化', points:10 },
+      { category:'機構與內部人支持', points:8 },
+      { category:'價格動能', points:5 },
+      { category:'估值 vs 成長', points:6 },
+      { category:'治理與披露', points:7 }
+    ]
+  });
+  // computed 分數與 LLM 差距在 30% 配分內不列入差異；總分以逐項加總為準
+  assert.deepEqual([profile.score, profile.score_complete], [13 + 17 + 10 + 8 + 4 + 6 + 7, true]);
+  assert.deepEqual(profile.disagreements.map(d=>[d.field, d.rule, d.llm]), [['filters.dilution', false, true], ['score', 65, 80]]);
+  assert.deepEqual([profile.filters.met, profile.filters.total, profile.filters.passed], [8, 10, true]);
+  assert.equal(profile.score_detail.find(i=>i.key === 'valuation').source, 'llm');
+  assert.equal(reconcileProfileRules(null, {}), null);
+});
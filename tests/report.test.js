@@ -0,0 +1,78 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('report');
+const { seedAnalysisFixtures, TICKER, BASELINE, HISTORICAL_CLOSE } = await import('./helpers/upstream.js');
+const { performAnalysis, PROMPT_VERSION } = await import('../lib/analysis.js');
+const { buildAnalysisWorkbook, workbookBuffer } = await import('../lib/report.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+function readBack(wb){
+  return XLSX.read(workbookBuffer(wb), { type:'buffer', cellNF:true });
+}
+
+function columnOf(rows, label){
+  return rows.map(r=>r[label]);
+}
+
+test('a batch report has summary, detail, error and readme sheets', async ()=>{
+  const result = await performAnalysis(TICKER, BASELINE);
+  const wb = readBack(buildAnalysisWorkbook([
+    { ticker: TICKER, date: BASELINE, model: result.analysis_model, result, promptVersion: PROMPT_VERSION },
+    { ticker:'AAPL', date: BASELINE, model: result.analysis_model, error:'[SEC] submissions failed' }
+  ], { generatedAt: new Date('2024-06-01T08:00:00') }));
+  const detail = `${TICKER}_${BASELINE}`;
+  assert.deepEqual(wb.SheetNames, ['摘要', detail, '錯誤', '說明']);
+
+  const summarySheet = wb.Sheets['摘要'];
+  const summary = XLSX.utils.sheet_to_json(summarySheet);
+  assert.deepEqual(columnOf(summary, 'Ticker'), [TICKER, 'AAPL']);
+  assert.deepEqual(columnOf(summary, '狀態'), ['完成', '錯誤']);
+  assert.equal(summary[0]['現價'], HISTORICAL_CLOSE);
+  // 固定 LLM 回傳目標價 = 現價 × 1.1
+  assert.equal(summary[0]['模型空間'], 0.1);
+  assert.equal(summary[0]['建議'], 'HOLD');
+  assert.equal(summary[0]['明細'], detail);
+  assert.equal(summarySheet.E2.z, '$#,##0.00');
+  assert.equal(summarySheet.I2.z, '0.0%');
+  assert.equal(summarySheet['!autofilter'].ref, 'A1:W3');
+  assert.equal(summarySheet.W2.l.Target, `#'${detail}'!A1`);
+
+  const detailRows = XLSX.utils.sheet_to_json(wb.Sheets[detail], { header:1 });
+  const titles = detailRows.filter(r=>/^【/.test(r[0] || '')).map(r=>r[0]);
+  assert.deepEqual(titles, ['【概要】','【申報文件逐份解讀】','【硬性過濾】','【打分明細】','【催化劑】','【動能指標】','【動能評分明細】','【新聞】','【新聞事件】','【新聞來源】']);
+  const filings = detailRows.slice(detailRows.findIndex(r=>r[0] === '【申報文件逐份解讀】') + 2);
+  assert.equal(filings[0][0], result.analysis.per_filing[0].form);
+  const filterStart = detailRows.findIndex(r=>r[0] === '【硬性過濾】') + 2;
+  assert.equal(detailRows[filterStart][0], result.profile_rules.filters.items[0].name);
+  assert.ok(detailRows.some(r=>r[0] === '動能分數' && r[1] === result.momentum.score));
+
+  const errors = XLSX.utils.sheet_to_json(wb.Sheets['錯誤']);
+  assert.deepEqual(errors.map(e=>[e.Ticker, e['類型'], e['訊息']]), [['AAPL', '分析失敗', '[SEC] submissions failed']]);
+
+  const readme = new Map(XLSX.utils.sheet_to_json(wb.Sheets['說明'], { header:1 }).map(r=>[r[0], r[1]]));
+  assert.equal(readme.get('提示詞版本'), PROMPT_VERSION);
+  assert.equal(readme.get('產生時間'), '2024-06-01 08:00:00');
+  assert.match(readme.get('分析筆數'), /成功 1、失敗 1/);
+  assert.match(readme.get('SEC XBRL companyfacts'), /sec_companyfacts/);
+  assert.ok(readme.has(detail));
+});
+
+test('detail sheet names are sanitized, capped at 31 characters and unique', async ()=>{
+  const result = await performAnalysis(TICKER, BASELINE);
+  const long = { ...result, input:{ ...result.input, ticker:'A/B:C*VERY-LONG-TICKER-NAME' } };
+  const wb = buildAnalysisWorkbook([
+    { ticker: TICKER, date: BASELINE, result },
+    { ticker: TICKER, date: BASELINE, result },
+    { ticker:'X', date: BASELINE, result: long }
+  ], { kind:'single' });
+  const [, first, second, third] = wb.SheetNames;
+  assert.deepEqual([first, second], [`${TICKER}_${BASELINE}`, `${TICKER}_${BASELINE}_2`]);
+  assert.equal(third.length, 31);
+  assert.match(third, /^A_B_C_VERY/);
+  assert.equal(XLSX.utils.sheet_to_json(wb.Sheets['說明'], { header:1 })[1][1], '單筆分析');
+});
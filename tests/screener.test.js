@@ -0,0 +1,89 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('screener');
+const { seedAnalysisFixtures, syntheticSeries, TICKER, BASELINE, HISTORICAL_CLOSE } = await import('./helpers/upstream.js');
+const { savePriceRows } = await import('../lib/priceStore.js');
+const { lastCompletedSession } = await import('../lib/tradingCalendar.js');
+const { compileFilter } = await import('../lib/screenerFilter.js');
+const { runScreener, parseScreenerRequest, parseSort, sortRows } = await import('../lib/screener.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+const FIELDS = ['momentum_score','rsi14','trend','m3','adv_3m','above_ma200','pe'];
+
+test('filter expressions combine comparisons with and / or / not and unit suffixes', ()=>{
+  const f = compileFilter('momentum_score >= 60 and rsi14 < 70 and (trend == "強勢" or m3 > 15%) && adv_3m >= 20M', FIELDS);
+  assert.deepEqual(f.fields.sort(), ['adv_3m','m3','momentum_score','rsi14','trend']);
+  const row = { momentum_score:72, rsi14:65, trend:'中性', m3:0.2, adv_3m:2.5e7 };
+  assert.equal(f.test(row), true);
+  assert.equal(f.test({ ...row, m3:0.1 }), false);
+  assert.equal(f.test({ ...row, m3:0.1, trend:'強勢' }), true);
+  // 缺值的比較為 false；欄位單獨出現時以真假值判斷
+  assert.equal(compileFilter('pe < 30', FIELDS).test({ pe:null }), false);
+  assert.equal(compileFilter('not pe < 30', FIELDS).test({ pe:null }), true);
+  assert.equal(compileFilter('above_ma200 and !(rsi14 > 80)', FIELDS).test({ above_ma200:true, rsi14:50 }), true);
+  assert.equal(compileFilter('  ', FIELDS).test({}), true);
+});
+
+test('malformed filters, sorts and options are rejected with a reason', ()=>{
+  assert.throws(()=>compileFilter('price > 10', FIELDS), /unknown field "price"/);
+  assert.throws(()=>compileFilter('m3 > ', FIELDS), /unexpected end of expression/);
+  assert.throws(()=>compileFilter('(m3 > 1', FIELDS), /missing "\)"/);
+  assert.throws(()=>compileFilter('m3 > 1 rsi14', FIELDS), /unexpected "rsi14"/);
+  assert.throws(()=>compileFilter('constructor', FIELDS), /unknown field "constructor"/);
+  assert.deepEqual(parseSort('-m3'), { field:'m3', direction:'desc' });
+  assert.deepEqual(parseSort('rsi14:desc'), { field:'rsi14', direction:'desc' });
+  assert.throws(()=>parseSort('nope'), /unknown field "nope"/);
+  assert.throws(()=>parseScreenerRequest({ date: BASELINE, analyze_top:50 }), /analyze_top must be an integer between 0 and 10/);
+  assert.throws(()=>parseScreenerRequest({ date: BASELINE, universe:'list' }), /tickers required/);
+  assert.throws(()=>parseScreenerRequest({}), /date required/);
+  assert.deepEqual(sortRows([{ pe:null }, { pe:20 }, { pe:10 }], { field:'pe', direction:'asc' }).map(r=>r.pe), [10, 20, null]);
+});
+
+test('a ticker list is screened on momentum data, sorted and filtered', async ()=>{
+  const out = await runScreener({ date: BASELINE, tickers:'nvda XLK SPY AAPL', sort:'-m3' });
+  assert.deepEqual([out.universe.source, out.universe.cached_only, out.universe.screened], ['list', false, 4]);
+  assert.deepEqual(out.universe.no_data, ['AAPL']);
+  // 合成序列每日 +0.05% / +0.03% / +0.02%
+  assert.deepEqual(out.rows.map(r=>[r.rank, r.ticker]), [[1, TICKER], [2, 'XLK'], [3, 'SPY']]);
+  const nvda = out.rows[0];
+  assert.equal(nvda.title, 'NVIDIA CORP');
+  assert.equal(nvda.m3, Math.round((1.0005 ** 63 - 1) * 10000) / 10000);
+  assert.equal(out.rows[2].rs_m3, 0);
+  assert.equal(typeof nvda.momentum_score, 'number');
+  // 尚未分析過，沒有快取的 companyfacts
+  assert.equal(nvda.market_cap, null);
+  assert.equal(out.analysis, null);
+
+  const filtered = await runScreener({ date: BASELINE, tickers:[TICKER, 'XLK', 'SPY'], filter:'m3 > 2% and above_ma50' });
+  assert.deepEqual([filtered.matched, filtered.rows[0].ticker, filtered.filter.fields.sort()], [1, TICKER, ['above_ma50','m3']]);
+});
+
+test('the top matches escalate to a full analysis and cached SEC facts fill fundamentals', async ()=>{
+  const out = await runScreener({ date: BASELINE, tickers:[TICKER, 'SPY'], analyze_top:1 });
+  assert.deepEqual([out.analysis.count, out.analysis.provider], [1, 'fixture']);
+  assert.deepEqual([out.rows[0].ticker, out.rows[0].rating, out.rows[0].llm_upside], [TICKER, 'HOLD', 0.1]);
+  assert.equal(out.rows[1].rating, undefined);
+
+  // 完整分析已快取 companyfacts，之後的篩選可使用財報欄位
+  const again = await runScreener({ date: BASELINE, tickers:[TICKER], filter:'pe > 0 and revenue_yoy > 100%' });
+  const nvda = again.rows[0];
+  assert.equal(nvda.market_cap, Math.round(2460000000 * HISTORICAL_CLOSE));
+  assert.equal(nvda.fundamentals_period, '2024-04-28');
+  assert.ok(nvda.pe > 0);
+});
+
+test('the SEC universe only screens tickers already in the price store', async ()=>{
+  const out = await runScreener({ date: BASELINE });
+  assert.deepEqual([out.universe.source, out.universe.cached_only, out.universe.total, out.universe.available], ['sec', true, 2, 1]);
+  assert.deepEqual(out.rows.map(r=>r.ticker), [TICKER]);
+
+  // 倉庫有基準日但不足動能回看期間時仍算未快取，不會觸發上游補抓
+  const rows = syntheticSeries({ from:'2024-01-02' }).map(r=>({ ...r, adj_close: r.close }));
+  savePriceRows({ symbol:'AAPL', rows, source:'yahoo_chart', firstDate:'2024-01-02', lastDate: lastCompletedSession() });
+  const partial = await runScreener({ date: BASELINE });
+  assert.deepEqual([partial.universe.available, partial.rows.map(r=>r.ticker)], [1, [TICKER]]);
+});
@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('secfacts');
+const { writeFixture } = await import('../lib/httpFixtures.js');
+const { buildFundamentals, getFundamentals, STALE_PERIOD_DAYS } = await import('../lib/secFacts.js');
+
+after(()=> env.cleanup());
+
+const quarter = (start, end, val, filed)=>({ start, end, val, filed, form:'10-Q' });
+
+// ASC 606 後改用 RevenueFromContractWithCustomerExcludingAssessedTax：優先順序較高的 Revenues 只剩 2017 年的資料
+function switchedFacts(){
+  const oldRevenue = [
+    quarter('2017-01-01', '2017-03-31', 500, '2017-05-01'),
+    quarter('2017-04-01', '2017-06-30', 520, '2017-08-01'),
+    quarter('2017-07-01', '2017-09-30', 540, '2017-11-01'),
+    quarter('2017-10-01', '2017-12-31', 560, '2018-02-15')
+  ];
+  const newRevenue = [
+    quarter('2023-01-01', '2023-03-31', 1000, '2023-05-01'),
+    quarter('2023-04-01', '2023-06-30', 1100, '2023-08-01'),
+    quarter('2023-07-01', '2023-09-30', 1200, '2023-11-01'),
+    quarter('2023-10-01', '2023-12-31', 1300, '2024-02-15'),
+    quarter('2024-01-01', '2024-03-31', 1500, '2024-05-01')
+  ];
+  const netIncome = newRevenue.map(r=>({ ...r, val: r.val / 10 }));
+  return {
+    entityName: 'SWITCHED INC',
+    facts:{ 'us-gaap':{
+      Revenues:{ units:{ USD: oldRevenue } },
+      RevenueFromContractWithCustomerExcludingAssessedTax:{ units:{ USD: newRevenue } },
+      NetIncomeLoss:{ units:{ USD: netIncome } }
+    } }
+  };
+}
+
+test('the revenue tag with the most recent period wins over an abandoned higher-priority tag', ()=>{
+  const f = buildFundamentals(switchedFacts(), '2024-05-31');
+  assert.equal(f.concepts.revenue, 'us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax');
+  assert.deepEqual([f.latest_period_end, f.quarters[0].revenue, f.ttm.revenue], ['2024-03-31', 1500, 1100 + 1200 + 1300 + 1500]);
+  assert.equal(f.trends.revenue_yoy, 0.5);
+  assert.deepEqual([f.period_lag_days, f.stale], [61, false]);
+
+  // 基準日時新標籤尚未申報：仍使用當時唯一可得的舊標籤
+  const early = buildFundamentals(switchedFacts(), '2018-03-01');
+  assert.deepEqual([early.concepts.revenue, early.latest_period_end, early.ttm.revenue], ['us-gaap:Revenues', '2017-12-31', 2120]);
+});
+
+test('fundamentals whose latest quarter is far behind the baseline are flagged and not used', async ()=>{
+  const facts = switchedFacts();
+  const f = buildFundamentals(facts, '2025-03-31');
+  assert.ok(f.period_lag_days > STALE_PERIOD_DAYS);
+  assert.equal(f.stale, true);
+
+  writeFixture({ url:'https://data.sec.gov/api/xbrl/companyfacts/CIK0000000001.json', data: facts });
+  await assert.rejects(getFundamentals('0000000001', '2025-03-31', { userAgent:'test' }), /latest quarterly data ends 2024-03-31, 365 days before baseline/);
+  assert.equal((await getFundamentals('0000000001', '2024-05-31', { userAgent:'test' })).latest_period_end, '2024-03-31');
+});
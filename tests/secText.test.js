@@ -0,0 +1,137 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('sectext');
+const { writeFixture } = await import('../lib/httpFixtures.js');
+const { extractFilingSections, fetchFilingSections, htmlToLines } = await import('../lib/secText.js');
+
+after(()=> env.cleanup());
+
+const PAGE_BREAK = '<div>NVIDIA Corporation | 2024 Form 10-K</div><p>12</p><hr/>';
+
+const TEN_K = `<html><head><title>nvda-20240128</title></head><body>
+<div style="display:none"><ix:header><p>Item 7. Management's Discussion and Analysis hidden xbrl</p></ix:header></div>
+<p>Table of Contents</p>
+<table>
+  <tr><td>Item 1A.</td><td>Risk Factors</td><td>12</td></tr>
+  <tr><td>Item 7.</td><td>Management&#8217;s Discussion and Analysis of Financial Condition and Results of Operations</td><td>35</td></tr>
+  <tr><td>Item 7A.</td><td>Quantitative and Qualitative Disclosures About Market Risk</td><td>50</td></tr>
+</table>
+${PAGE_BREAK}
+<p><b>Item 1A. Risk Factors</b></p>
+<p>Long-term demand for our data center products may not materialize as expected.</p>
+<p>We depend on third-party foundries to manufacture our products.</p>
+${PAGE_BREAK}
+<p><b>Item 7. Management&#8217;s Discussion and Analysis of Financial Condition and Results of Operations</b></p>
+<p>Revenue for fiscal year 2024 was $60.9 billion, up 126% from a year ago.</p>
+<table>
+  <tr><td>Revenue</td><td>$</td><td>60,922</td><td>$</td><td>26,974</td></tr>
+  <tr><td>Gross margin</td><td></td><td>72.7</td><td>%</td><td>56.9</td></tr>
+</table>
+<p>Liquidity and Capital Resources</p>
+<p>As of January 28, 2024, we had $26.0 billion in cash, cash equivalents and marketable securities.</p>
+${PAGE_BREAK}
+<p>Critical Accounting Estimates</p>
+<p>Inventory reserves reflect our estimate of excess and obsolete inventory.</p>
+<p><b>Item 7A. Quantitative and Qualitative Disclosures About Market Risk</b></p>
+<p>Interest rate risk is limited to our investment portfolio.</p>
+</body></html>`;
+
+const TEN_Q = `<html><body>
+<p>PART I. FINANCIAL INFORMATION</p>
+<p>Item 1. Financial Statements</p>
+<table><tr><td>Revenue</td><td>26,044</td><td>7,192</td></tr></table>
+<p>Item 2.</p>
+<p>Management's Discussion and Analysis of Financial Condition and Results of Operations</p>
+<p>Data Center revenue was a record, driven by Hopper GPU shipments.</p>
+<p>Item 3. Quantitative and Qualitative Disclosures About Market Risk</p>
+<p>There have been no material changes in market risk.</p>
+<p>PART II. OTHER INFORMATION</p>
+<p>Item 1A. Risk Factors</p>
+<p>Export controls may restrict sales of our products to China.</p>
+<p>Item 2. Unregistered Sales of Equity Securities and Use of Proceeds</p>
+<p>We repurchased 2.7 million shares during the quarter.</p>
+</body></html>`;
+
+const TWENTY_F = `<html><body>
+<p>Item 3. Key Information</p>
+<p>A. [Reserved]</p>
+<p>D. Risk Factors</p>
+<p>Our business depends on a limited number of customers in the semiconductor industry.</p>
+<p>Item 4. Information on the Company</p>
+<p>We design lithography systems.</p>
+<p>Item 5. Operating and Financial Review and Prospects</p>
+<p>A. Operating Results</p>
+<p>Net sales grew driven by EUV system demand.</p>
+<p>B. Liquidity and Capital Resources</p>
+<p>Our principal sources of liquidity are cash flows from operations.</p>
+<p>C. Research and Development, Patents and Licenses</p>
+<p>We invested in High-NA EUV development.</p>
+<p>Item 6. Directors, Senior Management and Employees</p>
+</body></html>`;
+
+test('htmlToLines drops hidden XBRL, numeric tables, page numbers and repeated headers', ()=>{
+  const lines = htmlToLines(TEN_K);
+  assert.ok(!lines.some(l=>l.includes('hidden xbrl')));
+  assert.ok(!lines.some(l=>l.includes('60,922')));
+  assert.ok(!lines.includes('12'));
+  assert.ok(!lines.includes('NVIDIA Corporation | 2024 Form 10-K'));
+  assert.ok(!lines.includes('Table of Contents'));
+  assert.ok(lines.includes('Item 7A. Quantitative and Qualitative Disclosures About Market Risk 50'));
+});
+
+test('10-K: the body wins over the table of contents for MD&A, risk factors and liquidity', ()=>{
+  const { sections } = extractFilingSections(TEN_K, '10-K');
+  assert.equal(sections.mda.item, '7');
+  assert.match(sections.mda.text, /^Revenue for fiscal year 2024/);
+  assert.ok(!sections.mda.text.includes('Interest rate risk'));
+  assert.equal(sections.risk_factors.item, '1A');
+  assert.equal(sections.risk_factors.text, 'Long-term demand for our data center products may not materialize as expected.\nWe depend on third-party foundries to manufacture our products.');
+  assert.equal(sections.liquidity.item, '7');
+  assert.equal(sections.liquidity.text, 'As of January 28, 2024, we had $26.0 billion in cash, cash equivalents and marketable securities.');
+});
+
+test('10-Q: split Item 2 heading is MD&A and Part II Item 2 is ignored', ()=>{
+  const { sections } = extractFilingSections(TEN_Q, '10-Q');
+  assert.equal(sections.mda.item, '2');
+  assert.equal(sections.mda.title, "Management's Discussion and Analysis of Financial Condition and Results of Operations");
+  assert.equal(sections.mda.text, 'Data Center revenue was a record, driven by Hopper GPU shipments.');
+  assert.equal(sections.risk_factors.text, 'Export controls may restrict sales of our products to China.');
+  assert.equal(sections.liquidity.found, false);
+});
+
+test('20-F: Item 5 review, Item 3D risk factors and Item 5B liquidity', ()=>{
+  const { sections } = extractFilingSections(TWENTY_F, '20-F');
+  assert.equal(sections.mda.item, '5');
+  assert.match(sections.mda.text, /EUV system demand/);
+  assert.equal(sections.risk_factors.item, '3D');
+  assert.equal(sections.risk_factors.text, 'Our business depends on a limited number of customers in the semiconductor industry.');
+  assert.equal(sections.liquidity.item, '5B');
+  assert.equal(sections.liquidity.text, 'Our principal sources of liquidity are cash flows from operations.');
+});
+
+test('documents without item headings fall back to the full text', ()=>{
+  const { sections } = extractFilingSections('<p>Press release</p><p>Quarterly revenue rose 20%.</p>', '6-K');
+  assert.equal(sections.mda.found, false);
+  assert.equal(sections.mda.fallback, 'full_text');
+  assert.equal(sections.mda.text, 'Press release\nQuarterly revenue rose 20%.');
+  assert.equal(sections.risk_factors.found, false);
+  assert.equal(sections.risk_factors.text, '');
+});
+
+test('sections are cut to their character budget on a sentence boundary', ()=>{
+  const { sections } = extractFilingSections(TEN_K, '10-K', { budgets:{ mda: 80, risk_factors: 3000, liquidity: 2000 } });
+  assert.equal(sections.mda.truncated, true);
+  assert.ok(sections.mda.chars > 80);
+  assert.equal(sections.mda.text, 'Revenue for fiscal year 2024 was $60.9 billion, up 126% from a year ago.');
+  assert.equal(sections.risk_factors.truncated, false);
+});
+
+test('fetchFilingSections parses the replayed filing', async ()=>{
+  const url = 'https://www.sec.gov/Archives/edgar/data/1045810/000104581024000029/nvda-20240128.htm';
+  writeFixture({ method:'GET', url, headers:{ 'content-type':'text/html' }, data: TEN_K });
+  const parsed = await fetchFilingSections(url, 'test-agent', { form:'10-K' });
+  assert.equal(parsed.form, '10-K');
+  assert.deepEqual(parsed.sections, extractFilingSections(TEN_K, '10-K').sections);
+});
@@ -0,0 +1,56 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('sectors');
+const configFile = path.join(env.root, 'sectors.json');
+fs.writeFileSync(configFile, JSON.stringify({
+  tickers:{ googl:{ sector:'communication' }, NVDA:{ industry_etf:'soxx' } },
+  sic:{ '7372':{ industry:null } }
+}));
+process.env.SECTOR_MAP_CONFIG = configFile;
+const { classifySector, sectorFromSic, parseSectorConfig } = await import('../lib/sectors.js');
+
+after(()=>{
+  delete process.env.SECTOR_MAP_CONFIG;
+  env.cleanup();
+});
+
+test('SIC codes map to SPDR sector and industry ETFs', ()=>{
+  const pick = (sic)=>{
+    const c = classifySector({ sic });
+    return [c.sector_etf, c.industry_etf];
+  };
+  assert.deepEqual(pick('3674'), ['XLK','XSD']);
+  assert.deepEqual(pick('3571'), ['XLK', null]);
+  assert.deepEqual(pick('2834'), ['XLV','XPH']);
+  assert.deepEqual(pick('6324'), ['XLV','XHS']);
+  assert.deepEqual(pick('6021'), ['XLF','KBE']);
+  assert.deepEqual(pick('2911'), ['XLE','XOP']);
+  assert.deepEqual(pick('5961'), ['XLY','XRT']);
+  assert.deepEqual(pick('5331'), ['XLP','XRT']);
+  assert.deepEqual(pick('4911'), ['XLU', null]);
+  assert.deepEqual(pick('6798'), ['XLRE', null]);
+  assert.equal(sectorFromSic('9999'), null);
+  const unmapped = classifySector({ ticker:'ZZZ' });
+  assert.deepEqual([unmapped.sector_etf, unmapped.market, unmapped.source], [null, 'SPY', 'unmapped']);
+});
+
+test('config file overrides apply by SIC code and then by ticker', ()=>{
+  const msft = classifySector({ ticker:'MSFT', sic:'7372' });
+  assert.deepEqual([msft.sector_etf, msft.industry_etf, msft.source], ['XLK', null, 'sic_override']);
+  // 只改類股時 ETF 換成該類股預設
+  const googl = classifySector({ ticker:'GOOGL', sic:'7370' });
+  assert.deepEqual([googl.sector, googl.sector_label, googl.sector_etf, googl.industry_etf, googl.source], ['communication', '通訊服務', 'XLC', 'XSW', 'ticker_override']);
+  const nvda = classifySector({ ticker:'nvda', sic:'3674' });
+  assert.deepEqual([nvda.sector_etf, nvda.industry, nvda.industry_etf], ['XLK', 'semiconductors', 'SOXX']);
+});
+
+test('invalid override entries are rejected with the offending field', ()=>{
+  assert.throws(()=>parseSectorConfig({ tickers:{ AAPL:{ sector:'tech' } } }), /tickers\.AAPL\.sector "tech" is not one of/);
+  assert.throws(()=>parseSectorConfig({ sic:{ abc:{} } }), /sic\.abc is not a SIC code/);
+  assert.throws(()=>parseSectorConfig({ tickers:{ AAPL:{ etf:'XLK' } } }), /tickers\.AAPL\.etf is not supported/);
+  assert.throws(()=>parseSectorConfig({ industries:{} }), /unknown field "industries"/);
+});
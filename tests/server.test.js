@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import Papa from 'papaparse';
+import { useTestEnv } from './helpers/env.js';
+
+// 以子行程啟動 server.js（沿用本檔的暫存目錄、錄製檔與 fixture LLM），驗證路由參數的解析與傳遞
+const env = useTestEnv('server');
+const { seedAnalysisFixtures, TICKER, BASELINE } = await import('./helpers/upstream.js');
+
+seedAnalysisFixtures();
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+let server;
+let base;
+
+async function freePort(){
+  const probe = net.createServer();
+  await new Promise(resolve=> probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve=> probe.close(resolve));
+  return port;
+}
+
+before(async ()=>{
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['server.js'], { cwd: ROOT, env:{ ...process.env, PORT: String(port), WATCHLIST_SCHEDULER:'off' }, stdio:['ignore','pipe','pipe'] });
+  let stderr = '';
+  server.stderr.on('data', chunk=>{ stderr += chunk; });
+  await new Promise((resolve, reject)=>{
+    const timer = setTimeout(()=> reject(new Error(`server did not start: ${stderr}`)), 20000);
+    server.stdout.on('data', chunk=>{
+      if(String(chunk).includes('🚀')){ clearTimeout(timer); resolve(); }
+    });
+    server.on('exit', code=>{ clearTimeout(timer); reject(new Error(`server exited ${code}: ${stderr}`)); });
+  });
+});
+
+after(()=>{
+  server?.kill();
+  env.cleanup();
+});
+
+function batchForm(fields){
+  const form = new FormData();
+  form.append('file', new Blob([`ticker,date\n${TICKER},${BASELINE}\n`], { type:'text/csv' }), 'tasks.csv');
+  for(const [key, value] of Object.entries(fields)) form.append(key, value);
+  return form;
+}
+
+const SIZING = { account_size:'200000', risk_pct:'1' };
+
+test('batch uploads with account_size and risk_pct return a position plan per row', async ()=>{
+  const res = await fetch(`${base}/api/batch`, { method:'POST', body: batchForm(SIZING) });
+  assert.equal(res.status, 200);
+  const [row] = Papa.parse(await res.text(), { header:true, skipEmptyLines:true }).data;
+  assert.equal(row.ticker, TICKER);
+  assert.doesNotMatch(row.recommendation, /ERROR/);
+  assert.ok(Number(row.shares) > 0);
+  assert.ok(Number(row.dollar_risk) > 0);
+
+  const invalid = await fetch(`${base}/api/batch`, { method:'POST', body: batchForm({ account_size:'200000' }) });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /risk_pct is required/);
+});
+
+test('async jobs keep the sizing fields and apply them when the rows run', async ()=>{
+  const res = await fetch(`${base}/api/jobs`, { method:'POST', body: batchForm(SIZING) });
+  assert.equal(res.status, 202);
+  const { id } = await res.json();
+  let job;
+  for(let i = 0; i < 100; i += 1){
+    job = await (await fetch(`${base}/api/jobs/${id}`)).json();
+    if(!['queued','running'].includes(job.status)) break;
+    await new Promise(resolve=> setTimeout(resolve, 100));
+  }
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.options.position_sizing, SIZING);
+  assert.equal(job.rows[0].status, 'done');
+  assert.ok(job.rows[0].result.shares > 0);
+});
+
+test('blank option fields are treated as not provided', async ()=>{
+  const res = await fetch(`${base}/api/analyze/stream?ticker=${TICKER}&date=${BASELINE}&momentum_scoring=&dcf=&position_sizing=`);
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /event: result/);
+  const invalid = await fetch(`${base}/api/analyze`, { method:'POST', headers:{ 'Content-Type':'application/json' }, body: JSON.stringify({ ticker: TICKER, date: BASELINE, dcf:'{bad' }) });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('valuation');
+const { runDcf, resolveDcfConfig, buildValuation, forwardEpsFromEstimates, DEFAULT_DCF_CONFIG } = await import('../lib/valuation.js');
+
+after(()=> env.cleanup());
+
+const inputs = { price:100, shares:10, net_debt:-50, base_fcf:100, revenue_growth:0.4, revenue_growth_source:'ttm_revenue_yoy' };
+
+test('two-stage DCF discounts the explicit years and a Gordon terminal value', ()=>{
+  const dcf = runDcf(inputs, resolveDcfConfig({ discount_rate:0.1, terminal_growth:0.02, years:2, growth_rate:0.1 }));
+  // FCF 110、121 折現皆為 100；終值 121 × 1.02 / 0.08 = 1542.75，折現 1275
+  assert.deepEqual(dcf.projections, [{ year:1, fcf:110, pv:100 }, { year:2, fcf:121, pv:100 }]);
+  assert.deepEqual([dcf.pv_terminal, dcf.enterprise_value, dcf.equity_value, dcf.per_share, dcf.upside], [1275, 1475, 1525, 152.5, 0.525]);
+  assert.deepEqual(dcf.sensitivity.discount_rates, [0.09, 0.1, 0.11]);
+  assert.deepEqual(dcf.sensitivity.terminal_growth, [0.015, 0.02, 0.025]);
+  assert.equal(dcf.sensitivity.per_share[1][1], 152.5);
+  assert.ok(dcf.sensitivity.per_share[0][2] > dcf.per_share && dcf.sensitivity.per_share[2][0] < dcf.per_share);
+});
+
+test('stage-one growth defaults to revenue growth within the configured bounds', ()=>{
+  const capped = runDcf(inputs);
+  assert.deepEqual([capped.growth_rate, capped.growth_source, capped.years], [DEFAULT_DCF_CONFIG.growth_cap, 'ttm_revenue_yoy', 5]);
+  const floor = runDcf({ ...inputs, revenue_growth:null });
+  assert.deepEqual([floor.growth_rate, floor.growth_source], [0, 'floor']);
+  assert.deepEqual(runDcf({ ...inputs, base_fcf:-5 }).available, false);
+  assert.match(runDcf({ ...inputs, shares:null }).reason, /流通股數/);
+});
+
+test('invalid DCF configs are rejected with the offending field', ()=>{
+  assert.throws(()=>resolveDcfConfig({ wacc:0.1 }), /unknown field "wacc"/);
+  assert.equal(resolveDcfConfig('').source, 'default');
+  assert.throws(()=>resolveDcfConfig({ discount_rate:0.02 }), /discount_rate must be greater than terminal_growth/);
+  assert.throws(()=>resolveDcfConfig({ years:2.5 }), /years must be an integer/);
+  assert.throws(()=>resolveDcfConfig({ sensitivity:{ steps:5 } }), /sensitivity\.steps/);
+  assert.throws(()=>resolveDcfConfig('{bad'), /not valid JSON/);
+  assert.equal(resolveDcfConfig('{"growth_rate":null,"years":7}').years, 7);
+});
+
+test('forward EPS sums the next four estimated quarters and is scaled back across splits', ()=>{
+  const estimates = { data:[
+    { period:'2024-03-31', epsAvg:1 }, { period:'2024-06-30', epsAvg:1.1, numberAnalysts:12 }, { period:'2024-09-30', epsAvg:1.2, numberAnalysts:10 },
+    { period:'2024-12-31', epsAvg:1.3, numberAnalysts:9 }, { period:'2025-03-31', epsAvg:1.4, numberAnalysts:8 }, { period:'2025-06-30', epsAvg:1.5 }
+  ] };
+  const forward = forwardEpsFromEstimates(estimates, '2024-03-31');
+  assert.deepEqual([Math.round(forward.value * 100) / 100, forward.periods.length, forward.analysts], [5, 4, 8]);
+  assert.equal(forwardEpsFromEstimates({ data: estimates.data.slice(0, 3) }, '2024-03-31'), null);
+
+  const fundamentals = {
+    latest_period_end:'2024-03-31',
+    ttm:{ revenue:1000, net_income:100, ebitda:-10, fcf:50 },
+    shares_outstanding:{ value:10, as_of:'2024-04-20' },
+    cash:null,
+    debt:null
+  };
+  const v = buildValuation({ price:200, fundamentals, estimates, estimatesAsOf:'2024-04-25', splitFactor:2, baselineDate:'2024-05-01', isHistorical:true });
+  assert.deepEqual(v.multiples, { pe:20, forward_pe:20, ev_sales:2, ev_ebitda:null, fcf_yield:0.025, peg:null });
+  assert.deepEqual([v.eps.forward, v.point_in_time.forward], [10, { point_in_time:true, as_of:'2024-04-25' }]);
+  assert.ok(v.notes.some(n=>/EV 以市值代替/.test(n)));
+
+  // 歷史基準日沒有快照日期時不使用目前共識，成長率改用 TTM 淨利年增率
+  const current = buildValuation({ price:200, fundamentals:{ ...fundamentals, ttm_previous:{ net_income:80 } }, estimates, splitFactor:2, baselineDate:'2024-05-01', isHistorical:true });
+  assert.deepEqual([current.eps.forward, current.multiples.forward_pe, current.eps.growth, current.eps.growth_source, current.multiples.peg], [null, null, 0.25, 'ttm_net_income_yoy', 0.8]);
+  assert.ok(current.notes.includes('基準日前沒有預估 EPS 快照，不使用目前共識計算預估 EPS'));
+  assert.equal(buildValuation({ price:200, fundamentals:{ error:'x' } }).available, false);
+});
@@ -0,0 +1,125 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers/env.js';
+
+const env = useTestEnv('watchlist');
+const { seedAnalysisFixtures, TICKER, BASELINE, HISTORICAL_CLOSE } = await import('./helpers/upstream.js');
+const { writeFixture } = await import('../lib/httpFixtures.js');
+const store = await import('../lib/watchlistStore.js');
+const { detectChanges, runWatchlist, runDueWatchlists } = await import('../lib/watchlist.js');
+
+seedAnalysisFixtures();
+after(()=> env.cleanup());
+
+const WEBHOOK = 'https://hooks.example.test/watchlist';
+const base = { rating:'HOLD', target_price:100, trend:'中性', sentiment:'中性' };
+
+test('detectChanges flags rating, target, trend and sentiment changes', ()=>{
+  assert.deepEqual(detectChanges(null, base), []);
+  assert.deepEqual(detectChanges(base, { ...base, target_price:109 }), []);
+  const changes = detectChanges(base, { rating:'BUY', target_price:110, trend:'強勢', sentiment:'樂觀' });
+  assert.deepEqual(changes.map(c=>c.kind), ['rating_change','target_move','trend_change','sentiment_change']);
+  assert.equal(changes[0].message, '評級由 觀望 轉為 買進');
+  assert.equal(changes[1].message, '模型目標價 $100.00 → $110.00（+10.0%）');
+  assert.deepEqual(detectChanges(base, { ...base, rating:null, trend:null }), []);
+  assert.equal(detectChanges(base, { ...base, target_price:95 }, { targetThreshold:0.05 })[0].kind, 'target_move');
+});
+
+test('watchlist CRUD keeps snapshots of tickers that stay on the list', ()=>{
+  const list = store.createWatchlist({ name:'半導體', tickers:'nvda, amd amd, $$$' });
+  assert.deepEqual(list.tickers.map(t=>t.ticker), ['AMD','NVDA']);
+  store.recordTickerRun(list.id, 'NVDA', { status:'ok', snapshot: base });
+  const updated = store.updateWatchlist(list.id, { tickers:['NVDA','AVGO'], webhookUrl: WEBHOOK });
+  assert.deepEqual(updated.tickers.map(t=>t.ticker).sort(), ['AVGO','NVDA']);
+  assert.deepEqual(updated.tickers.find(t=>t.ticker === 'NVDA').snapshot, base);
+  assert.equal(updated.webhook_url, WEBHOOK);
+  assert.equal(updated.name, '半導體');
+  assert.equal(store.deleteWatchlist(list.id), true);
+  assert.equal(store.getWatchlist(list.id), null);
+  assert.equal(store.deleteWatchlist(list.id), false);
+});
+
+test('first run stores a baseline snapshot without alerts', async ()=>{
+  const list = store.createWatchlist({ name:'核心', tickers:[TICKER, 'AAPL'], webhookUrl: WEBHOOK });
+  const run = await runWatchlist(list.id, { date: BASELINE });
+  assert.equal(run.ran, 2);
+  const byTicker = Object.fromEntries(run.results.map(r=>[r.ticker, r]));
+  assert.equal(byTicker[TICKER].status, 'ok');
+  assert.deepEqual(byTicker[TICKER].alerts, []);
+  assert.equal(byTicker.AAPL.status, 'error');
+
+  const saved = store.getWatchlist(list.id);
+  const nvda = saved.tickers.find(t=>t.ticker === TICKER);
+  assert.equal(nvda.last_status, 'ok');
+  assert.equal(nvda.snapshot.rating, 'HOLD');
+  assert.equal(nvda.snapshot.price, HISTORICAL_CLOSE);
+  assert.match(saved.tickers.find(t=>t.ticker === 'AAPL').last_error, /\[SEC\]/);
+  assert.equal(store.listAlerts({ watchlistId: list.id }).length, 0);
+  store.deleteWatchlist(list.id);
+});
+
+test('changes against the previous snapshot become alerts and are pushed to the webhook', async ()=>{
+  const list = store.createWatchlist({ name:'核心', tickers:[TICKER], webhookUrl: WEBHOOK });
+  const previous = { baseline_date:'2024-05-30', rating:'BUY', target_price: 1500, trend:'強勢', sentiment:'樂觀', analysis_valid:true };
+  store.recordTickerRun(list.id, TICKER, { status:'ok', snapshot: previous });
+  const expectedTarget = Math.round(HISTORICAL_CLOSE * 1.1 * 100) / 100;
+  const alerts = detectChanges(previous, { rating:'HOLD', target_price: expectedTarget, trend:'中性', sentiment:'中性' });
+  writeFixture({
+    method:'POST',
+    url: WEBHOOK,
+    body:{ event:'watchlist.alerts', watchlist:{ id: list.id, name:'核心' }, ticker: TICKER, baseline_date: BASELINE, alerts },
+    data:{ ok:true }
+  });
+
+  const run = await runWatchlist(list.id, { date: BASELINE });
+  assert.deepEqual(run.results[0].alerts.map(a=>a.kind), ['rating_change','target_move','trend_change','sentiment_change']);
+
+  const feed = store.listAlerts({ watchlistId: list.id });
+  assert.equal(feed.length, 4);
+  assert.ok(feed.every(a=>a.webhook_status === 'sent' && a.baseline_date === BASELINE && a.read_at === null));
+  assert.equal(store.countUnreadAlerts(), 4);
+  assert.equal(store.markAlertsRead([feed[0].id]), 1);
+  assert.equal(store.listAlerts({ unreadOnly:true }).length, 3);
+  assert.equal(store.markAlertsRead(), 3);
+  assert.equal(store.countUnreadAlerts(), 0);
+
+  // 快照已更新，再跑一次不會重複提醒
+  const again = await runWatchlist(list.id, { date: BASELINE });
+  assert.deepEqual(again.results[0].alerts, []);
+  store.deleteWatchlist(list.id);
+});
+
+test('webhook failures are recorded on the alert instead of failing the run', async (t)=>{
+  const warn = t.mock.method(console, 'warn', ()=>{});
+  const list = store.createWatchlist({ name:'失敗', tickers:[TICKER], webhookUrl:'https://hooks.example.test/missing' });
+  store.recordTickerRun(list.id, TICKER, { status:'ok', snapshot:{ rating:'SELL' } });
+  const run = await runWatchlist(list.id, { date: BASELINE });
+  assert.equal(run.results[0].status, 'ok');
+  assert.ok(warn.mock.calls.some(c=>c.arguments[0] === '[Watchlist] webhook failed' && /no recorded response for POST https:\/\/hooks\.example\.test\/missing/.test(c.arguments[2])));
+  const [alert] = store.listAlerts({ watchlistId: list.id });
+  assert.equal(alert.kind, 'rating_change');
+  assert.match(alert.webhook_status, /^failed: \[fixtures\]/);
+  store.deleteWatchlist(list.id);
+});
+
+test('re-runs use the provider stored with the watchlist', async (t)=>{
+  t.mock.method(console, 'warn', ()=>{});
+  const list = store.createWatchlist({ name:'供應商', tickers:[TICKER], provider:'openai' });
+  assert.equal(list.provider, 'openai');
+  // openai 端點沒有錄製檔：分析改走清單的供應商時才會失敗
+  const run = await runWatchlist(list.id, { date: BASELINE });
+  assert.equal(run.results[0].status, 'error');
+  assert.match(run.results[0].error, /^\[LLM:openai\]/);
+  assert.equal(store.updateWatchlist(list.id, { provider:'' }).provider, '');
+  store.deleteWatchlist(list.id);
+});
+
+test('the scheduler only refreshes tickers not run within the interval', async ()=>{
+  const list = store.createWatchlist({ name:'排程', tickers:[TICKER] });
+  const first = await runDueWatchlists({ date: BASELINE });
+  assert.deepEqual(first.map(r=>[r.id, r.ran]), [[list.id, 1]]);
+  assert.deepEqual(await runDueWatchlists({ date: BASELINE }), []);
+  const later = await runDueWatchlists({ date: BASELINE, now: Date.now() + 25 * 60 * 60 * 1000 });
+  assert.equal(later[0].ran, 1);
+  store.deleteWatchlist(list.id);
+});